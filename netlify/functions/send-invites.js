@@ -1,5 +1,6 @@
+const crypto = require("node:crypto");
 const { createClient } = require("@supabase/supabase-js");
-const nodemailer = require("nodemailer");
+const { createMailer, runWithConcurrency, sendWithRetry } = require("../lib/mail.cjs");
 
 const json = (statusCode, body) => {
   return {
@@ -17,65 +18,18 @@ const requireEnv = (key) => {
   return value;
 };
 
-const getEmailProvider = () => {
-  const gmailUser = process.env.GMAIL_USER;
-  const gmailAppPassword = process.env.GMAIL_APP_PASSWORD;
-  if (gmailUser && gmailAppPassword) return "gmail";
-  if (process.env.RESEND_API_KEY) return "resend";
-  return "none";
+// Same alphabet as generateTempPassword in src/App.jsx.
+const generateTempPassword = () => {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  return Array.from({ length: 6 }, () => chars[crypto.randomInt(chars.length)]).join("");
 };
 
-const sendResendEmail = async ({ apiKey, from, to, subject, text, html }) => {
-  const res = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "content-type": "application/json"
-    },
-    body: JSON.stringify({
-      from,
-      to,
-      subject,
-      text,
-      html
-    })
-  });
-
-  if (!res.ok) {
-    const detail = await res.text().catch(() => "");
-    throw new Error(`Resend failed (${res.status}): ${detail || res.statusText}`);
-  }
-  const payload = await res.json().catch(() => ({}));
-  return { id: payload?.id || null };
-};
-
-const createGmailTransporter = ({ user, appPassword }) => {
-  return nodemailer.createTransport({
-    host: "smtp.gmail.com",
-    port: 465,
-    secure: true,
-    pool: true,
-    maxConnections: 1,
-    maxMessages: 100,
-    auth: { user, pass: appPassword }
-  });
-};
+// Matches the invitations.expires_at default in supabase/migrations.
+const INVITE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
 
-const runWithConcurrency = async ({ items, limit, handler }) => {
-  const results = new Array(items.length);
-  let nextIndex = 0;
-
-  const workers = Array.from({ length: Math.max(1, limit) }, async () => {
-    while (true) {
-      const i = nextIndex;
-      nextIndex += 1;
-      if (i >= items.length) break;
-      results[i] = await handler(items[i], i);
-    }
-  });
-
-  await Promise.all(workers);
-  return results;
+const inviteLinkTtlHours = () => {
+  const hours = Number(process.env.INVITE_LINK_TTL_HOURS || 7 * 24);
+  return Number.isFinite(hours) && hours > 0 ? hours : 7 * 24;
 };
 
 exports.handler = async (event) => {
@@ -86,28 +40,20 @@ exports.handler = async (event) => {
     const token = authHeader.startsWith("Bearer ") ? authHeader.slice("Bearer ".length) : "";
     if (!token) return json(401, { error: "Missing Authorization bearer token" });
 
-    const { groupId, appUrl, emails } = JSON.parse(event.body || "{}");
+    const { groupId, emails, credentials } = JSON.parse(event.body || "{}");
     if (!groupId) return json(400, { error: "Missing groupId" });
 
     const supabaseUrl = requireEnv("SUPABASE_URL");
     const supabaseServiceRoleKey = requireEnv("SUPABASE_SERVICE_ROLE_KEY");
-    const provider = getEmailProvider();
+    const mailer = createMailer();
+    const { provider, from } = mailer;
     if (provider === "none") {
       return json(400, {
         error:
-          "Email is not configured. Set either (GMAIL_USER + GMAIL_APP_PASSWORD) or RESEND_API_KEY in Netlify env vars."
+          "Email is not configured. Set EMAIL_PROVIDER and its settings (see README) in Netlify env vars."
       });
     }
 
-    const resendApiKey = provider === "resend" ? requireEnv("RESEND_API_KEY") : null;
-    const gmailUser = provider === "gmail" ? requireEnv("GMAIL_USER") : null;
-    const gmailAppPassword = provider === "gmail" ? requireEnv("GMAIL_APP_PASSWORD") : null;
-
-    const from =
-      process.env.OFFRECORD_FROM_EMAIL ||
-      (provider === "gmail" ? gmailUser : null) ||
-      "onboarding@resend.dev";
-
     const supabaseAdmin = createClient(supabaseUrl, supabaseServiceRoleKey, {
       auth: { persistSession: false, autoRefreshToken: false }
     });
@@ -124,7 +70,16 @@ exports.handler = async (event) => {
       .single();
     if (groupError) return json(400, { error: groupError.message });
 
-    if (group.host_uid !== user.id) return json(403, { error: "Only the group host can send invites" });
+    const { data: senderRole, error: roleError } = await supabaseAdmin
+      .from("group_roles")
+      .select("role,email_lower")
+      .eq("group_id", groupId)
+      .eq("user_id", user.id)
+      .maybeSingle();
+    if (roleError) return json(400, { error: roleError.message });
+    if (!["owner", "cohost"].includes(senderRole?.role)) {
+      return json(403, { error: "Only the group host or a co-host can send invites" });
+    }
 
     const { data: invites, error: inviteError } = await supabaseAdmin
       .from("invitations")
@@ -133,27 +88,30 @@ exports.handler = async (event) => {
     if (inviteError) return json(400, { error: inviteError.message });
 
     const groupName = group.name || "OffRecord group";
-    const hostEmailLower = String(group.host_email_lower || "").toLowerCase();
-    const members = Array.isArray(group.members) ? group.members : [];
-    const hostName =
-      members.find((m) => String(m.emailLower || "").toLowerCase() === hostEmailLower)?.name ||
-      user.user_metadata?.first_name ||
-      "A host";
-    const origin = String(appUrl || "").trim() || (event.headers.origin ? String(event.headers.origin) : "");
-    const signInUrl = origin ? `${origin}` : "your OffRecord site";
+    // Invites come from whoever sends them (the owner or a co-host).
+    const hostEmailLower = String(senderRole.email_lower || group.host_email_lower || "").toLowerCase();
+    const { data: hostMember } = await supabaseAdmin
+      .from("group_members")
+      .select("name")
+      .eq("group_id", groupId)
+      .eq("email_lower", hostEmailLower)
+      .maybeSingle();
+    const hostName = hostMember?.name || user.user_metadata?.first_name || "A host";
+    // Links point at the deployed site (Netlify sets URL), never at an address taken from the request.
+    const origin = String(process.env.URL || "").trim().replace(/\/+$/, "");
+    // Shared with the app's template preview (an ES module, hence import()).
+    const { renderEmail } = await import("../../src/emailTemplates.js");
 
     const start = Date.now();
 
     let sent = 0;
     const failures = [];
-    const results = [];
 
-    const gmailTransporter =
-      provider === "gmail"
-        ? createGmailTransporter({ user: gmailUser, appPassword: gmailAppPassword })
-        : null;
-
-    let inviteList = invites || [];
+    // Only invitations someone can still redeem: not yet redeemed, revoked or expired.
+    const pending = (invites || []).filter(
+      (inv) =>
+        !inv.redeemed_by_uid && !inv.revoked_at && (!inv.expires_at || new Date(inv.expires_at).getTime() > start)
+    );
     const emailFilter = Array.isArray(emails)
       ? new Set(
           emails
@@ -162,85 +120,112 @@ exports.handler = async (event) => {
         )
       : null;
 
+    let inviteList = pending;
     if (emailFilter && emailFilter.size > 0) {
-      inviteList = inviteList.filter((inv) => emailFilter.has(String(inv.email_lower || "").trim().toLowerCase()));
+      inviteList = pending.filter((inv) => emailFilter.has(String(inv.email_lower || "").trim().toLowerCase()));
+      const pendingEmails = new Set(inviteList.map((inv) => String(inv.email_lower || "").trim().toLowerCase()));
+      for (const email of emailFilter) {
+        if (!pendingEmails.has(email)) failures.push({ to: email, error: "No pending invite for this email" });
+      }
     }
-    const concurrency = provider === "gmail" ? 1 : 4;
 
-    await runWithConcurrency({
+    // Codes are stored hashed. Use the plaintext the host's client still has (right after creating codes) if it
+    // matches the stored hash; otherwise issue a fresh code, which replaces the old one.
+    const knownCodes = new Map(
+      (Array.isArray(credentials) ? credentials : []).map((c) => [
+        String(c?.email || "").trim().toLowerCase(),
+        String(c?.tempPassword || "").trim()
+      ])
+    );
+    let regenerated = 0;
+
+    // One { email, ok, error } entry per invite, in the order of the invitations list.
+    const results = await runWithConcurrency({
       items: inviteList,
-      limit: concurrency,
+      limit: mailer.concurrency,
       handler: async (inv) => {
-      const to = String(inv.email_lower || "").trim();
-      if (!to) return { to: "", ok: false, error: "Missing invite email" };
-
-      const inviteeName = String(inv.name || "").trim() || "there";
-      const tempPassword = String(inv.temp_password || "").trim();
-
-      const subject = `${hostName} invited you to OffRecord: ${groupName}`;
-      const text =
-        `Hi ${inviteeName},\n\n` +
-        `${hostName} invited you to an anonymous feedback group called "${groupName}".\n\n` +
-        `Sign in here: ${signInUrl}\n` +
-        `Email: ${to}\n` +
-        `Temporary Password: ${tempPassword}\n\n` +
-        `Please fill it out when you can — it only takes a few minutes.\n\n` +
-        `— OffRecord`;
-
-      const html = `
-        <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #111;">
-          <h2 style="margin: 0 0 12px;">You’ve been invited to OffRecord</h2>
-          <p style="margin: 0 0 14px;">Hi ${inviteeName},</p>
-          <p style="margin: 0 0 14px;">
-            <strong>${hostName}</strong> invited you to an anonymous feedback group called
-            <strong>“${groupName}”</strong>.
-          </p>
-          <div style="background:#f6f6f8;border:1px solid #e6e6ea;border-radius:12px;padding:16px;margin:18px 0;">
-            <div style="font-weight:600;margin-bottom:8px;">Your sign-in details</div>
-            <div><strong>Site:</strong> <a href="${signInUrl}">${signInUrl}</a></div>
-            <div><strong>Email:</strong> ${to}</div>
-            <div><strong>Temporary Password:</strong> <span style="font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace;">${tempPassword}</span></div>
-          </div>
-          <p style="margin: 0 0 14px;">Please fill it out when you can — it only takes a few minutes.</p>
-          <p style="margin: 24px 0 0; color:#666; font-size: 12px;">This feedback is anonymous. No names are attached to individual responses.</p>
-        </div>
-      `;
-
-      try {
-        if (provider === "gmail") {
-          const info = await gmailTransporter.sendMail({
-            from: from || gmailUser,
-            to,
-            subject,
-            text,
-            html
+        const to = String(inv.email_lower || "").trim();
+        if (!to) return { email: "", ok: false, error: "Missing invite email" };
+
+        let tempPassword = knownCodes.get(to.toLowerCase()) || "";
+        if (tempPassword) {
+          const { data: matches, error: matchError } = await supabaseAdmin.rpc("invitation_code_matches", {
+            invitation_id_input: inv.id,
+            code_input: tempPassword
           });
-          sent += 1;
-          if (results.length < 20) {
-            results.push({
-              to,
-              ok: true,
-              messageId: info?.messageId || null,
-              accepted: Array.isArray(info?.accepted) ? info.accepted : [],
-              rejected: Array.isArray(info?.rejected) ? info.rejected : []
-            });
+          if (matchError) {
+            failures.push({ to, error: matchError.message });
+            return { email: to, ok: false, error: matchError.message };
           }
-          return { to, ok: true, messageId: info?.messageId || null };
-        } else {
-          const info = await sendResendEmail({ apiKey: resendApiKey, from, to, subject, text, html });
-          sent += 1;
-          if (results.length < 20) {
-            results.push({ to, ok: true, id: info?.id || null });
+          if (!matches) tempPassword = "";
+        }
+        // Sending restarts the invite's 30-day expiry so the emailed code is usable.
+        const inviteUpdate = { expires_at: new Date(Date.now() + INVITE_TTL_MS).toISOString() };
+        if (!tempPassword) {
+          tempPassword = generateTempPassword();
+          inviteUpdate.temp_password = tempPassword;
+        }
+        const { error: codeError } = await supabaseAdmin.from("invitations").update(inviteUpdate).eq("id", inv.id);
+        if (codeError) {
+          failures.push({ to, error: codeError.message });
+          return { email: to, ok: false, error: codeError.message };
+        }
+        if (inviteUpdate.temp_password) regenerated += 1;
+
+        // One-click join link; issuing it revokes the invitee's previous unused link.
+        let joinUrl = "";
+        if (origin) {
+          const { data: token, error: linkError } = await supabaseAdmin.rpc("issue_invite_link", {
+            invitation_id_input: inv.id,
+            valid_for_input: `${inviteLinkTtlHours()} hours`
+          });
+          if (linkError) {
+            failures.push({ to, error: linkError.message });
+            return { email: to, ok: false, error: linkError.message };
           }
-          return { to, ok: true, id: info?.id || null };
+          joinUrl = `${origin}/join/${token}`;
+        }
+
+        const { subject, text, html } = renderEmail(
+          "invite",
+          {
+            name: String(inv.name || "").trim(),
+            hostName,
+            groupName,
+            email: to,
+            tempPassword,
+            signInUrl: origin,
+            actionUrl: joinUrl,
+            linkTtlHours: inviteLinkTtlHours()
+          },
+          group.email_template
+        );
+
+        // Every attempt (including retries of transient failures) goes in invite_deliveries for the host to see.
+        const recordAttempt = async ({ attempt, ok, info, error }) => {
+          const { error: logError } = await supabaseAdmin.from("invite_deliveries").insert({
+            invitation_id: inv.id,
+            group_id: groupId,
+            email_lower: to,
+            provider,
+            message_id: ok ? info?.messageId || null : null,
+            status: ok ? "sent" : "failed",
+            error: ok ? null : String(error?.message || error).slice(0, 500),
+            attempt
+          });
+          if (logError) console.warn("send-invites: could not record delivery:", to, logError.message);
+        };
+
+        try {
+          await sendWithRetry({ mailer, message: { to, subject, text, html }, onAttempt: recordAttempt });
+          sent += 1;
+          return { email: to, ok: true, error: null };
+        } catch (err) {
+          const error = String(err?.message || err);
+          failures.push({ to, error });
+          return { email: to, ok: false, error };
         }
-      } catch (err) {
-        const error = String(err?.message || err);
-        failures.push({ to, error });
-        if (results.length < 20) results.push({ to, ok: false, error });
-        return { to, ok: false, error };
       }
-    }
     });
 
     return json(200, {
@@ -248,6 +233,7 @@ exports.handler = async (event) => {
       provider,
       from,
       sent,
+      regenerated,
       failed: failures.length,
       failures,
       results,
@@ -0,0 +1,32 @@
+const { createClient } = require("@supabase/supabase-js");
+const { createMailer } = require("../lib/mail.cjs");
+const { sendDueReminders } = require("../lib/reminders.cjs");
+
+// Scheduled (see netlify.toml): emails members who haven't responded as a round's deadline approaches.
+const requireEnv = (key) => {
+  const value = process.env[key];
+  if (!value) throw new Error(`Missing env var: ${key}`);
+  return value;
+};
+
+exports.handler = async () => {
+  try {
+    const mailer = createMailer();
+    if (mailer.provider === "none") {
+      console.warn("send-reminders: email is not configured, skipping");
+      return { statusCode: 200 };
+    }
+
+    const supabaseAdmin = createClient(requireEnv("SUPABASE_URL"), requireEnv("SUPABASE_SERVICE_ROLE_KEY"), {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+
+    const result = await sendDueReminders({ supabaseAdmin, mailer, appUrl: process.env.URL || "" });
+    console.log(`send-reminders: sent ${result.sent}, failed ${result.failed}`);
+    for (const failure of result.failures) console.warn("send-reminders:", failure.to, failure.error);
+    return { statusCode: 200 };
+  } catch (err) {
+    console.error("send-reminders:", String(err?.message || err));
+    return { statusCode: 500 };
+  }
+};
@@ -0,0 +1,32 @@
+const { createClient } = require("@supabase/supabase-js");
+const { createMailer } = require("../lib/mail.cjs");
+const { sendResultsNotifications } = require("../lib/notifications.cjs");
+
+// Scheduled (see netlify.toml): emails every member a link to their report once a round's feedback is released.
+const requireEnv = (key) => {
+  const value = process.env[key];
+  if (!value) throw new Error(`Missing env var: ${key}`);
+  return value;
+};
+
+exports.handler = async () => {
+  try {
+    const mailer = createMailer();
+    if (mailer.provider === "none") {
+      console.warn("send-results-ready: email is not configured, skipping");
+      return { statusCode: 200 };
+    }
+
+    const supabaseAdmin = createClient(requireEnv("SUPABASE_URL"), requireEnv("SUPABASE_SERVICE_ROLE_KEY"), {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+
+    const result = await sendResultsNotifications({ supabaseAdmin, mailer, appUrl: process.env.URL || "" });
+    console.log(`send-results-ready: sent ${result.sent}, failed ${result.failed}`);
+    for (const failure of result.failures) console.warn("send-results-ready:", failure.to, failure.error);
+    return { statusCode: 200 };
+  } catch (err) {
+    console.error("send-results-ready:", String(err?.message || err));
+    return { statusCode: 500 };
+  }
+};
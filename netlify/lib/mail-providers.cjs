@@ -0,0 +1,211 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const nodemailer = require("nodemailer");
+
+// Email providers behind createMailer (mail.cjs). Each factory takes the env and returns
+// { concurrency, defaultFrom, send({ from, to, subject, text, html }) }, where send resolves with { messageId }.
+// Failed sends throw; HTTP providers put the response status on the error so sendWithRetry can tell transient
+// failures apart.
+
+const httpError = (label, status, detail) => {
+  const err = new Error(`${label} failed (${status}): ${detail}`);
+  err.status = status;
+  return err;
+};
+
+const postJson = async ({ fetchImpl, label, url, headers, body }) => {
+  const res = await fetchImpl(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body
+  });
+  if (!res.ok) {
+    const detail = await res.text().catch(() => "");
+    throw httpError(label, res.status, detail || res.statusText);
+  }
+  return res.json().catch(() => ({}));
+};
+
+const smtpSender = (transporter) => async ({ from, to, subject, text, html }) => {
+  const info = await transporter.sendMail({ from, to, subject, text, html });
+  return {
+    messageId: info?.messageId || null,
+    accepted: Array.isArray(info?.accepted) ? info.accepted : [],
+    rejected: Array.isArray(info?.rejected) ? info.rejected : []
+  };
+};
+
+// Any SMTP server: SMTP_HOST (+ SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE, SMTP_IGNORE_TLS).
+const smtp = (env) => {
+  const port = Number(env.SMTP_PORT || 587);
+  const user = env.SMTP_USER;
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : port === 465,
+    ignoreTLS: env.SMTP_IGNORE_TLS === "true",
+    auth: user ? { user, pass: env.SMTP_PASS || "" } : undefined
+  });
+  return { concurrency: 1, defaultFrom: user || "offrecord@localhost", send: smtpSender(transporter) };
+};
+
+// Gmail's SMTP server with an app password: GMAIL_USER + GMAIL_APP_PASSWORD.
+const gmail = (env) => {
+  const transporter = nodemailer.createTransport({
+    host: "smtp.gmail.com",
+    port: 465,
+    secure: true,
+    pool: true,
+    maxConnections: 1,
+    maxMessages: 100,
+    auth: { user: env.GMAIL_USER, pass: env.GMAIL_APP_PASSWORD }
+  });
+  return { concurrency: 1, defaultFrom: env.GMAIL_USER, send: smtpSender(transporter) };
+};
+
+// https://resend.com: RESEND_API_KEY.
+const resend = (env, { fetchImpl }) => ({
+  concurrency: 4,
+  defaultFrom: "onboarding@resend.dev",
+  send: async ({ from, to, subject, text, html }) => {
+    const payload = await postJson({
+      fetchImpl,
+      label: "Resend",
+      url: "https://api.resend.com/emails",
+      headers: { Authorization: `Bearer ${env.RESEND_API_KEY}` },
+      body: JSON.stringify({ from, to, subject, text, html })
+    });
+    return { messageId: payload?.id || null };
+  }
+});
+
+// Postmark's HTTP API: POSTMARK_SERVER_TOKEN (+ POSTMARK_MESSAGE_STREAM, default "outbound").
+const postmark = (env, { fetchImpl }) => ({
+  concurrency: 4,
+  defaultFrom: null,
+  send: async ({ from, to, subject, text, html }) => {
+    const payload = await postJson({
+      fetchImpl,
+      label: "Postmark",
+      url: "https://api.postmarkapp.com/email",
+      headers: { Accept: "application/json", "X-Postmark-Server-Token": env.POSTMARK_SERVER_TOKEN },
+      body: JSON.stringify({
+        From: from,
+        To: to,
+        Subject: subject,
+        TextBody: text,
+        HtmlBody: html,
+        MessageStream: env.POSTMARK_MESSAGE_STREAM || "outbound"
+      })
+    });
+    return { messageId: payload?.MessageID || null };
+  }
+});
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const hmac = (key, value) => crypto.createHmac("sha256", key).update(value).digest();
+
+// AWS Signature Version 4 headers for a JSON POST.
+const signAwsRequest = ({ url, body, region, service, accessKeyId, secretAccessKey, now = new Date() }) => {
+  const { host, pathname } = new URL(url);
+  const amzDate = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const signedHeaders = "content-type;host;x-amz-date";
+  const canonicalRequest = [
+    "POST",
+    pathname,
+    "",
+    `content-type:application/json\nhost:${host}\nx-amz-date:${amzDate}\n`,
+    signedHeaders,
+    sha256(body)
+  ].join("\n");
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+  const signingKey = [day, region, service, "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    `AWS4${secretAccessKey}`
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+  return {
+    "x-amz-date": amzDate,
+    Authorization:
+      `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+// Amazon SES (v2 SendEmail) or an API-compatible service: SES_ACCESS_KEY_ID + SES_SECRET_ACCESS_KEY, SES_REGION
+// (default us-east-1) and SES_ENDPOINT to point somewhere other than AWS. Netlify reserves the AWS_* names.
+const ses = (env, { fetchImpl, now }) => {
+  const region = env.SES_REGION || "us-east-1";
+  const endpoint = String(env.SES_ENDPOINT || `https://email.${region}.amazonaws.com`).replace(/\/+$/, "");
+  return {
+    concurrency: 4,
+    defaultFrom: null,
+    send: async ({ from, to, subject, text, html }) => {
+      const url = `${endpoint}/v2/email/outbound-emails`;
+      const body = JSON.stringify({
+        FromEmailAddress: from,
+        Destination: { ToAddresses: [to] },
+        Content: {
+          Simple: {
+            Subject: { Data: subject, Charset: "UTF-8" },
+            Body: { Text: { Data: text, Charset: "UTF-8" }, Html: { Data: html, Charset: "UTF-8" } }
+          }
+        }
+      });
+      const headers = signAwsRequest({
+        url,
+        body,
+        region,
+        service: "ses",
+        accessKeyId: env.SES_ACCESS_KEY_ID,
+        secretAccessKey: env.SES_SECRET_ACCESS_KEY,
+        now: now?.()
+      });
+      const payload = await postJson({ fetchImpl, label: "SES", url, headers, body });
+      return { messageId: payload?.MessageId || null };
+    }
+  };
+};
+
+// Builds the raw message (what an SMTP server would receive) without sending it.
+const buildMessage = async ({ from, to, subject, text, html }) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "windows" });
+  const info = await transporter.sendMail({ from, to, subject, text, html });
+  return { messageId: info.messageId, raw: info.message.toString("utf8") };
+};
+
+// Writes each message to EMAIL_FILE_DIR (default .mail) as an .eml file, for working without network access.
+const file = (env) => {
+  const dir = path.resolve(env.EMAIL_FILE_DIR || ".mail");
+  return {
+    concurrency: 1,
+    defaultFrom: "offrecord@localhost",
+    send: async (message) => {
+      const { messageId, raw } = await buildMessage(message);
+      await fs.mkdir(dir, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const recipient = String(message.to).replace(/[^a-z0-9@._-]+/gi, "_");
+      const filename = path.join(dir, `${stamp}-${crypto.randomBytes(3).toString("hex")}-${recipient}.eml`);
+      await fs.writeFile(filename, raw, "utf8");
+      return { messageId, file: filename };
+    }
+  };
+};
+
+// Prints each message to the function log instead of sending it.
+const consoleProvider = () => ({
+  concurrency: 1,
+  defaultFrom: "offrecord@localhost",
+  send: async (message) => {
+    const { messageId, raw } = await buildMessage(message);
+    console.log(`----- email to ${message.to} -----\n${raw}\n----- end of email -----`);
+    return { messageId };
+  }
+});
+
+const EMAIL_PROVIDERS = { smtp, gmail, resend, postmark, ses, file, console: consoleProvider };
+
+module.exports = { EMAIL_PROVIDERS, signAwsRequest };
@@ -0,0 +1,97 @@
+const { EMAIL_PROVIDERS } = require("./mail-providers.cjs");
+
+// Shared by the Netlify functions that send email. EMAIL_PROVIDER picks the provider (smtp, gmail, resend,
+// postmark, ses, file, console or none); without it, the first configured one of SMTP_HOST,
+// GMAIL_USER + GMAIL_APP_PASSWORD, RESEND_API_KEY, POSTMARK_SERVER_TOKEN and SES_ACCESS_KEY_ID is used.
+const getEmailProvider = (env = process.env) => {
+  const chosen = String(env.EMAIL_PROVIDER || "").trim().toLowerCase();
+  if (chosen) {
+    if (chosen !== "none" && !EMAIL_PROVIDERS[chosen]) {
+      throw new Error(`Unknown EMAIL_PROVIDER "${chosen}". Use one of: ${Object.keys(EMAIL_PROVIDERS).join(", ")}`);
+    }
+    return chosen;
+  }
+  if (env.SMTP_HOST) return "smtp";
+  if (env.GMAIL_USER && env.GMAIL_APP_PASSWORD) return "gmail";
+  if (env.RESEND_API_KEY) return "resend";
+  if (env.POSTMARK_SERVER_TOKEN) return "postmark";
+  if (env.SES_ACCESS_KEY_ID && env.SES_SECRET_ACCESS_KEY) return "ses";
+  return "none";
+};
+
+// Returns { provider, from, concurrency, send({ to, subject, text, html }) }, or provider "none" when unconfigured.
+// `fetchImpl` and `now` are for tests.
+const createMailer = ({ env = process.env, fetchImpl = globalThis.fetch, now } = {}) => {
+  const provider = getEmailProvider(env);
+  if (provider === "none") return { provider, from: null, concurrency: 1, send: null };
+
+  const { concurrency, defaultFrom, send } = EMAIL_PROVIDERS[provider](env, { fetchImpl, now });
+  const from = env.OFFRECORD_FROM_EMAIL || defaultFrom;
+  if (!from) throw new Error(`Set OFFRECORD_FROM_EMAIL to a sender address verified with ${provider}`);
+  return { provider, from, concurrency, send: async (message) => send({ ...message, from }) };
+};
+
+const runWithConcurrency = async ({ items, limit, handler }) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const workers = Array.from({ length: Math.max(1, limit) }, async () => {
+    while (true) {
+      const i = nextIndex;
+      nextIndex += 1;
+      if (i >= items.length) break;
+      results[i] = await handler(items[i], i);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+};
+
+const TRANSIENT_CODES = new Set([
+  "ECONNECTION",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ESOCKET",
+  "EDNS",
+  "EAI_AGAIN"
+]);
+
+// Worth retrying: network trouble, SMTP 4xx replies ("try again later") and HTTP 429 / 5xx from an email API.
+// Everything else (bad address, 5xx SMTP rejections, auth errors) fails the same way on every attempt.
+const isTransientError = (err) => {
+  if (!err) return false;
+  if (TRANSIENT_CODES.has(err.code)) return true;
+  const smtpCode = Number(err.responseCode);
+  if (smtpCode >= 400 && smtpCode < 500) return true;
+  const status = Number(err.status);
+  return status === 429 || (status >= 500 && status < 600);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Sends one message, retrying transient failures with exponential backoff (baseDelayMs, x2 each time, plus up to
+// 25% jitter). `onAttempt({ attempt, ok, info, error })` runs after every attempt so callers can log each one.
+// Resolves with the provider's info plus `attempts`; rejects with the last error, which carries `attempts` too.
+const sendWithRetry = async ({ mailer, message, retries = 2, baseDelayMs = 500, onAttempt, wait = sleep }) => {
+  for (let attempt = 1; ; attempt += 1) {
+    let info;
+    try {
+      info = (await mailer.send(message)) || {};
+    } catch (err) {
+      if (onAttempt) await onAttempt({ attempt, ok: false, error: err });
+      if (attempt > retries || !isTransientError(err)) {
+        if (err && typeof err === "object") err.attempts = attempt;
+        throw err;
+      }
+      const delay = baseDelayMs * 2 ** (attempt - 1);
+      await wait(delay + Math.round(Math.random() * delay * 0.25));
+      continue;
+    }
+    if (onAttempt) await onAttempt({ attempt, ok: true, info });
+    return { ...info, attempts: attempt };
+  }
+};
+
+module.exports = { createMailer, getEmailProvider, isTransientError, runWithConcurrency, sendWithRetry };
@@ -0,0 +1,112 @@
+const { runWithConcurrency, sendWithRetry } = require("./mail.cjs");
+
+// Works out who hears that a released round's feedback is ready: members who joined the group, minus those who
+// turned the email off in their notification settings and those already told about this round.
+const planResultsNotifications = ({ rounds, groups, members, roles, preferences, sentLog }) => {
+  const groupsById = new Map((groups || []).map((g) => [g.id, g]));
+  const userIds = new Map((roles || []).map((r) => [`${r.group_id}:${r.email_lower}`, r.user_id]));
+  const optedOut = new Set((preferences || []).filter((p) => p.results_ready === false).map((p) => p.user_id));
+  const sent = new Set((sentLog || []).map((r) => `${r.round_id}:${r.email_lower}`));
+  const planned = [];
+
+  for (const round of rounds || []) {
+    const group = groupsById.get(round.group_id);
+    if (!group) continue;
+    for (const member of members || []) {
+      if (member.group_id !== round.group_id || member.status !== "joined") continue;
+      const emailLower = String(member.email_lower || "").trim().toLowerCase();
+      if (!emailLower || sent.has(`${round.id}:${emailLower}`)) continue;
+      if (optedOut.has(userIds.get(`${round.group_id}:${emailLower}`))) continue;
+      planned.push({ group, round, member, emailLower });
+    }
+  }
+
+  return planned;
+};
+
+// The templates are ES modules shared with the app, so they're loaded with import().
+const loadTemplates = () => import("../../src/emailTemplates.js");
+
+const buildResultsReadyEmail = async ({ group, round, member, appUrl }) => {
+  const { groupPageUrl, normalizeEmailTemplate, renderEmail } = await loadTemplates();
+  return renderEmail(
+    "resultsReady",
+    {
+      name: String(member.name || "").trim(),
+      groupName: group.name || "OffRecord group",
+      roundNumber: round.number,
+      actionUrl: groupPageUrl(appUrl, group.id, "report")
+    },
+    normalizeEmailTemplate(group.email_template)
+  );
+};
+
+// Emails members of newly released rounds and records each email in round_notifications. A round is marked
+// notified once nobody is left to email, so failed sends are retried on the next run.
+const sendResultsNotifications = async ({ supabaseAdmin, mailer, appUrl }) => {
+  const { data: rounds, error: roundsError } = await supabaseAdmin.rpc("rounds_pending_results_notification");
+  if (roundsError) throw new Error(roundsError.message);
+  if (!rounds || rounds.length === 0) return { sent: 0, failed: 0, failures: [] };
+
+  const groupIds = Array.from(new Set(rounds.map((r) => r.group_id)));
+  const roundIds = rounds.map((r) => r.round_id);
+  const [groupsRes, membersRes, rolesRes, logRes] = await Promise.all([
+    supabaseAdmin.from("groups").select("*").in("id", groupIds),
+    supabaseAdmin.from("group_members").select("group_id,email_lower,name,status").in("group_id", groupIds),
+    supabaseAdmin.from("group_roles").select("group_id,user_id,email_lower").in("group_id", groupIds),
+    supabaseAdmin.from("round_notifications").select("round_id,email_lower").in("round_id", roundIds)
+  ]);
+  for (const res of [groupsRes, membersRes, rolesRes, logRes]) {
+    if (res.error) throw new Error(res.error.message);
+  }
+
+  const userIds = Array.from(new Set((rolesRes.data || []).map((r) => r.user_id)));
+  const { data: preferences, error: prefsError } = userIds.length
+    ? await supabaseAdmin.from("notification_preferences").select("user_id,results_ready").in("user_id", userIds)
+    : { data: [], error: null };
+  if (prefsError) throw new Error(prefsError.message);
+
+  const planned = planResultsNotifications({
+    rounds: rounds.map((r) => ({ id: r.round_id, group_id: r.group_id, number: r.number })),
+    groups: groupsRes.data,
+    members: membersRes.data,
+    roles: rolesRes.data,
+    preferences,
+    sentLog: logRes.data
+  });
+
+  let sent = 0;
+  const failures = [];
+  await runWithConcurrency({
+    items: planned,
+    limit: mailer.concurrency,
+    handler: async (item) => {
+      const to = item.emailLower;
+      try {
+        const email = await buildResultsReadyEmail({ ...item, appUrl });
+        await sendWithRetry({ mailer, message: { to, ...email } });
+        const { error } = await supabaseAdmin
+          .from("round_notifications")
+          .upsert({ round_id: item.round.id, email_lower: to }, { onConflict: "round_id,email_lower,kind" });
+        if (error) throw new Error(`Notification sent but not logged: ${error.message}`);
+        sent += 1;
+      } catch (err) {
+        failures.push({ to, roundId: item.round.id, error: String(err?.message || err) });
+      }
+    }
+  });
+
+  const failedRounds = new Set(failures.map((f) => f.roundId));
+  const done = roundIds.filter((id) => !failedRounds.has(id));
+  if (done.length > 0) {
+    const { error } = await supabaseAdmin
+      .from("rounds")
+      .update({ results_notified_at: new Date().toISOString() })
+      .in("id", done);
+    if (error) throw new Error(error.message);
+  }
+
+  return { sent, failed: failures.length, failures };
+};
+
+module.exports = { planResultsNotifications, buildResultsReadyEmail, sendResultsNotifications };
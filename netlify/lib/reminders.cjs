@@ -0,0 +1,144 @@
+const { runWithConcurrency } = require("./mail.cjs");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// "On the day" (0 days before) goes out this long before the deadline rather than at the deadline itself.
+const SAME_DAY_LEAD_MS = 6 * 60 * 60 * 1000;
+
+const reminderTime = (dueAt, daysBefore) => {
+  const due = new Date(dueAt).getTime();
+  return daysBefore > 0 ? due - daysBefore * DAY_MS : due - SAME_DAY_LEAD_MS;
+};
+
+// Works out which reminders are due now. Recipients are people still on the group's roster (`members`, rows of
+// group_members) with an open round that has a deadline, who were invited and have no submission for that round.
+// Revoked invitations are skipped, and so are pending ones that expired (their code no longer works); someone
+// invited more than once gets one reminder, addressed as their redeemed invitation if any, else the newest one.
+// Only the closest reminder in the cadence is sent, so a round created a day before its deadline doesn't fire the
+// 3-day reminder as well.
+const planReminders = ({ rounds, groups, members, invitations, submissions, sentLog, now = new Date() }) => {
+  const nowMs = new Date(now).getTime();
+  const normalize = (email) => String(email || "").trim().toLowerCase();
+  const groupsById = new Map((groups || []).map((g) => [g.id, g]));
+  const onRoster = new Set((members || []).map((m) => `${m.group_id}:${normalize(m.email_lower)}`));
+  const submitted = new Set((submissions || []).map((s) => `${s.round_id}:${s.respondent_uid}`));
+  const sent = new Set((sentLog || []).map((r) => `${r.round_id}:${r.email_lower}:${r.days_before}`));
+
+  const usable = (inv) =>
+    !inv.revoked_at && (inv.redeemed_by_uid || !inv.expires_at || new Date(inv.expires_at).getTime() > nowMs);
+  // group id -> email -> that person's usable invitations
+  const invitationsByGroup = new Map();
+  for (const inv of invitations || []) {
+    const emailLower = normalize(inv.email_lower);
+    if (!emailLower || !onRoster.has(`${inv.group_id}:${emailLower}`) || !usable(inv)) continue;
+    const byEmail = invitationsByGroup.get(inv.group_id) || new Map();
+    byEmail.set(emailLower, [...(byEmail.get(emailLower) || []), inv]);
+    invitationsByGroup.set(inv.group_id, byEmail);
+  }
+  const newestFirst = (a, b) => new Date(b.created_at || 0).getTime() - new Date(a.created_at || 0).getTime();
+
+  const planned = [];
+  for (const round of rounds || []) {
+    const group = groupsById.get(round.group_id);
+    if (!group || round.closed_at || !round.due_at) continue;
+    if (nowMs >= new Date(round.due_at).getTime()) continue;
+
+    const cadence = Array.isArray(group.reminder_days) ? group.reminder_days : [];
+    const reached = cadence.filter((d) => Number.isInteger(d) && d >= 0 && nowMs >= reminderTime(round.due_at, d));
+    if (reached.length === 0) continue;
+    const daysBefore = Math.min(...reached);
+
+    for (const [emailLower, invites] of invitationsByGroup.get(round.group_id) || []) {
+      if (invites.some((inv) => inv.redeemed_by_uid && submitted.has(`${round.id}:${inv.redeemed_by_uid}`))) continue;
+      const alreadySent = cadence.some((d) => d <= daysBefore && sent.has(`${round.id}:${emailLower}:${d}`));
+      if (alreadySent) continue;
+      const byAge = [...invites].sort(newestFirst);
+      const invitation = byAge.find((inv) => inv.redeemed_by_uid) || byAge[0];
+      planned.push({ group, round, invitation, emailLower, daysBefore });
+    }
+  }
+
+  return planned;
+};
+
+// The templates are ES modules shared with the app, so they're loaded with import().
+const loadTemplates = () => import("../../src/emailTemplates.js");
+
+const buildReminderEmail = async ({ group, round, invitation, appUrl, now = new Date() }) => {
+  const { formatEmailDate, formatTimeLeft, groupPageUrl, normalizeEmailTemplate, renderEmail } = await loadTemplates();
+  const template = normalizeEmailTemplate(group.email_template);
+  return renderEmail(
+    "reminder",
+    {
+      name: String(invitation.name || "").trim(),
+      groupName: group.name || "OffRecord group",
+      roundNumber: round.number,
+      timeLeft: formatTimeLeft(round.due_at, now, template.locale),
+      dueLabel: formatEmailDate(round.due_at, template.locale),
+      pending: !invitation.redeemed_by_uid,
+      actionUrl: groupPageUrl(appUrl, group.id, "survey")
+    },
+    template
+  );
+};
+
+// Loads open rounds with deadlines, sends the reminders that are due and records them in round_reminders.
+const sendDueReminders = async ({ supabaseAdmin, mailer, appUrl, now = new Date() }) => {
+  const { data: rounds, error: roundsError } = await supabaseAdmin
+    .from("rounds")
+    .select("*")
+    .is("closed_at", null)
+    .not("due_at", "is", null)
+    .gt("due_at", new Date(now).toISOString());
+  if (roundsError) throw new Error(roundsError.message);
+  if (!rounds || rounds.length === 0) return { sent: 0, failed: 0, failures: [] };
+
+  const groupIds = Array.from(new Set(rounds.map((r) => r.group_id)));
+  const roundIds = rounds.map((r) => r.id);
+  const [groupsRes, membersRes, invitesRes, submissionsRes, logRes] = await Promise.all([
+    supabaseAdmin.from("groups").select("*").in("id", groupIds),
+    supabaseAdmin.from("group_members").select("group_id,email_lower").in("group_id", groupIds),
+    supabaseAdmin.from("invitations").select("*").in("group_id", groupIds),
+    supabaseAdmin.from("submissions").select("round_id,respondent_uid").in("round_id", roundIds),
+    supabaseAdmin.from("round_reminders").select("*").in("round_id", roundIds)
+  ]);
+  for (const res of [groupsRes, membersRes, invitesRes, submissionsRes, logRes]) {
+    if (res.error) throw new Error(res.error.message);
+  }
+
+  const planned = planReminders({
+    rounds,
+    groups: groupsRes.data,
+    members: membersRes.data,
+    invitations: invitesRes.data,
+    submissions: submissionsRes.data,
+    sentLog: logRes.data,
+    now
+  });
+
+  let sent = 0;
+  const failures = [];
+  await runWithConcurrency({
+    items: planned,
+    limit: mailer.concurrency,
+    handler: async (item) => {
+      const to = item.emailLower;
+      try {
+        await mailer.send({ to, ...(await buildReminderEmail({ ...item, appUrl, now })) });
+        const { error } = await supabaseAdmin
+          .from("round_reminders")
+          .upsert(
+            { round_id: item.round.id, email_lower: to, days_before: item.daysBefore },
+            { onConflict: "round_id,email_lower,days_before" }
+          );
+        if (error) throw new Error(`Reminder sent but not logged: ${error.message}`);
+        sent += 1;
+      } catch (err) {
+        failures.push({ to, roundId: item.round.id, error: String(err?.message || err) });
+      }
+    }
+  });
+
+  return { sent, failed: failures.length, failures };
+};
+
+module.exports = { planReminders, buildReminderEmail, sendDueReminders, reminderTime };
@@ -0,0 +1,123 @@
+// Applies pending SQL migrations (supabase/migrations/NNNN_name.sql) to a Postgres database, in order, each in its
+// own transaction, and records them in public.schema_migrations.
+// Run `DATABASE_URL=postgres://... npm run migrate`, or `npm run migrate -- --status` to list what's pending.
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const MIGRATIONS_DIR = fileURLToPath(new URL("../supabase/migrations/", import.meta.url));
+export const LEGACY_PATCH = fileURLToPath(new URL("../supabase/legacy_patch.sql", import.meta.url));
+
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+
+// Same table as the top of 0001_initial.sql; created up front so a fresh database can be asked what's applied.
+const LEDGER_SQL = `
+create table if not exists public.schema_migrations (
+  version integer primary key,
+  name text not null,
+  applied_at timestamptz not null default now()
+);
+`;
+
+export const parseMigrationFilename = (file) => {
+  const match = MIGRATION_FILE.exec(file);
+  return match ? { version: Number(match[1]), name: match[2], file } : null;
+};
+
+export const listMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs
+    .readdirSync(dir)
+    .map(parseMigrationFilename)
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, idx) => {
+    if (idx > 0 && migrations[idx - 1].version === m.version) {
+      throw new Error(`Two migrations share version ${m.version}: ${migrations[idx - 1].file}, ${m.file}`);
+    }
+  });
+  return migrations.map((m) => ({ ...m, path: path.join(dir, m.file) }));
+};
+
+export const pendingMigrations = (migrations, appliedVersions) => {
+  const applied = new Set(appliedVersions);
+  return migrations.filter((m) => !applied.has(m.version));
+};
+
+// Databases set up from the old schema.sql have tables but no ledger; they need the legacy patch before 0001.
+const isLegacyDatabase = async (client) => {
+  const { rows } = await client.query(
+    "select to_regclass('public.groups') is not null as has_groups, (select count(*)::integer from public.schema_migrations) as applied"
+  );
+  return rows[0].has_groups && rows[0].applied === 0;
+};
+
+const runInTransaction = async (client, sql) => {
+  await client.query("begin");
+  try {
+    await sql();
+    await client.query("commit");
+  } catch (err) {
+    await client.query("rollback");
+    throw err;
+  }
+};
+
+export const readAppliedVersions = async (client) => {
+  await client.query(LEDGER_SQL);
+  const { rows } = await client.query("select version from public.schema_migrations order by version");
+  return rows.map((r) => r.version);
+};
+
+// `client` is a connected pg Client (or anything with the same `query`). Returns the migrations it applied.
+export const migrate = async ({ client, dir = MIGRATIONS_DIR, log = () => {} }) => {
+  const appliedVersions = await readAppliedVersions(client);
+
+  if (await isLegacyDatabase(client)) {
+    log("Found a database from before migrations; applying supabase/legacy_patch.sql");
+    await runInTransaction(client, () => client.query(fs.readFileSync(LEGACY_PATCH, "utf8")));
+  }
+
+  const pending = pendingMigrations(listMigrations(dir), appliedVersions);
+  for (const m of pending) {
+    try {
+      await runInTransaction(client, async () => {
+        await client.query(fs.readFileSync(m.path, "utf8"));
+        await client.query(
+          "insert into public.schema_migrations (version, name) values ($1, $2) on conflict (version) do nothing",
+          [m.version, m.name]
+        );
+      });
+    } catch (err) {
+      throw new Error(`${m.file} failed: ${err.message}`);
+    }
+    log(`Applied ${m.file}`);
+  }
+  return pending;
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const connectionString = process.env.DATABASE_URL;
+  if (!connectionString) {
+    console.error("Set DATABASE_URL to the Postgres connection string (Supabase → Project settings → Database).");
+    process.exit(1);
+  }
+
+  const { default: pg } = await import("pg");
+  const client = new pg.Client({ connectionString });
+  await client.connect();
+  try {
+    if (process.argv.includes("--status")) {
+      const pending = pendingMigrations(listMigrations(), await readAppliedVersions(client));
+      console.log(pending.length ? `Pending: ${pending.map((m) => m.file).join(", ")}` : "Up to date");
+    } else {
+      const applied = await migrate({ client, log: (line) => console.log(line) });
+      if (applied.length === 0) console.log("Up to date");
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await client.end();
+  }
+}
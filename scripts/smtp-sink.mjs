@@ -0,0 +1,74 @@
+// Minimal SMTP stand-in for local development and tests: accepts every message and keeps it in memory.
+// Run `node scripts/smtp-sink.mjs [port]` and point the functions at it with SMTP_HOST=127.0.0.1 SMTP_PORT=<port>.
+import net from "node:net";
+import { fileURLToPath } from "node:url";
+
+export const startSmtpSink = ({ port = 0, host = "127.0.0.1", onMessage } = {}) => {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    let envelope = { from: "", to: [] };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply("220 smtp-sink ready");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end === -1) return;
+          const raw = buffer.slice(0, end).replace(/^\.\./gm, ".");
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          const message = { ...envelope, raw };
+          messages.push(message);
+          onMessage?.(message);
+          envelope = { from: "", to: [] };
+          reply("250 OK: queued");
+          continue;
+        }
+        const newline = buffer.indexOf("\r\n");
+        if (newline === -1) return;
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "EHLO" || command === "HELO") reply("250 smtp-sink");
+        else if (command === "MAIL") {
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || "";
+          reply("250 OK");
+        } else if (command === "RCPT") {
+          envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || "");
+          reply("250 OK");
+        } else if (command === "DATA") {
+          inData = true;
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        } else if (command === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else reply("250 OK");
+      }
+    });
+    socket.on("error", () => {});
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise((done) => server.close(() => done()))
+      });
+    });
+  });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const sink = await startSmtpSink({
+    port: Number(process.argv[2] || 2525),
+    onMessage: (m) => console.log(`\n--- ${m.from} -> ${m.to.join(", ")}\n${m.raw}`)
+  });
+  console.log(`smtp-sink listening on 127.0.0.1:${sink.port}`);
+}
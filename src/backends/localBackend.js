@@ -0,0 +1,1336 @@
+// Local data backend (VITE_DATA_BACKEND=local): the same functions as the Supabase backend, working on tables
+// kept in memory and saved to localStorage, plus a stand-in for `supabase.auth`. It follows the rules in
+// supabase/migrations (roles, release rules, invite codes and links, roster status) closely enough for development
+// and demos, but it isn't a security boundary: everything lives in the browser, and invite codes and link tokens
+// are stored as plain text.
+import { groupPageUrl, renderEmail } from "../emailTemplates.js";
+import { normalizeQuestions, validateQuestions } from "../questions.js";
+import { DEFAULT_REMINDER_DAYS, MIN_RESPONDENTS_FLOOR } from "../release.js";
+import { validateMemberList } from "../roster.js";
+import { REQUIRED_SCHEMA_VERSION } from "../schemaVersion.js";
+import {
+  normalizeEmail,
+  mapGroupRow,
+  mapOrganizationRow,
+  mapOrganizationMemberRow,
+  mapParticipationRow,
+  mapFeedbackSummaryRow,
+  mapAnswerSummaryRow,
+  mapGroupRoleRow,
+  mapInvitationRow,
+  withTempPasswords,
+  mapInviteDeliveryRow,
+  mapInviteLinkRow,
+  mapRoundRow,
+  mapRoundResponsesRow,
+  mapFeedbackRow,
+  normalizeReminderDays,
+  normalizeReleaseSettings,
+  normalizeEmailTemplateSettings
+} from "./rows.js";
+import { createSeedTables } from "./localSeed.js";
+
+export const LOCAL_DB_KEY = "offrecord_local_db";
+export const LOCAL_SESSION_KEY = "offrecord_local_session";
+
+const TABLES = [
+  "users",
+  "profiles",
+  "organizations",
+  "organization_members",
+  "groups",
+  "group_roles",
+  "group_members",
+  "invitations",
+  "invite_links",
+  "invite_deliveries",
+  "rounds",
+  "submissions",
+  "feedback",
+  "notification_preferences",
+  "round_notifications"
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INVITE_TTL_MS = 30 * DAY_MS;
+const INVITE_LINK_TTL_MS = 7 * DAY_MS;
+const ROLE_ORDER = { owner: 0, cohost: 1, member: 2 };
+
+const randomId = () =>
+  globalThis.crypto?.randomUUID?.() ||
+  "xxxxxxxx-xxxx-4xxx-8xxx-xxxxxxxxxxxx".replace(/x/g, () => Math.floor(Math.random() * 16).toString(16));
+
+const generateInviteCode = () => {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  return Array.from({ length: 6 }, () => alphabet[Math.floor(Math.random() * alphabet.length)]).join("");
+};
+
+const generateLinkToken = () => `${randomId()}${randomId()}`.replace(/-/g, "");
+
+const emptyTables = () => Object.fromEntries(TABLES.map((name) => [name, []]));
+
+const readJson = (storage, key) => {
+  try {
+    const raw = storage?.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const writeJson = (storage, key, value) => {
+  try {
+    if (value === null) storage?.removeItem(key);
+    else storage?.setItem(key, JSON.stringify(value));
+  } catch {
+    // ignore (quota, private mode)
+  }
+};
+
+const fail = (message) => {
+  throw new Error(message);
+};
+
+// `storage` keeps the tables (shared by every tab), `sessionStorage` the signed-in user (per tab, like the
+// Supabase client). Without storage everything stays in memory, which is what the tests use. `seed` builds the
+// initial tables; pass `null` to start empty.
+export const createLocalBackend = ({
+  storage = null,
+  sessionStorage = null,
+  seed = createSeedTables,
+  now = () => new Date()
+} = {}) => {
+  let tables = null;
+  let session = readJson(sessionStorage, LOCAL_SESSION_KEY);
+  const listeners = new Set();
+
+  const nowIso = () => now().toISOString();
+  const later = (ms) => new Date(now().getTime() + ms).toISOString();
+
+  // Re-read on every call so changes made in another tab show up, as they would from a shared database.
+  const load = () => {
+    const saved = readJson(storage, LOCAL_DB_KEY);
+    if (saved) {
+      tables = { ...emptyTables(), ...saved };
+    } else if (!tables) {
+      tables = { ...emptyTables(), ...(seed ? seed({ now: now() }) : {}) };
+      save();
+    }
+    return tables;
+  };
+
+  const save = () => writeJson(storage, LOCAL_DB_KEY, tables);
+
+  // Runs `fn` against the current tables and saves them only if it succeeds, like a transaction.
+  const write = async (fn) => {
+    load();
+    const snapshot = JSON.stringify(tables);
+    try {
+      const result = fn(tables);
+      save();
+      return result;
+    } catch (err) {
+      tables = JSON.parse(snapshot);
+      throw err;
+    }
+  };
+
+  const read = async (fn) => fn(load());
+
+  // ---- auth helpers (auth.uid(), auth.jwt()->>'email') ----
+  const currentUid = () => session?.user?.id || null;
+  const currentEmail = () => normalizeEmail(session?.user?.email);
+
+  const requireUid = (message) => currentUid() || fail(message);
+
+  // ---- access rules (is_group_manager, group_owner_uid, org_role and the read policies) ----
+  const roleRow = (t, groupId, userId) =>
+    t.group_roles.find((r) => r.group_id === groupId && r.user_id === userId) || null;
+
+  const isGroupManager = (t, groupId) => ["owner", "cohost"].includes(roleRow(t, groupId, currentUid())?.role);
+
+  const groupOwnerUid = (t, groupId) =>
+    t.group_roles.find((r) => r.group_id === groupId && r.role === "owner")?.user_id || null;
+
+  const hasRedeemed = (t, groupId) =>
+    Boolean(currentUid()) && t.invitations.some((i) => i.group_id === groupId && i.redeemed_by_uid === currentUid());
+
+  const canReadGroup = (t, group) =>
+    Boolean(group) && (group.host_uid === currentUid() || isGroupManager(t, group.id) || hasRedeemed(t, group.id));
+
+  const orgRole = (t, orgId) =>
+    t.organization_members.find((m) => m.org_id === orgId && m.user_id === currentUid())?.role || null;
+
+  const readableGroup = (t, groupId) => {
+    const group = t.groups.find((g) => g.id === groupId);
+    return canReadGroup(t, group) ? group : null;
+  };
+
+  const withRoster = (t, group) => ({
+    ...group,
+    group_members: t.group_members.filter((m) => m.group_id === group.id)
+  });
+
+  const toGroup = (t, group) => mapGroupRow(withRoster(t, group));
+
+  const requireManagedInvitation = (t, invitationId, message) => {
+    const inv = t.invitations.find((i) => i.id === invitationId);
+    if (!inv || !isGroupManager(t, inv.group_id)) fail(message);
+    return inv;
+  };
+
+  // ---- triggers ----
+  const syncMemberRole = (t, groupId, emailLower, role) => {
+    for (const m of t.group_members) {
+      if (m.group_id === groupId && m.email_lower === emailLower) m.role = role;
+    }
+  };
+
+  const putGroupRole = (t, { groupId, userId, emailLower, role }) => {
+    const existing = roleRow(t, groupId, userId);
+    if (existing) {
+      existing.role = role;
+    } else {
+      t.group_roles.push({ group_id: groupId, user_id: userId, email_lower: emailLower, role, created_at: nowIso() });
+    }
+    const row = roleRow(t, groupId, userId);
+    syncMemberRole(t, groupId, row.email_lower, role);
+    return row;
+  };
+
+  const deleteGroupRole = (t, groupId, userId) => {
+    const row = roleRow(t, groupId, userId);
+    if (!row) return;
+    t.group_roles = t.group_roles.filter((r) => r !== row);
+    syncMemberRole(t, groupId, row.email_lower, "member");
+  };
+
+  const insertGroupMember = (t, { groupId, emailLower, name }) => {
+    const email = normalizeEmail(emailLower);
+    if (t.group_members.some((m) => m.group_id === groupId && m.email_lower === email)) return false;
+
+    const role =
+      t.group_roles
+        .filter((r) => r.group_id === groupId && r.email_lower === email)
+        .sort((a, b) => ROLE_ORDER[a.role] - ROLE_ORDER[b.role])[0]?.role || "member";
+    const inv = t.invitations
+      .filter((i) => i.group_id === groupId && i.email_lower === email)
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))[0];
+
+    let status = "pending";
+    let joinedAt = null;
+    if (inv?.redeemed_at) {
+      status = "joined";
+      joinedAt = inv.redeemed_at;
+    } else if (inv) {
+      status = "invited";
+    } else if (role === "owner" || role === "cohost") {
+      status = "joined";
+      joinedAt = nowIso();
+    }
+
+    t.group_members.push({
+      group_id: groupId,
+      email_lower: email,
+      name: String(name || "").trim(),
+      role,
+      status,
+      invitation_id: inv?.id || null,
+      joined_at: joinedAt,
+      created_at: nowIso()
+    });
+    return true;
+  };
+
+  // invitations_add_member_role + invitations_sync_group_member
+  const afterInvitationWrite = (t, inv) => {
+    if (inv.redeemed_by_uid && !roleRow(t, inv.group_id, inv.redeemed_by_uid)) {
+      putGroupRole(t, {
+        groupId: inv.group_id,
+        userId: inv.redeemed_by_uid,
+        emailLower: inv.email_lower,
+        role: "member"
+      });
+    }
+    for (const m of t.group_members) {
+      if (m.group_id !== inv.group_id || m.email_lower !== inv.email_lower) continue;
+      m.invitation_id = inv.id;
+      m.status = inv.redeemed_at || m.status === "joined" ? "joined" : "invited";
+      m.joined_at = m.joined_at || inv.redeemed_at;
+    }
+  };
+
+  const insertInvitations = (t, groupId, members) => {
+    if (!isGroupManager(t, groupId)) fail('new row violates row-level security policy for table "invitations"');
+    const ownerUid = groupOwnerUid(t, groupId);
+    const owner = roleRow(t, groupId, ownerUid);
+    return members.map((m) => {
+      const inv = {
+        id: randomId(),
+        group_id: groupId,
+        host_uid: ownerUid,
+        host_email_lower: owner?.email_lower || "",
+        email_lower: m.emailLower,
+        name: m.name,
+        temp_password: m.tempPassword,
+        redeemed_by_uid: null,
+        redeemed_at: null,
+        expires_at: later(INVITE_TTL_MS),
+        revoked_at: null,
+        created_at: nowIso()
+      };
+      t.invitations.push(inv);
+      afterInvitationWrite(t, inv);
+      return inv;
+    });
+  };
+
+  const revokeUnusedLinks = (t, invitationId) => {
+    let revoked = 0;
+    for (const link of t.invite_links) {
+      if (link.invitation_id === invitationId && !link.used_at && !link.revoked_at) {
+        link.revoked_at = nowIso();
+        revoked += 1;
+      }
+    }
+    return revoked;
+  };
+
+  const issueInviteLink = (t, invitationId, validForMs = INVITE_LINK_TTL_MS) => {
+    const inv = t.invitations.find((i) => i.id === invitationId);
+    if (!inv) fail("Invitation not found");
+    if (inv.redeemed_by_uid) fail("This invite has already been used, so it can't get a new link");
+    if (inv.revoked_at) fail("This invite was revoked. Restore it before sending a new link");
+    revokeUnusedLinks(t, invitationId);
+    const token = generateLinkToken();
+    t.invite_links.push({
+      id: randomId(),
+      invitation_id: invitationId,
+      token_hash: token,
+      expires_at: later(validForMs),
+      used_at: null,
+      used_by_uid: null,
+      revoked_at: null,
+      created_at: nowIso()
+    });
+    return token;
+  };
+
+  // invitation_seat_taken: another account already joined the group with this invitation's email.
+  const isSeatTaken = (t, inv) =>
+    t.invitations.some(
+      (other) =>
+        other.group_id === inv.group_id &&
+        other.email_lower === inv.email_lower &&
+        other.redeemed_by_uid &&
+        other.redeemed_by_uid !== currentUid()
+    );
+
+  const redeemFor = (t, inv) => {
+    if (isSeatTaken(t, inv)) fail("Someone already joined with this invite. Ask your host if that wasn't you");
+    if (!inv.redeemed_by_uid) {
+      inv.redeemed_by_uid = currentUid();
+      inv.redeemed_at = nowIso();
+      afterInvitationWrite(t, inv);
+    }
+    return inv;
+  };
+
+  // round_is_released
+  const isRoundReleased = (t, roundId) => {
+    const round = t.rounds.find((r) => r.id === roundId);
+    const group = round && t.groups.find((g) => g.id === round.group_id);
+    if (!group) return false;
+    if (round.released_at) return true;
+    const responded = t.submissions.filter((s) => s.round_id === round.id).length;
+    if (responded < group.min_respondents) return false;
+    return (
+      Boolean(round.closed_at) ||
+      responded >= t.group_members.filter((m) => m.group_id === group.id).length ||
+      (group.release_threshold !== null && responded >= group.release_threshold) ||
+      (Boolean(round.due_at) && now() >= new Date(round.due_at))
+    );
+  };
+
+  // record_round_releases
+  const recordRoundReleases = (t, groupId) => {
+    for (const round of t.rounds) {
+      if (round.group_id === groupId && !round.released_at && isRoundReleased(t, round.id)) {
+        round.released_at = nowIso();
+      }
+    }
+  };
+
+  // open_round_is_released
+  const openRoundIsReleased = (t, groupId) =>
+    t.rounds.some((r) => r.group_id === groupId && !r.closed_at && isRoundReleased(t, r.id));
+
+  // Closing records the release if enough people responded (the rounds_record_release trigger).
+  const closeRound = (t, round) => {
+    round.closed_at = nowIso();
+    const group = t.groups.find((g) => g.id === round.group_id);
+    const responded = t.submissions.filter((s) => s.round_id === round.id).length;
+    if (!round.released_at && responded >= group.min_respondents) round.released_at = round.closed_at;
+  };
+
+  // Stand-in for the send-results-ready function: once a round is released, logs a "your feedback is ready" email
+  // to the console for each member who joined and hasn't turned these emails off.
+  const notifyResultsReady = (t, round) => {
+    if (round.results_notified_at || !isRoundReleased(t, round.id)) return;
+    const group = t.groups.find((g) => g.id === round.group_id);
+    const optedOut = new Set(t.notification_preferences.filter((p) => p.results_ready === false).map((p) => p.user_id));
+    for (const member of t.group_members) {
+      if (member.group_id !== group.id || member.status !== "joined") continue;
+      const role = t.group_roles.find((r) => r.group_id === group.id && r.email_lower === member.email_lower);
+      if (role && optedOut.has(role.user_id)) continue;
+      const email = renderEmail(
+        "resultsReady",
+        {
+          name: member.name,
+          groupName: group.name,
+          roundNumber: round.number,
+          actionUrl: groupPageUrl(globalThis.location?.origin, group.id, "report")
+        },
+        group.email_template
+      );
+      console.info(`[local email] To: ${member.email_lower}\nSubject: ${email.subject}\n\n${email.text}`);
+      t.round_notifications.push({
+        round_id: round.id,
+        email_lower: member.email_lower,
+        kind: "results_ready",
+        sent_at: nowIso()
+      });
+    }
+    round.results_notified_at = nowIso();
+  };
+
+  // round_response_counts
+  const roundResponseCounts = (t, groupIds) => {
+    const ids = new Set(groupIds.filter((id) => readableGroup(t, id)));
+    return t.rounds
+      .filter((r) => ids.has(r.group_id))
+      .map((r) => {
+        const submissions = t.submissions.filter((s) => s.round_id === r.id);
+        return mapRoundResponsesRow({
+          group_id: r.group_id,
+          round_id: r.id,
+          responded: submissions.length,
+          submitted: submissions.some((s) => s.respondent_uid === currentUid())
+        });
+      });
+  };
+
+  // list_my_feedback, returned in random order like the database does.
+  const listMyFeedback = (t, groupIds, roundId) => {
+    const uid = currentUid();
+    if (!uid) return [];
+    const email = currentEmail();
+    return t.feedback
+      .filter((f) => groupIds.includes(f.group_id))
+      .filter((f) => !roundId || f.round_id === roundId)
+      .filter(
+        (f) =>
+          t.invitations.some(
+            (i) => i.group_id === f.group_id && i.redeemed_by_uid === uid && i.email_lower === f.recipient_email_lower
+          ) || (Boolean(email) && email === f.recipient_email_lower)
+      )
+      .filter((f) => isRoundReleased(t, f.round_id))
+      .map((f) => ({ row: f, key: Math.random() }))
+      .sort((a, b) => a.key - b.key)
+      .map(({ row }) => row);
+  };
+
+  const openRound = (t, group, dueAt) => {
+    const round = {
+      id: randomId(),
+      group_id: group.id,
+      number: Math.max(0, ...t.rounds.filter((r) => r.group_id === group.id).map((r) => r.number)) + 1,
+      questions: group.questions,
+      opened_at: nowIso(),
+      closed_at: null,
+      due_at: dueAt || null,
+      released_at: null
+    };
+    t.rounds.push(round);
+    return round;
+  };
+
+  const deleteGroupRows = (t, groupId) => {
+    const invitationIds = new Set(t.invitations.filter((i) => i.group_id === groupId).map((i) => i.id));
+    const roundIds = new Set(t.rounds.filter((r) => r.group_id === groupId).map((r) => r.id));
+    t.groups = t.groups.filter((g) => g.id !== groupId);
+    const groupTables = [
+      "group_roles",
+      "group_members",
+      "invitations",
+      "invite_deliveries",
+      "rounds",
+      "submissions",
+      "feedback"
+    ];
+    for (const name of groupTables) {
+      t[name] = t[name].filter((row) => row.group_id !== groupId);
+    }
+    t.invite_links = t.invite_links.filter((l) => !invitationIds.has(l.invitation_id));
+    t.round_notifications = t.round_notifications.filter((n) => !roundIds.has(n.round_id));
+  };
+
+  const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+  // ---- auth (the parts of supabase.auth the app uses) ----
+  const publicUser = (u) => ({
+    id: u.id,
+    email: u.email || undefined,
+    is_anonymous: !u.email,
+    user_metadata: { ...(u.user_metadata || {}) }
+  });
+
+  const setSession = (event, user) => {
+    session = user ? { access_token: `local-${user.id}`, token_type: "bearer", user: publicUser(user) } : null;
+    writeJson(sessionStorage, LOCAL_SESSION_KEY, session);
+    for (const listener of listeners) listener(event, session);
+    return session;
+  };
+
+  const authError = (message) => ({ data: { user: null, session: null }, error: new Error(message) });
+
+  const auth = {
+    getSession: async () => ({ data: { session }, error: null }),
+
+    onAuthStateChange: (callback) => {
+      listeners.add(callback);
+      return { data: { subscription: { unsubscribe: () => listeners.delete(callback) } } };
+    },
+
+    signUp: async ({ email, password, options = {} }) => {
+      const t = load();
+      const emailLower = normalizeEmail(email);
+      if (!emailLower || !String(password || "")) return authError("Email and password are required");
+      if (t.users.some((u) => u.email === emailLower)) return authError("User already registered");
+      const user = {
+        id: randomId(),
+        email: emailLower,
+        password: String(password),
+        user_metadata: { ...(options.data || {}) },
+        created_at: nowIso()
+      };
+      t.users.push(user);
+      save();
+      const s = setSession("SIGNED_IN", user);
+      return { data: { user: s.user, session: s }, error: null };
+    },
+
+    signInWithPassword: async ({ email, password }) => {
+      const t = load();
+      const user = t.users.find((u) => u.email && u.email === normalizeEmail(email) && u.password === String(password));
+      if (!user) return authError("Invalid login credentials");
+      const s = setSession("SIGNED_IN", user);
+      return { data: { user: s.user, session: s }, error: null };
+    },
+
+    signInAnonymously: async () => {
+      const t = load();
+      const user = { id: randomId(), email: null, password: null, user_metadata: {}, created_at: nowIso() };
+      t.users.push(user);
+      save();
+      const s = setSession("SIGNED_IN", user);
+      return { data: { user: s.user, session: s }, error: null };
+    },
+
+    updateUser: async ({ email, password, data } = {}) => {
+      const t = load();
+      const user = t.users.find((u) => u.id === currentUid());
+      if (!user) return authError("Auth session missing!");
+      if (email !== undefined) {
+        const emailLower = normalizeEmail(email);
+        if (t.users.some((u) => u.id !== user.id && u.email === emailLower)) {
+          return authError("A user with this email address has already been registered");
+        }
+        user.email = emailLower || null;
+      }
+      if (password !== undefined) user.password = String(password);
+      if (data) user.user_metadata = { ...user.user_metadata, ...data };
+      save();
+      const s = setSession("USER_UPDATED", user);
+      return { data: { user: s.user }, error: null };
+    },
+
+    signOut: async () => {
+      setSession("SIGNED_OUT", null);
+      return { error: null };
+    }
+  };
+
+  // ---- data functions (same names and shapes as supabaseBackend.js) ----
+  const getGroup = async ({ groupId }) =>
+    read((t) => {
+      const group = readableGroup(t, groupId);
+      if (!group) fail("Cannot coerce the result to a single JSON object");
+      return toGroup(t, group);
+    });
+
+  const setRoundDueAt = async ({ roundId, dueAt }) =>
+    write((t) => {
+      const round = t.rounds.find((r) => r.id === roundId);
+      if (!round || !isGroupManager(t, round.group_id)) fail("Only the group host can change the deadline");
+      if (isRoundReleased(t, round.id)) {
+        fail("Feedback for this round has already been released, so its deadline can't change");
+      }
+      round.due_at = toIso(dueAt);
+      recordRoundReleases(t, round.group_id);
+      return mapRoundRow(round);
+    });
+
+  const db = {
+    getSchemaVersion: async () => REQUIRED_SCHEMA_VERSION,
+
+    getGroup,
+
+    createGroup: async ({
+      name,
+      hostUid,
+      hostEmail,
+      hostName,
+      members,
+      questions,
+      minRespondents,
+      releaseThreshold,
+      dueAt,
+      reminderDays = DEFAULT_REMINDER_DAYS,
+      emailTemplate = {},
+      orgId = null
+    }) => {
+      const groupName = String(name || "").trim();
+      if (!groupName) throw new Error("Group name is required");
+
+      const normalizedQuestions = normalizeQuestions(questions);
+      const questionsError = validateQuestions(normalizedQuestions);
+      if (questionsError) throw new Error(questionsError);
+
+      const hostEmailLower = normalizeEmail(hostEmail);
+      const hostDisplayName =
+        String(hostName || "").trim() || (hostEmailLower ? hostEmailLower.split("@")[0] : "Host");
+
+      const normalizedMembers = (members || [])
+        .map((m) => ({
+          emailLower: normalizeEmail(m.email),
+          name: String(m.name || "").trim(),
+          tempPassword: String(m.tempPassword || "").trim()
+        }))
+        .filter((m) => m.emailLower && m.name && m.tempPassword);
+
+      const rosterError = validateMemberList(normalizedMembers, { hostEmail: hostEmailLower });
+      if (rosterError) throw new Error(rosterError);
+
+      const release = normalizeReleaseSettings({
+        minRespondents,
+        releaseThreshold,
+        memberCount: normalizedMembers.length + 1
+      });
+      const emailTemplateRow = normalizeEmailTemplateSettings(emailTemplate);
+
+      const { groupId, invitations } = await write((t) => {
+        if (!currentUid() || hostUid !== currentUid()) {
+          fail('new row violates row-level security policy for table "groups"');
+        }
+        if (orgId && !orgRole(t, orgId)) fail("You can only add groups to an organization you belong to");
+
+        const group = {
+          id: randomId(),
+          name: groupName,
+          host_uid: hostUid,
+          host_email_lower: hostEmailLower,
+          questions: normalizedQuestions,
+          min_respondents: release.minRespondents,
+          release_threshold: release.releaseThreshold,
+          reminder_days: normalizeReminderDays(reminderDays),
+          email_template: emailTemplateRow,
+          org_id: orgId || null,
+          created_at: nowIso()
+        };
+        t.groups.push(group);
+        putGroupRole(t, { groupId: group.id, userId: hostUid, emailLower: hostEmailLower, role: "owner" });
+        openRound(t, group, dueAt ? toIso(dueAt) : null);
+
+        insertGroupMember(t, { groupId: group.id, emailLower: hostEmailLower, name: hostDisplayName });
+        for (const m of normalizedMembers) insertGroupMember(t, { groupId: group.id, ...m });
+
+        return { groupId: group.id, invitations: insertInvitations(t, group.id, normalizedMembers) };
+      });
+
+      return {
+        group: await getGroup({ groupId }),
+        invitations: withTempPasswords(invitations.map(mapInvitationRow), normalizedMembers)
+      };
+    },
+
+    createGroupInvitations: async ({ groupId, hostEmailLower, members }) => {
+      const normalizedGroupId = String(groupId || "").trim();
+      if (!normalizedGroupId) throw new Error("groupId is required");
+
+      const hostEmail = normalizeEmail(hostEmailLower);
+      if (!hostEmail) throw new Error("hostEmailLower is required");
+
+      const normalizedMembers = (members || [])
+        .map((m) => ({
+          emailLower: normalizeEmail(m.emailLower || m.email),
+          name: String(m.name || "").trim(),
+          tempPassword: String(m.tempPassword || "").trim()
+        }))
+        .filter((m) => m.emailLower && m.name && m.tempPassword);
+
+      const emails = normalizedMembers.map((m) => m.emailLower);
+      if (emails.includes(hostEmail)) throw new Error("Don't create an invitation for the host email");
+      if (new Set(emails).size !== emails.length) throw new Error("Each member must have a unique email");
+
+      if (normalizedMembers.length === 0) return [];
+
+      const rows = await write((t) => insertInvitations(t, normalizedGroupId, normalizedMembers));
+      return withTempPasswords(rows.map(mapInvitationRow), normalizedMembers);
+    },
+
+    regenerateInvitationCode: async ({ invitationId }) =>
+      write((t) => {
+        const inv = requireManagedInvitation(t, invitationId, "Only the group host can regenerate an invite code");
+        if (inv.redeemed_by_uid) fail("This invite has already been used, so it can't get a new code");
+        if (inv.revoked_at) fail("This invite was revoked. Restore it before generating a new code");
+        const code = generateInviteCode();
+        inv.temp_password = code;
+        inv.expires_at = later(INVITE_TTL_MS);
+        return code;
+      }),
+
+    revokeInvitation: async ({ invitationId }) =>
+      write((t) => {
+        const inv = requireManagedInvitation(t, invitationId, "Only the group host can revoke an invitation");
+        revokeUnusedLinks(t, inv.id);
+        inv.revoked_at = nowIso();
+        return mapInvitationRow(inv);
+      }),
+
+    restoreInvitation: async ({ invitationId }) =>
+      write((t) => {
+        const inv = requireManagedInvitation(t, invitationId, "Only the group host can restore an invitation");
+        if (!inv.revoked_at) fail("This invite isn't revoked");
+        inv.revoked_at = null;
+        inv.expires_at = later(INVITE_TTL_MS);
+        return mapInvitationRow(inv);
+      }),
+
+    listManagedGroups: async ({ uid }) =>
+      read((t) => {
+        const roles = new Map(
+          t.group_roles
+            .filter((r) => r.user_id === uid && (r.role === "owner" || r.role === "cohost"))
+            .map((r) => [r.group_id, r.role])
+        );
+        return t.groups
+          .filter((g) => roles.has(g.id) && canReadGroup(t, g))
+          .map((g) => ({ ...toGroup(t, g), myRole: roles.get(g.id) }));
+      }),
+
+    listMemberGroups: async ({ uid, emailLower }) =>
+      read((t) => {
+        const normalized = normalizeEmail(emailLower);
+        const redeemed = new Set(t.invitations.filter((i) => i.redeemed_by_uid === uid).map((i) => i.group_id));
+        const rostered = new Set(
+          normalized ? t.group_members.filter((m) => m.email_lower === normalized).map((m) => m.group_id) : []
+        );
+        const groupIds = redeemed.size > 0 ? redeemed : rostered;
+        return t.groups
+          .filter((g) => groupIds.has(g.id) && canReadGroup(t, g))
+          .map((g) => ({ ...toGroup(t, g), myRole: "member" }));
+      }),
+
+    listGroupRoles: async ({ groupId }) =>
+      read((t) =>
+        t.group_roles
+          .filter((r) => r.group_id === groupId && (r.user_id === currentUid() || isGroupManager(t, groupId)))
+          .map(mapGroupRoleRow)
+          .sort((a, b) => ROLE_ORDER[a.role] - ROLE_ORDER[b.role])
+      ),
+
+    addGroupCohost: async ({ groupId, email }) =>
+      write((t) => {
+        const emailLower = normalizeEmail(email);
+        if (!isGroupManager(t, groupId)) fail("Only the group host can add co-hosts");
+
+        const onRoster = t.group_members.some((m) => m.group_id === groupId && m.email_lower === emailLower);
+        const targetUid =
+          onRoster &&
+          t.group_roles
+            .filter((r) => r.group_id === groupId && r.email_lower === emailLower)
+            .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))[0]?.user_id;
+        if (!targetUid) fail("Only members who joined this group can become co-hosts");
+
+        const group = t.groups.find((g) => g.id === groupId);
+        const inOrg = (orgId) => t.organization_members.some((m) => m.org_id === orgId && m.user_id === targetUid);
+        if (group?.org_id && !inOrg(group.org_id)) {
+          fail("Co-hosts must belong to the group's organization");
+        }
+
+        const existing = roleRow(t, groupId, targetUid);
+        if (existing && existing.role !== "member") fail("They already manage this group");
+        return mapGroupRoleRow(putGroupRole(t, { groupId, userId: targetUid, emailLower, role: "cohost" }));
+      }),
+
+    removeGroupCohost: async ({ groupId, userId }) =>
+      write((t) => {
+        if (groupOwnerUid(t, groupId) !== currentUid() && userId !== currentUid()) {
+          fail("Only the group owner can remove co-hosts");
+        }
+        if (roleRow(t, groupId, userId)?.role !== "cohost") fail("That person is not a co-host of this group");
+        if (t.invitations.some((i) => i.group_id === groupId && i.redeemed_by_uid === userId)) {
+          putGroupRole(t, { groupId, userId, role: "member" });
+        } else {
+          deleteGroupRole(t, groupId, userId);
+        }
+      }),
+
+    transferGroupOwnership: async ({ groupId, newOwnerUid }) =>
+      write((t) => {
+        if (groupOwnerUid(t, groupId) !== currentUid()) fail("Only the group owner can transfer ownership");
+        const newOwner = roleRow(t, groupId, newOwnerUid);
+        if (newOwner?.role !== "cohost") fail("Ownership can only be transferred to a co-host");
+
+        putGroupRole(t, { groupId, userId: currentUid(), role: "cohost" });
+        putGroupRole(t, { groupId, userId: newOwnerUid, role: "owner" });
+        const group = t.groups.find((g) => g.id === groupId);
+        group.host_uid = newOwnerUid;
+        group.host_email_lower = newOwner.email_lower;
+        for (const inv of t.invitations) {
+          if (inv.group_id !== groupId) continue;
+          inv.host_uid = newOwnerUid;
+          inv.host_email_lower = newOwner.email_lower;
+        }
+        return toGroup(t, group);
+      }),
+
+    listGroupInvitations: async ({ groupId }) =>
+      read((t) =>
+        t.invitations
+          .filter((i) => i.group_id === groupId && (isGroupManager(t, groupId) || i.redeemed_by_uid === currentUid()))
+          .map(mapInvitationRow)
+      ),
+
+    listGroupResponses: async ({ groupId, roundId }) =>
+      read((t) => roundResponseCounts(t, [groupId]).filter((r) => !roundId || r.roundId === roundId)),
+
+    listGroupRounds: async ({ groupId }) =>
+      read((t) =>
+        readableGroup(t, groupId)
+          ? t.rounds
+              .filter((r) => r.group_id === groupId)
+              .sort((a, b) => b.number - a.number)
+              .map(mapRoundRow)
+          : []
+      ),
+
+    listRoundsForGroups: async ({ groupIds }) =>
+      read((t) => {
+        const ids = new Set((groupIds || []).filter((id) => readableGroup(t, id)));
+        return t.rounds.filter((r) => ids.has(r.group_id)).map(mapRoundRow);
+      }),
+
+    listResponsesForGroups: async ({ groupIds }) => read((t) => roundResponseCounts(t, groupIds || [])),
+
+    openGroupRound: async ({ groupId, dueAt }) =>
+      write((t) => {
+        const group = t.groups.find((g) => g.id === groupId);
+        if (!group || !isGroupManager(t, groupId)) fail("Only the group host can open a round");
+        for (const r of t.rounds) {
+          if (r.group_id === groupId && !r.closed_at) closeRound(t, r);
+        }
+        return mapRoundRow(openRound(t, group, toIso(dueAt)));
+      }),
+
+    closeGroupRound: async ({ groupId }) =>
+      write((t) => {
+        if (!t.groups.some((g) => g.id === groupId) || !isGroupManager(t, groupId)) {
+          fail("Only the group host can close a round");
+        }
+        const round = t.rounds.find((r) => r.group_id === groupId && !r.closed_at);
+        if (!round) fail("This group has no open round");
+        closeRound(t, round);
+        notifyResultsReady(t, round);
+        return mapRoundRow(round);
+      }),
+
+    setRoundDueAt,
+
+    updateGroupReleaseSettings: async ({ groupId, minRespondents, releaseThreshold, reminderDays, memberCount }) => {
+      const release = normalizeReleaseSettings({ minRespondents, releaseThreshold, memberCount });
+      return write((t) => {
+        const group = t.groups.find((g) => g.id === groupId);
+        if (!group || !isGroupManager(t, groupId)) fail("Cannot coerce the result to a single JSON object");
+        const changed =
+          group.min_respondents !== release.minRespondents || group.release_threshold !== release.releaseThreshold;
+        if (changed && openRoundIsReleased(t, groupId)) {
+          fail("The open round has already been released. Close it before changing the release settings");
+        }
+        group.min_respondents = release.minRespondents;
+        group.release_threshold = release.releaseThreshold;
+        group.reminder_days = normalizeReminderDays(reminderDays);
+        recordRoundReleases(t, groupId);
+        return toGroup(t, group);
+      });
+    },
+
+    updateGroupEmailTemplate: async ({ groupId, emailTemplate }) => {
+      const emailTemplateRow = normalizeEmailTemplateSettings(emailTemplate);
+      return write((t) => {
+        const group = t.groups.find((g) => g.id === groupId);
+        if (!group || !isGroupManager(t, groupId)) fail("Cannot coerce the result to a single JSON object");
+        group.email_template = emailTemplateRow;
+        return toGroup(t, group);
+      });
+    },
+
+    // submit_feedback: the submission records who responded, the feedback rows don't.
+    submitGroupResponse: async ({ groupId, feedbackItems }) =>
+      write((t) => {
+        const uid = requireUid("You must be signed in to submit feedback");
+        const group = t.groups.find((g) => g.id === groupId);
+        if (!group) fail("Group not found");
+
+        const onRoster = (email) => t.group_members.some((m) => m.group_id === groupId && m.email_lower === email);
+        if (!hasRedeemed(t, groupId) && !(isGroupManager(t, groupId) && onRoster(currentEmail()))) {
+          fail("You are not a member of this group");
+        }
+
+        const round = t.rounds.find((r) => r.group_id === groupId && !r.closed_at);
+        if (!round) fail("This group has no open feedback round");
+        if (isRoundReleased(t, round.id)) fail("Feedback for this round has already been released");
+        if (t.submissions.some((s) => s.round_id === round.id && s.respondent_uid === uid)) {
+          fail("You have already submitted feedback for this round");
+        }
+        t.submissions.push({
+          id: randomId(),
+          group_id: groupId,
+          round_id: round.id,
+          respondent_uid: uid,
+          submitted_at: nowIso()
+        });
+
+        for (const item of feedbackItems || []) {
+          const answers = item.answers ?? {};
+          if (typeof answers !== "object" || Array.isArray(answers)) {
+            fail("Feedback answers must be an object keyed by question id");
+          }
+          const recipient = normalizeEmail(item.recipientEmailLower || item.recipient_email_lower);
+          if (!recipient || !onRoster(recipient)) fail("Feedback recipient is not a member of this group");
+          t.feedback.push({
+            id: randomId(),
+            group_id: groupId,
+            round_id: round.id,
+            recipient_email_lower: recipient,
+            strengths: String(item.strengths ?? answers.strengths ?? ""),
+            improvements: String(item.improvements ?? answers.improvements ?? ""),
+            answers,
+            score: Number.parseInt(item.score ?? 0, 10) || 0
+          });
+        }
+        // Released rounds are frozen; the submission that released this one closes it.
+        if (isRoundReleased(t, round.id)) closeRound(t, round);
+        notifyResultsReady(t, round);
+        return true;
+      }),
+
+    upsertUserProfile: async ({ uid, emailLower, firstName }) =>
+      write((t) => {
+        const email = normalizeEmail(emailLower);
+        if (uid !== currentUid() || email !== currentEmail()) {
+          fail('new row violates row-level security policy for table "profiles"');
+        }
+        if (t.profiles.some((p) => p.id !== uid && p.email_lower === email)) {
+          fail('duplicate key value violates unique constraint "profiles_email_lower_uidx"');
+        }
+        const existing = t.profiles.find((p) => p.id === uid);
+        const row = { email_lower: email, first_name: String(firstName || "").trim(), updated_at: nowIso() };
+        if (existing) Object.assign(existing, row);
+        else t.profiles.push({ id: uid, created_at: nowIso(), ...row });
+      }),
+
+    getUserProfile: async ({ uid }) =>
+      read((t) => {
+        const row = uid === currentUid() ? t.profiles.find((p) => p.id === uid) : null;
+        if (!row) return null;
+        return { id: row.id, emailLower: row.email_lower, firstName: row.first_name };
+      }),
+
+    getNotificationPreferences: async ({ uid }) =>
+      read((t) => {
+        const row = uid === currentUid() ? t.notification_preferences.find((p) => p.user_id === uid) : null;
+        return { resultsReady: row ? row.results_ready !== false : true };
+      }),
+
+    updateNotificationPreferences: async ({ uid, resultsReady }) =>
+      write((t) => {
+        if (!uid || uid !== currentUid()) {
+          fail('new row violates row-level security policy for table "notification_preferences"');
+        }
+        const row = { results_ready: Boolean(resultsReady), updated_at: nowIso() };
+        const existing = t.notification_preferences.find((p) => p.user_id === uid);
+        if (existing) Object.assign(existing, row);
+        else t.notification_preferences.push({ user_id: uid, ...row });
+        return { resultsReady: row.results_ready };
+      }),
+
+    // redeem_invitation, without the attempt throttling.
+    redeemInvitationForUser: async ({ emailLower, tempPassword }) =>
+      write((t) => {
+        requireUid("You must be signed in to redeem an invitation");
+        const email = normalizeEmail(emailLower);
+        const inv = t.invitations
+          .filter((i) => i.email_lower === email && i.temp_password === String(tempPassword || ""))
+          .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))[0];
+        if (!inv) fail("Invalid email or temporary password");
+        if (inv.revoked_at) fail("This invite was revoked by the host");
+        if (inv.expires_at && new Date(inv.expires_at) <= now()) {
+          fail("This invite has expired. Ask your host for a new code");
+        }
+        return mapInvitationRow(redeemFor(t, inv));
+      }),
+
+    redeemInviteLink: async ({ token }) =>
+      write((t) => {
+        requireUid("Sign in before redeeming an invite link");
+        const link = t.invite_links.find((l) => l.token_hash === String(token || "").trim());
+        if (!link) fail("This invite link is not valid");
+        if (link.revoked_at) fail("This invite link was revoked");
+        if (link.used_at) fail("This invite link has already been used");
+        if (new Date(link.expires_at) <= now()) fail("This invite link has expired");
+        const inv = t.invitations.find((i) => i.id === link.invitation_id);
+        if (inv.revoked_at || (inv.expires_at && new Date(inv.expires_at) <= now())) {
+          fail("This invite is no longer valid. Ask your host for a new one");
+        }
+        link.used_at = nowIso();
+        link.used_by_uid = currentUid();
+        return mapInvitationRow(redeemFor(t, inv));
+      }),
+
+    createInviteLink: async ({ invitationId }) =>
+      write((t) => {
+        requireManagedInvitation(t, invitationId, "Only the group host can create invite links");
+        return issueInviteLink(t, invitationId);
+      }),
+
+    revokeInviteLinks: async ({ invitationId }) =>
+      write((t) => {
+        requireManagedInvitation(t, invitationId, "Only the group host can revoke invite links");
+        return revokeUnusedLinks(t, invitationId);
+      }),
+
+    listInviteLinks: async ({ invitationIds }) =>
+      read((t) => {
+        const ids = new Set(invitationIds || []);
+        return t.invite_links
+          .filter((l) => ids.has(l.invitation_id))
+          .filter((l) => isGroupManager(t, t.invitations.find((i) => i.id === l.invitation_id)?.group_id))
+          .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+          .map(mapInviteLinkRow);
+      }),
+
+    listInviteDeliveries: async ({ groupId }) =>
+      read((t) => {
+        if (!isGroupManager(t, groupId)) return [];
+        return t.invite_deliveries
+          .filter((d) => d.group_id === groupId)
+          .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+          .map(mapInviteDeliveryRow);
+      }),
+
+    getMemberIdentityFromInvites: async ({ uid }) =>
+      read((t) => {
+        const inv = t.invitations
+          .filter((i) => i.redeemed_by_uid === uid && uid === currentUid())
+          .sort((a, b) => String(b.redeemed_at).localeCompare(String(a.redeemed_at)))[0];
+        return inv ? { emailLower: inv.email_lower, firstName: inv.name } : null;
+      }),
+
+    deleteGroupCascade: async ({ groupId }) =>
+      write((t) => {
+        const group = t.groups.find((g) => g.id === groupId);
+        if (group && group.host_uid === currentUid()) deleteGroupRows(t, groupId);
+      }),
+
+    setGroupOrganization: async ({ groupId, orgId }) =>
+      write((t) => {
+        const group = t.groups.find((g) => g.id === groupId);
+        if (!group || !isGroupManager(t, groupId)) fail("Cannot coerce the result to a single JSON object");
+        if (orgId && !orgRole(t, orgId)) fail("You can only add groups to an organization you belong to");
+        group.org_id = orgId || null;
+        return toGroup(t, group);
+      }),
+
+    listMyOrganizations: async ({ uid }) =>
+      read((t) => {
+        const roles = new Map(
+          t.organization_members.filter((m) => m.user_id === uid).map((m) => [m.org_id, m.role])
+        );
+        return t.organizations
+          .filter((o) => roles.has(o.id) && orgRole(t, o.id))
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .map((o) => ({ ...mapOrganizationRow(o), myRole: roles.get(o.id) }));
+      }),
+
+    createOrganization: async ({ name }) => {
+      const orgName = String(name || "").trim();
+      if (!orgName) throw new Error("Organization name is required");
+      return write((t) => {
+        if (!currentUid() || !currentEmail()) fail("Sign in with an email account to create an organization");
+        const org = { id: randomId(), name: orgName, created_by: currentUid(), created_at: nowIso() };
+        t.organizations.push(org);
+        t.organization_members.push({
+          org_id: org.id,
+          user_id: currentUid(),
+          email_lower: currentEmail(),
+          role: "admin",
+          created_at: nowIso()
+        });
+        return { ...mapOrganizationRow(org), myRole: "admin" };
+      });
+    },
+
+    listOrganizationMembers: async ({ orgId }) =>
+      read((t) =>
+        orgRole(t, orgId)
+          ? t.organization_members
+              .filter((m) => m.org_id === orgId)
+              .map(mapOrganizationMemberRow)
+              .sort((a, b) =>
+                a.role === b.role ? a.emailLower.localeCompare(b.emailLower) : a.role === "admin" ? -1 : 1
+              )
+          : []
+      ),
+
+    setOrganizationMember: async ({ orgId, email, role = "member" }) =>
+      write((t) => {
+        const emailLower = normalizeEmail(email);
+        if (orgRole(t, orgId) !== "admin") fail("Only organization admins can manage members");
+        if (role !== "admin" && role !== "member") fail("Role must be admin or member");
+        const targetUid = t.profiles.find((p) => p.email_lower === emailLower)?.id;
+        if (!targetUid) fail("No account uses that email yet. Ask them to sign up first");
+        if (
+          role === "member" &&
+          !t.organization_members.some((m) => m.org_id === orgId && m.role === "admin" && m.user_id !== targetUid)
+        ) {
+          fail("An organization needs at least one admin");
+        }
+
+        let row = t.organization_members.find((m) => m.org_id === orgId && m.user_id === targetUid);
+        if (row) {
+          row.role = role;
+        } else {
+          row = { org_id: orgId, user_id: targetUid, email_lower: emailLower, role, created_at: nowIso() };
+          t.organization_members.push(row);
+        }
+        return mapOrganizationMemberRow(row);
+      }),
+
+    removeOrganizationMember: async ({ orgId, userId }) =>
+      write((t) => {
+        if (orgRole(t, orgId) !== "admin" && userId !== currentUid()) {
+          fail("Only organization admins can manage members");
+        }
+        if (!t.organization_members.some((m) => m.org_id === orgId && m.role === "admin" && m.user_id !== userId)) {
+          fail("An organization needs at least one admin");
+        }
+        t.organization_members = t.organization_members.filter((m) => !(m.org_id === orgId && m.user_id === userId));
+      }),
+
+    listOrganizationParticipation: async ({ orgId }) =>
+      read((t) => {
+        if (orgRole(t, orgId) !== "admin") fail("Only organization admins can view participation");
+        return t.groups
+          .filter((g) => g.org_id === orgId)
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .map((g) => {
+            const round = t.rounds.filter((r) => r.group_id === g.id).sort((a, b) => b.number - a.number)[0];
+            return mapParticipationRow({
+              group_id: g.id,
+              group_name: g.name,
+              owner_email_lower: g.host_email_lower,
+              member_count: t.group_members.filter((m) => m.group_id === g.id).length,
+              round_number: round?.number ?? null,
+              round_open: Boolean(round) && !round.closed_at,
+              due_at: round?.due_at || null,
+              responded: round ? t.submissions.filter((s) => s.round_id === round.id).length : 0,
+              released: Boolean(round) && isRoundReleased(t, round.id)
+            });
+          });
+      }),
+
+    // group_feedback_summary + group_answer_summary
+    getGroupTeamSummary: async ({ groupId, roundId }) =>
+      read((t) => {
+        if (!t.groups.some((g) => g.id === groupId) || !isGroupManager(t, groupId)) {
+          fail("Only the group host can read feedback summaries");
+        }
+        const round = t.rounds.find((r) => r.id === roundId && r.group_id === groupId);
+        if (!round || !isRoundReleased(t, round.id)) return { recipients: [], answers: [] };
+        const rows = t.feedback.filter((f) => f.round_id === round.id);
+
+        const scoresByRecipient = new Map();
+        for (const f of rows) {
+          const scores = scoresByRecipient.get(f.recipient_email_lower) || [];
+          scoresByRecipient.set(f.recipient_email_lower, [...scores, f.score]);
+        }
+        const round1 = (n) => Math.round(n * 10) / 10;
+        const group = t.groups.find((g) => g.id === groupId);
+        const floor = Math.max(MIN_RESPONDENTS_FLOOR, group.min_respondents);
+        const recipients = [...scoresByRecipient].map(([email, scores]) => {
+          const mean = scores.reduce((sum, n) => sum + n, 0) / scores.length;
+          const variance = scores.reduce((sum, n) => sum + (n - mean) ** 2, 0) / scores.length;
+          const enough = scores.length >= floor;
+          return mapFeedbackSummaryRow({
+            recipient_email_lower: email,
+            responses: scores.length,
+            average_score: enough ? round1(mean) : null,
+            score_spread: enough ? round1(Math.sqrt(variance)) : null
+          });
+        });
+
+        const fits = (q, value) =>
+          (q.type === "likert" && [1, 2, 3, 4, 5].includes(value)) ||
+          (q.type === "yesno" && typeof value === "boolean") ||
+          (q.type === "choice" && typeof value === "string" && (q.options || []).includes(value));
+        const counts = new Map();
+        for (const q of round.questions || []) {
+          for (const f of rows) {
+            const value = f.answers?.[q.id];
+            if (!fits(q, value)) continue;
+            const key = JSON.stringify([q.id, String(value)]);
+            counts.set(key, (counts.get(key) || 0) + 1);
+          }
+        }
+        const answers = [...counts].map(([key, responses]) => {
+          const [questionId, answer] = JSON.parse(key);
+          return mapAnswerSummaryRow({ question_id: questionId, answer, responses });
+        });
+        return { recipients, answers };
+      }),
+
+    updateGroupMembers: async ({ groupId, add = [], remove = [] }) => {
+      await write((t) => {
+        if (!isGroupManager(t, groupId)) fail('new row violates row-level security policy for table "group_members"');
+        for (const m of add || []) {
+          const emailLower = normalizeEmail(m.emailLower || m.email);
+          const name = String(m.name || "").trim();
+          if (emailLower && name) insertGroupMember(t, { groupId, emailLower, name });
+        }
+        const toRemove = new Set((remove || []).map(normalizeEmail).filter(Boolean));
+        const removing = t.group_members.some((m) => m.group_id === groupId && toRemove.has(m.email_lower));
+        if (removing && openRoundIsReleased(t, groupId)) {
+          fail("The open round has already been released. Close it before removing members");
+        }
+        t.group_members = t.group_members.filter((m) => !(m.group_id === groupId && toRemove.has(m.email_lower)));
+        recordRoundReleases(t, groupId);
+      });
+      return getGroup({ groupId });
+    },
+
+    listGroupFeedbackForRecipient: async ({ groupId, roundId, recipientEmailLower }) =>
+      read((t) => {
+        const normalized = normalizeEmail(recipientEmailLower);
+        return listMyFeedback(t, [groupId], roundId || null)
+          .map(mapFeedbackRow)
+          .filter((f) => f.recipientEmailLower === normalized);
+      }),
+
+    listFeedbackForRecipient: async ({ recipientEmailLower, groupIds }) =>
+      read((t) => {
+        const normalized = normalizeEmail(recipientEmailLower);
+        const ids = Array.from(new Set((groupIds || []).filter(Boolean)));
+        if (!normalized || ids.length === 0) return [];
+        return listMyFeedback(t, ids, null)
+          .map(mapFeedbackRow)
+          .filter((f) => f.recipientEmailLower === normalized);
+      })
+  };
+
+  // Stand-in for the send-invites function: for each pending invite, refreshes its expiry, issues a join link and
+  // logs the email to the console instead of sending it, recording a "sent" delivery. Same response shape as the
+  // function; links use the app's own origin since there's no deployed site URL here.
+  const sendInviteEmails = async ({ groupId, emails, credentials, appUrl = "" }) =>
+    write((t) => {
+      if (!isGroupManager(t, groupId)) fail("Only the group host or a co-host can send invites");
+      const filter = Array.isArray(emails) && emails.length > 0 ? new Set(emails.map(normalizeEmail)) : null;
+      const knownCodes = new Map(
+        (credentials || []).map((c) => [normalizeEmail(c?.email), String(c?.tempPassword || "")])
+      );
+      const group = t.groups.find((g) => g.id === groupId);
+      const hostName =
+        t.group_members.find((m) => m.group_id === groupId && m.email_lower === currentEmail())?.name || "A host";
+
+      let sent = 0;
+      let regenerated = 0;
+      const failures = [];
+      const results = [];
+      const pending = t.invitations.filter(
+        (i) =>
+          i.group_id === groupId &&
+          !i.redeemed_by_uid &&
+          !i.revoked_at &&
+          (!i.expires_at || new Date(i.expires_at) > now())
+      );
+      for (const email of filter || []) {
+        if (!pending.some((i) => i.email_lower === email)) {
+          failures.push({ to: email, error: "No pending invite for this email" });
+        }
+      }
+      for (const inv of pending) {
+        if (filter && !filter.has(inv.email_lower)) continue;
+        // invitation_code_matches: a code the client sends is only used if it's the invitation's current one.
+        let tempPassword = knownCodes.get(inv.email_lower) === inv.temp_password ? inv.temp_password : "";
+        if (!tempPassword) {
+          tempPassword = generateInviteCode();
+          inv.temp_password = tempPassword;
+          regenerated += 1;
+        }
+        inv.expires_at = later(INVITE_TTL_MS);
+        const joinUrl = appUrl ? `${appUrl}/join/${issueInviteLink(t, inv.id)}` : "";
+        const email = renderEmail(
+          "invite",
+          {
+            name: inv.name,
+            hostName,
+            groupName: group?.name || "",
+            email: inv.email_lower,
+            tempPassword,
+            signInUrl: appUrl,
+            actionUrl: joinUrl,
+            linkTtlHours: INVITE_LINK_TTL_MS / (60 * 60 * 1000)
+          },
+          group?.email_template
+        );
+        console.info(`[local email] To: ${inv.email_lower}\nSubject: ${email.subject}\n\n${email.text}`);
+        const messageId = `<${randomId()}@offrecord.local>`;
+        t.invite_deliveries.push({
+          id: randomId(),
+          invitation_id: inv.id,
+          group_id: groupId,
+          email_lower: inv.email_lower,
+          provider: "console",
+          message_id: messageId,
+          status: "sent",
+          error: null,
+          attempt: 1,
+          created_at: nowIso()
+        });
+        sent += 1;
+        results.push({ email: inv.email_lower, ok: true, error: null });
+      }
+      return { ok: true, provider: "console", sent, regenerated, failed: failures.length, failures, results };
+    });
+
+  // Throws the seeded (or empty) tables back in and signs out.
+  const reset = () => {
+    tables = null;
+    writeJson(storage, LOCAL_DB_KEY, null);
+    load();
+    setSession("SIGNED_OUT", null);
+  };
+
+  return { auth, db, sendInviteEmails, reset };
+};
@@ -0,0 +1,226 @@
+// Demo data for the local backend. Every account signs in with the password "password"; Dan hasn't joined yet
+// and can use the invite code DAN234. Dates are relative to when the local database is first created.
+
+export const SEED_PASSWORD = "password";
+
+const ids = {
+  hana: "00000000-0000-4000-8000-000000000001",
+  ana: "00000000-0000-4000-8000-000000000002",
+  ben: "00000000-0000-4000-8000-000000000003",
+  cara: "00000000-0000-4000-8000-000000000004",
+  org: "00000000-0000-4000-8000-000000000101",
+  design: "00000000-0000-4000-8000-000000000201",
+  books: "00000000-0000-4000-8000-000000000202",
+  designRound1: "00000000-0000-4000-8000-000000000301",
+  designRound2: "00000000-0000-4000-8000-000000000302",
+  booksRound1: "00000000-0000-4000-8000-000000000303"
+};
+
+const people = {
+  hana: { email: "hana@example.com", name: "Hana" },
+  ana: { email: "ana@example.com", name: "Ana" },
+  ben: { email: "ben@example.com", name: "Ben" },
+  cara: { email: "cara@example.com", name: "Cara" },
+  dan: { email: "dan@example.com", name: "Dan" }
+};
+
+const PEER_REVIEW = [
+  { id: "strengths", type: "text", prompt: "What did {name} do well?", options: [], required: true },
+  { id: "improvements", type: "text", prompt: "What could {name} improve?", options: [], required: true }
+];
+
+// [recipient, strengths, improvements, score]
+const DESIGN_ROUND1_FEEDBACK = [
+  ["hana", "Kept the launch on track and shielded us from scope creep.", "Share roadmap changes earlier.", 5],
+  ["hana", "Great at unblocking people quickly.", "1:1s got cancelled a lot near the deadline.", 4],
+  ["hana", "Clear priorities every Monday.", "Let others run the demo sometimes.", 4],
+  ["ana", "The onboarding flow redesign was excellent.", "Document decisions in the design file.", 5],
+  ["ana", "Always has user research to back up a proposal.", "Push back sooner when timelines slip.", 4],
+  ["ben", "Prototypes are fast and realistic.", "Ask for reviews before polishing.", 4],
+  ["ben", "Helpful in critiques, specific and kind.", "Keep the component library tidy.", 3],
+  ["cara", "Turned messy feedback into a clear plan.", "Speak up more in planning meetings.", 4],
+  ["cara", "Reliable, always hits deadlines.", "Pair with engineers earlier.", 4]
+];
+
+const DESIGN_ROUND2_FEEDBACK = [
+  ["hana", "Good call on cutting the settings page.", "Give more context on why priorities changed.", 4],
+  ["ana", "Strong presentation to leadership.", "Loop in Cara on the icon work.", 5],
+  ["cara", "The empty states are lovely.", "Flag blockers in standup.", 4]
+];
+
+export const createSeedTables = ({ now = new Date() } = {}) => {
+  const at = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+
+  const users = Object.entries(people)
+    .filter(([key]) => ids[key])
+    .map(([key, p]) => ({
+      id: ids[key],
+      email: p.email,
+      password: SEED_PASSWORD,
+      user_metadata: { first_name: p.name },
+      created_at: at(-30)
+    }));
+
+  const profiles = users.map((u) => ({
+    id: u.id,
+    email_lower: u.email,
+    first_name: u.user_metadata.first_name,
+    created_at: u.created_at,
+    updated_at: u.created_at
+  }));
+
+  const group = (id, name, owner, { orgId = null } = {}) => ({
+    id,
+    name,
+    host_uid: ids[owner],
+    host_email_lower: people[owner].email,
+    questions: PEER_REVIEW,
+    min_respondents: 3,
+    release_threshold: null,
+    reminder_days: [3, 1, 0],
+    org_id: orgId,
+    created_at: at(-21)
+  });
+
+  const invitation = (n, groupId, owner, invitee, { code = "", redeemed = true } = {}) => ({
+    id: `00000000-0000-4000-8000-0000000004${String(n).padStart(2, "0")}`,
+    group_id: groupId,
+    host_uid: ids[owner],
+    host_email_lower: people[owner].email,
+    email_lower: people[invitee].email,
+    name: people[invitee].name,
+    temp_password: code || `${people[invitee].name.toUpperCase()}234`,
+    redeemed_by_uid: redeemed ? ids[invitee] : null,
+    redeemed_at: redeemed ? at(-20) : null,
+    expires_at: at(10),
+    revoked_at: null,
+    created_at: at(-21)
+  });
+
+  const invitations = [
+    invitation(1, ids.design, "hana", "ana"),
+    invitation(2, ids.design, "hana", "ben"),
+    invitation(3, ids.design, "hana", "cara"),
+    invitation(4, ids.design, "hana", "dan", { code: "DAN234", redeemed: false }),
+    invitation(5, ids.books, "ana", "hana"),
+    invitation(6, ids.books, "ana", "ben", { redeemed: false })
+  ];
+
+  const member = (groupId, person, role, inv) => ({
+    group_id: groupId,
+    email_lower: people[person].email,
+    name: people[person].name,
+    role,
+    status: inv ? (inv.redeemed_at ? "joined" : "invited") : "joined",
+    invitation_id: inv?.id || null,
+    joined_at: inv ? inv.redeemed_at : at(-21),
+    created_at: at(-21)
+  });
+
+  const role = (groupId, person, value) => ({
+    group_id: groupId,
+    user_id: ids[person],
+    email_lower: people[person].email,
+    role: value,
+    created_at: at(-21)
+  });
+
+  const submission = (n, groupId, roundId, person, days) => ({
+    id: `00000000-0000-4000-8000-0000000005${String(n).padStart(2, "0")}`,
+    group_id: groupId,
+    round_id: roundId,
+    respondent_uid: ids[person],
+    submitted_at: at(days)
+  });
+
+  const feedbackRows = (groupId, roundId, rows, offset) =>
+    rows.map(([recipient, strengths, improvements, score], idx) => ({
+      id: `00000000-0000-4000-8000-0000000006${String(offset + idx).padStart(2, "0")}`,
+      group_id: groupId,
+      round_id: roundId,
+      recipient_email_lower: people[recipient].email,
+      strengths,
+      improvements,
+      answers: { strengths, improvements },
+      score
+    }));
+
+  return {
+    users,
+    profiles,
+    organizations: [{ id: ids.org, name: "Acme", created_by: ids.hana, created_at: at(-30) }],
+    organization_members: [
+      { org_id: ids.org, user_id: ids.hana, email_lower: people.hana.email, role: "admin", created_at: at(-30) },
+      { org_id: ids.org, user_id: ids.ana, email_lower: people.ana.email, role: "member", created_at: at(-30) }
+    ],
+    groups: [
+      group(ids.design, "Design team", "hana", { orgId: ids.org }),
+      group(ids.books, "Book club", "ana")
+    ],
+    group_roles: [
+      role(ids.design, "hana", "owner"),
+      role(ids.design, "ana", "member"),
+      role(ids.design, "ben", "member"),
+      role(ids.design, "cara", "member"),
+      role(ids.books, "ana", "owner"),
+      role(ids.books, "hana", "member")
+    ],
+    group_members: [
+      member(ids.design, "hana", "owner", null),
+      member(ids.design, "ana", "member", invitations[0]),
+      member(ids.design, "ben", "member", invitations[1]),
+      member(ids.design, "cara", "member", invitations[2]),
+      member(ids.design, "dan", "member", invitations[3]),
+      member(ids.books, "ana", "owner", null),
+      member(ids.books, "hana", "member", invitations[4]),
+      member(ids.books, "ben", "member", invitations[5])
+    ],
+    invitations,
+    invite_links: [],
+    invite_deliveries: [],
+    rounds: [
+      {
+        id: ids.designRound1,
+        group_id: ids.design,
+        number: 1,
+        questions: PEER_REVIEW,
+        opened_at: at(-21),
+        closed_at: at(-7),
+        due_at: at(-7),
+        released_at: at(-7)
+      },
+      {
+        id: ids.designRound2,
+        group_id: ids.design,
+        number: 2,
+        questions: PEER_REVIEW,
+        opened_at: at(-7),
+        closed_at: null,
+        due_at: at(5),
+        released_at: null
+      },
+      {
+        id: ids.booksRound1,
+        group_id: ids.books,
+        number: 1,
+        questions: PEER_REVIEW,
+        opened_at: at(-21),
+        closed_at: null,
+        due_at: null,
+        released_at: null
+      }
+    ],
+    submissions: [
+      submission(1, ids.design, ids.designRound1, "ana", -12),
+      submission(2, ids.design, ids.designRound1, "ben", -11),
+      submission(3, ids.design, ids.designRound1, "cara", -9),
+      submission(4, ids.design, ids.designRound2, "ben", -2)
+    ],
+    feedback: [
+      ...feedbackRows(ids.design, ids.designRound1, DESIGN_ROUND1_FEEDBACK, 1),
+      ...feedbackRows(ids.design, ids.designRound2, DESIGN_ROUND2_FEEDBACK, 20)
+    ],
+    notification_preferences: [],
+    round_notifications: []
+  };
+};
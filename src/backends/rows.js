@@ -0,0 +1,215 @@
+// Row shapes shared by the data backends: both hand the app the same camelCase objects, mapped from
+// snake_case rows shaped like the tables in supabase/migrations.
+import { normalizeEmailTemplate, validateEmailTemplate } from "../emailTemplates.js";
+import { normalizeQuestions } from "../questions.js";
+import { DEFAULT_MIN_RESPONDENTS, validateReleaseSettings } from "../release.js";
+
+export const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+export const mapGroupMemberRow = (row) => ({
+  emailLower: row.email_lower,
+  name: row.name,
+  role: row.role,
+  status: row.status,
+  invitationId: row.invitation_id || null,
+  joinedAt: row.joined_at,
+  createdAt: row.created_at
+});
+
+export const mapGroupRow = (row) => {
+  if (!row) return null;
+  const members = (Array.isArray(row.group_members) ? row.group_members : [])
+    .map(mapGroupMemberRow)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)) || a.name.localeCompare(b.name));
+  return {
+    id: row.id,
+    name: row.name,
+    hostUid: row.host_uid,
+    hostEmailLower: row.host_email_lower,
+    members,
+    memberEmails: members.map((m) => m.emailLower),
+    questions: normalizeQuestions(row.questions),
+    minRespondents: row.min_respondents || DEFAULT_MIN_RESPONDENTS,
+    releaseThreshold: row.release_threshold ?? null,
+    reminderDays: Array.isArray(row.reminder_days) ? row.reminder_days : [],
+    emailTemplate: normalizeEmailTemplate(row.email_template),
+    orgId: row.org_id || null
+  };
+};
+
+export const mapOrganizationRow = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    createdAt: row.created_at
+  };
+};
+
+export const mapOrganizationMemberRow = (row) => {
+  if (!row) return null;
+  return {
+    orgId: row.org_id,
+    userId: row.user_id,
+    emailLower: row.email_lower,
+    role: row.role,
+    createdAt: row.created_at
+  };
+};
+
+export const mapParticipationRow = (row) => ({
+  groupId: row.group_id,
+  groupName: row.group_name,
+  ownerEmailLower: row.owner_email_lower,
+  memberCount: row.member_count || 0,
+  roundNumber: row.round_number ?? null,
+  roundOpen: Boolean(row.round_open),
+  dueAt: row.due_at,
+  responded: row.responded || 0,
+  released: Boolean(row.released)
+});
+
+export const mapFeedbackSummaryRow = (row) => ({
+  recipientEmailLower: row.recipient_email_lower,
+  responses: row.responses || 0,
+  // Null when the recipient has too few responses for their scores to stay anonymous.
+  averageScore: row.average_score === null ? null : Number(row.average_score),
+  scoreSpread: row.score_spread === null ? null : Number(row.score_spread) || 0
+});
+
+export const mapAnswerSummaryRow = (row) => ({
+  questionId: row.question_id,
+  answer: row.answer,
+  responses: row.responses || 0
+});
+
+export const mapGroupRoleRow = (row) => {
+  if (!row) return null;
+  return {
+    groupId: row.group_id,
+    userId: row.user_id,
+    emailLower: row.email_lower,
+    role: row.role,
+    createdAt: row.created_at
+  };
+};
+
+export const mapInvitationRow = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    groupId: row.group_id,
+    hostUid: row.host_uid,
+    hostEmailLower: row.host_email_lower,
+    emailLower: row.email_lower,
+    name: row.name,
+    redeemedByUid: row.redeemed_by_uid,
+    redeemedAt: row.redeemed_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+};
+
+// Invite codes are hashed on insert, so the plaintext only exists in the caller's input. Hand it back once so it
+// can be shown and emailed right after creation.
+export const withTempPasswords = (invitations, members) => {
+  const codes = new Map(members.map((m) => [m.emailLower, m.tempPassword]));
+  return invitations.map((i) => ({ ...i, tempPassword: codes.get(i.emailLower) || "" }));
+};
+
+export const mapInviteLinkRow = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    invitationId: row.invitation_id,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+};
+
+export const mapInviteDeliveryRow = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    invitationId: row.invitation_id,
+    emailLower: row.email_lower,
+    provider: row.provider,
+    messageId: row.message_id,
+    status: row.status,
+    error: row.error,
+    attempt: row.attempt,
+    createdAt: row.created_at
+  };
+};
+
+export const mapRoundRow = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    groupId: row.group_id,
+    number: row.number,
+    questions: normalizeQuestions(row.questions),
+    openedAt: row.opened_at,
+    closedAt: row.closed_at,
+    dueAt: row.due_at || null,
+    releasedAt: row.released_at || null,
+    isOpen: !row.closed_at
+  };
+};
+
+// round_response_counts: how many responded to a round and whether the signed-in user did (never who else).
+export const mapRoundResponsesRow = (row) => {
+  if (!row) return null;
+  return {
+    groupId: row.group_id,
+    roundId: row.round_id,
+    responded: Number(row.responded) || 0,
+    submitted: Boolean(row.submitted)
+  };
+};
+
+export const mapFeedbackRow = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    groupId: row.group_id,
+    roundId: row.round_id,
+    recipientEmailLower: row.recipient_email_lower,
+    strengths: row.strengths,
+    improvements: row.improvements,
+    // Legacy rows predate per-question answers; they map onto the default peer review question ids.
+    answers:
+      row.answers && Object.keys(row.answers).length > 0
+        ? row.answers
+        : { strengths: row.strengths, improvements: row.improvements },
+    score: row.score
+  };
+};
+
+export const normalizeReminderDays = (reminderDays) => {
+  const days = (reminderDays || []).map(Number).filter((d) => Number.isInteger(d) && d >= 0);
+  return Array.from(new Set(days)).sort((a, b) => b - a);
+};
+
+export const normalizeReleaseSettings = ({ minRespondents, releaseThreshold, memberCount }) => {
+  const settings = {
+    minRespondents: Number(minRespondents ?? DEFAULT_MIN_RESPONDENTS),
+    releaseThreshold:
+      releaseThreshold === null || releaseThreshold === undefined || releaseThreshold === ""
+        ? null
+        : Number(releaseThreshold)
+  };
+  const error = validateReleaseSettings({ ...settings, memberCount });
+  if (error) throw new Error(error);
+  return settings;
+};
+
+// What goes in groups.email_template: validated, with defaults filled in.
+export const normalizeEmailTemplateSettings = (template) => {
+  const error = validateEmailTemplate(template);
+  if (error) throw new Error(error);
+  return normalizeEmailTemplate(template);
+};
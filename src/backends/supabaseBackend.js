@@ -0,0 +1,703 @@
+import { supabase, supabaseInitError } from "../supabase";
+import { normalizeQuestions, validateQuestions } from "../questions";
+import { DEFAULT_REMINDER_DAYS } from "../release";
+import { validateMemberList } from "../roster";
+import {
+  normalizeEmail,
+  mapGroupRow,
+  mapOrganizationRow,
+  mapOrganizationMemberRow,
+  mapParticipationRow,
+  mapFeedbackSummaryRow,
+  mapAnswerSummaryRow,
+  mapGroupRoleRow,
+  mapInvitationRow,
+  withTempPasswords,
+  mapInviteDeliveryRow,
+  mapInviteLinkRow,
+  mapRoundRow,
+  mapRoundResponsesRow,
+  mapFeedbackRow,
+  normalizeReminderDays,
+  normalizeReleaseSettings,
+  normalizeEmailTemplateSettings
+} from "./rows";
+
+const assertSupabase = () => {
+  if (supabaseInitError || !supabase) {
+    throw new Error("Supabase is not configured (missing VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY).");
+  }
+};
+
+const throwIfError = (error) => {
+  if (!error) return;
+  const message = error?.message || "Request failed";
+  throw new Error(message);
+};
+
+// Groups are always read with their roster embedded (group_members rows, see supabase/migrations).
+const GROUP_SELECT = "*, group_members(*)";
+
+// Highest applied migration (public.schema_migrations), or 0 for databases set up before migrations existed.
+export const getSchemaVersion = async () => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("schema_version");
+  if (error && (error.code === "PGRST202" || error.code === "42883")) return 0;
+  throwIfError(error);
+  return Number(data) || 0;
+};
+
+export const getGroup = async ({ groupId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.from("groups").select(GROUP_SELECT).eq("id", groupId).single();
+  throwIfError(error);
+  return mapGroupRow(data);
+};
+
+export const createGroup = async ({
+  name,
+  hostUid,
+  hostEmail,
+  hostName,
+  members,
+  questions,
+  minRespondents,
+  releaseThreshold,
+  dueAt,
+  reminderDays = DEFAULT_REMINDER_DAYS,
+  emailTemplate = {},
+  orgId = null
+}) => {
+  assertSupabase();
+  const groupName = String(name || "").trim();
+  if (!groupName) throw new Error("Group name is required");
+
+  const normalizedQuestions = normalizeQuestions(questions);
+  const questionsError = validateQuestions(normalizedQuestions);
+  if (questionsError) throw new Error(questionsError);
+
+  const hostEmailLower = normalizeEmail(hostEmail);
+  const hostDisplayName = String(hostName || "").trim() || (hostEmailLower ? hostEmailLower.split("@")[0] : "Host");
+
+  const normalizedMembers = (members || [])
+    .map((m) => ({
+      emailLower: normalizeEmail(m.email),
+      name: String(m.name || "").trim(),
+      tempPassword: String(m.tempPassword || "").trim()
+    }))
+    .filter((m) => m.emailLower && m.name && m.tempPassword);
+
+  const rosterError = validateMemberList(normalizedMembers, { hostEmail: hostEmailLower });
+  if (rosterError) throw new Error(rosterError);
+
+  const membersForGroup = [
+    { emailLower: hostEmailLower, name: hostDisplayName },
+    ...normalizedMembers.map(({ emailLower, name }) => ({ emailLower, name }))
+  ];
+  const release = normalizeReleaseSettings({ minRespondents, releaseThreshold, memberCount: membersForGroup.length });
+  const emailTemplateRow = normalizeEmailTemplateSettings(emailTemplate);
+
+  const { data: groupRow, error: groupError } = await supabase
+    .from("groups")
+    .insert({
+      name: groupName,
+      host_uid: hostUid,
+      host_email_lower: hostEmailLower,
+      questions: normalizedQuestions,
+      min_respondents: release.minRespondents,
+      release_threshold: release.releaseThreshold,
+      reminder_days: normalizeReminderDays(reminderDays),
+      email_template: emailTemplateRow,
+      org_id: orgId || null
+    })
+    .select("id")
+    .single();
+  throwIfError(groupError);
+
+  // The creator's owner role is added by a trigger, which lets them write the roster.
+  const { error: membersError } = await supabase.from("group_members").insert(
+    membersForGroup.map((m) => ({ group_id: groupRow.id, email_lower: m.emailLower, name: m.name }))
+  );
+  throwIfError(membersError);
+
+  // The first round is opened by a trigger on insert; attach the deadline to it.
+  if (dueAt) {
+    const { data: firstRound, error: roundError } = await supabase
+      .from("rounds")
+      .select("id")
+      .eq("group_id", groupRow.id)
+      .eq("number", 1)
+      .single();
+    throwIfError(roundError);
+    await setRoundDueAt({ roundId: firstRound.id, dueAt });
+  }
+
+  let inviteRows = [];
+  if (normalizedMembers.length > 0) {
+    const invitesInsert = normalizedMembers.map((m) => ({
+      group_id: groupRow.id,
+      host_uid: hostUid,
+      host_email_lower: hostEmailLower,
+      email_lower: m.emailLower,
+      name: m.name,
+      temp_password: m.tempPassword
+    }));
+
+    const res = await supabase.from("invitations").insert(invitesInsert).select("*");
+    throwIfError(res.error);
+    inviteRows = res.data || [];
+  }
+
+  return {
+    group: await getGroup({ groupId: groupRow.id }),
+    invitations: withTempPasswords((inviteRows || []).map(mapInvitationRow), normalizedMembers)
+  };
+};
+
+export const createGroupInvitations = async ({ groupId, hostUid, hostEmailLower, members }) => {
+  assertSupabase();
+  const normalizedGroupId = String(groupId || "").trim();
+  if (!normalizedGroupId) throw new Error("groupId is required");
+
+  const hostEmail = normalizeEmail(hostEmailLower);
+  if (!hostEmail) throw new Error("hostEmailLower is required");
+
+  const normalizedMembers = (members || [])
+    .map((m) => ({
+      emailLower: normalizeEmail(m.emailLower || m.email),
+      name: String(m.name || "").trim(),
+      tempPassword: String(m.tempPassword || "").trim()
+    }))
+    .filter((m) => m.emailLower && m.name && m.tempPassword);
+
+  const emails = normalizedMembers.map((m) => m.emailLower);
+  if (emails.includes(hostEmail)) throw new Error("Don't create an invitation for the host email");
+  if (new Set(emails).size !== emails.length) throw new Error("Each member must have a unique email");
+
+  if (normalizedMembers.length === 0) return [];
+
+  const invitesInsert = normalizedMembers.map((m) => ({
+    group_id: normalizedGroupId,
+    host_uid: hostUid,
+    host_email_lower: hostEmail,
+    email_lower: m.emailLower,
+    name: m.name,
+    temp_password: m.tempPassword
+  }));
+
+  const { data, error } = await supabase.from("invitations").insert(invitesInsert).select("*");
+  throwIfError(error);
+  return withTempPasswords((data || []).map(mapInvitationRow), normalizedMembers);
+};
+
+// Issues a new code for an invitation (the old one stops working) and returns the plaintext.
+export const regenerateInvitationCode = async ({ invitationId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("regenerate_invitation_code", { invitation_id_input: invitationId });
+  throwIfError(error);
+  return String(data || "");
+};
+
+// Stops the invitation's code and links from working until a host restores it.
+export const revokeInvitation = async ({ invitationId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("revoke_invitation", { invitation_id_input: invitationId });
+  throwIfError(error);
+  return mapInvitationRow(data);
+};
+
+// Undoes a revocation: the current code works again, with a fresh expiry.
+export const restoreInvitation = async ({ invitationId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("restore_invitation", { invitation_id_input: invitationId });
+  throwIfError(error);
+  return mapInvitationRow(data);
+};
+
+// Groups the user owns or co-hosts, tagged with `myRole`.
+export const listManagedGroups = async ({ uid }) => {
+  assertSupabase();
+  const { data: roleRows, error: roleError } = await supabase
+    .from("group_roles")
+    .select("group_id,role")
+    .eq("user_id", uid)
+    .in("role", ["owner", "cohost"]);
+  throwIfError(roleError);
+
+  const roles = new Map((roleRows || []).map((r) => [r.group_id, r.role]));
+  if (roles.size === 0) return [];
+  const { data, error } = await supabase.from("groups").select(GROUP_SELECT).in("id", Array.from(roles.keys()));
+  throwIfError(error);
+  return (data || []).map((row) => ({ ...mapGroupRow(row), myRole: roles.get(row.id) }));
+};
+
+export const listMemberGroups = async ({ uid, emailLower }) => {
+  assertSupabase();
+  const normalized = normalizeEmail(emailLower);
+
+  // Prefer "redeemed invitation" membership; avoid embedded selects (they can fail silently if the relationship isn't cached).
+  const { data: inviteRows, error: inviteError } = await supabase
+    .from("invitations")
+    .select("group_id")
+    .eq("redeemed_by_uid", uid);
+  throwIfError(inviteError);
+
+  const groupIds = Array.from(new Set((inviteRows || []).map((r) => r.group_id).filter(Boolean)));
+  if (groupIds.length > 0) {
+    const { data, error } = await supabase.from("groups").select(GROUP_SELECT).in("id", groupIds);
+    throwIfError(error);
+    const groups = (data || []).map((row) => ({ ...mapGroupRow(row), myRole: "member" }));
+    if (groups.length > 0) return groups;
+    throw new Error(
+      "Your invite was redeemed, but your database is blocking group reads (RLS). Apply the pending database migrations (npm run migrate), then reload."
+    );
+  }
+
+  // Fall back to email-based membership for hosts / legacy groups.
+  if (!normalized) return [];
+  const { data: rosterRows, error: rosterError } = await supabase
+    .from("group_members")
+    .select("group_id")
+    .eq("email_lower", normalized);
+  throwIfError(rosterError);
+
+  const rosterGroupIds = Array.from(new Set((rosterRows || []).map((r) => r.group_id)));
+  if (rosterGroupIds.length === 0) return [];
+  const { data, error } = await supabase.from("groups").select(GROUP_SELECT).in("id", rosterGroupIds);
+  throwIfError(error);
+  return (data || []).map((row) => ({ ...mapGroupRow(row), myRole: "member" }));
+};
+
+// Owner first, then co-hosts, then members.
+export const listGroupRoles = async ({ groupId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.from("group_roles").select("*").eq("group_id", groupId);
+  throwIfError(error);
+  const order = { owner: 0, cohost: 1, member: 2 };
+  return (data || []).map(mapGroupRoleRow).sort((a, b) => order[a.role] - order[b.role]);
+};
+
+export const addGroupCohost = async ({ groupId, email }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("add_group_cohost", {
+    group_id_input: groupId,
+    email_input: normalizeEmail(email)
+  });
+  throwIfError(error);
+  return mapGroupRoleRow(data);
+};
+
+// The owner removes a co-host, or a co-host steps down (userId = their own uid).
+export const removeGroupCohost = async ({ groupId, userId }) => {
+  assertSupabase();
+  const { error } = await supabase.rpc("remove_group_cohost", { group_id_input: groupId, user_id_input: userId });
+  throwIfError(error);
+};
+
+// Hands the group to a co-host; the caller stays on as a co-host.
+export const transferGroupOwnership = async ({ groupId, newOwnerUid }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("transfer_group_ownership", {
+    group_id_input: groupId,
+    new_owner_uid_input: newOwnerUid
+  });
+  throwIfError(error);
+  return mapGroupRow(data);
+};
+
+export const listGroupInvitations = async ({ groupId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.from("invitations").select("*").eq("group_id", groupId);
+  throwIfError(error);
+  return (data || []).map(mapInvitationRow);
+};
+
+// One row per round: how many responded and whether the current user did.
+export const listGroupResponses = async ({ groupId, roundId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("round_response_counts", { group_ids: [groupId] });
+  throwIfError(error);
+  return (data || []).map(mapRoundResponsesRow).filter((r) => !roundId || r.roundId === roundId);
+};
+
+// Newest round first; the first entry is the group's current round (open, or the most recently closed).
+export const listGroupRounds = async ({ groupId }) => {
+  assertSupabase();
+  const { data, error } = await supabase
+    .from("rounds")
+    .select("*")
+    .eq("group_id", groupId)
+    .order("number", { ascending: false });
+  throwIfError(error);
+  return (data || []).map(mapRoundRow);
+};
+
+export const listRoundsForGroups = async ({ groupIds }) => {
+  assertSupabase();
+  const ids = Array.from(new Set((groupIds || []).filter(Boolean)));
+  if (ids.length === 0) return [];
+  const { data, error } = await supabase.from("rounds").select("*").in("group_id", ids);
+  throwIfError(error);
+  return (data || []).map(mapRoundRow);
+};
+
+export const listResponsesForGroups = async ({ groupIds }) => {
+  assertSupabase();
+  const ids = Array.from(new Set((groupIds || []).filter(Boolean)));
+  if (ids.length === 0) return [];
+  const { data, error } = await supabase.rpc("round_response_counts", { group_ids: ids });
+  throwIfError(error);
+  return (data || []).map(mapRoundResponsesRow);
+};
+
+export const openGroupRound = async ({ groupId, dueAt }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("open_round", {
+    group_id_input: groupId,
+    due_at_input: dueAt ? new Date(dueAt).toISOString() : null
+  });
+  throwIfError(error);
+  return mapRoundRow(data);
+};
+
+export const closeGroupRound = async ({ groupId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("close_round", { group_id_input: groupId });
+  throwIfError(error);
+  return mapRoundRow(data);
+};
+
+export const setRoundDueAt = async ({ roundId, dueAt }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("set_round_due_at", {
+    round_id_input: roundId,
+    due_at_input: dueAt ? new Date(dueAt).toISOString() : null
+  });
+  throwIfError(error);
+  return mapRoundRow(data);
+};
+
+export const updateGroupReleaseSettings = async ({
+  groupId,
+  minRespondents,
+  releaseThreshold,
+  reminderDays,
+  memberCount
+}) => {
+  assertSupabase();
+  const release = normalizeReleaseSettings({ minRespondents, releaseThreshold, memberCount });
+  const { data, error } = await supabase
+    .from("groups")
+    .update({
+      min_respondents: release.minRespondents,
+      release_threshold: release.releaseThreshold,
+      reminder_days: normalizeReminderDays(reminderDays)
+    })
+    .eq("id", groupId)
+    .select(GROUP_SELECT)
+    .single();
+  throwIfError(error);
+  return mapGroupRow(data);
+};
+
+export const updateGroupEmailTemplate = async ({ groupId, emailTemplate }) => {
+  assertSupabase();
+  const { data, error } = await supabase
+    .from("groups")
+    .update({ email_template: normalizeEmailTemplateSettings(emailTemplate) })
+    .eq("id", groupId)
+    .select(GROUP_SELECT)
+    .single();
+  throwIfError(error);
+  return mapGroupRow(data);
+};
+
+export const submitGroupResponse = async ({ groupId, respondentUid, respondentEmailLower, feedbackItems }) => {
+  assertSupabase();
+  void respondentUid;
+  void respondentEmailLower;
+  const { error } = await supabase.rpc("submit_feedback", { group_id_input: groupId, items: feedbackItems });
+  throwIfError(error);
+  return true;
+};
+
+export const upsertUserProfile = async ({ uid, emailLower, firstName }) => {
+  assertSupabase();
+  const { error } = await supabase.from("profiles").upsert(
+    {
+      id: uid,
+      email_lower: normalizeEmail(emailLower),
+      first_name: String(firstName || "").trim(),
+      updated_at: new Date().toISOString()
+    },
+    { onConflict: "id" }
+  );
+  throwIfError(error);
+};
+
+export const getUserProfile = async ({ uid }) => {
+  assertSupabase();
+  const { data, error } = await supabase.from("profiles").select("*").eq("id", uid).maybeSingle();
+  throwIfError(error);
+  if (!data) return null;
+  return {
+    id: data.id,
+    emailLower: data.email_lower,
+    firstName: data.first_name
+  };
+};
+
+// No row means the defaults: every notification on.
+export const getNotificationPreferences = async ({ uid }) => {
+  assertSupabase();
+  const { data, error } = await supabase
+    .from("notification_preferences")
+    .select("results_ready")
+    .eq("user_id", uid)
+    .maybeSingle();
+  throwIfError(error);
+  return { resultsReady: data ? data.results_ready !== false : true };
+};
+
+export const updateNotificationPreferences = async ({ uid, resultsReady }) => {
+  assertSupabase();
+  const { data, error } = await supabase
+    .from("notification_preferences")
+    .upsert(
+      { user_id: uid, results_ready: Boolean(resultsReady), updated_at: new Date().toISOString() },
+      { onConflict: "user_id" }
+    )
+    .select("results_ready")
+    .single();
+  throwIfError(error);
+  return { resultsReady: data.results_ready !== false };
+};
+
+export const redeemInvitationForUser = async ({ uid, emailLower, tempPassword }) => {
+  const normalizedEmail = normalizeEmail(emailLower);
+  assertSupabase();
+  void uid;
+  const { data, error } = await supabase.rpc("redeem_invitation", {
+    email_lower_input: normalizedEmail,
+    temp_password_input: tempPassword
+  });
+  throwIfError(error);
+  // A wrong code comes back empty rather than as an error, so the server can record the attempt.
+  if (!data?.id) throw new Error("Invalid email or temporary password");
+  return mapInvitationRow(data);
+};
+
+export const redeemInviteLink = async ({ token }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("redeem_invite_link", { token_input: String(token || "").trim() });
+  throwIfError(error);
+  return mapInvitationRow(data);
+};
+
+// Returns the raw token; the link is `${origin}/join/${token}`. Issuing a link revokes the invitee's unused ones.
+export const createInviteLink = async ({ invitationId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("create_invite_link", { invitation_id_input: invitationId });
+  throwIfError(error);
+  return String(data || "");
+};
+
+export const revokeInviteLinks = async ({ invitationId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("revoke_invite_links", { invitation_id_input: invitationId });
+  throwIfError(error);
+  return Number(data || 0);
+};
+
+export const listInviteLinks = async ({ invitationIds }) => {
+  assertSupabase();
+  const ids = Array.from(new Set((invitationIds || []).filter(Boolean)));
+  if (ids.length === 0) return [];
+  const { data, error } = await supabase
+    .from("invite_links")
+    .select("id,invitation_id,expires_at,used_at,revoked_at,created_at")
+    .in("invitation_id", ids)
+    .order("created_at", { ascending: false });
+  throwIfError(error);
+  return (data || []).map(mapInviteLinkRow);
+};
+
+// Newest first. Only hosts can read a group's delivery log (RLS).
+export const listInviteDeliveries = async ({ groupId }) => {
+  assertSupabase();
+  const { data, error } = await supabase
+    .from("invite_deliveries")
+    .select("id,invitation_id,email_lower,provider,message_id,status,error,attempt,created_at")
+    .eq("group_id", groupId)
+    .order("created_at", { ascending: false });
+  throwIfError(error);
+  return (data || []).map(mapInviteDeliveryRow);
+};
+
+export const getMemberIdentityFromInvites = async ({ uid }) => {
+  assertSupabase();
+  const { data, error } = await supabase
+    .from("invitations")
+    .select("email_lower,name,redeemed_at")
+    .eq("redeemed_by_uid", uid)
+    .order("redeemed_at", { ascending: false, nullsFirst: false })
+    .limit(1)
+    .maybeSingle();
+  throwIfError(error);
+  if (!data) return null;
+  return {
+    emailLower: data.email_lower,
+    firstName: data.name
+  };
+};
+
+export const deleteGroupCascade = async ({ groupId }) => {
+  assertSupabase();
+  const { error } = await supabase.from("groups").delete().eq("id", groupId);
+  throwIfError(error);
+};
+
+// Files a group under one of the caller's organizations, or takes it out (orgId = null).
+export const setGroupOrganization = async ({ groupId, orgId }) => {
+  assertSupabase();
+  const { data, error } = await supabase
+    .from("groups")
+    .update({ org_id: orgId || null })
+    .eq("id", groupId)
+    .select(GROUP_SELECT)
+    .single();
+  throwIfError(error);
+  return mapGroupRow(data);
+};
+
+// Organizations the user belongs to, tagged with `myRole` ("admin" | "member").
+export const listMyOrganizations = async ({ uid }) => {
+  assertSupabase();
+  const { data: memberRows, error: memberError } = await supabase
+    .from("organization_members")
+    .select("org_id,role")
+    .eq("user_id", uid);
+  throwIfError(memberError);
+
+  const roles = new Map((memberRows || []).map((r) => [r.org_id, r.role]));
+  if (roles.size === 0) return [];
+  const { data, error } = await supabase
+    .from("organizations")
+    .select("*")
+    .in("id", Array.from(roles.keys()))
+    .order("name", { ascending: true });
+  throwIfError(error);
+  return (data || []).map((row) => ({ ...mapOrganizationRow(row), myRole: roles.get(row.id) }));
+};
+
+export const createOrganization = async ({ name }) => {
+  assertSupabase();
+  const orgName = String(name || "").trim();
+  if (!orgName) throw new Error("Organization name is required");
+  const { data, error } = await supabase.rpc("create_organization", { name_input: orgName });
+  throwIfError(error);
+  return { ...mapOrganizationRow(data), myRole: "admin" };
+};
+
+// Admins first, then by email.
+export const listOrganizationMembers = async ({ orgId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.from("organization_members").select("*").eq("org_id", orgId);
+  throwIfError(error);
+  return (data || [])
+    .map(mapOrganizationMemberRow)
+    .sort((a, b) => (a.role === b.role ? a.emailLower.localeCompare(b.emailLower) : a.role === "admin" ? -1 : 1));
+};
+
+// Adds someone by the email on their account, or changes their role.
+export const setOrganizationMember = async ({ orgId, email, role = "member" }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("set_organization_member", {
+    org_id_input: orgId,
+    email_input: normalizeEmail(email),
+    role_input: role
+  });
+  throwIfError(error);
+  return mapOrganizationMemberRow(data);
+};
+
+export const removeOrganizationMember = async ({ orgId, userId }) => {
+  assertSupabase();
+  const { error } = await supabase.rpc("remove_organization_member", { org_id_input: orgId, user_id_input: userId });
+  throwIfError(error);
+};
+
+// Admin-only: each org group's current round with response counts (no feedback content).
+export const listOrganizationParticipation = async ({ orgId }) => {
+  assertSupabase();
+  const { data, error } = await supabase.rpc("organization_participation", { org_id_input: orgId });
+  throwIfError(error);
+  return (data || []).map(mapParticipationRow);
+};
+
+// Host-only aggregates for a released round (see group_feedback_summary and group_answer_summary): score
+// statistics per recipient and team-wide counts of structured answers. Never individual rows or free text.
+export const getGroupTeamSummary = async ({ groupId, roundId }) => {
+  assertSupabase();
+  const args = { group_id_input: groupId, round_id_input: roundId };
+  const [recipients, answers] = await Promise.all([
+    supabase.rpc("group_feedback_summary", args),
+    supabase.rpc("group_answer_summary", args)
+  ]);
+  throwIfError(recipients.error);
+  throwIfError(answers.error);
+  return {
+    recipients: (recipients.data || []).map(mapFeedbackSummaryRow),
+    answers: (answers.data || []).map(mapAnswerSummaryRow)
+  };
+};
+
+// Adds and removes roster rows individually, so concurrent edits only touch the people they name. Adding someone
+// who is already on the roster is a no-op.
+export const updateGroupMembers = async ({ groupId, add = [], remove = [] }) => {
+  assertSupabase();
+  const toAdd = (add || [])
+    .map((m) => ({
+      group_id: groupId,
+      email_lower: normalizeEmail(m.emailLower || m.email),
+      name: String(m.name || "").trim()
+    }))
+    .filter((m) => m.email_lower && m.name);
+  const toRemove = Array.from(new Set((remove || []).map(normalizeEmail).filter(Boolean)));
+
+  if (toAdd.length > 0) {
+    const { error } = await supabase
+      .from("group_members")
+      .upsert(toAdd, { onConflict: "group_id,email_lower", ignoreDuplicates: true });
+    throwIfError(error);
+  }
+
+  if (toRemove.length > 0) {
+    const { error } = await supabase.from("group_members").delete().eq("group_id", groupId).in("email_lower", toRemove);
+    throwIfError(error);
+  }
+
+  return getGroup({ groupId });
+};
+
+// Feedback can't be selected directly (see supabase/migrations); list_my_feedback only returns the caller's own rows.
+export const listGroupFeedbackForRecipient = async ({ groupId, roundId, recipientEmailLower }) => {
+  assertSupabase();
+  const normalized = normalizeEmail(recipientEmailLower);
+  const { data, error } = await supabase.rpc("list_my_feedback", {
+    group_ids: [groupId],
+    round_id_input: roundId || null
+  });
+  throwIfError(error);
+  return (data || []).map(mapFeedbackRow).filter((f) => f.recipientEmailLower === normalized);
+};
+
+export const listFeedbackForRecipient = async ({ recipientEmailLower, groupIds }) => {
+  assertSupabase();
+  const normalized = normalizeEmail(recipientEmailLower);
+  const ids = Array.from(new Set((groupIds || []).filter(Boolean)));
+  if (!normalized || ids.length === 0) return [];
+  const { data, error } = await supabase.rpc("list_my_feedback", { group_ids: ids, round_id_input: null });
+  throwIfError(error);
+  return (data || []).map(mapFeedbackRow).filter((f) => f.recipientEmailLower === normalized);
+};
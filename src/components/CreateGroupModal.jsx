@@ -0,0 +1,724 @@
+import React, { useState } from "react";
+import { Plus, Trash2, Mail, Upload } from "lucide-react";
+import { createGroup } from "../db";
+import { sendGroupInviteEmails } from "../email";
+import {
+  QUESTION_TEMPLATES,
+  QUESTION_TYPES,
+  cloneTemplateQuestions,
+  createQuestion,
+  validateQuestions
+} from "../questions";
+import {
+  DEFAULT_MIN_RESPONDENTS,
+  DEFAULT_REMINDER_DAYS,
+  MIN_RESPONDENTS_FLOOR,
+  REMINDER_DAY_OPTIONS,
+  describeReminderDay,
+  validateReleaseSettings
+} from "../release";
+import { checkMemberImport, parseMemberFile } from "../roster";
+import {
+  EMAIL_KINDS,
+  EMAIL_LOCALES,
+  EMAIL_PLACEHOLDERS,
+  normalizeEmailTemplate,
+  previewEmail,
+  validateEmailTemplate
+} from "../emailTemplates";
+import { useI18n } from "../context";
+import { fromDateTimeLocal, generateTempPassword, toInviteCredentials } from "../utils";
+import { InvitationSuccess } from "./Invitations";
+import { Button, Card, Input, Textarea } from "./ui";
+
+// ============================================================================
+// CREATE GROUP MODAL
+// ============================================================================
+
+export const CreateGroupModal = ({ hostUid, hostEmail, hostName, organizations = [], onClose, onCreated }) => {
+  const { t } = useI18n();
+  const [step, setStep] = useState(1);
+  const [groupName, setGroupName] = useState("");
+  const [orgId, setOrgId] = useState("");
+  const [questions, setQuestions] = useState(() => cloneTemplateQuestions(QUESTION_TEMPLATES[0].id, t));
+  const [createdInvitations, setCreatedInvitations] = useState([]);
+  const [createdGroupId, setCreatedGroupId] = useState(null);
+  const [members, setMembers] = useState([{ email: "", name: "" }]);
+  const [release, setRelease] = useState({
+    minRespondents: String(DEFAULT_MIN_RESPONDENTS),
+    releaseThreshold: "",
+    dueAt: "",
+    reminderDays: DEFAULT_REMINDER_DAYS
+  });
+  // Emails start out in the host's language when there are email strings for it.
+  const [emailTemplate, setEmailTemplate] = useState(() => normalizeEmailTemplate({ locale: t.locale }));
+  const [showEmailTemplate, setShowEmailTemplate] = useState(false);
+  const [error, setError] = useState("");
+  const [creating, setCreating] = useState(false);
+  const [emailStatus, setEmailStatus] = useState({
+    sending: false,
+    provider: "",
+    sent: 0,
+    failed: 0,
+    error: "",
+    failures: []
+  });
+
+  const addMember = () => setMembers([...members, { email: "", name: "" }]);
+
+  // Imported members replace the empty rows.
+  const importMembers = (imported) =>
+    setMembers((rows) => [...rows.filter((m) => m.email.trim() || m.name.trim()), ...imported]);
+
+  const removeMember = (idx) => {
+    if (members.length > 1) {
+      setMembers(members.filter((_, i) => i !== idx));
+    }
+  };
+
+  const updateMember = (idx, field, value) => {
+    const updated = [...members];
+    updated[idx] = { ...updated[idx], [field]: value };
+    setMembers(updated);
+  };
+
+  const handleCreate = async () => {
+    setError("");
+
+    if (!groupName.trim()) {
+      setError(t("createGroup.errors.nameRequired"));
+      return;
+    }
+
+    const validMembers = members.filter((m) => m.email.trim() && m.name.trim());
+
+    const hostEmailLower = String(hostEmail || "").trim().toLowerCase();
+    const emails = validMembers.map((m) => m.email.toLowerCase());
+    if (hostEmailLower && emails.includes(hostEmailLower)) {
+      setError(t("createGroup.errors.ownEmail"));
+      return;
+    }
+    if (new Set(emails).size !== emails.length) {
+      setError(t("createGroup.errors.duplicateEmail"));
+      return;
+    }
+
+    const releaseError = validateReleaseSettings({ ...release, memberCount: validMembers.length + 1 }, t);
+    if (releaseError) {
+      setError(releaseError);
+      return;
+    }
+
+    const templateError = validateEmailTemplate(emailTemplate);
+    if (templateError) {
+      setShowEmailTemplate(true);
+      setError(templateError);
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const membersWithPasswords = validMembers.map((m) => ({
+        email: m.email.toLowerCase(),
+        name: m.name.trim(),
+        tempPassword: generateTempPassword()
+      }));
+
+      const result = await createGroup({
+        name: groupName,
+        hostUid,
+        hostEmail,
+        hostName,
+        members: membersWithPasswords,
+        questions,
+        minRespondents: release.minRespondents,
+        releaseThreshold: release.releaseThreshold,
+        dueAt: fromDateTimeLocal(release.dueAt),
+        reminderDays: release.reminderDays,
+        emailTemplate,
+        orgId: orgId || null
+      });
+
+      setCreatedGroupId(result.group.id);
+      setCreatedInvitations(
+        result.invitations.map((i) => ({
+          email: i.emailLower,
+          name: i.name,
+          tempPassword: i.tempPassword
+        }))
+      );
+      setStep(4);
+      await onCreated(result.group);
+
+      if (result.invitations.length > 0) {
+        setEmailStatus({ sending: true, provider: "", sent: 0, failed: 0, error: "", failures: [] });
+        try {
+          const res = await sendGroupInviteEmails({
+            groupId: result.group.id,
+            credentials: toInviteCredentials(result.invitations)
+          });
+          setEmailStatus({
+            sending: false,
+            provider: String(res?.provider || ""),
+            sent: Number(res?.sent || 0),
+            failed: Number(res?.failed || 0),
+            error: "",
+            failures: Array.isArray(res?.failures) ? res.failures : []
+          });
+        } catch (err) {
+          setEmailStatus({
+            sending: false,
+            provider: "",
+            sent: 0,
+            failed: result.invitations.length,
+            error: String(err?.message || t("invitations.errors.notConfigured")),
+            failures: []
+          });
+        }
+      }
+    } catch (err) {
+      setError(err?.message || t("createGroup.errors.failed"));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 overflow-y-auto">
+      <Card className="w-full max-w-3xl my-8">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-white">{t("createGroup.title")}</h2>
+          {step !== 4 && (
+            <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl leading-none">
+              ×
+            </button>
+          )}
+        </div>
+
+        {step === 1 && (
+          <div className="space-y-6">
+            <Input
+              label={t("createGroup.purpose")}
+              placeholder={t("createGroup.purposePlaceholder")}
+              value={groupName}
+              onChange={(e) => setGroupName(e.target.value)}
+            />
+
+            {organizations.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">{t("createGroup.organization")}</label>
+                <select
+                  className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white"
+                  value={orgId}
+                  onChange={(e) => setOrgId(e.target.value)}
+                >
+                  <option value="">{t("createGroup.noOrganization")}</option>
+                  {organizations.map((org) => (
+                    <option key={org.id} value={org.id}>
+                      {org.name}
+                    </option>
+                  ))}
+                </select>
+                <p className="mt-2 text-xs text-gray-500">{t("createGroup.organizationHint")}</p>
+              </div>
+            )}
+
+            <div className="text-center">
+              <Button onClick={() => setStep(2)} disabled={!groupName.trim()}>
+                {t("common.continue")}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === 2 && (
+          <div className="space-y-6">
+            <QuestionSetEditor questions={questions} onChange={setQuestions} />
+
+            {error && (
+              <div className="bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">{error}</div>
+            )}
+
+            <div className="flex gap-3">
+              <Button variant="secondary" onClick={() => setStep(1)}>
+                {t("common.back")}
+              </Button>
+              <Button
+                onClick={() => {
+                  const questionsError = validateQuestions(questions, t);
+                  setError(questionsError);
+                  if (!questionsError) setStep(3);
+                }}
+                className="flex-1"
+              >
+                {t("common.continue")}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === 3 && (
+          <div className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-3">{t("createGroup.members")}</label>
+
+              <div className="space-y-3">
+                <div className="flex gap-2 opacity-90">
+                  <input
+                    className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400"
+                    value={String(hostEmail || "").toLowerCase()}
+                    disabled
+                  />
+                  <input
+                    className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400"
+                    value={String(hostName || "").trim()}
+                    disabled
+                  />
+                  <div className="px-4 py-3 rounded-lg bg-gray-900/30 border border-gray-700 text-gray-400 text-sm flex items-center">
+                    {t("createGroup.host")}
+                  </div>
+                </div>
+                {members.map((member, idx) => (
+                  <div key={idx} className="flex gap-2">
+                    <input
+                      className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                      placeholder={t("createGroup.emailPlaceholder")}
+                      type="email"
+                      value={member.email}
+                      onChange={(e) => updateMember(idx, "email", e.target.value)}
+                    />
+                    <input
+                      className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                      placeholder={t("createGroup.namePlaceholder")}
+                      value={member.name}
+                      onChange={(e) => updateMember(idx, "name", e.target.value)}
+                    />
+                    {members.length > 1 && (
+                      <button
+                        onClick={() => removeMember(idx)}
+                        className="px-4 py-3 bg-red-900/30 border border-red-500 rounded-lg text-red-400 hover:bg-red-900/50 transition"
+                      >
+                        <Trash2 className="w-5 h-5" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div className="mt-3 flex flex-wrap items-start gap-6">
+                <button onClick={addMember} className="text-purple-400 hover:text-purple-300 text-sm flex items-center gap-2">
+                  <Plus className="w-4 h-4" />
+                  {t("createGroup.addMember")}
+                </button>
+                <MemberImport
+                  hostEmail={hostEmail}
+                  existing={members.filter((m) => m.email.trim())}
+                  onImport={importMembers}
+                />
+              </div>
+
+              <p className="mt-4 text-sm text-gray-400">💡 {t("createGroup.sizeTip")}</p>
+            </div>
+
+            <ReleaseSettingsFields value={release} onChange={setRelease} />
+
+            <div>
+              <button
+                type="button"
+                onClick={() => setShowEmailTemplate((v) => !v)}
+                className="text-purple-400 hover:text-purple-300 text-sm flex items-center gap-2"
+              >
+                <Mail className="w-4 h-4" />
+                {showEmailTemplate ? t("createGroup.hideEmailSettings") : t("createGroup.customizeEmails")}
+              </button>
+              {showEmailTemplate && (
+                <div className="mt-3">
+                  <EmailTemplateFields
+                    value={emailTemplate}
+                    onChange={setEmailTemplate}
+                    groupName={groupName.trim()}
+                    hostName={String(hostName || "").trim()}
+                  />
+                </div>
+              )}
+            </div>
+
+            {error && (
+              <div className="bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">{error}</div>
+            )}
+
+            <div className="flex gap-3">
+              <Button variant="secondary" onClick={() => setStep(2)}>
+                {t("common.back")}
+              </Button>
+              <Button onClick={handleCreate} className="flex-1" disabled={creating}>
+                {creating ? t("createGroup.creating") : t("createGroup.submit")}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === 4 && (
+          <InvitationSuccess
+            groupName={groupName}
+            groupId={createdGroupId}
+            invitations={createdInvitations}
+            emailStatus={emailStatus}
+            setEmailStatus={setEmailStatus}
+            onClose={() => onClose()}
+          />
+        )}
+      </Card>
+    </div>
+  );
+};
+
+const QuestionSetEditor = ({ questions, onChange }) => {
+  const { t } = useI18n();
+  const updateQuestion = (idx, patch) => {
+    onChange(questions.map((q, i) => (i === idx ? { ...q, ...patch } : q)));
+  };
+
+  const changeType = (idx, type) => {
+    const current = questions[idx];
+    const options = type === "choice" ? (current.options?.length >= 2 ? current.options : ["", ""]) : [];
+    updateQuestion(idx, { type, options });
+  };
+
+  const moveQuestion = (idx, delta) => {
+    const target = idx + delta;
+    if (target < 0 || target >= questions.length) return;
+    const copy = [...questions];
+    [copy[idx], copy[target]] = [copy[target], copy[idx]];
+    onChange(copy);
+  };
+
+  const updateOption = (idx, optionIdx, value) => {
+    const options = [...(questions[idx].options || [])];
+    options[optionIdx] = value;
+    updateQuestion(idx, { options });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-3">{t("questionEditor.templates")}</label>
+        <div className="flex flex-wrap gap-2">
+          {QUESTION_TEMPLATES.map((template) => (
+            <button
+              key={template.id}
+              onClick={() => onChange(cloneTemplateQuestions(template.id, t))}
+              className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm text-gray-200 transition"
+            >
+              {t(`questionTemplates.${template.id}.name`)}
+            </button>
+          ))}
+        </div>
+        <p className="mt-2 text-xs text-gray-400">{t("questionEditor.nameHint")}</p>
+      </div>
+
+      <div className="space-y-3">
+        {questions.map((q, idx) => (
+          <div key={q.id} className="bg-gray-700/50 border border-gray-600 rounded-lg p-4 space-y-3">
+            <div className="flex gap-2">
+              <input
+                className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder={t("questionEditor.promptPlaceholder")}
+                value={q.prompt}
+                onChange={(e) => updateQuestion(idx, { prompt: e.target.value })}
+              />
+              <select
+                className="px-3 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white"
+                value={q.type}
+                onChange={(e) => changeType(idx, e.target.value)}
+              >
+                {QUESTION_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>
+                    {t(`questions.types.${type.value}`)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {q.type === "choice" && (
+              <div className="space-y-2 pl-4">
+                {(q.options || []).map((option, optionIdx) => (
+                  <div key={optionIdx} className="flex gap-2">
+                    <input
+                      className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm placeholder-gray-400"
+                      placeholder={t("questionEditor.choice", { number: optionIdx + 1 })}
+                      value={option}
+                      onChange={(e) => updateOption(idx, optionIdx, e.target.value)}
+                    />
+                    {(q.options || []).length > 2 && (
+                      <button
+                        onClick={() => updateQuestion(idx, { options: q.options.filter((_, i) => i !== optionIdx) })}
+                        className="px-3 text-gray-400 hover:text-red-400 transition"
+                        title={t("questionEditor.removeChoice")}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+                <button
+                  onClick={() => updateQuestion(idx, { options: [...(q.options || []), ""] })}
+                  className="text-purple-400 hover:text-purple-300 text-sm flex items-center gap-2"
+                >
+                  <Plus className="w-4 h-4" />
+                  {t("questionEditor.addChoice")}
+                </button>
+              </div>
+            )}
+
+            <div className="flex items-center justify-between text-sm">
+              <label className="flex items-center gap-2 text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={q.required}
+                  onChange={(e) => updateQuestion(idx, { required: e.target.checked })}
+                />
+                {t("questionEditor.required")}
+              </label>
+              <div className="flex items-center gap-3 text-gray-400">
+                <button onClick={() => moveQuestion(idx, -1)} disabled={idx === 0} className="hover:text-white disabled:opacity-40">
+                  ↑
+                </button>
+                <button
+                  onClick={() => moveQuestion(idx, 1)}
+                  disabled={idx === questions.length - 1}
+                  className="hover:text-white disabled:opacity-40"
+                >
+                  ↓
+                </button>
+                {questions.length > 1 && (
+                  <button
+                    onClick={() => onChange(questions.filter((_, i) => i !== idx))}
+                    className="hover:text-red-400 transition"
+                    title={t("questionEditor.removeQuestion")}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() => onChange([...questions, createQuestion()])}
+        className="text-purple-400 hover:text-purple-300 text-sm flex items-center gap-2"
+      >
+        <Plus className="w-4 h-4" />
+        {t("questionEditor.addQuestion")}
+      </button>
+
+      <p className="text-sm text-gray-400">💡 {t("questionEditor.pointsTip")}</p>
+    </div>
+  );
+};
+
+// Adds members from a CSV (name,email) or JSON file. Rows that break createGroup's rules are listed, not added.
+export const MemberImport = ({ hostEmail, existing, onImport }) => {
+  const { t } = useI18n();
+  const [result, setResult] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const entries = parseMemberFile(await file.text(), { filename: file.name });
+      const { members, problems } = checkMemberImport(entries, { hostEmail, existing });
+      if (members.length > 0) onImport(members);
+      setResult({ added: members.length, problems, error: "" });
+    } catch (err) {
+      setResult({ added: 0, problems: [], error: err?.message || t("memberImport.unreadable") });
+    }
+  };
+
+  return (
+    <div>
+      <label className="inline-flex items-center gap-2 text-sm text-purple-400 hover:text-purple-300 cursor-pointer">
+        <Upload className="w-4 h-4" />
+        {t("memberImport.button")}
+        <input type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={handleFile} />
+      </label>
+      {result?.error && <p className="mt-2 text-sm text-red-400">{result.error}</p>}
+      {result && !result.error && (
+        <div className="mt-2 text-sm text-gray-300">
+          <p>
+            {result.problems.length > 0
+              ? t("memberImport.addedSkipped", { count: result.added, skipped: result.problems.length })
+              : t("memberImport.added", { count: result.added })}
+          </p>
+          {result.problems.length > 0 && (
+            <ul className="mt-1 max-h-32 overflow-y-auto text-xs text-yellow-400 space-y-1">
+              {result.problems.map((p, idx) => (
+                <li key={idx}>
+                  {t("memberImport.line", { number: p.line })}
+                  {p.email && ` (${p.email})`}: {p.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const ReleaseSettingsFields = ({ value, onChange, deadlineDisabled = false }) => {
+  const { t } = useI18n();
+  const update = (field, next) => onChange({ ...value, [field]: next });
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-sm font-medium text-gray-300">{t("releaseSettings.heading")}</label>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <Input
+          label={t("releaseSettings.minRespondents")}
+          type="number"
+          min={MIN_RESPONDENTS_FLOOR}
+          value={value.minRespondents}
+          onChange={(e) => update("minRespondents", e.target.value)}
+        />
+        <Input
+          label={t("releaseSettings.releaseEarly")}
+          type="number"
+          min={1}
+          placeholder={t("releaseSettings.everyone")}
+          value={value.releaseThreshold}
+          onChange={(e) => update("releaseThreshold", e.target.value)}
+        />
+        <Input
+          label={t("releaseSettings.deadline")}
+          type="datetime-local"
+          disabled={deadlineDisabled}
+          value={value.dueAt}
+          onChange={(e) => update("dueAt", e.target.value)}
+        />
+      </div>
+      <p className="text-xs text-gray-500">{t("releaseSettings.explanation")}</p>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">{t("releaseSettings.reminders")}</label>
+        <div className="flex flex-wrap gap-2">
+          {REMINDER_DAY_OPTIONS.map((days) => {
+            const active = (value.reminderDays || []).includes(days);
+            return (
+              <button
+                key={days}
+                type="button"
+                onClick={() =>
+                  update(
+                    "reminderDays",
+                    active ? value.reminderDays.filter((d) => d !== days) : [...(value.reminderDays || []), days]
+                  )
+                }
+                className={`px-3 py-1 rounded-full text-sm border transition ${
+                  active
+                    ? "bg-purple-600 border-purple-500 text-white"
+                    : "bg-gray-700 border-gray-600 text-gray-300 hover:border-purple-500"
+                }`}
+              >
+                {describeReminderDay(days, t)}
+              </button>
+            );
+          })}
+        </div>
+        <p className="mt-2 text-xs text-gray-500">{t("releaseSettings.remindersHint")}</p>
+      </div>
+    </div>
+  );
+};
+
+// Language, intro, sign-off and brand color for every email the group sends, with a preview of each kind.
+export const EmailTemplateFields = ({ value, onChange, groupName, hostName }) => {
+  const { t } = useI18n();
+  const [previewKind, setPreviewKind] = useState("invite");
+  const update = (field, next) => onChange({ ...value, [field]: next });
+  const preview = previewEmail(previewKind, { groupName, hostName, template: value });
+  const brandColor = normalizeEmailTemplate(value).brandColor;
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-300">{t("emailSettings.language")}</label>
+          <select
+            className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white"
+            value={value.locale}
+            onChange={(e) => update("locale", e.target.value)}
+          >
+            {Object.entries(EMAIL_LOCALES).map(([code, label]) => (
+              <option key={code} value={code}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-300">{t("emailSettings.brandColor")}</label>
+          <div className="flex gap-2">
+            <input
+              type="color"
+              className="h-12 w-14 bg-gray-700 border border-gray-600 rounded-lg"
+              value={brandColor}
+              onChange={(e) => update("brandColor", e.target.value)}
+            />
+            <input
+              className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400"
+              value={value.brandColor}
+              onChange={(e) => update("brandColor", e.target.value)}
+            />
+          </div>
+        </div>
+      </div>
+      <Textarea
+        label={t("emailSettings.intro")}
+        placeholder={t("emailSettings.introPlaceholder")}
+        value={value.intro}
+        onChange={(e) => update("intro", e.target.value)}
+      />
+      <Input
+        label={t("emailSettings.signOff")}
+        placeholder="— OffRecord"
+        value={value.signOff}
+        onChange={(e) => update("signOff", e.target.value)}
+      />
+      <p className="text-xs text-gray-500">
+        {t("emailSettings.placeholders", { placeholders: EMAIL_PLACEHOLDERS.map((key) => `{{${key}}}`).join(", ") })}
+      </p>
+
+      <div>
+        <div className="flex flex-wrap gap-2 mb-2">
+          {EMAIL_KINDS.map((kind) => (
+            <button
+              key={kind}
+              type="button"
+              onClick={() => setPreviewKind(kind)}
+              className={`px-3 py-1 rounded-full text-sm border transition ${
+                previewKind === kind
+                  ? "bg-purple-600 border-purple-500 text-white"
+                  : "bg-gray-700 border-gray-600 text-gray-300 hover:border-purple-500"
+              }`}
+            >
+              {t(`emailSettings.kinds.${kind}`)}
+            </button>
+          ))}
+        </div>
+        <p className="text-sm text-gray-300 mb-2">
+          <span className="text-gray-500">{t("emailSettings.subject")}</span> {preview.subject}
+        </p>
+        <iframe
+          title={t("emailSettings.preview")}
+          sandbox=""
+          srcDoc={preview.html}
+          className="w-full h-96 rounded-lg bg-white border border-gray-600"
+        />
+      </div>
+    </div>
+  );
+};
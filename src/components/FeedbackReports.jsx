@@ -0,0 +1,433 @@
+import React, { useEffect, useState } from "react";
+import { Download, FileText } from "lucide-react";
+import { getGroupTeamSummary, listGroupFeedbackForRecipient, listGroupResponses } from "../db";
+import {
+  buildFeedbackReport,
+  buildTeamReport,
+  feedbackReportToMarkdown,
+  feedbackReportToText,
+  formatShare,
+  levelLabel,
+  reportFilename,
+  teamReportToCsv,
+  teamReportToJson
+} from "../report";
+import { useI18n } from "../context";
+import { downloadFile, getScoreColor } from "../utils";
+import { Button, Card } from "./ui";
+
+// ============================================================================
+// FEEDBACK PDF MODAL & DOWNLOAD
+// ============================================================================
+
+export const FeedbackPDFModal = ({ group, rounds = [], initialRoundId, userEmail, userName, onClose }) => {
+  const { t } = useI18n();
+  const [roundId, setRoundId] = useState(initialRoundId || rounds[0]?.id || null);
+  const [downloading, setDownloading] = useState(false);
+  const [downloadError, setDownloadError] = useState("");
+  const [loadingFeedback, setLoadingFeedback] = useState(true);
+  const [shuffledFeedback, setShuffledFeedback] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+	    const loadFeedback = async () => {
+	      setLoadingFeedback(true);
+	      try {
+	        const feedback = await listGroupFeedbackForRecipient({
+	          groupId: group.id,
+	          roundId,
+	          recipientEmailLower: userEmail
+	        });
+	        const shuffled = [...feedback].sort(() => Math.random() - 0.5);
+	        if (!cancelled) setShuffledFeedback(shuffled);
+	      } finally {
+	        if (!cancelled) setLoadingFeedback(false);
+	      }
+	    };
+
+    void loadFeedback();
+    return () => {
+      cancelled = true;
+    };
+  }, [group.id, roundId, userEmail]);
+
+  const round = rounds.find((r) => r.id === roundId) || null;
+  const questions = round?.questions || group.questions || [];
+  const report = buildFeedbackReport({
+    recipientName: userName,
+    groupName: group.name,
+    round,
+    questions,
+    feedback: shuffledFeedback,
+    t
+  });
+  const { averageScore, level: participationLevel } = report;
+
+  const downloadPDF = async () => {
+    setDownloading(true);
+    setDownloadError("");
+    try {
+      // pdf-lib is only needed here, so it stays out of the main bundle.
+      const { renderFeedbackReportPdf } = await import("../pdf");
+      const bytes = await renderFeedbackReportPdf(report);
+      downloadFile(bytes, reportFilename(report, "pdf"), "application/pdf");
+    } catch (err) {
+      setDownloadError(err?.message || t("feedbackReport.errors.pdf"));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const downloadMarkdown = () =>
+    downloadFile(feedbackReportToMarkdown(report), reportFilename(report, "md"), "text/markdown;charset=utf-8");
+
+  const downloadText = () =>
+    downloadFile(feedbackReportToText(report), reportFilename(report, "txt"), "text/plain;charset=utf-8");
+
+  const nothingToExport = downloading || loadingFeedback || shuffledFeedback.length === 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 overflow-y-auto">
+      <Card className="w-full max-w-4xl my-8 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-white">{t("feedbackReport.title")}</h2>
+            <p className="text-gray-400 text-sm mt-1">{t("feedbackReport.from", { source: report.source })}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl leading-none">
+            ×
+          </button>
+        </div>
+
+        {rounds.length > 1 && (
+          <div className="flex flex-wrap gap-2 mb-6">
+            {rounds.map((r) => (
+              <button
+                key={r.id}
+                onClick={() => setRoundId(r.id)}
+                className={`px-3 py-1 rounded-full text-sm transition ${
+                  r.id === roundId ? "bg-purple-600 text-white" : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+                }`}
+              >
+                {t("groupCard.round.label", { number: r.number })}
+                <span className="ml-2 text-xs opacity-75">{t.formatDate(r.openedAt)}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg p-8 mb-6 text-gray-900">
+          <div className="text-center mb-8 border-b border-gray-300 pb-6">
+            <h1 className="text-3xl font-bold mb-2">{t("report.feedbackFor", { name: userName })}</h1>
+            <p className="text-gray-600">{t("report.generated", { date: t.formatDate(report.generatedAt) })}</p>
+            <p className="text-sm text-gray-500 mt-2">{t("feedbackReport.from", { source: report.source })}</p>
+          </div>
+
+          {loadingFeedback ? (
+            <div className="text-center py-12">
+              <p className="text-gray-500">{t("feedbackReport.loading")}</p>
+            </div>
+          ) : shuffledFeedback.length === 0 ? (
+            <div className="text-center py-12">
+              <p className="text-gray-500">{t("feedbackReport.empty")}</p>
+            </div>
+          ) : (
+            <>
+              <div
+                className={`${participationLevel.bgColor} rounded-lg p-6 mb-8 border-2`}
+                style={{ borderColor: getScoreColor(averageScore) }}
+              >
+                <div className="text-center">
+                  <div className="text-5xl font-bold mb-2" style={{ color: getScoreColor(averageScore) }}>
+                    {averageScore}
+                  </div>
+                  <div className="text-sm text-gray-600 mb-1">{t("report.averageScore")}</div>
+                  <div className={`text-lg font-semibold ${participationLevel.color}`}>
+                    {levelLabel(participationLevel, t)}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-3">{t("report.scoreScale")}</div>
+                </div>
+              </div>
+
+              {report.ratings.length > 0 && (
+                <div className="mb-8 space-y-2">
+                  <h3 className="text-lg font-bold text-gray-900 mb-3">{t("report.ratings")}</h3>
+                  {report.ratings.map(({ prompt, average, count }, idx) => (
+                    <div key={idx} className="flex items-center justify-between gap-4 bg-gray-50 rounded px-4 py-2">
+                      <span className="text-sm text-gray-700">{prompt}</span>
+                      <span className="font-semibold text-purple-900 whitespace-nowrap">
+                        {t.formatDecimal(average)} / 5 <span className="text-xs text-gray-500">({count})</span>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="space-y-8">
+                {report.responses.map((response) => (
+                  <div key={response.number} className="border-l-4 border-purple-500 pl-6 py-4">
+                    <h3 className="text-lg font-bold mb-4 text-purple-900">
+                      {t("report.response", { number: response.number })}
+                    </h3>
+
+                    {response.answers.map(({ prompt, answer }, idx) => (
+                      <div key={idx} className="mb-4">
+                        <h4 className="font-semibold text-sm text-gray-700 mb-2">{prompt}</h4>
+                        <p className="text-gray-800 leading-relaxed whitespace-pre-line">{answer}</p>
+                      </div>
+                    ))}
+
+                    <div className="bg-purple-50 rounded px-4 py-2 inline-block">
+                      <span className="font-semibold text-purple-900">
+                        {t("report.score", { count: response.score })}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          <div className="mt-12 pt-6 border-t border-gray-300 text-center text-sm text-gray-500">
+            <p>{t("report.anonymityNote")}</p>
+            <p className="mt-2">{t("pdf.generatedBy")}</p>
+          </div>
+        </div>
+
+        {downloadError && <p className="text-red-400 text-sm mb-4">{downloadError}</p>}
+
+        <div className="flex flex-wrap gap-3">
+          <Button variant="secondary" onClick={onClose} className="flex-1">
+            {t("common.close")}
+          </Button>
+          <Button variant="secondary" onClick={downloadMarkdown} disabled={nothingToExport}>
+            <FileText className="w-5 h-5" />
+            {t("exports.markdown")}
+          </Button>
+          <Button variant="secondary" onClick={downloadText} disabled={nothingToExport}>
+            <FileText className="w-5 h-5" />
+            {t("exports.text")}
+          </Button>
+          <Button onClick={downloadPDF} disabled={nothingToExport} className="flex-1">
+            <Download className="w-5 h-5" />
+            {downloading ? t("exports.preparing") : t("exports.pdf")}
+          </Button>
+        </div>
+
+        <p className="text-sm text-gray-400 mt-4 text-center">{t("feedbackReport.privacy")}</p>
+      </Card>
+    </div>
+  );
+};
+
+// ============================================================================
+// TEAM REPORT (HOSTS)
+// ============================================================================
+
+// Aggregates only (group_feedback_summary / group_answer_summary): hosts never see comments or who wrote what.
+export const TeamReportModal = ({ group, rounds = [], initialRoundId, onClose }) => {
+  const { t } = useI18n();
+  const [roundId, setRoundId] = useState(initialRoundId || rounds[0]?.id || null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [data, setData] = useState({ summary: null, responses: [] });
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const [summary, responses] = await Promise.all([
+          getGroupTeamSummary({ groupId: group.id, roundId }),
+          listGroupResponses({ groupId: group.id, roundId })
+        ]);
+        if (!cancelled) setData({ summary, responses });
+      } catch (err) {
+        if (!cancelled) setError(err?.message || t("teamReport.errors.load"));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    void load();
+    return () => {
+      cancelled = true;
+    };
+  }, [group.id, roundId]);
+
+  const round = rounds.find((r) => r.id === roundId) || null;
+  const report = buildTeamReport({ group, round, summary: data.summary, responses: data.responses, t });
+  const hasData = !loading && !error && report.members.some((m) => m.responses > 0);
+
+  const downloadPDF = async () => {
+    setDownloading(true);
+    setError("");
+    try {
+      const { renderTeamReportPdf } = await import("../pdf");
+      downloadFile(await renderTeamReportPdf(report), reportFilename(report, "pdf"), "application/pdf");
+    } catch (err) {
+      setError(err?.message || t("feedbackReport.errors.pdf"));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const downloadCSV = () =>
+    downloadFile(teamReportToCsv(report), reportFilename(report, "csv"), "text/csv;charset=utf-8");
+
+  const downloadJSON = () => downloadFile(teamReportToJson(report), reportFilename(report, "json"), "application/json");
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 overflow-y-auto">
+      <Card className="w-full max-w-4xl my-8 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-white">{t("report.team.title")}</h2>
+            <p className="text-gray-400 text-sm mt-1">{report.source}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl leading-none">
+            ×
+          </button>
+        </div>
+
+        {rounds.length > 1 && (
+          <div className="flex flex-wrap gap-2 mb-6">
+            {rounds.map((r) => (
+              <button
+                key={r.id}
+                onClick={() => setRoundId(r.id)}
+                className={`px-3 py-1 rounded-full text-sm transition ${
+                  r.id === roundId ? "bg-purple-600 text-white" : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+                }`}
+              >
+                {t("groupCard.round.label", { number: r.number })}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-gray-400 text-sm mb-6">{t("teamReport.loading")}</p>
+        ) : error ? (
+          <p className="text-red-400 text-sm mb-6">{error}</p>
+        ) : !hasData ? (
+          <p className="text-gray-400 text-sm mb-6">{t("teamReport.empty")}</p>
+        ) : (
+          <div className="space-y-6 mb-6">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="bg-gray-700 rounded-lg p-4">
+                <p className="text-gray-400 text-xs">{t("teamReport.average")}</p>
+                <p className="text-3xl font-bold" style={{ color: getScoreColor(report.teamAverage) }}>
+                  {report.teamAverage}
+                </p>
+                <p className="text-sm text-gray-300">{levelLabel(report.teamLevel, t)}</p>
+              </div>
+              <div className="bg-gray-700 rounded-lg p-4">
+                <p className="text-gray-400 text-xs">{t("teamReport.responded")}</p>
+                <p className="text-3xl font-bold text-white">
+                  {report.respondents}/{report.memberCount}
+                </p>
+                <p className="text-sm text-gray-300">{t("teamReport.members", { count: report.memberCount })}</p>
+              </div>
+              <div className="bg-gray-700 rounded-lg p-4">
+                <p className="text-gray-400 text-xs mb-2">{t("report.team.levels")}</p>
+                {report.levels.map(({ level, count }) => (
+                  <div key={level.key} className="flex justify-between text-sm">
+                    <span className="text-gray-300">{levelLabel(level, t, "short")}</span>
+                    <span style={{ color: level.hex }}>{count}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <h3 className="text-lg font-semibold text-white mb-3">{t("report.team.members")}</h3>
+              <div className="space-y-2">
+                {report.members.map((m) => (
+                  <div
+                    key={m.emailLower}
+                    className="flex items-center justify-between gap-4 bg-gray-700 rounded-lg px-4 py-2"
+                  >
+                    <span className="text-white">{m.name}</span>
+                    {m.responses > 0 && m.averageScore === null ? (
+                      <span className="text-sm text-gray-500">
+                        {t("report.team.tooFew", { responses: t("report.responses", { count: m.responses }) })}
+                      </span>
+                    ) : m.responses > 0 ? (
+                      <span className="text-sm text-gray-300 whitespace-nowrap">
+                        <span className="font-semibold" style={{ color: getScoreColor(m.averageScore) }}>
+                          {m.averageScore}
+                        </span>{" "}
+                        {t("teamReport.memberLine", {
+                          spread: m.spread,
+                          responses: t("report.responses", { count: m.responses }),
+                          level: levelLabel(m.level, t, "short")
+                        })}
+                      </span>
+                    ) : (
+                      <span className="text-sm text-gray-500">{t("report.team.noFeedback")}</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {report.themes.length > 0 && (
+              <div>
+                <h3 className="text-lg font-semibold text-white mb-3">{t("teamReport.themes")}</h3>
+                <div className="space-y-4">
+                  {report.themes.map((theme, idx) => (
+                    <div key={idx} className="bg-gray-700 rounded-lg p-4">
+                      <p className="text-white text-sm font-medium mb-1">{theme.prompt}</p>
+                      {theme.average !== null && (
+                        <p className="text-gray-400 text-xs mb-2">
+                          {t("report.team.themeAverage", {
+                            average: t.formatDecimal(theme.average),
+                            count: theme.total
+                          })}
+                        </p>
+                      )}
+                      {theme.answers.map((a) => (
+                        <div key={a.label} className="flex items-center gap-3 text-sm mt-1">
+                          <span className="w-40 text-gray-300 truncate">{a.label}</span>
+                          <div className="flex-1 bg-gray-800 rounded-full h-2">
+                            <div className="bg-purple-600 h-2 rounded-full" style={{ width: formatShare(a.share) }} />
+                          </div>
+                          <span className="w-16 text-right text-gray-300">{a.count}</span>
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-3">
+          <Button variant="secondary" onClick={onClose} className="flex-1">
+            {t("common.close")}
+          </Button>
+          <Button variant="secondary" onClick={downloadCSV} disabled={!hasData || downloading}>
+            <FileText className="w-5 h-5" />
+            CSV
+          </Button>
+          <Button variant="secondary" onClick={downloadJSON} disabled={!hasData || downloading}>
+            <FileText className="w-5 h-5" />
+            JSON
+          </Button>
+          <Button onClick={downloadPDF} disabled={!hasData || downloading} className="flex-1">
+            <Download className="w-5 h-5" />
+            {downloading ? t("exports.preparing") : t("exports.pdf")}
+          </Button>
+        </div>
+
+        <p className="text-sm text-gray-400 mt-4 text-center">{t("report.team.note")}</p>
+      </Card>
+    </div>
+  );
+};
@@ -0,0 +1,485 @@
+import React, { useEffect, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import {
+  CheckCircle,
+  Trash2,
+  UserPlus,
+  UserMinus,
+  Mail,
+  Download,
+  History,
+  SlidersHorizontal,
+  Clock,
+  BarChart3
+} from "lucide-react";
+import { closeGroupRound, listGroupResponses, listGroupRounds, openGroupRound, updateGroupMembers } from "../db";
+import { countRespondentsByRound, describeReleaseRule, formatCountdown, isRoundReleased } from "../release";
+import { useAuth, useI18n } from "../context";
+import { canManageGroup } from "../utils";
+import { InvitationModal } from "./Invitations";
+import { ManageMembersModal } from "./ManageMembersModal";
+import { ReleaseSettingsModal } from "./ReleaseSettingsModal";
+import { Button, Card } from "./ui";
+
+// A group's rounds and who has responded to them. The card, the survey page and the report pages all decide what
+// to offer from this.
+export const useGroupStatus = (group) => {
+  const { user } = useAuth();
+  const [statusNonce, setStatusNonce] = useState(0);
+  const [now, setNow] = useState(() => new Date());
+  const [status, setStatus] = useState({
+    loading: true,
+    completed: 0,
+    total: group.members?.length || 0,
+    userHasSubmitted: false,
+    userIsParticipant: false,
+    isComplete: false,
+    round: null,
+    rounds: [],
+    respondedByRound: new Map()
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadStatus = async () => {
+      try {
+        const [rounds, responses] = await Promise.all([
+          listGroupRounds({ groupId: group.id }),
+          listGroupResponses({ groupId: group.id })
+        ]);
+        const round = rounds[0] || null;
+        const current = (responses || []).find((r) => r.roundId === round?.id);
+
+        const members = group.members || [];
+        const total = members.length;
+        const completed = current?.responded || 0;
+        const userIsParticipant = members.some((m) => String(m.emailLower || "").toLowerCase() === user.emailLower);
+        const userHasSubmitted = Boolean(current?.submitted);
+
+        if (!cancelled) {
+          setStatus({
+            loading: false,
+            completed,
+            total,
+            userHasSubmitted,
+            userIsParticipant,
+            isComplete: total > 0 && completed === total,
+            round,
+            rounds,
+            respondedByRound: countRespondentsByRound(responses)
+          });
+        }
+      } catch {
+        if (!cancelled) {
+          setStatus((s) => ({ ...s, loading: false }));
+        }
+      }
+    };
+
+    void loadStatus();
+    return () => {
+      cancelled = true;
+    };
+  }, [group.id, group.memberEmails, group.members, user.emailLower, statusNonce]);
+
+  // Keep the deadline countdown current.
+  useEffect(() => {
+    if (!status.round?.dueAt) return undefined;
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, [status.round?.dueAt]);
+
+  // The server applies the same rules (round_is_released); this only decides which reports to offer.
+  const releasedRounds = status.rounds.filter((r) =>
+    isRoundReleased({ group, round: r, respondedCount: status.respondedByRound.get(r.id), now })
+  );
+  const currentRoundReleased = Boolean(status.round) && releasedRounds.some((r) => r.id === status.round.id);
+
+  const reload = () => {
+    setStatus((s) => ({ ...s, loading: true }));
+    setStatusNonce((n) => n + 1);
+  };
+
+  return { status, now, releasedRounds, currentRoundReleased, reload };
+};
+
+// `panel` is the host dialog the URL asks for ("invitations", "members" or "release", at `/groups/<id>/<panel>`),
+// shown in place of the card.
+export const GroupCard = ({ group, panel = null, onDelete, onRefresh, linkToGroup = false }) => {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { status, now, releasedRounds, currentRoundReleased, reload } = useGroupStatus(group);
+  const [removingSelf, setRemovingSelf] = useState(false);
+  const [changingRound, setChangingRound] = useState(false);
+
+  // Closing a dialog goes back to wherever it was opened from (the dashboard or the group page).
+  const openPanel = (name) => navigate(`/groups/${group.id}/${name}`, { state: { from: location.pathname } });
+  const closePanel = () => navigate(location.state?.from || `/groups/${group.id}`);
+
+  const canManage = canManageGroup(group);
+  const roundIsOpen = Boolean(status.round?.isOpen);
+
+  const progress = { completed: status.completed, total: status.total };
+
+  const getStatusBadge = () => {
+    if (status.loading) {
+      return (
+        <div className="text-gray-400">
+          <span className="text-sm font-medium">{t("groupCard.status.loading")}</span>
+        </div>
+      );
+    }
+    if (!status.round) {
+      return (
+        <div className="text-gray-400">
+          <span className="text-sm font-medium">{t("groupCard.status.noRound")}</span>
+        </div>
+      );
+    }
+    if (status.isComplete) {
+      return (
+        <div className="flex items-center gap-2 text-green-400">
+          <CheckCircle className="w-5 h-5" />
+          <span className="text-sm font-medium">{t("groupCard.status.completed")}</span>
+        </div>
+      );
+    }
+    if (currentRoundReleased) {
+      return (
+        <div className="flex items-center gap-2 text-green-400">
+          <CheckCircle className="w-5 h-5" />
+          <span className="text-sm font-medium">{t("groupCard.status.released", progress)}</span>
+        </div>
+      );
+    }
+    if (!roundIsOpen) {
+      if (status.completed < group.minRespondents) {
+        return (
+          <div className="text-gray-400">
+            <span className="text-sm font-medium">
+              {t("groupCard.status.closedTooFew", { completed: status.completed, count: group.minRespondents })}
+            </span>
+          </div>
+        );
+      }
+      return (
+        <div className="text-gray-400">
+          <span className="text-sm font-medium">{t("groupCard.status.closed", progress)}</span>
+        </div>
+      );
+    }
+    if (!status.userIsParticipant) {
+      return (
+        <div className="text-gray-400">
+          <span className="text-sm font-medium">{t("groupCard.status.collecting", progress)}</span>
+        </div>
+      );
+    }
+    if (status.userHasSubmitted) {
+      return (
+        <div className="text-yellow-400">
+          <span className="text-sm font-medium">{t("groupCard.status.waiting", progress)}</span>
+        </div>
+      );
+    }
+    return (
+      <div className="text-purple-400">
+        <span className="text-sm font-medium">{t("groupCard.status.actionNeeded")}</span>
+      </div>
+    );
+  };
+
+  const getActionButton = () => {
+    if (currentRoundReleased) {
+      if (!status.userIsParticipant && canManage) {
+        return (
+          <Button onClick={() => navigate(`/groups/${group.id}/report/team`)}>
+            <BarChart3 className="w-5 h-5" />
+            {t("groupCard.actions.teamReport")}
+          </Button>
+        );
+      }
+      if (!status.userIsParticipant) {
+        return (
+          <Button variant="ghost" disabled>
+            {status.isComplete ? t("groupCard.actions.allCollected") : t("groupCard.actions.released")}
+          </Button>
+        );
+      }
+      return (
+        <Button onClick={() => navigate(`/groups/${group.id}/report`)}>
+          <Download className="w-5 h-5" />
+          {t("groupCard.actions.download")}
+        </Button>
+      );
+    }
+    if (status.loading) {
+      return (
+        <Button variant="ghost" disabled>
+          {t("common.loading")}
+        </Button>
+      );
+    }
+    if (!status.round) {
+      return (
+        <Button variant="ghost" disabled>
+          {t("groupCard.actions.noOpenRound")}
+        </Button>
+      );
+    }
+    if (!status.userIsParticipant) {
+      return (
+        <Button variant="ghost" disabled>
+          {t("groupCard.actions.waitingForResponses")}
+        </Button>
+      );
+    }
+    if (status.userHasSubmitted) {
+      return (
+        <Button variant="ghost" disabled>
+          {t("groupCard.actions.submitted")}
+        </Button>
+      );
+    }
+    return (
+      <Button onClick={() => navigate(`/groups/${group.id}/survey`)}>{t("groupCard.actions.giveFeedback")}</Button>
+    );
+  };
+
+  const handleRoundChange = async () => {
+    if (changingRound) return;
+    const ok = window.confirm(
+      roundIsOpen
+        ? status.completed >= group.minRespondents
+          ? t("groupCard.round.confirmClose", { number: status.round.number })
+          : t("groupCard.round.confirmCloseTooFew", {
+              number: status.round.number,
+              completed: status.completed,
+              count: group.minRespondents
+            })
+        : t("groupCard.round.confirmStart", { number: (status.round?.number || 0) + 1 })
+    );
+    if (!ok) return;
+
+    setChangingRound(true);
+    try {
+      if (roundIsOpen) {
+        await closeGroupRound({ groupId: group.id });
+      } else {
+        await openGroupRound({ groupId: group.id });
+      }
+      reload();
+    } catch (err) {
+      alert(err?.message || t("groupCard.round.failed"));
+    } finally {
+      setChangingRound(false);
+    }
+  };
+
+  if (panel === "invitations" && canManage) {
+    return (
+      <InvitationModal
+        group={group}
+        onClose={closePanel}
+        onUpdated={async () => {
+          await onRefresh?.();
+        }}
+      />
+    );
+  }
+
+  if (panel === "members" && canManage) {
+    return (
+      <ManageMembersModal
+        group={group}
+        onClose={closePanel}
+        onUpdated={async () => {
+          reload();
+          await onRefresh?.();
+        }}
+      />
+    );
+  }
+
+  if (panel === "release" && canManage) {
+    return (
+      <ReleaseSettingsModal
+        group={group}
+        round={status.round}
+        onClose={closePanel}
+        onUpdated={async () => {
+          reload();
+          await onRefresh?.();
+        }}
+      />
+    );
+  }
+
+  return (
+    <Card>
+      <div className="flex items-start justify-between mb-4">
+        <div className="flex-1">
+          <h3 className="text-xl font-semibold text-white mb-2">
+            {linkToGroup ? (
+              <Link to={`/groups/${group.id}`} className="hover:text-purple-300 transition">
+                {group.name}
+              </Link>
+            ) : (
+              group.name
+            )}
+            {group.myRole === "cohost" && (
+              <span className="ml-2 align-middle text-xs font-medium text-purple-400">{t("groupCard.cohost")}</span>
+            )}
+          </h3>
+          <p className="text-gray-400 text-sm">
+            {t("common.members", { count: group.members?.length || 0 })}
+            {status.round &&
+              ` • ${t(status.round.isOpen ? "groupCard.round.label" : "groupCard.round.labelClosed", {
+                number: status.round.number
+              })}`}
+          </p>
+          {status.round?.isOpen && status.round.dueAt && (
+            <p
+              className="mt-1 flex items-center gap-1 text-sm text-yellow-400"
+              title={t("groupCard.due", { date: t.formatDateTime(status.round.dueAt) })}
+            >
+              <Clock className="w-4 h-4" />
+              {formatCountdown(status.round.dueAt, now, t)}
+            </p>
+          )}
+        </div>
+        <div className="flex gap-2">
+          {status.userIsParticipant && !currentRoundReleased && releasedRounds.length > 0 && (
+            <button
+              onClick={() => navigate(`/groups/${group.id}/report`)}
+              className="text-gray-500 hover:text-purple-400 transition"
+              title={t("groupCard.tooltips.pastRounds")}
+            >
+              <History className="w-5 h-5" />
+            </button>
+          )}
+          {canManage && releasedRounds.length > 0 && (
+            <button
+              onClick={() => navigate(`/groups/${group.id}/report/team`)}
+              className="text-gray-500 hover:text-purple-400 transition"
+              title={t("groupCard.tooltips.teamReport")}
+            >
+              <BarChart3 className="w-5 h-5" />
+            </button>
+          )}
+          {canManage && !status.isComplete && (
+            <button
+              onClick={() => openPanel("invitations")}
+              className="text-gray-500 hover:text-purple-400 transition"
+              title={t("groupCard.tooltips.invitations")}
+            >
+              <Mail className="w-5 h-5" />
+            </button>
+          )}
+          {canManage && (
+            <button
+              onClick={() => openPanel("release")}
+              className="text-gray-500 hover:text-purple-400 transition"
+              title={t("groupCard.tooltips.releaseSettings")}
+            >
+              <SlidersHorizontal className="w-5 h-5" />
+            </button>
+          )}
+          {canManage && (
+            <button
+              onClick={() => openPanel("members")}
+              className="text-gray-500 hover:text-purple-400 transition"
+              title={t("groupCard.tooltips.manageMembers")}
+            >
+              <UserPlus className="w-5 h-5" />
+            </button>
+          )}
+          {canManage && status.userIsParticipant && (
+            <button
+              onClick={async () => {
+                if (removingSelf) return;
+                const ok = window.confirm(t("groupCard.removeSelf.confirm"));
+                if (!ok) return;
+
+                setRemovingSelf(true);
+                try {
+                  await updateGroupMembers({ groupId: group.id, remove: [user.emailLower] });
+                  reload();
+                  await onRefresh?.();
+                } catch (err) {
+                  alert(err?.message || t("groupCard.removeSelf.failed"));
+                } finally {
+                  setRemovingSelf(false);
+                }
+              }}
+              className="text-gray-500 hover:text-yellow-400 transition disabled:opacity-40 disabled:cursor-not-allowed"
+              title={t("groupCard.tooltips.removeSelf")}
+              disabled={removingSelf}
+            >
+              <UserMinus className="w-5 h-5" />
+            </button>
+          )}
+          {group.myRole === "owner" && !status.isComplete && (
+            <button
+              onClick={() => onDelete(group.id)}
+              className="text-gray-500 hover:text-red-400 transition"
+              title={t("groupCard.tooltips.delete")}
+            >
+              <Trash2 className="w-5 h-5" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="mb-4">{getStatusBadge()}</div>
+
+      {status.round?.isOpen && !currentRoundReleased && (
+        <p className="mb-4 text-xs text-gray-500">{describeReleaseRule({ group, round: status.round }, t)}</p>
+      )}
+
+      <div className="mb-4">
+        <div className="flex items-center justify-between text-sm text-gray-400 mb-2">
+          <span>{t("groupCard.progress")}</span>
+          <span>
+            {status.completed}/{status.total}
+          </span>
+        </div>
+        <div className="w-full bg-gray-700 rounded-full h-2">
+          <div
+            className="bg-purple-600 h-2 rounded-full transition-all duration-500"
+            style={{ width: `${status.total > 0 ? (status.completed / status.total) * 100 : 0}%` }}
+          />
+        </div>
+      </div>
+
+      {canManage && !status.loading && (
+        <div className="flex justify-end mb-4">
+          <button
+            onClick={handleRoundChange}
+            disabled={changingRound}
+            className="text-sm text-purple-400 hover:text-purple-300 transition disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            {changingRound
+              ? t("groupCard.round.updating")
+              : roundIsOpen
+                ? t("groupCard.round.close", { number: status.round.number })
+                : t("groupCard.round.start", { number: (status.round?.number || 0) + 1 })}
+          </button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {(group.members || []).map((member, idx) => (
+          <span key={idx} className="px-3 py-1 bg-gray-700 rounded-full text-sm text-gray-300">
+            {member.name}
+          </span>
+        ))}
+      </div>
+
+      {getActionButton()}
+    </Card>
+  );
+};
@@ -0,0 +1,562 @@
+import React, { useEffect, useState } from "react";
+import { CheckCircle, Mail, Copy, Check } from "lucide-react";
+import {
+  listGroupInvitations,
+  createInviteLink,
+  listInviteLinks,
+  listInviteDeliveries,
+  regenerateInvitationCode,
+  revokeInvitation,
+  restoreInvitation,
+  revokeInviteLinks,
+  updateGroupEmailTemplate
+} from "../db";
+import { sendGroupInviteEmails } from "../email";
+import { normalizeEmailTemplate, validateEmailTemplate } from "../emailTemplates";
+import { useI18n } from "../context";
+import { buildInviteLinkUrl, copyTextToClipboard, toInviteCredentials } from "../utils";
+import { EmailTemplateFields } from "./CreateGroupModal";
+import { Button, Card } from "./ui";
+
+// ============================================================================
+// INVITATION SUCCESS SCREEN
+// ============================================================================
+
+export const InvitationSuccess = ({ groupName, groupId, invitations, emailStatus, setEmailStatus, onClose }) => {
+  const { t } = useI18n();
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <div className="w-20 h-20 bg-green-500 rounded-full flex items-center justify-center mx-auto mb-4">
+          <CheckCircle className="w-12 h-12 text-white" />
+        </div>
+        <h3 className="text-2xl font-bold text-white mb-2">{t("invitations.created")}</h3>
+        <p className="text-gray-400">{t("invitations.readyFor", { group: groupName })}</p>
+      </div>
+
+      {invitations.length > 0 && (
+        <div className="bg-gray-700/50 rounded-lg p-4 border border-gray-600">
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <p className="text-white font-semibold text-sm">{t("invitations.emailDelivery")}</p>
+              {emailStatus?.sending ? (
+                <p className="text-gray-300 text-sm">{t("invitations.sending")}</p>
+              ) : emailStatus?.error ? (
+                <p className="text-yellow-300 text-sm">{t("invitations.sendFailed", { error: emailStatus.error })}</p>
+              ) : (
+                <p className="text-green-300 text-sm">
+                  {emailStatus?.provider
+                    ? t("invitations.sentVia", { count: emailStatus?.sent || 0, provider: emailStatus.provider })
+                    : t("invitations.sent", { count: emailStatus?.sent || 0 })}
+                  {emailStatus?.failed ? ` • ${t("invitations.failedCount", { count: emailStatus.failed })}` : ""}
+                </p>
+              )}
+              {!emailStatus?.sending && !emailStatus?.error && emailStatus?.provider === "gmail" && (
+                <p className="text-xs text-gray-400 mt-1">{t("invitations.gmailDelay")}</p>
+              )}
+            </div>
+            {!emailStatus?.sending && (
+              <Button
+                variant="secondary"
+                onClick={async () => {
+                  try {
+                    if (!groupId) return;
+                    setEmailStatus((s) => ({ ...s, sending: true, error: "" }));
+                    const res = await sendGroupInviteEmails({
+                      groupId,
+                      credentials: toInviteCredentials(invitations)
+                    });
+                    setEmailStatus({
+                      sending: false,
+                      provider: String(res?.provider || ""),
+                      sent: Number(res?.sent || 0),
+                      failed: Number(res?.failed || 0),
+                      error: "",
+                      failures: Array.isArray(res?.failures) ? res.failures : []
+                    });
+
+                    if (Number(res?.failed || 0) > 0) {
+                      const first = (res?.failures || [])[0];
+                      alert(
+                        t("invitations.resendPartial", {
+                          sent: res?.sent || 0,
+                          failed: res?.failed || 0,
+                          error: first?.error || ""
+                        })
+                      );
+                    } else {
+                      alert(t("invitations.sentVia", { count: res?.sent || 0, provider: res?.provider || "email" }));
+                    }
+                  } catch (err) {
+                    const error = String(err?.message || t("invitations.errors.failed"));
+                    setEmailStatus((s) => ({ ...s, sending: false, error }));
+                    alert(err?.message || t("invitations.errors.sendFailed"));
+                  }
+                }}
+                disabled={!groupId}
+              >
+                {t("invitations.resend")}
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-gray-700/50 rounded-lg p-4">
+        <h4 className="text-sm font-semibold text-white mb-3">{t("invitations.sendCredentials")}</h4>
+        <div className="space-y-3">
+          {invitations.map((invite, idx) => (
+            <InviteCredentials key={idx} invite={invite} />
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-yellow-900/20 border border-yellow-600 rounded-lg p-4">
+        <p className="text-yellow-300 text-sm">⚠️ {t("invitations.savePasswords")}</p>
+      </div>
+
+      <Button onClick={onClose} className="w-full">
+        {t("common.done")}
+      </Button>
+    </div>
+  );
+};
+
+export const InviteCredentials = ({ invite }) => {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    const copyText = t("invitations.copyText", {
+      name: invite.name,
+      url: window.location.origin,
+      email: invite.email,
+      password: invite.tempPassword
+    });
+    const ok = await copyTextToClipboard(copyText);
+    if (!ok) {
+      alert(t("common.copyFailed"));
+      return;
+    }
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  if (!invite) return null;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-3 flex items-center justify-between">
+      <div className="flex-1">
+        <p className="text-white font-medium text-sm">{invite.name}</p>
+        <p className="text-gray-400 text-xs">{invite.email}</p>
+        <p className="text-purple-400 font-mono text-sm mt-1">
+          {t("invitations.password", { password: invite.tempPassword })}
+        </p>
+      </div>
+      <button onClick={handleCopy} className="px-3 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg transition flex items-center gap-2">
+        {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+        <span className="text-xs">{copied ? t("common.copied") : t("common.copy")}</span>
+      </button>
+    </div>
+  );
+};
+
+// ============================================================================
+// INVITATION MODAL (VIEW INVITES)
+// ============================================================================
+
+export const InvitationModal = ({ group, onClose, onUpdated }) => {
+  const { t } = useI18n();
+  const [loadingInvites, setLoadingInvites] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [emailTemplate, setEmailTemplate] = useState(() => normalizeEmailTemplate(group.emailTemplate));
+  const [showEmailTemplate, setShowEmailTemplate] = useState(false);
+  const [templateStatus, setTemplateStatus] = useState({ saving: false, error: "", saved: false });
+  const [invites, setInvites] = useState([]);
+  const [links, setLinks] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [newCodes, setNewCodes] = useState({});
+  const [busyInviteId, setBusyInviteId] = useState(null);
+
+  const reloadLinks = async (inviteList) => {
+    const result = await listInviteLinks({ invitationIds: inviteList.map((i) => i.id) });
+    setLinks(result);
+  };
+
+  // Also newest first: one row per send attempt, retries included.
+  const getDeliveryStatus = (invite) => {
+    if (invite.redeemedAt) return { label: t("invitations.delivery.redeemed"), tone: "text-green-400" };
+    const delivery = deliveries.find((d) => d.invitationId === invite.id);
+    if (!delivery) return { label: t("invitations.delivery.none"), tone: "text-gray-500" };
+    const when = t.formatDateTime(delivery.createdAt);
+    if (delivery.status === "failed") {
+      const error = delivery.error || t("invitations.errors.unknown");
+      return { label: t("invitations.delivery.failed", { date: when, error }), tone: "text-red-400" };
+    }
+    const vars = { date: when, provider: delivery.provider, count: delivery.attempt };
+    const label = t(delivery.attempt > 1 ? "invitations.delivery.sentRetried" : "invitations.delivery.sent", vars);
+    return { label, tone: "text-gray-400" };
+  };
+
+  // Links are newest first, so the first match is the invitee's current link.
+  const getLinkStatus = (invite) => {
+    const link = links.find((l) => l.invitationId === invite.id);
+    if (!link) return { label: t("invitations.link.none"), active: false };
+    if (link.usedAt) return { label: t("invitations.link.used", { date: t.formatDate(link.usedAt) }), active: false };
+    if (link.revokedAt) return { label: t("invitations.link.revoked"), active: false };
+    if (new Date(link.expiresAt) <= new Date()) return { label: t("invitations.link.expired"), active: false };
+    return { label: t("invitations.link.active", { date: t.formatDateTime(link.expiresAt) }), active: true };
+  };
+
+  const getInviteStatus = (invite) => {
+    if (!invite) return { label: t("invitations.status.host"), tone: "text-yellow-400", pending: false };
+    if (invite.redeemedAt) return { label: t("invitations.status.joined"), tone: "text-green-400", pending: false };
+    if (invite.revokedAt) return { label: t("invitations.status.revoked"), tone: "text-red-400", pending: false };
+    if (invite.expiresAt && new Date(invite.expiresAt) <= new Date()) {
+      return { label: t("invitations.status.expired"), tone: "text-red-400", pending: false };
+    }
+    return {
+      label: invite.expiresAt
+        ? t("invitations.status.pendingUntil", { date: t.formatDate(invite.expiresAt) })
+        : t("invitations.status.pending"),
+      tone: "text-yellow-400",
+      pending: true
+    };
+  };
+
+  const handleSaveTemplate = async () => {
+    const validationError = validateEmailTemplate(emailTemplate);
+    setTemplateStatus({ saving: !validationError, error: validationError, saved: false });
+    if (validationError) return;
+    try {
+      const updated = await updateGroupEmailTemplate({ groupId: group.id, emailTemplate });
+      setEmailTemplate(updated.emailTemplate);
+      setTemplateStatus({ saving: false, error: "", saved: true });
+      await onUpdated?.();
+    } catch (err) {
+      setTemplateStatus({ saving: false, error: err?.message || t("invitations.errors.saveTemplate"), saved: false });
+    }
+  };
+
+  const replaceInvite = (updated) => {
+    setInvites((list) => list.map((i) => (i.id === updated.id ? updated : i)));
+  };
+
+  const handleCopyLink = async (invite) => {
+    if (busyInviteId) return;
+    setBusyInviteId(invite.id);
+    try {
+      const token = await createInviteLink({ invitationId: invite.id });
+      await reloadLinks(invites);
+      const ok = await copyTextToClipboard(buildInviteLinkUrl(token));
+      alert(
+        ok
+          ? t("invitations.link.copied", { name: invite.name })
+          : t("invitations.link.copyFailed", { name: invite.name, url: buildInviteLinkUrl(token) })
+      );
+    } catch (err) {
+      alert(err?.message || t("invitations.errors.createLink"));
+    } finally {
+      setBusyInviteId(null);
+    }
+  };
+
+  const handleRevokeLink = async (invite) => {
+    if (busyInviteId) return;
+    const ok = window.confirm(t("invitations.link.confirmRevoke", { name: invite.name }));
+    if (!ok) return;
+
+    setBusyInviteId(invite.id);
+    try {
+      await revokeInviteLinks({ invitationId: invite.id });
+      await reloadLinks(invites);
+    } catch (err) {
+      alert(err?.message || t("invitations.errors.revokeLink"));
+    } finally {
+      setBusyInviteId(null);
+    }
+  };
+
+  const handleRevokeInvite = async (invite) => {
+    if (busyInviteId) return;
+    const ok = window.confirm(t("invitations.confirmRevoke", { name: invite.name }));
+    if (!ok) return;
+
+    setBusyInviteId(invite.id);
+    try {
+      replaceInvite(await revokeInvitation({ invitationId: invite.id }));
+      setNewCodes((codes) => ({ ...codes, [invite.id]: "" }));
+      await reloadLinks(invites);
+    } catch (err) {
+      alert(err?.message || t("invitations.errors.revoke"));
+    } finally {
+      setBusyInviteId(null);
+    }
+  };
+
+  const handleRestoreInvite = async (invite) => {
+    if (busyInviteId) return;
+    setBusyInviteId(invite.id);
+    try {
+      replaceInvite(await restoreInvitation({ invitationId: invite.id }));
+    } catch (err) {
+      alert(err?.message || t("invitations.errors.restore"));
+    } finally {
+      setBusyInviteId(null);
+    }
+  };
+
+  // A new code also re-issues an expired invitation. Revoked ones have to be restored first.
+  const handleRegenerate = async (invite) => {
+    if (busyInviteId) return;
+    const ok = window.confirm(t("invitations.confirmRegenerate", { name: invite.name }));
+    if (!ok) return;
+
+    setBusyInviteId(invite.id);
+    try {
+      const tempPassword = await regenerateInvitationCode({ invitationId: invite.id });
+      setNewCodes((codes) => ({ ...codes, [invite.id]: tempPassword }));
+      setInvites(await listGroupInvitations({ groupId: group.id }));
+    } catch (err) {
+      alert(err?.message || t("invitations.errors.regenerate"));
+    } finally {
+      setBusyInviteId(null);
+    }
+  };
+
+  // Emails the code shown on screen, or (for a resend) a fresh one, since stored codes can't be read back.
+  const handleEmailCode = async (invite) => {
+    if (busyInviteId) return;
+    const code = newCodes[invite.id];
+    if (!code) {
+      const ok = window.confirm(t("invitations.confirmResend", { name: invite.name }));
+      if (!ok) return;
+    }
+
+    setBusyInviteId(invite.id);
+    try {
+      const res = await sendGroupInviteEmails({
+        groupId: group.id,
+        emails: [invite.emailLower],
+        credentials: code ? [{ email: invite.emailLower, tempPassword: code }] : []
+      });
+      if (Number(res?.failed || 0) > 0) {
+        const error = res?.failures?.[0]?.error || t("invitations.errors.unknown");
+        alert(t("invitations.errors.emailFailed", { error }));
+      } else {
+        alert(t(code ? "invitations.sentCode" : "invitations.resent", { email: invite.emailLower }));
+      }
+    } catch (err) {
+      alert(err?.message || t("invitations.errors.sendOne"));
+    } finally {
+      try {
+        const inviteList = await listGroupInvitations({ groupId: group.id });
+        setInvites(inviteList);
+        await reloadLinks(inviteList);
+        setDeliveries(await listInviteDeliveries({ groupId: group.id }));
+      } catch (err) {
+        console.warn("Failed to refresh invitations:", err?.message || err);
+      }
+      setBusyInviteId(null);
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadInvites = async () => {
+      setLoadingInvites(true);
+      setLoadError("");
+      try {
+        const result = await listGroupInvitations({ groupId: group.id });
+        const linkRows = await listInviteLinks({ invitationIds: result.map((i) => i.id) });
+        const deliveryRows = await listInviteDeliveries({ groupId: group.id });
+        if (!cancelled) {
+          setInvites(result);
+          setLinks(linkRows);
+          setDeliveries(deliveryRows);
+        }
+      } catch (err) {
+        if (!cancelled) setLoadError(err?.message || t("invitations.errors.load"));
+      } finally {
+        if (!cancelled) setLoadingInvites(false);
+      }
+    };
+
+    void loadInvites();
+    return () => {
+      cancelled = true;
+    };
+  }, [group.id]);
+
+  // Someone invited more than once is shown by their newest pending invitation, or else their newest one.
+  const invitesByEmail = new Map();
+  const newestFirst = [...invites].sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+  for (const invite of newestFirst) {
+    const emailLower = String(invite.emailLower || "").toLowerCase();
+    const current = invitesByEmail.get(emailLower);
+    if (!current || (!getInviteStatus(current).pending && getInviteStatus(invite).pending)) {
+      invitesByEmail.set(emailLower, invite);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50">
+      <Card className="w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-white">{t("invitations.title")}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl leading-none">
+            ×
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <p className="text-gray-400 text-sm">{t("invitations.codesHint")}</p>
+
+          <div className="bg-gray-700/50 rounded-lg p-4 border border-gray-600">
+            <button
+              type="button"
+              onClick={() => setShowEmailTemplate((v) => !v)}
+              className="text-purple-400 hover:text-purple-300 text-sm flex items-center gap-2"
+            >
+              <Mail className="w-4 h-4" />
+              {showEmailTemplate ? t("createGroup.hideEmailSettings") : t("createGroup.customizeEmails")}
+            </button>
+            {showEmailTemplate && (
+              <div className="mt-3 space-y-3">
+                <EmailTemplateFields
+                  value={emailTemplate}
+                  onChange={(next) => {
+                    setEmailTemplate(next);
+                    setTemplateStatus((st) => ({ ...st, saved: false }));
+                  }}
+                  groupName={group.name}
+                  hostName={group.members.find((m) => m.role === "owner")?.name}
+                />
+                {templateStatus.error && <p className="text-red-400 text-sm">{templateStatus.error}</p>}
+                <div className="flex items-center gap-3">
+                  <Button onClick={handleSaveTemplate} disabled={templateStatus.saving}>
+                    {templateStatus.saving ? t("common.saving") : t("invitations.saveTemplate")}
+                  </Button>
+                  {templateStatus.saved && <span className="text-green-400 text-sm">{t("common.saved")}</span>}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {loadingInvites ? (
+            <div className="bg-gray-700 rounded-lg p-4">
+              <p className="text-gray-300">{t("invitations.loading")}</p>
+            </div>
+          ) : loadError ? (
+            <div className="bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">{loadError}</div>
+          ) : (
+            group.members.map((member, idx) => {
+              const emailLower = String(member.emailLower || "").toLowerCase();
+              const invite = invitesByEmail.get(emailLower);
+              const status = getInviteStatus(invite);
+              return (
+                <div key={idx} className="bg-gray-700 rounded-lg p-4">
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="flex-1">
+                      <p className="text-white font-medium">{member.name}</p>
+                      <p className="text-gray-400 text-sm">{emailLower}</p>
+                      <p className={`text-xs mt-1 ${status.tone}`}>{status.label}</p>
+                      {invite && <p className="text-xs text-gray-500 mt-1">{getLinkStatus(invite).label}</p>}
+                      {invite && (
+                        <p className={`text-xs mt-1 ${getDeliveryStatus(invite).tone}`}>
+                          {getDeliveryStatus(invite).label}
+                        </p>
+                      )}
+                    </div>
+                    {invite && !invite.redeemedAt && !invite.revokedAt && (
+                      <Button
+                        variant="secondary"
+                        onClick={() => handleRegenerate(invite)}
+                        disabled={busyInviteId === invite.id}
+                      >
+                        {t("invitations.regenerate")}
+                      </Button>
+                    )}
+                  </div>
+                  {invite && (
+                    <div className="mt-3 flex flex-wrap gap-4">
+                      {status.pending && (
+                        <button
+                          onClick={() => handleCopyLink(invite)}
+                          disabled={busyInviteId === invite.id}
+                          className="text-sm text-purple-400 hover:text-purple-300 transition flex items-center gap-2 disabled:opacity-40"
+                        >
+                          <Copy className="w-4 h-4" />
+                          {t("invitations.link.copy")}
+                        </button>
+                      )}
+                      {getLinkStatus(invite).active && (
+                        <button
+                          onClick={() => handleRevokeLink(invite)}
+                          disabled={busyInviteId === invite.id}
+                          className="text-sm text-red-400 hover:text-red-300 transition disabled:opacity-40"
+                        >
+                          {t("invitations.link.revoke")}
+                        </button>
+                      )}
+                      {status.pending && !newCodes[invite.id] && (
+                        <button
+                          onClick={() => handleEmailCode(invite)}
+                          disabled={busyInviteId === invite.id}
+                          className="text-sm text-purple-400 hover:text-purple-300 transition flex items-center gap-2 disabled:opacity-40"
+                        >
+                          <Mail className="w-4 h-4" />
+                          {t("invitations.resend")}
+                        </button>
+                      )}
+                      {status.pending && (
+                        <button
+                          onClick={() => handleRevokeInvite(invite)}
+                          disabled={busyInviteId === invite.id}
+                          className="text-sm text-red-400 hover:text-red-300 transition disabled:opacity-40"
+                        >
+                          {t("invitations.revoke")}
+                        </button>
+                      )}
+                      {invite.revokedAt && !invite.redeemedAt && (
+                        <button
+                          onClick={() => handleRestoreInvite(invite)}
+                          disabled={busyInviteId === invite.id}
+                          className="text-sm text-purple-400 hover:text-purple-300 transition disabled:opacity-40"
+                        >
+                          {t("invitations.restore")}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  {invite && newCodes[invite.id] && (
+                    <div className="mt-3 space-y-2">
+                      <InviteCredentials
+                        invite={{ name: invite.name, email: invite.emailLower, tempPassword: newCodes[invite.id] }}
+                      />
+                      <button
+                        onClick={() => handleEmailCode(invite)}
+                        disabled={busyInviteId === invite.id}
+                        className="text-sm text-purple-400 hover:text-purple-300 transition flex items-center gap-2 disabled:opacity-40"
+                      >
+                        <Mail className="w-4 h-4" />
+                        {t("invitations.emailCode")}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+
+        <div className="mt-6">
+          <Button onClick={onClose} className="w-full">
+            {t("common.close")}
+          </Button>
+        </div>
+      </Card>
+    </div>
+  );
+};
@@ -0,0 +1,470 @@
+import React, { useEffect, useState } from "react";
+import { Plus, Trash2, Crown } from "lucide-react";
+import {
+  getGroup,
+  listGroupInvitations,
+  listGroupRoles,
+  createGroupInvitations,
+  addGroupCohost,
+  removeGroupCohost,
+  transferGroupOwnership,
+  updateGroupMembers
+} from "../db";
+import { sendGroupInviteEmails } from "../email";
+import { buildRosterExport, rosterFilename, rosterToCsv, rosterToJson } from "../roster";
+import { useAuth, useI18n } from "../context";
+import { downloadFile, generateTempPassword, toInviteCredentials } from "../utils";
+import { MemberImport } from "./CreateGroupModal";
+import { InviteCredentials } from "./Invitations";
+import { Button, Card } from "./ui";
+
+// ============================================================================
+// MANAGE MEMBERS MODAL
+// ============================================================================
+
+// Owners and co-hosts can make someone a co-host; only the owner removes co-hosts or hands the group over.
+const CohostsSection = ({ group, onUpdated }) => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [email, setEmail] = useState("");
+  const [nonce, setNonce] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRoles = async () => {
+      setLoading(true);
+      try {
+        const result = await listGroupRoles({ groupId: group.id });
+        if (!cancelled) setRoles(result);
+      } catch (err) {
+        if (!cancelled) setError(err?.message || t("cohosts.errors.load"));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    void loadRoles();
+    return () => {
+      cancelled = true;
+    };
+  }, [group.id, nonce]);
+
+  const isOwner = group.myRole === "owner";
+  const managers = roles.filter((r) => r.role !== "member");
+  const candidates = roles.filter((r) => r.role === "member");
+  const nameFor = (emailLower) =>
+    (group.members || []).find((m) => String(m.emailLower || "").toLowerCase() === emailLower)?.name || emailLower;
+
+  const runAction = async (action, fallbackError) => {
+    if (busy) return;
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      setNonce((n) => n + 1);
+      await onUpdated?.();
+    } catch (err) {
+      setError(err?.message || fallbackError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = () => {
+    if (!email.trim()) return;
+    void runAction(async () => {
+      await addGroupCohost({ groupId: group.id, email });
+      setEmail("");
+    }, t("cohosts.errors.add"));
+  };
+
+  const handleRemove = (role) => {
+    const self = role.userId === user.uid;
+    const ok = window.confirm(
+      self
+        ? t("cohosts.confirmStepDown", { group: group.name })
+        : t("cohosts.confirmRemove", { name: nameFor(role.emailLower) })
+    );
+    if (!ok) return;
+    void runAction(() => removeGroupCohost({ groupId: group.id, userId: role.userId }), t("cohosts.errors.remove"));
+  };
+
+  const handleTransfer = (role) => {
+    const ok = window.confirm(t("cohosts.confirmTransfer", { name: nameFor(role.emailLower), group: group.name }));
+    if (!ok) return;
+    void runAction(
+      () => transferGroupOwnership({ groupId: group.id, newOwnerUid: role.userId }),
+      t("cohosts.errors.transfer")
+    );
+  };
+
+  return (
+    <div>
+      <div className="text-sm font-medium text-gray-300 mb-1">{t("cohosts.title")}</div>
+      <p className="text-gray-400 text-sm mb-3">{t("cohosts.hint")}</p>
+
+      {loading ? (
+        <div className="text-gray-400 text-sm">{t("cohosts.loading")}</div>
+      ) : (
+        <div className="space-y-2">
+          {managers.map((role) => (
+            <div key={role.userId} className="flex items-center justify-between gap-3 bg-gray-700 rounded-lg px-4 py-3">
+              <div className="flex items-center gap-2">
+                {role.role === "owner" && <Crown className="w-4 h-4 text-yellow-400" />}
+                <div>
+                  <p className="text-white text-sm font-medium">
+                    {nameFor(role.emailLower)}
+                    {role.userId === user.uid && <span className="text-gray-400 font-normal"> {t("cohosts.you")}</span>}
+                  </p>
+                  <p className="text-gray-400 text-xs">
+                    {role.emailLower} · {role.role === "owner" ? t("cohosts.owner") : t("groupCard.cohost")}
+                  </p>
+                </div>
+              </div>
+              {role.role === "cohost" && (
+                <div className="flex gap-4">
+                  {isOwner && (
+                    <button
+                      onClick={() => handleTransfer(role)}
+                      disabled={busy}
+                      className="text-sm text-purple-400 hover:text-purple-300 transition disabled:opacity-40"
+                    >
+                      {t("cohosts.makeOwner")}
+                    </button>
+                  )}
+                  {(isOwner || role.userId === user.uid) && (
+                    <button
+                      onClick={() => handleRemove(role)}
+                      disabled={busy}
+                      className="text-sm text-red-400 hover:text-red-300 transition disabled:opacity-40"
+                    >
+                      {role.userId === user.uid ? t("cohosts.stepDown") : t("common.remove")}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2 mt-3">
+        <input
+          className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          placeholder={t("cohosts.emailPlaceholder")}
+          type="email"
+          list={`cohost-candidates-${group.id}`}
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleAdd()}
+        />
+        <datalist id={`cohost-candidates-${group.id}`}>
+          {candidates.map((role) => (
+            <option key={role.userId} value={role.emailLower}>
+              {nameFor(role.emailLower)}
+            </option>
+          ))}
+        </datalist>
+        <Button variant="secondary" onClick={handleAdd} disabled={busy || !email.trim()}>
+          {t("cohosts.add")}
+        </Button>
+      </div>
+
+      {error && (
+        <div className="mt-3 bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">{error}</div>
+      )}
+    </div>
+  );
+};
+
+export const ManageMembersModal = ({ group, onClose, onUpdated }) => {
+  const { t } = useI18n();
+  const [existingMembers, setExistingMembers] = useState(() => (Array.isArray(group.members) ? group.members : []));
+  const [newMembers, setNewMembers] = useState([{ email: "", name: "" }]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [createdInvites, setCreatedInvites] = useState([]);
+  const [sending, setSending] = useState(false);
+  const [sentSummary, setSentSummary] = useState(null);
+
+  const addNewRow = () => setNewMembers((m) => [...m, { email: "", name: "" }]);
+  const importNewRows = (imported) =>
+    setNewMembers((m) => [...m.filter((row) => row.email.trim() || row.name.trim()), ...imported]);
+  const removeNewRow = (idx) => setNewMembers((m) => (m.length <= 1 ? m : m.filter((_, i) => i !== idx)));
+  const updateNewRow = (idx, field, value) =>
+    setNewMembers((m) => {
+      const copy = [...m];
+      copy[idx] = { ...copy[idx], [field]: value };
+      return copy;
+    });
+
+  // Exports what's saved, not unsaved edits in this form.
+  const exportRoster = async (format) => {
+    setError("");
+    try {
+      const [saved, invitations] = await Promise.all([
+        getGroup({ groupId: group.id }),
+        listGroupInvitations({ groupId: group.id })
+      ]);
+      const roster = buildRosterExport({ group: saved, invitations });
+      if (format === "json") {
+        downloadFile(rosterToJson(roster), rosterFilename(roster, "json"), "application/json");
+      } else {
+        downloadFile(rosterToCsv(roster), rosterFilename(roster, "csv"), "text/csv;charset=utf-8");
+      }
+    } catch (err) {
+      setError(err?.message || t("members.errors.export"));
+    }
+  };
+
+  const removeExistingMember = (emailLower) => {
+    const normalized = String(emailLower || "").toLowerCase();
+    setExistingMembers((m) => (m || []).filter((x) => String(x.emailLower || "").toLowerCase() !== normalized));
+  };
+
+  const handleSave = async () => {
+    setError("");
+    setSentSummary(null);
+    setCreatedInvites([]);
+
+    const normalizedExisting = (existingMembers || [])
+      .map((m) => ({
+        emailLower: String(m.emailLower || "").trim().toLowerCase(),
+        name: String(m.name || "").trim()
+      }))
+      .filter((m) => m.emailLower && m.name);
+
+    const normalizedNew = (newMembers || [])
+      .map((m) => ({
+        emailLower: String(m.email || "").trim().toLowerCase(),
+        name: String(m.name || "").trim()
+      }))
+      .filter((m) => m.emailLower && m.name);
+
+    const all = [...normalizedExisting, ...normalizedNew];
+    const allEmails = all.map((m) => m.emailLower);
+    if (new Set(allEmails).size !== allEmails.length) {
+      setError(t("createGroup.errors.duplicateEmail"));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const beforeEmails = new Set((group.members || []).map((m) => String(m.emailLower || "").toLowerCase()));
+      const keptEmails = new Set(normalizedExisting.map((m) => m.emailLower));
+      const added = normalizedNew.filter((m) => !beforeEmails.has(m.emailLower));
+      const removed = Array.from(beforeEmails).filter((email) => !keptEmails.has(email));
+
+      const invitationsToCreate = added
+        .filter((m) => m.emailLower !== String(group.hostEmailLower || "").toLowerCase())
+        .map((m) => ({ ...m, tempPassword: generateTempPassword() }));
+
+      const updatedGroup = await updateGroupMembers({ groupId: group.id, add: added, remove: removed });
+
+      let created = [];
+      if (invitationsToCreate.length > 0) {
+        created = await createGroupInvitations({
+          groupId: group.id,
+          hostUid: group.hostUid,
+          hostEmailLower: group.hostEmailLower,
+          members: invitationsToCreate
+        });
+        setCreatedInvites(
+          created.map((i) => ({
+            email: i.emailLower,
+            name: i.name,
+            tempPassword: i.tempPassword
+          }))
+        );
+      }
+
+      setExistingMembers(updatedGroup.members);
+      setNewMembers([{ email: "", name: "" }]);
+
+      if (created.length > 0) {
+        try {
+          setSending(true);
+          const res = await sendGroupInviteEmails({
+            groupId: group.id,
+            emails: created.map((i) => i.emailLower),
+            credentials: toInviteCredentials(created)
+          });
+          setSentSummary(res);
+        } catch (err) {
+          setSentSummary({ error: String(err?.message || t("invitations.errors.sendFailed")) });
+        } finally {
+          setSending(false);
+        }
+      }
+
+      await onUpdated?.();
+    } catch (err) {
+      setError(err?.message || t("members.errors.save"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 overflow-y-auto">
+      <Card className="w-full max-w-3xl my-8">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-white">{t("members.title")}</h2>
+            <p className="text-gray-400 text-sm mt-1">{group.name}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl leading-none">
+            ×
+          </button>
+        </div>
+
+        <div className="space-y-6">
+          <div>
+            <div className="flex items-center justify-between mb-3">
+              <div className="text-sm font-medium text-gray-300">{t("members.current")}</div>
+              <div className="flex items-center gap-3 text-sm">
+                <span className="text-gray-500">{t("members.export")}</span>
+                <button onClick={() => exportRoster("csv")} className="text-purple-400 hover:text-purple-300">
+                  CSV
+                </button>
+                <button onClick={() => exportRoster("json")} className="text-purple-400 hover:text-purple-300">
+                  JSON
+                </button>
+              </div>
+            </div>
+            <div className="space-y-2">
+              {(existingMembers || []).length === 0 ? (
+                <div className="text-gray-400 text-sm">{t("members.empty")}</div>
+              ) : (
+                (existingMembers || []).map((m, idx) => {
+                  const emailLower = String(m.emailLower || "").toLowerCase();
+                  const isHostEmail = emailLower && emailLower === String(group.hostEmailLower || "").toLowerCase();
+                  return (
+                    <div key={`${emailLower}-${idx}`} className="flex gap-2 items-center">
+                      <input
+                        className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white"
+                        value={emailLower}
+                        disabled
+                      />
+                      <input
+                        className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white"
+                        value={String(m.name || "").trim()}
+                        disabled
+                      />
+                      <span className="w-20 text-xs text-gray-400 text-center">
+                        {m.status ? t(`members.status.${m.status}`) : ""}
+                      </span>
+                      <button
+                        onClick={() => removeExistingMember(emailLower)}
+                        className="px-4 py-3 bg-red-900/30 border border-red-500 rounded-lg text-red-400 hover:bg-red-900/50 transition"
+                        title={isHostEmail ? t("members.removeHost") : t("members.remove")}
+                      >
+                        <Trash2 className="w-5 h-5" />
+                      </button>
+                    </div>
+                  );
+                })
+              )}
+            </div>
+          </div>
+
+          <div>
+            <div className="text-sm font-medium text-gray-300 mb-3">{t("members.addNew")}</div>
+            <div className="space-y-3">
+              {newMembers.map((m, idx) => (
+                <div key={idx} className="flex gap-2">
+                  <input
+                    className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                    placeholder={t("createGroup.emailPlaceholder")}
+                    type="email"
+                    value={m.email}
+                    onChange={(e) => updateNewRow(idx, "email", e.target.value)}
+                  />
+                  <input
+                    className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                    placeholder={t("createGroup.namePlaceholder")}
+                    value={m.name}
+                    onChange={(e) => updateNewRow(idx, "name", e.target.value)}
+                  />
+                  {newMembers.length > 1 && (
+                    <button
+                      onClick={() => removeNewRow(idx)}
+                      className="px-4 py-3 bg-red-900/30 border border-red-500 rounded-lg text-red-400 hover:bg-red-900/50 transition"
+                      title={t("members.removeRow")}
+                    >
+                      <Trash2 className="w-5 h-5" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="mt-3 flex flex-wrap items-start gap-6">
+              <button
+                onClick={addNewRow}
+                className="text-purple-400 hover:text-purple-300 text-sm flex items-center gap-2"
+              >
+                <Plus className="w-4 h-4" />
+                {t("members.addAnother")}
+              </button>
+              <MemberImport
+                hostEmail={group.hostEmailLower}
+                existing={[...existingMembers, ...newMembers.filter((m) => m.email.trim())]}
+                onImport={importNewRows}
+              />
+            </div>
+          </div>
+
+          {error && (
+            <div className="bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">{error}</div>
+          )}
+
+          <div className="flex gap-3">
+            <Button variant="secondary" onClick={onClose} className="flex-1" disabled={saving || sending}>
+              {t("common.close")}
+            </Button>
+            <Button onClick={handleSave} className="flex-1" disabled={saving || sending}>
+              {saving ? t("common.saving") : sending ? t("members.sending") : t("members.save")}
+            </Button>
+          </div>
+
+          {sentSummary?.error && (
+            <div className="bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">
+              {sentSummary.error}
+            </div>
+          )}
+          {sentSummary && !sentSummary.error && (
+            <div className="bg-gray-900/30 border border-gray-700 rounded-lg p-3 text-gray-200 text-sm">
+              {sentSummary.provider
+                ? t("invitations.sentVia", { count: sentSummary.sent || 0, provider: sentSummary.provider })
+                : t("invitations.sent", { count: sentSummary.sent || 0 })}
+              {Number(sentSummary.failed || 0) > 0
+                ? ` • ${t("invitations.failedCount", { count: Number(sentSummary.failed) })}`
+                : ""}
+            </div>
+          )}
+
+          {createdInvites.length > 0 && (
+            <div className="bg-gray-700/50 rounded-lg p-4">
+              <h4 className="text-sm font-semibold text-white mb-3">{t("members.newCredentials")}</h4>
+              <div className="space-y-3">
+                {createdInvites.map((invite, idx) => (
+                  <InviteCredentials key={idx} invite={invite} />
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="border-t border-gray-700 pt-6">
+            <CohostsSection group={group} onUpdated={onUpdated} />
+          </div>
+        </div>
+      </Card>
+    </div>
+  );
+};
@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import { setRoundDueAt, updateGroupReleaseSettings } from "../db";
+import { DEFAULT_MIN_RESPONDENTS, validateReleaseSettings } from "../release";
+import { useI18n } from "../context";
+import { fromDateTimeLocal, toDateTimeLocal } from "../utils";
+import { ReleaseSettingsFields } from "./CreateGroupModal";
+import { Button, Card } from "./ui";
+
+// ============================================================================
+// RELEASE SETTINGS MODAL
+// ============================================================================
+
+export const ReleaseSettingsModal = ({ group, round, onClose, onUpdated }) => {
+  const { t } = useI18n();
+  const [value, setValue] = useState({
+    minRespondents: String(group.minRespondents || DEFAULT_MIN_RESPONDENTS),
+    releaseThreshold: group.releaseThreshold ? String(group.releaseThreshold) : "",
+    dueAt: toDateTimeLocal(round?.isOpen ? round.dueAt : null),
+    reminderDays: group.reminderDays || []
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSave = async () => {
+    const memberCount = group.memberEmails?.length || group.members?.length || 0;
+    const validationError = validateReleaseSettings({ ...value, memberCount }, t);
+    setError(validationError);
+    if (validationError) return;
+
+    setSaving(true);
+    try {
+      await updateGroupReleaseSettings({
+        groupId: group.id,
+        minRespondents: value.minRespondents,
+        releaseThreshold: value.releaseThreshold,
+        reminderDays: value.reminderDays,
+        memberCount
+      });
+      const dueAt = fromDateTimeLocal(value.dueAt);
+      const currentDueAt = round?.dueAt ? new Date(round.dueAt).toISOString() : null;
+      if (round?.isOpen && dueAt !== currentDueAt) {
+        await setRoundDueAt({ roundId: round.id, dueAt });
+      }
+      await onUpdated?.();
+      onClose();
+    } catch (err) {
+      setError(err?.message || t("releaseSettings.errors.save"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50">
+      <Card className="w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-white">{t("releaseSettings.title")}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl leading-none">
+            ×
+          </button>
+        </div>
+
+        <ReleaseSettingsFields value={value} onChange={setValue} deadlineDisabled={!round?.isOpen} />
+        {!round?.isOpen && (
+          <p className="mt-3 text-xs text-gray-500">{t("releaseSettings.deadlineClosed")}</p>
+        )}
+
+        {error && (
+          <div className="mt-4 bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">{error}</div>
+        )}
+
+        <div className="mt-6 flex gap-3">
+          <Button variant="secondary" onClick={onClose}>
+            {t("common.cancel")}
+          </Button>
+          <Button onClick={handleSave} className="flex-1" disabled={saving}>
+            {saving ? t("common.saving") : t("common.save")}
+          </Button>
+        </div>
+      </Card>
+    </div>
+  );
+};
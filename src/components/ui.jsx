@@ -0,0 +1,108 @@
+import React from "react";
+import { Languages } from "lucide-react";
+import { LOCALES } from "../i18n";
+import { useI18n } from "../context";
+
+export const AnonymousIcon = ({ className = "" }) => {
+  return (
+    <svg
+      className={className}
+      viewBox="0 0 24 24"
+      fill="none"
+      xmlns="http://www.w3.org/2000/svg"
+      aria-hidden="true"
+    >
+      <circle cx="12" cy="9" r="4" stroke="currentColor" strokeWidth="2" />
+      <path
+        d="M4 21c1.6-4 5-6 8-6s6.4 2 8 6"
+        stroke="currentColor"
+        strokeWidth="2"
+        strokeLinecap="round"
+      />
+      <rect x="7" y="8" width="10" height="3" rx="1.25" fill="currentColor" />
+    </svg>
+  );
+};
+
+// ============================================================================
+// UI COMPONENTS
+// ============================================================================
+
+export const Button = ({ children, variant = "primary", className = "", ...props }) => {
+  const baseClass =
+    "px-6 py-3 rounded-lg font-medium transition-all duration-200 flex items-center gap-2 justify-center";
+  const variants = {
+    primary: "bg-purple-600 hover:bg-purple-700 text-white shadow-lg hover:shadow-xl",
+    secondary: "bg-gray-700 hover:bg-gray-600 text-white",
+    ghost: "bg-transparent hover:bg-gray-800 text-gray-300",
+    danger: "bg-red-600 hover:bg-red-700 text-white"
+  };
+
+  return (
+    <button
+      className={`${baseClass} ${variants[variant]} ${className} disabled:opacity-50 disabled:cursor-not-allowed`}
+      {...props}
+    >
+      {children}
+    </button>
+  );
+};
+
+export const Card = ({ children, className = "", ...props }) => {
+  return (
+    <div
+      className={`bg-gray-800 rounded-xl p-6 shadow-xl border border-gray-700 ${className}`}
+      {...props}
+    >
+      {children}
+    </div>
+  );
+};
+
+export const Input = ({ label, error, ...props }) => {
+  return (
+    <div className="space-y-2">
+      {label && <label className="block text-sm font-medium text-gray-300">{label}</label>}
+      <input
+        className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent transition"
+        {...props}
+      />
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+    </div>
+  );
+};
+
+export const Textarea = ({ label, error, ...props }) => {
+  return (
+    <div className="space-y-2">
+      {label && <label className="block text-sm font-medium text-gray-300">{label}</label>}
+      <textarea
+        className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent transition resize-none"
+        rows={4}
+        {...props}
+      />
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+    </div>
+  );
+};
+
+export const LanguageSwitcher = ({ className = "" }) => {
+  const { t, locale, setLocale } = useI18n();
+  return (
+    <label className={`flex items-center gap-2 text-gray-400 hover:text-white transition ${className}`}>
+      <Languages className="w-5 h-5" aria-hidden="true" />
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        aria-label={t("common.language")}
+        className="bg-transparent text-sm cursor-pointer focus:outline-none"
+      >
+        {Object.entries(LOCALES).map(([code, label]) => (
+          <option key={code} value={code} className="bg-gray-800 text-white">
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
@@ -0,0 +1,402 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import {
+  getMemberIdentityFromInvites,
+  getUserProfile,
+  redeemInvitationForUser,
+  redeemInviteLink,
+  upsertUserProfile
+} from "./db";
+import { supabase, supabaseInitError } from "./supabase";
+import { DEFAULT_LOCALE, LOCALE_STORAGE_KEY, createTranslator, detectLocale, normalizeLocale } from "./i18n";
+
+// ============================================================================
+// CONTEXT & STATE MANAGEMENT
+// ============================================================================
+
+const I18nContext = createContext(null);
+
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) throw new Error("useI18n must be used within I18nProvider");
+  return context;
+};
+
+const readStoredLocale = () => {
+  try {
+    return window.localStorage.getItem(LOCALE_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+// The language picked in the switcher (remembered in localStorage), otherwise the browser's.
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(() =>
+    typeof window === "undefined"
+      ? DEFAULT_LOCALE
+      : detectLocale({ stored: readStoredLocale(), languages: navigator.languages || [navigator.language] })
+  );
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = (next) => {
+    const code = normalizeLocale(next) || DEFAULT_LOCALE;
+    try {
+      window.localStorage.setItem(LOCALE_STORAGE_KEY, code);
+    } catch {
+      // ignore
+    }
+    setLocaleState(code);
+  };
+
+  return <I18nContext.Provider value={{ t, locale, setLocale }}>{children}</I18nContext.Provider>;
+};
+
+const AuthContext = createContext(null);
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error("useAuth must be used within AuthProvider");
+  return context;
+};
+
+export const AuthProvider = ({ children }) => {
+  const { t } = useI18n();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // Joining swaps auth sessions, which remounts AuthScreen, so progress and errors live here.
+  const [joining, setJoining] = useState(false);
+  const [joinError, setJoinError] = useState("");
+  const [joinEmail, setJoinEmail] = useState("");
+
+  const markInviteNeedsPassword = (emailLower) => {
+    if (typeof window === "undefined") return;
+    try {
+      window.sessionStorage.setItem("offrecord_invite_needs_password", "1");
+      if (emailLower) window.sessionStorage.setItem("offrecord_invite_email_lower", String(emailLower).toLowerCase());
+    } catch {
+      // ignore
+    }
+  };
+
+  const clearInviteNeedsPassword = () => {
+    if (typeof window === "undefined") return;
+    try {
+      window.sessionStorage.removeItem("offrecord_invite_needs_password");
+      window.sessionStorage.removeItem("offrecord_invite_email_lower");
+    } catch {
+      // ignore
+    }
+  };
+
+  const setCurrentUser = ({ authUser, firstName, emailLowerOverride, joinedWithLink = false }) => {
+    const email = authUser.email || (emailLowerOverride ? String(emailLowerOverride) : "");
+    setUser({
+      uid: authUser.id,
+      email,
+      emailLower: emailLowerOverride ? String(emailLowerOverride).toLowerCase() : String(email).toLowerCase(),
+      firstName: String(firstName || "").trim(),
+      isAnonymous: !authUser.email,
+      joinedWithLink: joinedWithLink || Boolean(authUser.user_metadata?.joined_with_link)
+    });
+  };
+
+  useEffect(() => {
+    if (supabaseInitError || !supabase) {
+      setUser(null);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+
+    const applySession = (session) => {
+      const authUser = session?.user;
+      if (!authUser) {
+        setUser(null);
+        setLoading(false);
+        return;
+      }
+
+      const authEmail = authUser.email || "";
+      const emailLowerFromAuth = authEmail ? String(authEmail).toLowerCase() : "";
+      const emailLowerFromMetadata = String(authUser.user_metadata?.email_lower || "").toLowerCase();
+      const emailLower = emailLowerFromAuth || emailLowerFromMetadata;
+      const fallbackFirstName =
+        authUser.user_metadata?.first_name || (emailLower ? emailLower.split("@")[0] : "Anonymous");
+
+	      setUser({
+	        uid: authUser.id,
+	        email: authEmail || emailLower,
+	        emailLower,
+	        firstName: fallbackFirstName,
+	        isAnonymous: !authEmail,
+	        joinedWithLink: Boolean(authUser.user_metadata?.joined_with_link)
+	      });
+      setLoading(false);
+
+      const profileTimeoutMs = 2500;
+      const profilePromise = (async () => {
+        try {
+          return await getUserProfile({ uid: authUser.id });
+        } catch {
+          return null;
+        }
+      })();
+
+      const timeoutPromise = new Promise((resolve) => setTimeout(() => resolve(null), profileTimeoutMs));
+
+      Promise.race([profilePromise, timeoutPromise]).then((profile) => {
+        if (cancelled) return;
+
+        if (profile) {
+          setUser((prev) => {
+            if (!prev || prev.uid !== authUser.id) return prev;
+	            return {
+	              ...prev,
+	              email: prev.email || profile.emailLower || prev.email,
+	              emailLower: prev.emailLower || profile.emailLower || prev.emailLower,
+	              firstName: profile.firstName || prev.firstName,
+	              isAnonymous: !authUser.email
+	            };
+	          });
+          return;
+        }
+
+        if (emailLower) return;
+
+        const inviteTimeoutMs = 2500;
+        const invitePromise = (async () => {
+          try {
+            return await getMemberIdentityFromInvites({ uid: authUser.id });
+          } catch {
+            return null;
+          }
+        })();
+        const inviteTimeout = new Promise((resolve) => setTimeout(() => resolve(null), inviteTimeoutMs));
+
+        void Promise.race([invitePromise, inviteTimeout]).then((identity) => {
+          if (cancelled || !identity) return;
+	          setUser((prev) => {
+	            if (!prev || prev.uid !== authUser.id) return prev;
+	            return {
+	              ...prev,
+	              email: prev.email || identity.emailLower,
+	              emailLower: prev.emailLower || identity.emailLower,
+	              firstName: identity.firstName || prev.firstName,
+	              isAnonymous: !authUser.email
+	            };
+	          });
+	        });
+	      });
+    };
+
+    supabase.auth
+      .getSession()
+      .then(({ data }) => {
+        if (cancelled) return;
+        applySession(data.session);
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setUser(null);
+        setLoading(false);
+      });
+
+    const { data: sub } = supabase.auth.onAuthStateChange((_event, session) => {
+      if (cancelled) return;
+      applySession(session);
+    });
+
+    return () => {
+      cancelled = true;
+      sub?.subscription?.unsubscribe();
+    };
+  }, []);
+
+  const signup = async (email, password, firstName) => {
+    const emailLower = String(email || "").trim().toLowerCase();
+    const cleanPassword = String(password || "");
+    const displayName = String(firstName || "").trim();
+    try {
+      const { data, error } = await supabase.auth.signUp({
+        email: emailLower,
+        password: cleanPassword,
+        options: { data: { first_name: displayName } }
+      });
+      if (error) {
+        const m = String(error.message || "").toLowerCase();
+        if (m.includes("email confirmation")) {
+          throw new Error(t("auth.errors.disableConfirmation"));
+        }
+        throw error;
+      }
+      if (!data.session) {
+        throw new Error(t("auth.errors.confirmationsEnabled"));
+      }
+      await upsertUserProfile({ uid: data.session.user.id, emailLower, firstName: displayName });
+      setCurrentUser({ authUser: data.session.user, firstName: displayName });
+    } catch (err) {
+      const message = String(err?.message || "");
+      if (message.toLowerCase().includes("already") || message.toLowerCase().includes("registered")) {
+        const { data, error } = await supabase.auth.signInWithPassword({ email: emailLower, password: cleanPassword });
+        if (error) {
+          const m = String(error.message || "").toLowerCase();
+          if (m.includes("invalid login credentials")) {
+            throw new Error(t("auth.errors.emailTaken"));
+          }
+          if (m.includes("confirm") || m.includes("confirmed")) {
+            throw new Error(t("auth.errors.emailUnconfirmed"));
+          }
+          throw error;
+        }
+        await upsertUserProfile({ uid: data.user.id, emailLower, firstName: displayName });
+        setCurrentUser({ authUser: data.user, firstName: displayName });
+      } else {
+        throw err;
+      }
+    }
+  };
+
+  const login = async (email, password) => {
+    const emailLower = String(email || "").trim().toLowerCase();
+    const { data, error } = await supabase.auth.signInWithPassword({
+      email: emailLower,
+      password: String(password || "")
+    });
+    if (error) throw error;
+
+    const authUser = data.user;
+    let firstName = authUser.user_metadata?.first_name || (emailLower ? emailLower.split("@")[0] : "Anonymous");
+    let emailLowerOverride = emailLower;
+
+    try {
+      const profile = await getUserProfile({ uid: authUser.id });
+      if (profile) {
+        firstName = profile.firstName || firstName;
+        emailLowerOverride = profile.emailLower || emailLowerOverride;
+      } else {
+        // Members who set a password after joining have no profile yet; it makes them findable as co-hosts/org members.
+        await upsertUserProfile({ uid: authUser.id, emailLower, firstName });
+      }
+    } catch {
+      // ignore
+    }
+
+    setCurrentUser({ authUser, firstName, emailLowerOverride });
+  };
+
+  // Members join as an anonymous Supabase user, then attach an invitation to that session.
+  const joinWithInvitation = async (redeem, metadata = {}) => {
+    try {
+      await supabase.auth.signOut();
+    } catch {
+      // ignore
+    }
+
+    const { data: anonData, error: anonError } = await supabase.auth.signInAnonymously();
+    if (anonError) {
+      const msg = String(anonError.message || "").toLowerCase();
+      if (msg.includes("anonymous") && msg.includes("disabled")) {
+        throw new Error(t("auth.errors.enableAnonymous"));
+      }
+      throw anonError;
+    }
+
+    const authUser = anonData.user;
+    const invite = await redeem(authUser);
+
+    try {
+      await supabase.auth.updateUser({
+        data: {
+          email_lower: invite.emailLower,
+          first_name: invite.name,
+          ...metadata
+        }
+      });
+    } catch {
+      // ignore
+    }
+
+    return { authUser, invite };
+  };
+
+  const loginWithInvite = async (email, tempPassword) => {
+    const emailLower = String(email || "").trim().toLowerCase();
+    const password = String(tempPassword || "").trim();
+
+    // Errors (wrong code, expired or revoked invite, too many attempts) go through context like link errors: the
+    // anonymous sign-in remounts AuthScreen, so its local state doesn't survive.
+    setJoining(true);
+    setJoinError("");
+    setJoinEmail(emailLower);
+    try {
+      const { authUser, invite } = await joinWithInvitation((u) =>
+        redeemInvitationForUser({ uid: u.id, emailLower, tempPassword: password })
+      );
+      markInviteNeedsPassword(invite.emailLower);
+      setCurrentUser({ authUser, firstName: invite.name, emailLowerOverride: invite.emailLower });
+      return invite;
+    } catch (err) {
+      clearInviteNeedsPassword();
+      await supabase.auth.signOut();
+      setJoinError(err?.message || t("auth.errors.invalidInvite"));
+      return null;
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  // Magic links sign members straight in; they aren't asked to set a password.
+  const loginWithInviteLink = async (token) => {
+    setJoining(true);
+    setJoinError("");
+    try {
+      const { authUser, invite } = await joinWithInvitation(() => redeemInviteLink({ token }), {
+        joined_with_link: true
+      });
+      clearInviteNeedsPassword();
+      setCurrentUser({
+        authUser,
+        firstName: invite.name,
+        emailLowerOverride: invite.emailLower,
+        joinedWithLink: true
+      });
+      return invite;
+    } catch (err) {
+      await supabase.auth.signOut();
+      setJoinError(t("auth.errors.linkFailed", { error: err?.message || t("auth.errors.linkFailedDefault") }));
+      return null;
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  const logout = () => {
+    clearInviteNeedsPassword();
+    return supabase.auth.signOut();
+  };
+
+  return (
+    <AuthContext.Provider
+      value={{
+        user,
+        signup,
+        login,
+        loginWithInvite,
+        loginWithInviteLink,
+        logout,
+        loading,
+        joining,
+        joinError,
+        joinEmail,
+        clearJoinError: () => setJoinError("")
+      }}
+    >
+      {children}
+    </AuthContext.Provider>
+  );
+};
@@ -0,0 +1,54 @@
+// CSV in and out: RFC 4180 quoting, CRLF line endings on export, and a reader that copes with what spreadsheets
+// save (a byte-order mark, quoted newlines, LF or CRLF).
+
+// Quotes fields that need it, and defuses values a spreadsheet would run as a formula (names are user input).
+const csvField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+// [[...cells]] → CSV text, without a trailing newline.
+export const toCsv = (rows) => rows.map((row) => row.map(csvField).join(",")).join("\r\n");
+
+// CSV text → [[...cells]]. Blank lines are dropped; cells are not trimmed.
+export const parseCsv = (text) => {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i += 1;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length > 0) endRow();
+  return rows;
+};
@@ -1,6 +1,18 @@
-import { supabase, supabaseInitError } from "./supabase";
+import { localBackend, supabase, supabaseInitError } from "./supabase";
 
-export const sendGroupInviteEmails = async ({ groupId, emails }) => {
+// `credentials` ([{ email, tempPassword }]) carries codes the client still knows in plaintext (right after creating
+// or regenerating them). The function checks each against the stored hash; invitees without a matching one get a
+// fresh code, which invalidates the old one.
+export const sendGroupInviteEmails = async ({ groupId, emails, credentials }) => {
+  // The local backend logs the emails to the browser console instead.
+  if (localBackend) {
+    return localBackend.sendInviteEmails({
+      groupId,
+      emails,
+      credentials,
+      appUrl: typeof window === "undefined" ? "" : window.location.origin
+    });
+  }
   if (supabaseInitError || !supabase) {
     throw new Error("Supabase is not configured.");
   }
@@ -18,7 +30,7 @@ export const sendGroupInviteEmails = async ({ groupId, emails }) => {
     body: JSON.stringify({
       groupId,
       emails: Array.isArray(emails) && emails.length > 0 ? emails : undefined,
-      appUrl: typeof window === "undefined" ? "" : window.location.origin
+      credentials: Array.isArray(credentials) && credentials.length > 0 ? credentials : undefined
     })
   });
 
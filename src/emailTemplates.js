@@ -0,0 +1,375 @@
+// Email templates shared by the Netlify functions (which send the emails) and the app (which previews them).
+// Templates are plain text with {{name}} placeholders and {{#name}}…{{/name}} / {{^name}}…{{/name}} sections
+// (shown when the value is set / not set). Hosts can add an intro and sign-off per group, which may use the same
+// placeholders. Everything is rendered as text first and escaped when the HTML version is built, so neither
+// member-supplied values nor host text can inject markup.
+
+export const EMAIL_KINDS = ["invite", "reminder", "roundOpened", "resultsReady"];
+
+export const EMAIL_LOCALES = { en: "English", es: "Español", de: "Deutsch" };
+
+export const DEFAULT_BRAND_COLOR = "#7c3aed";
+export const EMAIL_INTRO_MAX = 2000;
+export const EMAIL_SIGN_OFF_MAX = 200;
+
+// Placeholders hosts can use in their intro and sign-off.
+export const EMAIL_PLACEHOLDERS = ["name", "groupName", "hostName"];
+
+const STRINGS = {
+  en: {
+    greeting: "Hi {{#name}}{{name}}{{/name}}{{^name}}there{{/name}},",
+    signOff: "— OffRecord",
+    anonymity: "This feedback is anonymous. No names are attached to individual responses.",
+    timeLeft: { hour: "within the hour", hours: "in {{count}} hours", tomorrow: "tomorrow", days: "in {{count}} days" },
+    invite: {
+      subject: "{{hostName}} invited you to OffRecord: {{groupName}}",
+      heading: "You’ve been invited to OffRecord",
+      body: ['{{hostName}} invited you to an anonymous feedback group called "{{groupName}}".'],
+      action: "Join the group",
+      actionText: "Join with one click (single use, expires in {{linkTtlHours}} hours): {{actionUrl}}",
+      actionNote:
+        "The button works once and expires in {{linkTtlHours}} hours. You can always use the details below instead.",
+      details: {
+        title: "Your sign-in details",
+        rows: [
+          ["Site", "signInUrl"],
+          ["Email", "email"],
+          ["Temporary Password", "tempPassword"]
+        ]
+      },
+      closing: "Please fill it out when you can — it only takes a few minutes."
+    },
+    reminder: {
+      subject: "Reminder: feedback for {{groupName}} is due {{timeLeft}}",
+      heading: "Feedback is due {{timeLeft}}",
+      body: [
+        'Feedback for "{{groupName}}" (round {{roundNumber}}) is due {{timeLeft}} ({{dueLabel}}).',
+        "{{#pending}}Use the email and temporary password from your invitation.{{/pending}}"
+      ],
+      action: "Sign in to OffRecord",
+      actionText: "Sign in here: {{actionUrl}}",
+      closing: "It only takes a few minutes, and your answers stay anonymous."
+    },
+    roundOpened: {
+      subject: "A new feedback round is open in {{groupName}}",
+      heading: "Round {{roundNumber}} is open",
+      body: [
+        'A new round of feedback (round {{roundNumber}}) is open for "{{groupName}}".',
+        "{{#dueLabel}}Responses are due {{dueLabel}}.{{/dueLabel}}"
+      ],
+      action: "Give feedback",
+      actionText: "Give feedback here: {{actionUrl}}",
+      closing: "It only takes a few minutes."
+    },
+    resultsReady: {
+      subject: "Your feedback from {{groupName}} is ready",
+      heading: "Your feedback is ready",
+      body: ['Your anonymous feedback from round {{roundNumber}} of "{{groupName}}" is ready to read.'],
+      action: "Read your feedback",
+      actionText: "Read it here: {{actionUrl}}",
+      closing: "Don't want these emails? Turn them off under Settings in OffRecord."
+    }
+  },
+  es: {
+    greeting: "Hola{{#name}}, {{name}}{{/name}}:",
+    signOff: "— OffRecord",
+    anonymity: "Estos comentarios son anónimos. Ninguna respuesta individual lleva nombre.",
+    timeLeft: {
+      hour: "en menos de una hora",
+      hours: "en {{count}} horas",
+      tomorrow: "mañana",
+      days: "en {{count}} días"
+    },
+    invite: {
+      subject: "{{hostName}} te invitó a OffRecord: {{groupName}}",
+      heading: "Te invitaron a OffRecord",
+      body: ['{{hostName}} te invitó a un grupo de comentarios anónimos llamado "{{groupName}}".'],
+      action: "Unirme al grupo",
+      actionText: "Únete con un clic (un solo uso, caduca en {{linkTtlHours}} horas): {{actionUrl}}",
+      actionNote:
+        "El botón funciona una sola vez y caduca en {{linkTtlHours}} horas. También puedes usar los datos de abajo.",
+      details: {
+        title: "Tus datos de acceso",
+        rows: [
+          ["Sitio", "signInUrl"],
+          ["Correo", "email"],
+          ["Contraseña temporal", "tempPassword"]
+        ]
+      },
+      closing: "Complétalo cuando puedas: solo lleva unos minutos."
+    },
+    reminder: {
+      subject: "Recordatorio: los comentarios para {{groupName}} vencen {{timeLeft}}",
+      heading: "Los comentarios vencen {{timeLeft}}",
+      body: [
+        'Los comentarios para "{{groupName}}" (ronda {{roundNumber}}) vencen {{timeLeft}} ({{dueLabel}}).',
+        "{{#pending}}Usa el correo y la contraseña temporal de tu invitación.{{/pending}}"
+      ],
+      action: "Entrar en OffRecord",
+      actionText: "Entra aquí: {{actionUrl}}",
+      closing: "Solo lleva unos minutos y tus respuestas son anónimas."
+    },
+    roundOpened: {
+      subject: "Nueva ronda de comentarios en {{groupName}}",
+      heading: "La ronda {{roundNumber}} está abierta",
+      body: [
+        'Hay una nueva ronda de comentarios (ronda {{roundNumber}}) abierta para "{{groupName}}".',
+        "{{#dueLabel}}Las respuestas vencen el {{dueLabel}}.{{/dueLabel}}"
+      ],
+      action: "Dar mi opinión",
+      actionText: "Responde aquí: {{actionUrl}}",
+      closing: "Solo lleva unos minutos."
+    },
+    resultsReady: {
+      subject: "Tus comentarios de {{groupName}} están listos",
+      heading: "Tus comentarios están listos",
+      body: ['Ya puedes leer tus comentarios anónimos de la ronda {{roundNumber}} de "{{groupName}}".'],
+      action: "Leer mis comentarios",
+      actionText: "Léelos aquí: {{actionUrl}}",
+      closing: "¿No quieres recibir estos correos? Desactívalos en Ajustes, dentro de OffRecord."
+    }
+  },
+  de: {
+    greeting: "Hallo{{#name}} {{name}}{{/name}},",
+    signOff: "— OffRecord",
+    anonymity: "Dieses Feedback ist anonym. Keine einzelne Antwort ist mit einem Namen verknüpft.",
+    timeLeft: {
+      hour: "innerhalb der nächsten Stunde",
+      hours: "in {{count}} Stunden",
+      tomorrow: "morgen",
+      days: "in {{count}} Tagen"
+    },
+    invite: {
+      subject: "{{hostName}} hat dich zu OffRecord eingeladen: {{groupName}}",
+      heading: "Du wurdest zu OffRecord eingeladen",
+      body: ["{{hostName}} hat dich in eine anonyme Feedback-Gruppe namens „{{groupName}}“ eingeladen."],
+      action: "Der Gruppe beitreten",
+      actionText: "Mit einem Klick beitreten (einmalig, läuft in {{linkTtlHours}} Stunden ab): {{actionUrl}}",
+      actionNote:
+        "Der Button funktioniert einmal und läuft in {{linkTtlHours}} Stunden ab. " +
+        "Du kannst jederzeit auch die Angaben unten verwenden.",
+      details: {
+        title: "Deine Zugangsdaten",
+        rows: [
+          ["Website", "signInUrl"],
+          ["E-Mail", "email"],
+          ["Temporäres Passwort", "tempPassword"]
+        ]
+      },
+      closing: "Bitte füll die Umfrage aus, wenn du Zeit hast – es dauert nur ein paar Minuten."
+    },
+    reminder: {
+      subject: "Erinnerung: Das Feedback für {{groupName}} ist {{timeLeft}} fällig",
+      heading: "Das Feedback ist {{timeLeft}} fällig",
+      body: [
+        "Das Feedback für „{{groupName}}“ (Runde {{roundNumber}}) ist {{timeLeft}} fällig ({{dueLabel}}).",
+        "{{#pending}}Nutze die E-Mail-Adresse und das temporäre Passwort aus deiner Einladung.{{/pending}}"
+      ],
+      action: "Bei OffRecord anmelden",
+      actionText: "Hier anmelden: {{actionUrl}}",
+      closing: "Es dauert nur ein paar Minuten, und deine Antworten bleiben anonym."
+    },
+    roundOpened: {
+      subject: "Neue Feedback-Runde in {{groupName}}",
+      heading: "Runde {{roundNumber}} ist eröffnet",
+      body: [
+        "Für „{{groupName}}“ ist eine neue Feedback-Runde (Runde {{roundNumber}}) eröffnet.",
+        "{{#dueLabel}}Antworten sind bis {{dueLabel}} fällig.{{/dueLabel}}"
+      ],
+      action: "Feedback geben",
+      actionText: "Hier Feedback geben: {{actionUrl}}",
+      closing: "Es dauert nur ein paar Minuten."
+    },
+    resultsReady: {
+      subject: "Dein Feedback aus {{groupName}} ist da",
+      heading: "Dein Feedback ist da",
+      body: ["Dein anonymes Feedback aus Runde {{roundNumber}} von „{{groupName}}“ ist bereit."],
+      action: "Feedback lesen",
+      actionText: "Hier lesen: {{actionUrl}}",
+      closing: "Du möchtest diese E-Mails nicht mehr? Schalte sie in OffRecord unter Einstellungen aus."
+    }
+  }
+};
+
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const SECTION = /{{([#^])\s*(\w+)\s*}}([\s\S]*?){{\/\s*\2\s*}}/g;
+const VARIABLE = /{{\s*(\w+)\s*}}/g;
+
+// Sections are resolved before values are filled in, so a value that looks like a placeholder stays as typed.
+export const renderTemplate = (source, vars = {}) => {
+  let text = String(source ?? "");
+  for (let previous = null; previous !== text; ) {
+    previous = text;
+    text = text.replace(SECTION, (_, kind, key, inner) => (Boolean(vars[key]) === (kind === "#") ? inner : ""));
+  }
+  return text.replace(VARIABLE, (_, key) => String(vars[key] ?? ""));
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// A group's stored template settings with defaults filled in.
+export const normalizeEmailTemplate = (value) => {
+  const source = value && typeof value === "object" ? value : {};
+  const brandColor = String(source.brandColor || "").trim();
+  const locale = String(source.locale || "").trim();
+  return {
+    locale: EMAIL_LOCALES[locale] ? locale : "en",
+    intro: String(source.intro || "").trim(),
+    signOff: String(source.signOff || "").trim(),
+    brandColor: HEX_COLOR.test(brandColor) ? brandColor.toLowerCase() : DEFAULT_BRAND_COLOR
+  };
+};
+
+export const validateEmailTemplate = (value) => {
+  const source = value || {};
+  if (source.locale && !EMAIL_LOCALES[source.locale]) return "Pick one of the listed languages";
+  if (String(source.intro || "").trim().length > EMAIL_INTRO_MAX) {
+    return `The intro can be at most ${EMAIL_INTRO_MAX} characters`;
+  }
+  if (String(source.signOff || "").trim().length > EMAIL_SIGN_OFF_MAX) {
+    return `The sign-off can be at most ${EMAIL_SIGN_OFF_MAX} characters`;
+  }
+  if (source.brandColor && !HEX_COLOR.test(String(source.brandColor).trim())) {
+    return "Brand color must be a hex color like #7c3aed";
+  }
+  return "";
+};
+
+// "tomorrow", "in 3 days", … in the template's language.
+export const formatTimeLeft = (dueAt, now = new Date(), locale = "en") => {
+  const words = (STRINGS[locale] || STRINGS.en).timeLeft;
+  const hours = Math.max(0, Math.round((new Date(dueAt).getTime() - new Date(now).getTime()) / (60 * 60 * 1000)));
+  if (hours < 24) return hours <= 1 ? words.hour : renderTemplate(words.hours, { count: hours });
+  const days = Math.round(hours / 24);
+  return days === 1 ? words.tomorrow : renderTemplate(words.days, { count: days });
+};
+
+// Deadlines are shown in UTC: the functions don't know each member's time zone.
+export const formatEmailDate = (value, locale = "en") =>
+  `${new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short", timeZone: "UTC" }).format(
+    new Date(value)
+  )} UTC`;
+
+const safeUrl = (value) => (/^https?:\/\//i.test(String(value || "")) ? String(value) : "");
+
+const paragraphs = (text) =>
+  String(text || "")
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+// Links into a group's pages in the app (the routes in src/App.jsx): `page` is "survey", "report" or "" for the
+// group itself. Without a site URL there's nothing to link to, so the email goes out without a button.
+export const groupPageUrl = (appUrl, groupId, page = "") => {
+  const base = String(appUrl || "").trim().replace(/\/+$/, "");
+  if (!base || !groupId) return "";
+  return `${base}/groups/${encodeURIComponent(groupId)}${page ? `/${page}` : ""}`;
+};
+
+const FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif";
+const MONO = "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace";
+
+const htmlParagraph = (text, style = "margin: 0 0 14px;") =>
+  `<p style="${style}">${escapeHtml(text).replace(/\n/g, "<br>")}</p>`;
+
+// Renders one email of `kind` ("invite", "reminder", "roundOpened" or "resultsReady") in the group's language,
+// with its intro, sign-off and brand color. `vars.actionUrl` is the button link (left out unless http(s)).
+// Returns { subject, text, html }.
+export const renderEmail = (kind, vars = {}, template = {}) => {
+  const settings = normalizeEmailTemplate(template);
+  const strings = STRINGS[settings.locale];
+  const copy = strings[kind];
+  if (!copy) throw new Error(`Unknown email template: ${kind}`);
+
+  const values = { ...vars, actionUrl: safeUrl(vars.actionUrl) };
+  const render = (source) => renderTemplate(source, values).trim();
+
+  const subject = render(copy.subject).replace(/\s+/g, " ");
+  const heading = render(copy.heading);
+  const greeting = render(strings.greeting);
+  const body = [...copy.body.map(render), ...paragraphs(render(settings.intro))].filter(Boolean);
+  const action = values.actionUrl && copy.action ? { label: render(copy.action), text: render(copy.actionText) } : null;
+  const actionNote = action && copy.actionNote ? render(copy.actionNote) : "";
+  const details = (copy.details?.rows || [])
+    .map(([label, key]) => ({ label, key, value: String(values[key] ?? "") }))
+    .filter((row) => row.value);
+  const closing = copy.closing ? render(copy.closing) : "";
+  const signOff = render(settings.signOff) || strings.signOff;
+
+  const text = [
+    greeting,
+    ...body,
+    action?.text,
+    details.length > 0 ? [copy.details.title, ...details.map((row) => `${row.label}: ${row.value}`)].join("\n") : "",
+    closing,
+    signOff
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const detailRows = details
+    .map(({ label, key, value }) => {
+      let shown = escapeHtml(value);
+      if (key === "tempPassword") shown = `<span style="font-family: ${MONO};">${shown}</span>`;
+      else if (safeUrl(value)) shown = `<a href="${shown}">${shown}</a>`;
+      return `<div><strong>${escapeHtml(label)}:</strong> ${shown}</div>`;
+    })
+    .join("\n");
+
+  const html = [
+    `<div style="font-family: ${FONT}; line-height: 1.6; color: #111;">`,
+    `<h2 style="margin: 0 0 12px;">${escapeHtml(heading)}</h2>`,
+    htmlParagraph(greeting),
+    ...body.map((p) => htmlParagraph(p)),
+    action
+      ? `<p style="margin: 18px 0;"><a href="${escapeHtml(values.actionUrl)}" style="display:inline-block;` +
+        `background:${settings.brandColor};color:#fff;text-decoration:none;padding:12px 20px;border-radius:10px;` +
+        `font-weight:600;">${escapeHtml(action.label)}</a></p>`
+      : "",
+    actionNote ? htmlParagraph(actionNote, "margin: 0 0 14px; color:#666; font-size: 12px;") : "",
+    details.length > 0
+      ? `<div style="background:#f6f6f8;border:1px solid #e6e6ea;border-radius:12px;padding:16px;margin:18px 0;">` +
+        `<div style="font-weight:600;margin-bottom:8px;">${escapeHtml(copy.details.title)}</div>\n${detailRows}</div>`
+      : "",
+    closing ? htmlParagraph(closing) : "",
+    htmlParagraph(signOff),
+    htmlParagraph(strings.anonymity, "margin: 24px 0 0; color:#666; font-size: 12px;"),
+    "</div>"
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return { subject, text, html };
+};
+
+// What an email of `kind` would look like for a made-up member, for the template editor.
+export const previewEmail = (kind, { groupName, hostName, template, now = new Date() } = {}) => {
+  const { locale } = normalizeEmailTemplate(template);
+  const dueAt = new Date(new Date(now).getTime() + 24 * 60 * 60 * 1000);
+  const siteUrl = "https://offrecord.example";
+  return renderEmail(
+    kind,
+    {
+      name: "Alex",
+      email: "alex@example.com",
+      groupName: groupName || "Your group",
+      hostName: hostName || "Your host",
+      tempPassword: "ABC234",
+      linkTtlHours: 168,
+      signInUrl: siteUrl,
+      actionUrl: kind === "invite" ? `${siteUrl}/join/example` : siteUrl,
+      roundNumber: 1,
+      timeLeft: formatTimeLeft(dueAt, now, locale),
+      dueLabel: formatEmailDate(dueAt, locale),
+      pending: kind === "reminder"
+    },
+    template
+  );
+};
@@ -0,0 +1,91 @@
+// UI translations. Message catalogs live in src/locales (one module per language, nested by screen) and are looked
+// up with dotted keys: t("dashboard.title"). Messages interpolate {placeholders} from `vars`; a message can also be
+// an object of plural forms ({ one, other }, plus whatever Intl.PluralRules uses for the language), picked by
+// `vars.count`. Missing messages fall back to English, then to the key itself.
+// Emails have their own per-group language and strings (src/emailTemplates.js).
+import de from "./locales/de.js";
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+
+export const LOCALES = { en: "English", es: "Español", de: "Deutsch" };
+export const DEFAULT_LOCALE = "en";
+export const LOCALE_STORAGE_KEY = "offrecord_locale";
+
+export const CATALOGS = { en, es, de };
+
+const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+export const isPluralMessage = (value) =>
+  Boolean(value) &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  typeof value.other === "string" &&
+  Object.keys(value).every((key) => PLURAL_CATEGORIES.includes(key));
+
+// "es-MX" → "es"; null for languages without a catalog.
+export const normalizeLocale = (value) => {
+  const code = String(value || "")
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return Object.hasOwn(LOCALES, code) ? code : null;
+};
+
+// The language picked in the switcher wins, then the browser's preferred languages in order.
+export const detectLocale = ({ stored, languages = [] } = {}) => {
+  for (const candidate of [stored, ...(languages || [])]) {
+    const locale = normalizeLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+};
+
+const lookup = (catalog, key) =>
+  String(key)
+    .split(".")
+    .reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalog);
+
+const interpolate = (message, vars, formatNumber) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!vars || vars[name] === undefined || vars[name] === null) return match;
+    return typeof vars[name] === "number" ? formatNumber(vars[name]) : String(vars[name]);
+  });
+
+// Returns t(key, vars) for `locale`, with the locale's formatting helpers attached:
+// t.locale, t.raw(key), t.formatDate(value), t.formatDateTime(value), t.formatNumber(n), t.formatDecimal(n) (one
+// decimal place: "4.5", "4,5") and t.list(items, type).
+export const createTranslator = (locale) => {
+  const code = normalizeLocale(locale) || DEFAULT_LOCALE;
+  const plurals = new Intl.PluralRules(code);
+  const numbers = new Intl.NumberFormat(code);
+  const decimals = new Intl.NumberFormat(code, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const formatNumber = (n) => numbers.format(n);
+
+  const raw = (key) => {
+    const value = lookup(CATALOGS[code], key);
+    return value === undefined ? lookup(CATALOGS[DEFAULT_LOCALE], key) : value;
+  };
+
+  const t = (key, vars) => {
+    let message = raw(key);
+    if (isPluralMessage(message)) {
+      const count = Number(vars?.count ?? 0);
+      message = message[plurals.select(count)] ?? message.other;
+    }
+    if (typeof message !== "string") return key;
+    return interpolate(message, vars, formatNumber);
+  };
+
+  t.locale = code;
+  t.raw = raw;
+  t.formatNumber = formatNumber;
+  t.formatDecimal = (n) => decimals.format(n);
+  t.formatDate = (value) => new Date(value).toLocaleDateString(code);
+  t.formatDateTime = (value) => new Date(value).toLocaleString(code);
+  // ["a", "b", "c"] → "a, b or c" (type "disjunction") / "a, b and c" (type "conjunction").
+  t.list = (items, type = "conjunction") => new Intl.ListFormat(code, { type }).format(items);
+  return t;
+};
+
+// English, for code outside the React tree and the defaults of the report and release helpers.
+export const defaultTranslator = createTranslator(DEFAULT_LOCALE);
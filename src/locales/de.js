@@ -0,0 +1,708 @@
+// German UI messages. Same keys as src/locales/en.js.
+export default {
+  common: {
+    yes: "Ja",
+    no: "Nein",
+    cancel: "Abbrechen",
+    close: "Schließen",
+    save: "Speichern",
+    saving: "Wird gespeichert...",
+    saved: "Gespeichert",
+    loading: "Wird geladen…",
+    pleaseWait: "Bitte warten...",
+    back: "Zurück",
+    continue: "Weiter",
+    done: "Fertig",
+    copy: "Kopieren",
+    copied: "Kopiert!",
+    copyFailed: "Kopieren fehlgeschlagen. Markiere den Text von Hand oder versuche es mit einem anderen Browser.",
+    remove: "Entfernen",
+    email: "E-Mail",
+    name: "Name",
+    language: "Sprache",
+    members: { one: "{count} Mitglied", other: "{count} Mitglieder" },
+    responses: { one: "{count} Antwort", other: "{count} Antworten" }
+  },
+
+  questions: {
+    them: "diese Person",
+    likert: ["Stimme gar nicht zu", "Stimme nicht zu", "Neutral", "Stimme zu", "Stimme voll zu"],
+    types: {
+      text: "Freitext",
+      likert: "Skala 1–5",
+      choice: "Mehrfachauswahl",
+      yesno: "Ja / Nein"
+    },
+    errors: {
+      none: "Füge mindestens eine Frage hinzu",
+      prompt: "Frage {number} braucht einen Text",
+      duplicateId: "Jede Frage braucht eine eindeutige ID",
+      fewChoices: "Frage {number} braucht mindestens zwei Antwortoptionen",
+      duplicateChoices: "Frage {number} hat doppelte Antwortoptionen"
+    }
+  },
+
+  questionTemplates: {
+    "peer-review": {
+      name: "Peer-Review",
+      questions: {
+        strengths: "Was hat {name} gut gemacht?",
+        improvements: "Was könnte {name} besser machen?"
+      }
+    },
+    "project-retro": {
+      name: "Projekt-Retro",
+      questions: {
+        contribution: "Was war der wertvollste Beitrag von {name} zum Projekt?",
+        reliability: "{name} hat geliefert, was zugesagt war.",
+        collaboration: "Wie war die Zusammenarbeit mit {name}?",
+        again: "Würdest du beim nächsten Projekt wieder mit {name} arbeiten?",
+        "next-time": "Was sollte {name} beim nächsten Mal anders machen?"
+      },
+      options: {
+        collaboration: ["Reibungslos", "Meist reibungslos", "Etwas holprig", "Schwierig"]
+      }
+    },
+    "leadership-360": {
+      name: "Führung 360°",
+      questions: {
+        vision: "{name} gibt dem Team eine klare Richtung vor.",
+        support: "{name} unterstützt meine Entwicklung.",
+        feedback: "{name} ist offen für Feedback.",
+        keep: "Was sollte {name} beibehalten?",
+        change: "Was sollte {name} anfangen oder lassen?"
+      }
+    }
+  },
+
+  release: {
+    errors: {
+      minTooLow: "Die Mindestzahl an Antworten muss mindestens {count} sein",
+      minTooHigh: {
+        one: "Die Mindestzahl an Antworten darf {count} Mitglied nicht übersteigen",
+        other: "Die Mindestzahl an Antworten darf die {count} Mitglieder nicht übersteigen"
+      },
+      thresholdNotWhole: "Die Freigabeschwelle muss eine ganze Zahl sein",
+      thresholdBelowMin: "Die Freigabeschwelle darf nicht unter der Mindestzahl an Antworten liegen",
+      thresholdTooHigh: {
+        one: "Die Freigabeschwelle darf {count} Mitglied nicht übersteigen",
+        other: "Die Freigabeschwelle darf die {count} Mitglieder nicht übersteigen"
+      }
+    },
+    rule: {
+      summary: {
+        one: "Das Feedback wird ab {count} Antwort freigegeben, sobald {alternatives}.",
+        other: "Das Feedback wird ab {count} Antworten freigegeben, sobald {alternatives}."
+      },
+      everyone: "alle geantwortet haben",
+      hostCloses: "der Host die Runde schließt",
+      threshold: { one: "{count} Person geantwortet hat", other: "{count} Personen geantwortet haben" },
+      deadline: "die Frist ({date}) abgelaufen ist"
+    },
+    reminders: {
+      onTheDay: "Am selben Tag",
+      daysBefore: { one: "{count} Tag vorher", other: "{count} Tage vorher" }
+    },
+    countdown: {
+      passed: "Frist abgelaufen",
+      lessThanHour: "Fällig in weniger als einer Stunde",
+      hours: { one: "Fällig in {count} Stunde", other: "Fällig in {count} Stunden" },
+      days: { one: "Fällig in {count} Tag", other: "Fällig in {count} Tagen" }
+    }
+  },
+
+  report: {
+    source: "{group} • Runde {number}",
+    feedbackFor: "Feedback für {name}",
+    generated: "Erstellt am {date}",
+    summary: "Zusammenfassung",
+    averageScore: "Durchschnittliche Punktzahl",
+    responsesLabel: "Antworten",
+    responses: { one: "{count} Antwort", other: "{count} Antworten" },
+    ratings: "Bewertungen",
+    question: "Frage",
+    average: "Durchschnitt",
+    response: "Antwort {number}",
+    score: { one: "Punktzahl: {count} Punkt", other: "Punktzahl: {count} Punkte" },
+    scoreScale: "100-90: Hervorragend • 89-80: Stark • 79-70: Gut • 69-60: Mäßig • Unter 60: Ausbaufähig",
+    anonymityNote: "Dieses Feedback ist anonym. Keine einzelne Antwort ist mit einem Namen verknüpft.",
+    eachMember: "jedes Mitglied",
+    levels: {
+      great: { short: "Hervorragend", text: "Hervorragende Beteiligung" },
+      strong: { short: "Stark", text: "Starke Beteiligung" },
+      good: { short: "Gut", text: "Gute Beteiligung" },
+      moderate: { short: "Mäßig", text: "Mäßige Beteiligung" },
+      developing: { short: "Ausbaufähig", text: "Ausbaufähige Beteiligung" }
+    },
+    team: {
+      title: "Teambericht",
+      titleFor: "Teambericht: {group}",
+      average: "Durchschnittliche Punktzahl des Teams",
+      responded: {
+        one: "{respondents} von {count} Mitglied haben geantwortet",
+        other: "{respondents} von {count} Mitgliedern haben geantwortet"
+      },
+      members: "Mitglieder",
+      memberLine: "Ø {average} · ±{spread} · {responses} · {level}",
+      noFeedback: "Kein Feedback erhalten",
+      tooFew: "{responses} · zu wenige für eine Bewertung",
+      levels: "Beteiligungsstufen",
+      themeAverage: {
+        one: "Durchschnitt {average} / 5 aus {count} Antwort",
+        other: "Durchschnitt {average} / 5 aus {count} Antworten"
+      },
+      note: "Nur aus zusammengefassten Werten erstellt: keine einzelnen Kommentare, Freitextantworten oder Identitäten der Antwortenden."
+    },
+    csv: {
+      member: "Mitglied",
+      email: "E-Mail",
+      spread: "Streuung",
+      level: "Beteiligungsstufe",
+      answer: "Antwort",
+      share: "Anteil"
+    }
+  },
+
+  pdf: {
+    page: "Seite {number} von {total}",
+    anonymousFeedback: "Anonymes Feedback",
+    generatedBy: "Erstellt mit OffRecord"
+  },
+
+  auth: {
+    tagline: "Anonymes Feedback unter Kolleginnen und Kollegen, um gemeinsam zu wachsen",
+    createGroup: "Gruppe erstellen",
+    joinGroup: "Gruppe beitreten",
+    firstName: "Vorname",
+    firstNamePlaceholder: "Alex",
+    emailPlaceholder: "du@beispiel.de",
+    password: "Passwort",
+    createAccount: "Konto erstellen",
+    hostHint: "Du kannst Gruppen erstellen und Mitglieder einladen",
+    haveAccountSignIn: "Schon ein Konto? Anmelden",
+    inviteCode: "Einladungscode",
+    signIn: "Anmelden",
+    invitedEmailPlaceholder: "Die E-Mail-Adresse, mit der du eingeladen wurdest",
+    tempPassword: "Temporäres Passwort",
+    inviteHint: "Kein Konto nötig – nutze die Zugangsdaten aus der Einladung deines Hosts",
+    accountHint: "Nutze dein bestehendes OffRecord-Konto",
+    needHostAccount: "Brauchst du ein Host-Konto? Jetzt erstellen",
+    signInInstead: "Schon ein Konto? Stattdessen anmelden",
+    errors: {
+      fillAllFields: "Bitte fülle alle Felder aus",
+      generic: "Etwas ist schiefgelaufen. Bitte versuche es erneut.",
+      enterEmailPassword: "Bitte gib deine E-Mail-Adresse und dein Passwort ein",
+      noAccount:
+        "Für diese E-Mail-Adresse und dieses Passwort gibt es kein Konto. Nutze „Gruppe erstellen“, um ein Konto anzulegen, oder „Einladungscode“, wenn du eingeladen wurdest.",
+      invalidCredentials: "Ungültige Zugangsdaten",
+      enterEmailCode: "Bitte gib deine E-Mail-Adresse und dein temporäres Passwort ein",
+      invalidInvite: "E-Mail-Adresse oder temporäres Passwort ungültig",
+      linkFailed: "{error}. Du kannst trotzdem mit der E-Mail-Adresse und dem temporären Passwort aus deiner Einladung beitreten.",
+      linkFailedDefault: "Dieser Einladungslink hat nicht funktioniert",
+      disableConfirmation: "Deaktiviere die E-Mail-Bestätigung in Supabase Auth und versuche es erneut.",
+      confirmationsEnabled:
+        "E-Mail-Bestätigungen sind aktiviert. Deaktiviere sie in Supabase Auth oder bestätige die E-Mail-Adresse und melde dich dann an.",
+      emailTaken:
+        "Für diese E-Mail-Adresse gibt es bereits ein Konto. Nutze „Gruppe beitreten“ → „Anmelden“ mit dem ursprünglichen Passwort (oder setze den Benutzer in Supabase Auth zurück bzw. lösche ihn).",
+      emailUnconfirmed:
+        "Diese E-Mail-Adresse existiert, ist aber nicht bestätigt. Bestätige (oder lösche) den Benutzer in Supabase Auth → Users und versuche es erneut.",
+      enableAnonymous: "Aktiviere anonyme Anmeldungen in den Supabase-Auth-Einstellungen und versuche es erneut."
+    }
+  },
+
+  dashboard: {
+    welcome: "Willkommen, {name}",
+    notifications: "Benachrichtigungen",
+    settings: "Einstellungen",
+    signOut: "Abmelden",
+    title: { host: "Deine Gruppen", member: "Deine Feedback-Gruppen" },
+    subtitle: { host: "Leite deine Gruppen und gib Feedback in anderen", member: "Fülle Umfragen aus, um Feedback zu geben" },
+    history: "Mein Feedback im Zeitverlauf",
+    organizations: "Organisationen",
+    refresh: "Aktualisieren",
+    refreshing: "Wird aktualisiert...",
+    newGroup: "Neue Gruppe",
+    createGroup: "Gruppe erstellen",
+    empty: {
+      title: "Noch keine Gruppen",
+      slow: "Deine Gruppen werden noch geladen… (meist ein Netzwerkproblem)",
+      fetching: "Deine Gruppen werden geladen...",
+      host: "Erstelle deine erste Feedback-Gruppe oder warte, bis dich ein Host einlädt",
+      member: "Warte, bis dich ein Host in eine Gruppe einlädt"
+    },
+    errors: {
+      timedOut: "Zeitüberschreitung beim Laden der Gruppen",
+      loadFailed: "Gruppen konnten nicht geladen werden"
+    }
+  },
+
+  groupCard: {
+    cohost: "Co-Host",
+    due: "Fällig am {date}",
+    progress: "Fortschritt",
+    status: {
+      loading: "Status wird geladen…",
+      noRound: "Noch keine Feedback-Runde",
+      completed: "Abgeschlossen",
+      released: "Feedback freigegeben ({completed}/{total})",
+      closedTooFew: "Runde mit zu wenigen Antworten für eine Freigabe geschlossen ({completed}/{count} nötig)",
+      closed: "Runde geschlossen ({completed}/{total})",
+      collecting: "Feedback wird gesammelt ({completed}/{total})",
+      waiting: "Warten auf die anderen ({completed}/{total})",
+      actionNeeded: "Aktion erforderlich"
+    },
+    actions: {
+      teamReport: "Teambericht",
+      allCollected: "Alles Feedback gesammelt",
+      released: "Feedback freigegeben",
+      download: "Feedback herunterladen",
+      noOpenRound: "Keine offene Runde",
+      waitingForResponses: "Warten auf Antworten",
+      submitted: "Antwort abgeschickt",
+      giveFeedback: "Feedback geben"
+    },
+    round: {
+      label: "Runde {number}",
+      labelClosed: "Runde {number} (geschlossen)",
+      close: "Runde {number} schließen",
+      start: "Runde {number} starten",
+      updating: "Runde wird aktualisiert…",
+      confirmClose:
+        "Runde {number} schließen? Mitglieder können dann kein weiteres Feedback dafür abgeben, und alle können lesen, was gesammelt wurde.",
+      confirmCloseTooFew: {
+        one: "Runde {number} schließen? Erst {completed} von {count} nötigen Antwort liegt vor, daher wird das Feedback nie freigegeben.",
+        other:
+          "Runde {number} schließen? Erst {completed} von {count} nötigen Antworten liegen vor, daher wird das Feedback nie freigegeben."
+      },
+      confirmStart: "Runde {number} starten? Alle werden erneut um Feedback gebeten.",
+      failed: "Die Runde konnte nicht aktualisiert werden"
+    },
+    tooltips: {
+      pastRounds: "Feedback aus früheren Runden",
+      teamReport: "Teambericht",
+      invitations: "Einladungen ansehen",
+      releaseSettings: "Freigabe-Einstellungen",
+      manageMembers: "Mitglieder verwalten",
+      removeSelf: "Mich aus den Mitgliedern entfernen",
+      delete: "Gruppe löschen"
+    },
+    removeSelf: {
+      confirm: "Dich aus der Mitgliederliste dieser Gruppe entfernen? Du kannst die Gruppe weiterhin verwalten.",
+      failed: "Mitglieder konnten nicht aktualisiert werden"
+    }
+  },
+
+  groupPage: {
+    back: "Alle Gruppen",
+    loading: "Gruppe wird geladen…",
+    notFound: {
+      title: "Gruppe nicht gefunden",
+      text: "Vielleicht wurde sie gelöscht, oder du bist kein Mitglied."
+    },
+    noReport: "Für diese Gruppe wurde noch kein Feedback freigegeben."
+  },
+
+  createGroup: {
+    title: "Feedback-Gruppe erstellen",
+    purpose: "Wofür ist diese Gruppe?",
+    purposePlaceholder: "Retro Produktteam Q4",
+    organization: "Organisation",
+    noOrganization: "Keine (nur ich)",
+    organizationHint: "Admins der Organisation sehen die Beteiligung der Gruppe, nie ihr Feedback.",
+    members: "Mitglieder (E-Mail + Name)",
+    host: "Host",
+    emailPlaceholder: "email@beispiel.de",
+    namePlaceholder: "Vollständiger Name",
+    addMember: "Mitglied hinzufügen",
+    sizeTip: "3–6 Personen funktionieren am besten. Die Zugangsdaten kannst du nach dem Erstellen kopieren und teilen.",
+    customizeEmails: "E-Mails anpassen",
+    hideEmailSettings: "E-Mail-Einstellungen ausblenden",
+    creating: "Wird erstellt...",
+    submit: "Gruppe erstellen & Einladungen senden",
+    errors: {
+      nameRequired: "Bitte gib einen Gruppennamen ein",
+      ownEmail: "Du bist schon dabei – füge deine eigene E-Mail-Adresse nicht noch einmal hinzu",
+      duplicateEmail: "Jedes Mitglied braucht eine eigene E-Mail-Adresse",
+      failed: "Die Gruppe konnte nicht erstellt werden"
+    }
+  },
+
+  questionEditor: {
+    templates: "Mit einer Vorlage beginnen",
+    nameHint: "Nutze {name} in einer Frage, um den Namen der bewerteten Person einzufügen.",
+    promptPlaceholder: "Was hat {name} gut gemacht?",
+    choice: "Option {number}",
+    removeChoice: "Option entfernen",
+    addChoice: "Option hinzufügen",
+    required: "Pflichtfrage",
+    removeQuestion: "Frage entfernen",
+    addQuestion: "Frage hinzufügen",
+    pointsTip:
+      "Jede Umfrage bittet außerdem darum, 100 Punkte pro Person auf die Gruppe zu verteilen – das ist die Punktzahl in jedem Bericht."
+  },
+
+  memberImport: {
+    button: "Aus CSV oder JSON importieren",
+    unreadable: "Die Datei konnte nicht gelesen werden",
+    added: { one: "{count} Mitglied hinzugefügt.", other: "{count} Mitglieder hinzugefügt." },
+    addedSkipped: {
+      one: "{count} Mitglied hinzugefügt, {skipped} übersprungen.",
+      other: "{count} Mitglieder hinzugefügt, {skipped} übersprungen."
+    },
+    line: "Zeile {number}"
+  },
+
+  releaseSettings: {
+    heading: "Wann wird das Feedback freigegeben?",
+    minRespondents: "Mindestzahl an Antworten",
+    releaseEarly: "Früher freigeben ab (optional)",
+    everyone: "Alle",
+    deadline: "Frist (optional)",
+    explanation:
+      "Niemand kann das Feedback einer Runde lesen, bevor die Mindestzahl an Personen geantwortet hat – so bleiben kleine Gruppen anonym. Danach wird es freigegeben, wenn alle geantwortet haben, wenn die Zahl für die frühere Freigabe erreicht ist, zur Frist oder wenn du die Runde schließt.",
+    reminders: "Erinnerungs-E-Mails vor der Frist",
+    remindersHint: "Nur Mitglieder, die noch nicht geantwortet haben, bekommen Erinnerungen.",
+    title: "Freigabe-Einstellungen",
+    deadlineClosed: "Die Frist gilt für die offene Runde; starte eine Runde, um sie festzulegen.",
+    errors: {
+      save: "Die Freigabe-Einstellungen konnten nicht gespeichert werden"
+    }
+  },
+
+  emailSettings: {
+    language: "Sprache der E-Mails",
+    brandColor: "Markenfarbe",
+    intro: "Einleitung (optional)",
+    introPlaceholder: "Ein paar Worte von dir, die jeder E-Mail hinzugefügt werden",
+    signOff: "Grußformel (optional)",
+    placeholders: "Du kannst {placeholders} in der Einleitung und der Grußformel verwenden.",
+    kinds: {
+      invite: "Einladung",
+      reminder: "Fristerinnerung",
+      roundOpened: "Runde gestartet",
+      resultsReady: "Ergebnisse bereit"
+    },
+    subject: "Betreff:",
+    preview: "E-Mail-Vorschau"
+  },
+
+  invitations: {
+    created: "Gruppe erstellt!",
+    readyFor: "Einladungen für {group} sind bereit zum Versand",
+    emailDelivery: "E-Mail-Versand",
+    sending: "Einladungs-E-Mails werden gesendet…",
+    sendFailed:
+      "Die E-Mails konnten nicht automatisch gesendet werden ({error}). Du kannst die Codes unten trotzdem kopieren.",
+    sent: { one: "{count} E-Mail gesendet", other: "{count} E-Mails gesendet" },
+    sentVia: { one: "{count} E-Mail über {provider} gesendet", other: "{count} E-Mails über {provider} gesendet" },
+    failedCount: { one: "{count} fehlgeschlagen", other: "{count} fehlgeschlagen" },
+    gmailDelay: "Gmail verzögert die Zustellung manchmal um einige Minuten; Empfänger sollten auch Spam/Werbung prüfen.",
+    resendPartial: "Gesendet: {sent}, fehlgeschlagen: {failed}.\n\nErster Fehler: {error}",
+    resend: "Erneut senden",
+    sendCredentials: "Sende diese Zugangsdaten an deine Mitglieder:",
+    savePasswords:
+      "Speichere diese temporären Passwörter jetzt – sie werden verschlüsselt gespeichert und nicht noch einmal angezeigt. Geht eines verloren, erzeuge in den Einladungen der Gruppe ein neues.",
+    copyText:
+      "Hallo {name},\n\ndu wurdest eingeladen, in einer Gruppe Feedback zu geben.\n\nAnmelden unter: {url}\nE-Mail: {email}\nTemporäres Passwort: {password}\n\nFülle deine Umfrage aus und hilf deinem Team zu wachsen!",
+    password: "Passwort: {password}",
+    title: "Einladungen der Gruppe",
+    codesHint:
+      "Codes werden verschlüsselt gespeichert und können nicht noch einmal angezeigt werden. Hat jemand seinen verloren, erzeuge einen neuen und teile ihn.",
+    saveTemplate: "E-Mail-Einstellungen speichern",
+    loading: "Einladungen werden geladen…",
+    regenerate: "Neuen Code erzeugen",
+    revoke: "Einladung widerrufen",
+    restore: "Einladung wiederherstellen",
+    emailCode: "Neuen Code per E-Mail senden",
+    sentCode: "Der neue Code wurde an {email} gesendet.",
+    resent: "Die Einladung wurde erneut an {email} gesendet.",
+    confirmRevoke:
+      "Die Einladung von {name} widerrufen? Code und Links funktionieren dann nicht mehr. Du kannst sie später wiederherstellen.",
+    confirmRegenerate: "Einen neuen Code für {name} erzeugen? Der aktuelle Code funktioniert dann nicht mehr.",
+    confirmResend:
+      "Die Einladung an {name} erneut senden? Die E-Mail enthält einen neuen Code, der aktuelle funktioniert dann nicht mehr.",
+    status: {
+      host: "Keine Einladung (Host)",
+      joined: "Beigetreten",
+      revoked: "Einladung widerrufen",
+      expired: "Einladung abgelaufen",
+      pending: "Einladung ausstehend",
+      pendingUntil: "Einladung ausstehend · läuft am {date} ab"
+    },
+    delivery: {
+      redeemed: "Eingelöst",
+      none: "Noch keine E-Mail gesendet",
+      failed: "E-Mail am {date} fehlgeschlagen: {error}",
+      sent: "E-Mail am {date} über {provider} gesendet",
+      sentRetried: "E-Mail am {date} über {provider} nach {count} Versuchen gesendet"
+    },
+    link: {
+      none: "Kein Einladungslink gesendet",
+      used: "Link am {date} verwendet",
+      revoked: "Link widerrufen",
+      expired: "Link abgelaufen",
+      active: "Link gültig bis {date}",
+      copy: "Neuen Einladungslink kopieren",
+      revoke: "Link widerrufen",
+      copied: "Neuer Einladungslink für {name} kopiert. Er funktioniert einmal; frühere Links wurden widerrufen.",
+      copyFailed: "Kopieren fehlgeschlagen. Hier ist der Link für {name}:\n\n{url}",
+      confirmRevoke: "Den Einladungslink von {name} widerrufen? Beitreten geht weiterhin mit dem Code."
+    },
+    errors: {
+      load: "Die Einladungen konnten nicht geladen werden",
+      notConfigured: "Der E-Mail-Versand ist nicht eingerichtet",
+      failed: "Fehlgeschlagen",
+      sendFailed: "Die E-Mails konnten nicht gesendet werden",
+      sendOne: "Die E-Mail konnte nicht gesendet werden",
+      emailFailed: "Die E-Mail konnte nicht gesendet werden: {error}",
+      unknown: "unbekannter Fehler",
+      saveTemplate: "Die E-Mail-Einstellungen konnten nicht gespeichert werden",
+      createLink: "Der Einladungslink konnte nicht erstellt werden",
+      revokeLink: "Der Link konnte nicht widerrufen werden",
+      revoke: "Die Einladung konnte nicht widerrufen werden",
+      restore: "Die Einladung konnte nicht wiederhergestellt werden",
+      regenerate: "Es konnte kein neuer Code erzeugt werden"
+    }
+  },
+
+  exports: {
+    markdown: "Markdown",
+    text: "Text",
+    pdf: "PDF herunterladen",
+    preparing: "Wird vorbereitet..."
+  },
+
+  feedbackReport: {
+    title: "Dein Feedback",
+    from: "Aus: {source}",
+    loading: "Feedback wird geladen…",
+    empty: "Noch kein Feedback verfügbar",
+    privacy: "Berichte werden auf diesem Gerät erstellt; dein Feedback wird nirgendwohin hochgeladen.",
+    errors: {
+      pdf: "Das PDF konnte nicht erstellt werden"
+    }
+  },
+
+  teamReport: {
+    loading: "Teambericht wird geladen…",
+    empty: "Für diese Runde wurde kein Feedback freigegeben.",
+    average: "Teamdurchschnitt",
+    responded: "Geantwortet",
+    members: { one: "Mitglied", other: "Mitglieder" },
+    memberLine: "±{spread} · {responses} · {level}",
+    themes: "Themen",
+    errors: {
+      load: "Der Teambericht konnte nicht geladen werden"
+    }
+  },
+
+  history: {
+    subtitle: "Durchschnittliche Punkte, die du in jeder Gruppe und Runde mit freigegebenem Feedback erhalten hast.",
+    loading: "Dein Feedback-Verlauf wird geladen…",
+    empty: {
+      title: "Noch kein Feedback",
+      text: "Deine Berichte erscheinen hier, sobald eine Runde, an der du teilgenommen hast, abgeschlossen ist."
+    },
+    latest: "Letzter Durchschnitt",
+    change: "Veränderung zur vorherigen",
+    versus: "ggü. {source}",
+    onlyOne: "Bisher nur ein Bericht",
+    reports: "Berichte",
+    received: { one: "{count} Antwort erhalten", other: "{count} Antworten erhalten" },
+    perRound: "Durchschnittliche Punktzahl pro Runde",
+    distribution: "Verteilung der erhaltenen Punktzahlen",
+    past: "Frühere Berichte",
+    open: "Öffnen",
+    errors: {
+      load: "Dein Feedback-Verlauf konnte nicht geladen werden"
+    }
+  },
+
+  notifications: {
+    resultsReady: "Mir eine E-Mail senden, wenn mein Feedback bereit ist",
+    resultsReadyHint:
+      "Wird einmal pro Runde an die Adresse gesendet, mit der du eingeladen wurdest, sobald das Feedback einer Gruppe freigegeben ist.",
+    errors: {
+      load: "Die Benachrichtigungseinstellungen konnten nicht geladen werden",
+      save: "Die Benachrichtigungseinstellungen konnten nicht gespeichert werden"
+    }
+  },
+
+  settings: {
+    title: "Einstellungen",
+    languageHint: "Gilt für die App und die Berichte, die du herunterlädst. E-Mails nutzen die Sprache der jeweiligen Gruppe."
+  },
+
+  members: {
+    title: "Mitglieder verwalten",
+    current: "Aktuelle Mitglieder",
+    export: "Exportieren",
+    empty: "Noch keine Mitglieder.",
+    status: {
+      pending: "Nicht eingeladen",
+      invited: "Eingeladen",
+      joined: "Beigetreten"
+    },
+    remove: "Mitglied entfernen",
+    removeHost: "Host aus der Mitgliederliste entfernen",
+    addNew: "Neue Mitglieder hinzufügen",
+    removeRow: "Zeile entfernen",
+    addAnother: "Weitere hinzufügen",
+    sending: "Wird gesendet...",
+    save: "Speichern & einladen",
+    newCredentials: "Neue Zugangsdaten",
+    errors: {
+      export: "Die Mitgliederliste konnte nicht exportiert werden",
+      save: "Die Gruppe konnte nicht aktualisiert werden"
+    }
+  },
+
+  cohosts: {
+    title: "Hosts",
+    hint: "Co-Hosts können Mitglieder einladen, Runden verwalten und Einstellungen ändern. Nur der Eigentümer kann die Gruppe löschen.",
+    loading: "Hosts werden geladen…",
+    you: "(du)",
+    owner: "Eigentümer",
+    makeOwner: "Zum Eigentümer machen",
+    stepDown: "Zurücktreten",
+    emailPlaceholder: "E-Mail des Co-Hosts (muss der Gruppe beigetreten sein)",
+    add: "Co-Host hinzufügen",
+    confirmStepDown: "Als Co-Host von {group} zurücktreten? Du kannst die Gruppe dann nicht mehr verwalten.",
+    confirmRemove: "{name} als Co-Host entfernen?",
+    confirmTransfer:
+      "{name} zum Eigentümer von {group} machen? Du bleibst Co-Host, und nur diese Person kann die Gruppe löschen oder den Eigentümer wechseln.",
+    errors: {
+      load: "Co-Hosts konnten nicht geladen werden",
+      add: "Der Co-Host konnte nicht hinzugefügt werden",
+      remove: "Der Co-Host konnte nicht entfernt werden",
+      transfer: "Die Eigentümerschaft konnte nicht übertragen werden"
+    }
+  },
+
+  survey: {
+    noMembers: {
+      title: "Keine Mitglieder zu bewerten",
+      text: "Diese Gruppe hat noch keine Mitglieder.",
+      complete: "Als erledigt markieren"
+    },
+    submitting: "Wird gesendet...",
+    submit: "Feedback absenden",
+    allCollected: "Alles Feedback ist gesammelt! Alle bekommen eine E-Mail, sobald ihr Feedback bereit ist.",
+    submitted: {
+      title: "Feedback abgeschickt",
+      text: "Deine Antworten wurden gespeichert. Du erhältst dein Feedback, sobald alle die Umfrage ausgefüllt haben."
+    },
+    tip: "Sei ehrlich, konkret und konstruktiv",
+    score: "Punkte für {name}",
+    pointsRemaining: "Verbleibende Punkte:",
+    optional: "{prompt} (optional)",
+    textPlaceholder: "Sei konkret und konstruktiv...",
+    errors: {
+      submit: "Das Feedback konnte nicht gesendet werden",
+      missingEmail: "Deine E-Mail-Adresse fehlt. Bitte melde dich erneut mit deinem Einladungscode an.",
+      points: {
+        one: "Du musst genau {count} Punkt verteilen. Dir bleiben {remaining} Punkte.",
+        other: "Du musst genau {count} Punkte verteilen. Dir bleiben {remaining} Punkte."
+      },
+      alreadySubmitted: "Du hast für diese Runde bereits Feedback abgegeben."
+    }
+  },
+
+  organizations: {
+    subtitle: "Bring die Gruppen deines Unternehmens zusammen. Admins sehen, wer mitmacht, nie, was gesagt wurde.",
+    namePlaceholder: "Name der neuen Organisation",
+    create: "Erstellen",
+    creating: "Wird erstellt…",
+    empty: {
+      title: "Noch keine Organisationen",
+      text: "Erstelle oben eine oder bitte einen Admin, dich zu seiner hinzuzufügen."
+    },
+    members: "Mitglieder",
+    membersHint: "Admins verwalten Mitglieder und sehen die Beteiligung in allen Gruppen der Organisation.",
+    loadingMembers: "Mitglieder werden geladen…",
+    roles: { admin: "Admin", member: "Mitglied" },
+    makeAdmin: "Zum Admin machen",
+    makeMember: "Zum Mitglied machen",
+    leave: "Verlassen",
+    emailPlaceholder: "E-Mail ihres OffRecord-Kontos",
+    add: "Hinzufügen",
+    groups: "Deine Gruppen",
+    groupsHint: "Gruppen, die du leitest und die {org} zugeordnet sind.",
+    noGroups: "Du leitest noch keine Gruppen.",
+    inOrg: "In {org}",
+    notInOrg: "Keiner Organisation zugeordnet",
+    addGroup: "Zu {org} hinzufügen",
+    removeGroup: "Aus der Organisation entfernen",
+    confirmLeave: "{org} verlassen? Deine Gruppen bleiben in der Organisation.",
+    confirmRemove: "{email} aus {org} entfernen?",
+    participation: {
+      title: "Beteiligung",
+      hint: "Aktuelle Runde jeder Gruppe in {org}. Das Feedback selbst bleibt in der Gruppe.",
+      loading: "Beteiligung wird geladen…",
+      empty: "Diese Organisation hat noch keine Gruppen.",
+      totals: {
+        one: "{count} Gruppe · {responded}/{members} Antworten in den aktuellen Runden",
+        other: "{count} Gruppen · {responded}/{members} Antworten in den aktuellen Runden"
+      },
+      noRound: "Noch keine Runde",
+      closed: "Runde geschlossen",
+      collecting: "Wird gesammelt",
+      collectingDue: "Wird gesammelt · fällig am {date}",
+      errors: {
+        load: "Die Beteiligung konnte nicht geladen werden"
+      }
+    },
+    errors: {
+      loadMembers: "Mitglieder konnten nicht geladen werden",
+      addMember: "Das Mitglied konnte nicht hinzugefügt werden",
+      removeMember: "Das Mitglied konnte nicht entfernt werden",
+      changeRole: "Die Rolle konnte nicht geändert werden",
+      updateGroup: "Die Gruppe konnte nicht aktualisiert werden",
+      create: "Die Organisation konnte nicht erstellt werden"
+    }
+  },
+
+  finishSetup: {
+    title: "Einrichtung abschließen",
+    text: "Du bist mit einem Einladungscode beigetreten. Lege ein Passwort fest, damit du dich ohne das temporäre Passwort wieder anmelden kannst.",
+    newPassword: "Neues Passwort",
+    newPasswordPlaceholder: "Mindestens 8 Zeichen",
+    confirmPassword: "Passwort bestätigen",
+    confirmPasswordPlaceholder: "Passwort wiederholen",
+    submit: "Passwort festlegen",
+    errors: {
+      missingEmail: "Deine E-Mail-Adresse fehlt. Melde dich ab und tritt mit deinem Einladungscode erneut bei.",
+      passwordLength: "Das Passwort muss mindestens 8 Zeichen lang sein",
+      mismatch: "Die Passwörter stimmen nicht überein",
+      emailTaken:
+        "Für diese E-Mail-Adresse gibt es bereits ein Konto. Melde dich ab und nutze „Gruppe beitreten“ → „Anmelden“ mit deinem bisherigen Passwort.",
+      confirmationsEnabled:
+        "E-Mail-Bestätigungen sind in Supabase aktiviert. Deaktiviere sie in Supabase Auth oder bestätige die E-Mail-Adresse, bevor du fortfährst.",
+      failed: "Das Konto konnte nicht erstellt werden"
+    }
+  },
+
+  app: {
+    joining: "Du trittst deiner Gruppe bei…",
+    notConfigured: {
+      title: "Supabase ist nicht konfiguriert",
+      body: "Diesem Deployment fehlen erforderliche Supabase-Umgebungsvariablen, daher kann die App nicht starten.",
+      netlify:
+        "Netlify → Site settings → Environment variables → `VITE_SUPABASE_URL` und `VITE_SUPABASE_ANON_KEY` hinzufügen und neu deployen.",
+      local:
+        "Entwickelst du ohne Supabase-Projekt? Setze `VITE_DATA_BACKEND=local`, um Demodaten im Browser zu verwenden."
+    },
+    outOfDate: {
+      title: "Datenbank veraltet",
+      body:
+        "Diese Version von OffRecord braucht die Datenbankschema-Version {required}, das verbundene Supabase-Projekt ist aber auf Version {version}. Bis es migriert ist, werden Gruppen, Einladungen und Feedback nicht richtig geladen.",
+      manual:
+        "Oder füge die ausstehenden Dateien aus `supabase/migrations` der Reihe nach in Supabase → SQL Editor ein. Datenbanken, die vor den Migrationen eingerichtet wurden, brauchen zuerst `supabase/legacy_patch.sql`. Lade die Seite danach neu."
+    },
+    localData: {
+      badge: "Lokale Demodaten",
+      reset: "Zurücksetzen",
+      confirmReset: "Die lokalen Daten auf die Demodaten zurücksetzen? Du wirst dabei abgemeldet."
+    }
+  }
+};
@@ -0,0 +1,700 @@
+// English UI messages (see src/i18n.js). Every other catalog has the same keys; tests/i18n.test.mjs checks them.
+export default {
+  common: {
+    yes: "Yes",
+    no: "No",
+    cancel: "Cancel",
+    close: "Close",
+    save: "Save",
+    saving: "Saving...",
+    saved: "Saved",
+    loading: "Loading…",
+    pleaseWait: "Please wait...",
+    back: "Back",
+    continue: "Continue",
+    done: "Done",
+    copy: "Copy",
+    copied: "Copied!",
+    copyFailed: "Copy failed. Try selecting the text manually, or use a different browser.",
+    remove: "Remove",
+    email: "Email",
+    name: "Name",
+    language: "Language",
+    members: { one: "{count} member", other: "{count} members" },
+    responses: { one: "{count} response", other: "{count} responses" }
+  },
+
+  questions: {
+    them: "them",
+    likert: ["Strongly disagree", "Disagree", "Neutral", "Agree", "Strongly agree"],
+    types: {
+      text: "Free text",
+      likert: "1–5 scale",
+      choice: "Multiple choice",
+      yesno: "Yes / No"
+    },
+    errors: {
+      none: "Add at least one question",
+      prompt: "Question {number} needs a prompt",
+      duplicateId: "Each question must have a unique id",
+      fewChoices: "Question {number} needs at least two choices",
+      duplicateChoices: "Question {number} has duplicate choices"
+    }
+  },
+
+  questionTemplates: {
+    "peer-review": {
+      name: "Peer review",
+      questions: {
+        strengths: "What did {name} do well?",
+        improvements: "What could {name} improve?"
+      }
+    },
+    "project-retro": {
+      name: "Project retro",
+      questions: {
+        contribution: "What was {name}'s most valuable contribution to the project?",
+        reliability: "{name} delivered what they committed to.",
+        collaboration: "How was working with {name}?",
+        again: "Would you want to work with {name} on the next project?",
+        "next-time": "What should {name} do differently next time?"
+      },
+      options: {
+        collaboration: ["Smooth", "Mostly smooth", "Some friction", "Difficult"]
+      }
+    },
+    "leadership-360": {
+      name: "Leadership 360",
+      questions: {
+        vision: "{name} communicates a clear direction for the team.",
+        support: "{name} supports my growth.",
+        feedback: "{name} is open to feedback.",
+        keep: "What should {name} keep doing?",
+        change: "What should {name} start or stop doing?"
+      }
+    }
+  },
+
+  release: {
+    errors: {
+      minTooLow: "Minimum respondents must be at least {count}",
+      minTooHigh: {
+        one: "Minimum respondents can't exceed the {count} member",
+        other: "Minimum respondents can't exceed the {count} members"
+      },
+      thresholdNotWhole: "Release threshold must be a whole number",
+      thresholdBelowMin: "Release threshold can't be below the minimum respondents",
+      thresholdTooHigh: {
+        one: "Release threshold can't exceed the {count} member",
+        other: "Release threshold can't exceed the {count} members"
+      }
+    },
+    rule: {
+      summary: {
+        one: "Feedback is released with at least {count} response, once {alternatives}.",
+        other: "Feedback is released with at least {count} responses, once {alternatives}."
+      },
+      everyone: "everyone responds",
+      hostCloses: "the host closes the round",
+      threshold: { one: "{count} person responds", other: "{count} people respond" },
+      deadline: "the deadline ({date}) passes"
+    },
+    reminders: {
+      onTheDay: "On the day",
+      daysBefore: { one: "{count} day before", other: "{count} days before" }
+    },
+    countdown: {
+      passed: "Deadline passed",
+      lessThanHour: "Due in less than an hour",
+      hours: { one: "Due in {count} hour", other: "Due in {count} hours" },
+      days: { one: "Due in {count} day", other: "Due in {count} days" }
+    }
+  },
+
+  report: {
+    source: "{group} • Round {number}",
+    feedbackFor: "Feedback for {name}",
+    generated: "Generated {date}",
+    summary: "Summary",
+    averageScore: "Average score",
+    responsesLabel: "Responses",
+    responses: { one: "{count} response", other: "{count} responses" },
+    ratings: "Ratings",
+    question: "Question",
+    average: "Average",
+    response: "Response {number}",
+    score: { one: "Score: {count} point", other: "Score: {count} points" },
+    scoreScale: "100-90: Great • 89-80: Strong • 79-70: Good • 69-60: Moderate • Below 60: Developing",
+    anonymityNote: "This feedback is anonymous. No names are attached to individual responses.",
+    eachMember: "each member",
+    levels: {
+      great: { short: "Great", text: "Great Participation" },
+      strong: { short: "Strong", text: "Strong Participation" },
+      good: { short: "Good", text: "Good Participation" },
+      moderate: { short: "Moderate", text: "Moderate Participation" },
+      developing: { short: "Developing", text: "Developing Participation" }
+    },
+    team: {
+      title: "Team report",
+      titleFor: "Team report: {group}",
+      average: "Team average score",
+      responded: {
+        one: "{respondents} of {count} member responded",
+        other: "{respondents} of {count} members responded"
+      },
+      members: "Members",
+      memberLine: "{average} avg · ±{spread} · {responses} · {level}",
+      noFeedback: "No feedback received",
+      tooFew: "{responses} · too few to show a score",
+      levels: "Participation levels",
+      themeAverage: {
+        one: "Average {average} / 5 from {count} answer",
+        other: "Average {average} / 5 from {count} answers"
+      },
+      note: "Built from aggregates only: no individual comments, free-text answers or respondent identities are included."
+    },
+    csv: {
+      member: "Member",
+      email: "Email",
+      spread: "Spread",
+      level: "Participation level",
+      answer: "Answer",
+      share: "Share"
+    }
+  },
+
+  pdf: {
+    page: "Page {number} of {total}",
+    anonymousFeedback: "Anonymous feedback",
+    generatedBy: "Generated by OffRecord"
+  },
+
+  auth: {
+    tagline: "Anonymous peer feedback for growth",
+    createGroup: "Create Group",
+    joinGroup: "Join Group",
+    firstName: "First Name",
+    firstNamePlaceholder: "Alex",
+    emailPlaceholder: "you@example.com",
+    password: "Password",
+    createAccount: "Create Account",
+    hostHint: "You'll be able to create groups and invite members",
+    haveAccountSignIn: "Already have an account? Sign in",
+    inviteCode: "Invite Code",
+    signIn: "Sign In",
+    invitedEmailPlaceholder: "The email you were invited with",
+    tempPassword: "Temporary Password",
+    inviteHint: "No account needed — use the invite credentials from your host",
+    accountHint: "Use your existing OffRecord account",
+    needHostAccount: "Need to create a host account? Create one",
+    signInInstead: "Have an account? Sign in instead",
+    errors: {
+      fillAllFields: "Please fill in all fields",
+      generic: "Something went wrong. Please try again.",
+      enterEmailPassword: "Please enter your email and password",
+      noAccount:
+        "No account found for that email/password. Use “Create Group” to create an account, or use “Invite Code” if you were invited.",
+      invalidCredentials: "Invalid credentials",
+      enterEmailCode: "Please enter your email and temporary password",
+      invalidInvite: "Invalid email or temporary password",
+      linkFailed: "{error}. You can still join with the email and temporary password from your invite.",
+      linkFailedDefault: "This invite link didn't work",
+      disableConfirmation: "Disable email confirmation in Supabase Auth, then try again.",
+      confirmationsEnabled:
+        "Email confirmations are enabled. Disable them in Supabase Auth, or confirm the email then sign in.",
+      emailTaken:
+        "That email already has an account. Use “Join Group” → “Sign In” with the original password (or reset/delete the user in Supabase Auth).",
+      emailUnconfirmed:
+        "That email exists but isn’t confirmed. Confirm (or delete) the user in Supabase Auth → Users, then try again.",
+      enableAnonymous: "Enable Anonymous sign-ins in Supabase Auth settings, then try again."
+    }
+  },
+
+  dashboard: {
+    welcome: "Welcome, {name}",
+    notifications: "Notifications",
+    settings: "Settings",
+    signOut: "Sign out",
+    title: { host: "Your Groups", member: "Your Feedback Groups" },
+    subtitle: { host: "Run your groups and give feedback in others", member: "Complete surveys to give feedback" },
+    history: "My feedback over time",
+    organizations: "Organizations",
+    refresh: "Refresh",
+    refreshing: "Refreshing...",
+    newGroup: "New Group",
+    createGroup: "Create Group",
+    empty: {
+      title: "No groups yet",
+      slow: "Still fetching your groups… (this is usually a network issue)",
+      fetching: "Fetching your groups...",
+      host: "Create your first feedback group, or wait for a host to invite you",
+      member: "Wait for a group host to invite you"
+    },
+    errors: {
+      timedOut: "Timed out loading groups",
+      loadFailed: "Failed to load groups"
+    }
+  },
+
+  groupCard: {
+    cohost: "Co-host",
+    due: "Due {date}",
+    progress: "Progress",
+    status: {
+      loading: "Loading status…",
+      noRound: "No feedback round yet",
+      completed: "Completed",
+      released: "Feedback released ({completed}/{total})",
+      closedTooFew: "Round closed with too few responses to release ({completed}/{count} needed)",
+      closed: "Round closed ({completed}/{total})",
+      collecting: "Collecting feedback ({completed}/{total})",
+      waiting: "Waiting for others ({completed}/{total})",
+      actionNeeded: "Action needed"
+    },
+    actions: {
+      teamReport: "Team Report",
+      allCollected: "All feedback collected",
+      released: "Feedback released",
+      download: "Download Feedback",
+      noOpenRound: "No open round",
+      waitingForResponses: "Waiting for responses",
+      submitted: "Response submitted",
+      giveFeedback: "Give Feedback"
+    },
+    round: {
+      label: "Round {number}",
+      labelClosed: "Round {number} (closed)",
+      close: "Close round {number}",
+      start: "Start round {number}",
+      updating: "Updating round…",
+      confirmClose:
+        "Close round {number}? Members won't be able to submit more feedback for it, and everyone can read what was collected.",
+      confirmCloseTooFew: {
+        one: "Close round {number}? Only {completed} of the {count} required response is in, so its feedback will never be released.",
+        other:
+          "Close round {number}? Only {completed} of the {count} required responses are in, so its feedback will never be released."
+      },
+      confirmStart: "Start round {number}? Everyone will be asked for feedback again.",
+      failed: "Failed to update the round"
+    },
+    tooltips: {
+      pastRounds: "Feedback from past rounds",
+      teamReport: "Team report",
+      invitations: "View Invitations",
+      releaseSettings: "Release settings",
+      manageMembers: "Manage Members",
+      removeSelf: "Remove me from members",
+      delete: "Delete group"
+    },
+    removeSelf: {
+      confirm: "Remove yourself from this group's member list? You can still manage the group.",
+      failed: "Failed to update members"
+    }
+  },
+
+  groupPage: {
+    back: "All groups",
+    loading: "Loading group…",
+    notFound: {
+      title: "Group not found",
+      text: "It may have been deleted, or you aren't a member of it."
+    },
+    noReport: "No feedback has been released for this group yet."
+  },
+
+  createGroup: {
+    title: "Create Feedback Group",
+    purpose: "What's this group for?",
+    purposePlaceholder: "Q4 Product Team Retro",
+    organization: "Organization",
+    noOrganization: "None (just me)",
+    organizationHint: "Org admins see the group's participation, never its feedback.",
+    members: "Members (email + name)",
+    host: "Host",
+    emailPlaceholder: "email@example.com",
+    namePlaceholder: "Full Name",
+    addMember: "Add member",
+    sizeTip: "3-6 people work best. You'll copy/share invite credentials after creating the group.",
+    customizeEmails: "Customize emails",
+    hideEmailSettings: "Hide email settings",
+    creating: "Creating...",
+    submit: "Create Group & Send Invites",
+    errors: {
+      nameRequired: "Please enter a group name",
+      ownEmail: "You’re already included — don’t add your own email again",
+      duplicateEmail: "Each member must have a unique email",
+      failed: "Failed to create group"
+    }
+  },
+
+  questionEditor: {
+    templates: "Start from a template",
+    nameHint: "Use {name} in a prompt to insert the name of the person being reviewed.",
+    promptPlaceholder: "What did {name} do well?",
+    choice: "Choice {number}",
+    removeChoice: "Remove choice",
+    addChoice: "Add choice",
+    required: "Required",
+    removeQuestion: "Remove question",
+    addQuestion: "Add question",
+    pointsTip:
+      "Every survey also asks members to split 100 points per person across the group — that's the score in each report."
+  },
+
+  memberImport: {
+    button: "Import from CSV or JSON",
+    unreadable: "Couldn't read that file",
+    added: { one: "Added {count} member.", other: "Added {count} members." },
+    addedSkipped: { one: "Added {count} member, skipped {skipped}.", other: "Added {count} members, skipped {skipped}." },
+    line: "Line {number}"
+  },
+
+  releaseSettings: {
+    heading: "When is feedback released?",
+    minRespondents: "Minimum respondents",
+    releaseEarly: "Release early at (optional)",
+    everyone: "Everyone",
+    deadline: "Deadline (optional)",
+    explanation:
+      "Nobody can read a round's feedback until the minimum number of people responded, so small groups stay anonymous. Past that, it's released when everyone responds, when the early-release count is reached, at the deadline, or when you close the round.",
+    reminders: "Reminder emails before the deadline",
+    remindersHint: "Only members who haven't responded get reminders.",
+    title: "Release Settings",
+    deadlineClosed: "The deadline applies to the open round; start a round to set one.",
+    errors: {
+      save: "Failed to save release settings"
+    }
+  },
+
+  emailSettings: {
+    language: "Email language",
+    brandColor: "Brand color",
+    intro: "Intro (optional)",
+    introPlaceholder: "A few words from you, added to every email",
+    signOff: "Sign-off (optional)",
+    placeholders: "You can use {placeholders} in the intro and sign-off.",
+    kinds: {
+      invite: "Invitation",
+      reminder: "Deadline reminder",
+      roundOpened: "Round opened",
+      resultsReady: "Results ready"
+    },
+    subject: "Subject:",
+    preview: "Email preview"
+  },
+
+  invitations: {
+    created: "Group Created!",
+    readyFor: "Invitations ready to send for {group}",
+    emailDelivery: "Email delivery",
+    sending: "Sending invite emails…",
+    sendFailed: "Couldn’t send emails automatically ({error}). You can still copy the codes below.",
+    sent: { one: "Sent {count} email", other: "Sent {count} emails" },
+    sentVia: { one: "Sent {count} email via {provider}", other: "Sent {count} emails via {provider}" },
+    failedCount: { one: "{count} failed", other: "{count} failed" },
+    gmailDelay: "Gmail sometimes delays delivery by a few minutes; recipients should also check Spam/Promotions.",
+    resendPartial: "Sent {sent}, failed {failed}.\n\nFirst error: {error}",
+    resend: "Resend",
+    sendCredentials: "Send these credentials to your members:",
+    savePasswords:
+      "Save these temporary passwords now — they're stored encrypted and won't be shown again. If one gets lost, regenerate it from the group's invitations.",
+    copyText:
+      "Hi {name},\n\nYou have been invited to give feedback in a group.\n\nSign in at: {url}\nEmail: {email}\nTemporary Password: {password}\n\nComplete your survey to help your team grow!",
+    password: "Password: {password}",
+    title: "Group Invitations",
+    codesHint:
+      "Codes are stored encrypted, so they can't be shown again. If someone lost theirs, generate a new one and share it with them.",
+    saveTemplate: "Save email settings",
+    loading: "Loading invitations…",
+    regenerate: "Regenerate code",
+    revoke: "Revoke invite",
+    restore: "Restore invite",
+    emailCode: "Email the new code",
+    sentCode: "Sent the new code to {email}.",
+    resent: "Resent the invite to {email}.",
+    confirmRevoke: "Revoke {name}'s invite? Their code and links will stop working. You can restore it later.",
+    confirmRegenerate: "Generate a new code for {name}? Their current code will stop working.",
+    confirmResend: "Resend {name}'s invite? The email includes a new code, so their current code will stop working.",
+    status: {
+      host: "No invitation (host)",
+      joined: "Joined",
+      revoked: "Invite revoked",
+      expired: "Invite expired",
+      pending: "Invite pending",
+      pendingUntil: "Invite pending · expires {date}"
+    },
+    delivery: {
+      redeemed: "Redeemed",
+      none: "No email sent yet",
+      failed: "Email failed {date}: {error}",
+      sent: "Email sent {date} via {provider}",
+      sentRetried: "Email sent {date} via {provider} after {count} attempts"
+    },
+    link: {
+      none: "No invite link sent",
+      used: "Link used {date}",
+      revoked: "Link revoked",
+      expired: "Link expired",
+      active: "Link active until {date}",
+      copy: "Copy new invite link",
+      revoke: "Revoke link",
+      copied: "Copied a new invite link for {name}. It works once; any earlier link was revoked.",
+      copyFailed: "Copy failed. Here's the link for {name}:\n\n{url}",
+      confirmRevoke: "Revoke {name}'s invite link? They can still join with their code."
+    },
+    errors: {
+      load: "Failed to load the invitations",
+      notConfigured: "Email sending is not configured",
+      failed: "Failed",
+      sendFailed: "Failed to send emails",
+      sendOne: "Failed to send the email",
+      emailFailed: "Couldn't send the email: {error}",
+      unknown: "unknown error",
+      saveTemplate: "Failed to save the email settings",
+      createLink: "Failed to create an invite link",
+      revokeLink: "Failed to revoke the link",
+      revoke: "Failed to revoke the invite",
+      restore: "Failed to restore the invite",
+      regenerate: "Failed to regenerate the code"
+    }
+  },
+
+  exports: {
+    markdown: "Markdown",
+    text: "Text",
+    pdf: "Download PDF",
+    preparing: "Preparing..."
+  },
+
+  feedbackReport: {
+    title: "Your Feedback",
+    from: "From: {source}",
+    loading: "Loading feedback…",
+    empty: "No feedback available yet",
+    privacy: "Reports are generated on this device; your feedback is not uploaded anywhere.",
+    errors: {
+      pdf: "Failed to generate the PDF"
+    }
+  },
+
+  teamReport: {
+    loading: "Loading team report…",
+    empty: "No released feedback for this round.",
+    average: "Team average",
+    responded: "Responded",
+    members: { one: "member", other: "members" },
+    memberLine: "±{spread} · {responses} · {level}",
+    themes: "Themes",
+    errors: {
+      load: "Failed to load the team report"
+    }
+  },
+
+  history: {
+    subtitle: "Average points you received in every group and round that has released feedback.",
+    loading: "Loading your feedback history…",
+    empty: {
+      title: "No feedback yet",
+      text: "Your reports will show up here once a round you took part in is complete."
+    },
+    latest: "Latest average",
+    change: "Change since previous",
+    versus: "vs. {source}",
+    onlyOne: "Only one report so far",
+    reports: "Reports",
+    received: { one: "{count} response received", other: "{count} responses received" },
+    perRound: "Average score per round",
+    distribution: "Distribution of scores received",
+    past: "Past reports",
+    open: "Open",
+    errors: {
+      load: "Failed to load your feedback history"
+    }
+  },
+
+  notifications: {
+    resultsReady: "Email me when my feedback is ready",
+    resultsReadyHint: "Sent once per round to the address you were invited with, when a group's feedback is released.",
+    errors: {
+      load: "Failed to load notification settings",
+      save: "Failed to save notification settings"
+    }
+  },
+
+  settings: {
+    title: "Settings",
+    languageHint: "Used for the app and the reports you download. Emails use each group's own language."
+  },
+
+  members: {
+    title: "Manage Members",
+    current: "Current members",
+    export: "Export",
+    empty: "No members yet.",
+    status: {
+      pending: "Not invited",
+      invited: "Invited",
+      joined: "Joined"
+    },
+    remove: "Remove member",
+    removeHost: "Remove host from members list",
+    addNew: "Add new members",
+    removeRow: "Remove row",
+    addAnother: "Add another",
+    sending: "Sending...",
+    save: "Save & Invite",
+    newCredentials: "New invite credentials",
+    errors: {
+      export: "Failed to export the roster",
+      save: "Failed to update group"
+    }
+  },
+
+  cohosts: {
+    title: "Hosts",
+    hint: "Co-hosts can invite members, manage rounds and change settings. Only the owner can delete the group.",
+    loading: "Loading hosts…",
+    you: "(you)",
+    owner: "Owner",
+    makeOwner: "Make owner",
+    stepDown: "Step down",
+    emailPlaceholder: "Co-host email (must have joined this group)",
+    add: "Add co-host",
+    confirmStepDown: "Step down as co-host of {group}? You won't be able to manage it anymore.",
+    confirmRemove: "Remove {name} as co-host?",
+    confirmTransfer:
+      "Make {name} the owner of {group}? You'll stay on as a co-host, and only they can delete the group or change owners.",
+    errors: {
+      load: "Failed to load co-hosts",
+      add: "Failed to add the co-host",
+      remove: "Failed to remove the co-host",
+      transfer: "Failed to transfer ownership"
+    }
+  },
+
+  survey: {
+    noMembers: {
+      title: "No members to review",
+      text: "This group doesn’t have any members yet.",
+      complete: "Mark Complete"
+    },
+    submitting: "Submitting...",
+    submit: "Submit Feedback",
+    allCollected: "All feedback collected! Everyone will get an email when their feedback is ready to read.",
+    submitted: {
+      title: "Feedback Submitted",
+      text: "Your thoughtful responses have been recorded. You'll receive your feedback once everyone completes the survey."
+    },
+    tip: "Be honest, specific, and constructive",
+    score: "Score for {name}",
+    pointsRemaining: "Points remaining:",
+    optional: "{prompt} (optional)",
+    textPlaceholder: "Be specific and constructive...",
+    errors: {
+      submit: "Failed to submit feedback",
+      missingEmail: "Missing your email. Please sign in again using your invite code.",
+      points: {
+        one: "You must allocate exactly {count} point. You have {remaining} points remaining.",
+        other: "You must allocate exactly {count} points. You have {remaining} points remaining."
+      },
+      alreadySubmitted: "You already submitted feedback for this round."
+    }
+  },
+
+  organizations: {
+    subtitle: "Bring your company's groups together. Admins see who's participating, never what was said.",
+    namePlaceholder: "New organization name",
+    create: "Create",
+    creating: "Creating…",
+    empty: {
+      title: "No organizations yet",
+      text: "Create one above, or ask an admin to add you to theirs."
+    },
+    members: "Members",
+    membersHint: "Admins manage members and see participation across the organization's groups.",
+    loadingMembers: "Loading members…",
+    roles: { admin: "Admin", member: "Member" },
+    makeAdmin: "Make admin",
+    makeMember: "Make member",
+    leave: "Leave",
+    emailPlaceholder: "Email of their OffRecord account",
+    add: "Add",
+    groups: "Your groups",
+    groupsHint: "Groups you host that are filed under {org}.",
+    noGroups: "You don't host any groups yet.",
+    inOrg: "In {org}",
+    notInOrg: "Not in an organization",
+    addGroup: "Add to {org}",
+    removeGroup: "Remove from organization",
+    confirmLeave: "Leave {org}? Your groups stay in the organization.",
+    confirmRemove: "Remove {email} from {org}?",
+    participation: {
+      title: "Participation",
+      hint: "Current round of every group in {org}. Feedback itself stays with the group.",
+      loading: "Loading participation…",
+      empty: "No groups in this organization yet.",
+      totals: {
+        one: "{count} group · {responded}/{members} responses in current rounds",
+        other: "{count} groups · {responded}/{members} responses in current rounds"
+      },
+      noRound: "No round yet",
+      closed: "Round closed",
+      collecting: "Collecting",
+      collectingDue: "Collecting · due {date}",
+      errors: {
+        load: "Failed to load participation"
+      }
+    },
+    errors: {
+      loadMembers: "Failed to load members",
+      addMember: "Failed to add the member",
+      removeMember: "Failed to remove the member",
+      changeRole: "Failed to change the role",
+      updateGroup: "Failed to update the group",
+      create: "Failed to create the organization"
+    }
+  },
+
+  finishSetup: {
+    title: "Finish Setup",
+    text: "You joined with an invite code. Set a password so you can sign in again without the temporary password.",
+    newPassword: "New Password",
+    newPasswordPlaceholder: "At least 8 characters",
+    confirmPassword: "Confirm Password",
+    confirmPasswordPlaceholder: "Repeat password",
+    submit: "Set Password",
+    errors: {
+      missingEmail: "Missing your email. Sign out and join again with your invite code.",
+      passwordLength: "Password must be at least 8 characters",
+      mismatch: "Passwords do not match",
+      emailTaken:
+        "That email already has an account. Sign out, then use “Join Group” → “Sign In” with your existing password.",
+      confirmationsEnabled:
+        "Supabase email confirmations are enabled. Disable them in Supabase Auth, or confirm the email before continuing.",
+      failed: "Failed to create account"
+    }
+  },
+
+  app: {
+    joining: "Joining your group…",
+    notConfigured: {
+      title: "Supabase not configured",
+      body: "This deployment is missing required Supabase environment variables, so the app can’t start.",
+      netlify:
+        "Netlify → Site settings → Environment variables → add `VITE_SUPABASE_URL` and `VITE_SUPABASE_ANON_KEY`, then redeploy.",
+      local: "Developing without a Supabase project? Set `VITE_DATA_BACKEND=local` to use in-browser demo data."
+    },
+    outOfDate: {
+      title: "Database out of date",
+      body:
+        "This version of OffRecord needs database schema version {required}, but the connected Supabase project is at version {version}. Until it's migrated, groups, invites and feedback won't load correctly.",
+      manual:
+        "Or paste the pending files from `supabase/migrations` into Supabase → SQL Editor, in order. Databases set up before migrations existed need `supabase/legacy_patch.sql` first. Reload this page afterwards."
+    },
+    localData: {
+      badge: "Local demo data",
+      reset: "Reset",
+      confirmReset: "Reset the local data to the demo seed? This signs you out."
+    }
+  }
+};
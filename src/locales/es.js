@@ -0,0 +1,708 @@
+// Spanish UI messages. Same keys as src/locales/en.js.
+export default {
+  common: {
+    yes: "Sí",
+    no: "No",
+    cancel: "Cancelar",
+    close: "Cerrar",
+    save: "Guardar",
+    saving: "Guardando...",
+    saved: "Guardado",
+    loading: "Cargando…",
+    pleaseWait: "Un momento...",
+    back: "Volver",
+    continue: "Continuar",
+    done: "Listo",
+    copy: "Copiar",
+    copied: "¡Copiado!",
+    copyFailed: "No se pudo copiar. Selecciona el texto a mano o prueba con otro navegador.",
+    remove: "Quitar",
+    email: "Correo",
+    name: "Nombre",
+    language: "Idioma",
+    members: { one: "{count} miembro", other: "{count} miembros" },
+    responses: { one: "{count} respuesta", other: "{count} respuestas" }
+  },
+
+  questions: {
+    them: "esa persona",
+    likert: ["Muy en desacuerdo", "En desacuerdo", "Neutral", "De acuerdo", "Muy de acuerdo"],
+    types: {
+      text: "Texto libre",
+      likert: "Escala del 1 al 5",
+      choice: "Opción múltiple",
+      yesno: "Sí / No"
+    },
+    errors: {
+      none: "Añade al menos una pregunta",
+      prompt: "La pregunta {number} necesita un enunciado",
+      duplicateId: "Cada pregunta debe tener un id único",
+      fewChoices: "La pregunta {number} necesita al menos dos opciones",
+      duplicateChoices: "La pregunta {number} tiene opciones repetidas"
+    }
+  },
+
+  questionTemplates: {
+    "peer-review": {
+      name: "Evaluación entre compañeros",
+      questions: {
+        strengths: "¿Qué hizo bien {name}?",
+        improvements: "¿Qué podría mejorar {name}?"
+      }
+    },
+    "project-retro": {
+      name: "Retrospectiva de proyecto",
+      questions: {
+        contribution: "¿Cuál fue la aportación más valiosa de {name} al proyecto?",
+        reliability: "{name} cumplió con lo que se comprometió.",
+        collaboration: "¿Cómo fue trabajar con {name}?",
+        again: "¿Te gustaría trabajar con {name} en el próximo proyecto?",
+        "next-time": "¿Qué debería hacer {name} de otra forma la próxima vez?"
+      },
+      options: {
+        collaboration: ["Fluido", "Casi siempre fluido", "Con algunos roces", "Difícil"]
+      }
+    },
+    "leadership-360": {
+      name: "Liderazgo 360",
+      questions: {
+        vision: "{name} transmite una dirección clara al equipo.",
+        support: "{name} apoya mi crecimiento.",
+        feedback: "{name} está abierto a recibir comentarios.",
+        keep: "¿Qué debería seguir haciendo {name}?",
+        change: "¿Qué debería empezar o dejar de hacer {name}?"
+      }
+    }
+  },
+
+  release: {
+    errors: {
+      minTooLow: "El mínimo de respuestas debe ser al menos {count}",
+      minTooHigh: {
+        one: "El mínimo de respuestas no puede superar el {count} miembro",
+        other: "El mínimo de respuestas no puede superar los {count} miembros"
+      },
+      thresholdNotWhole: "El umbral de publicación debe ser un número entero",
+      thresholdBelowMin: "El umbral de publicación no puede ser menor que el mínimo de respuestas",
+      thresholdTooHigh: {
+        one: "El umbral de publicación no puede superar el {count} miembro",
+        other: "El umbral de publicación no puede superar los {count} miembros"
+      }
+    },
+    rule: {
+      summary: {
+        one: "Los comentarios se publican con al menos {count} respuesta, cuando {alternatives}.",
+        other: "Los comentarios se publican con al menos {count} respuestas, cuando {alternatives}."
+      },
+      everyone: "todos respondan",
+      hostCloses: "el anfitrión cierre la ronda",
+      threshold: { one: "responda {count} persona", other: "respondan {count} personas" },
+      deadline: "pase la fecha límite ({date})"
+    },
+    reminders: {
+      onTheDay: "El mismo día",
+      daysBefore: { one: "{count} día antes", other: "{count} días antes" }
+    },
+    countdown: {
+      passed: "Fecha límite vencida",
+      lessThanHour: "Vence en menos de una hora",
+      hours: { one: "Vence en {count} hora", other: "Vence en {count} horas" },
+      days: { one: "Vence en {count} día", other: "Vence en {count} días" }
+    }
+  },
+
+  report: {
+    source: "{group} • Ronda {number}",
+    feedbackFor: "Comentarios para {name}",
+    generated: "Generado el {date}",
+    summary: "Resumen",
+    averageScore: "Puntuación media",
+    responsesLabel: "Respuestas",
+    responses: { one: "{count} respuesta", other: "{count} respuestas" },
+    ratings: "Valoraciones",
+    question: "Pregunta",
+    average: "Media",
+    response: "Respuesta {number}",
+    score: { one: "Puntuación: {count} punto", other: "Puntuación: {count} puntos" },
+    scoreScale: "100-90: Excelente • 89-80: Alta • 79-70: Buena • 69-60: Moderada • Menos de 60: En desarrollo",
+    anonymityNote: "Estos comentarios son anónimos. Ninguna respuesta individual lleva nombre.",
+    eachMember: "cada miembro",
+    levels: {
+      great: { short: "Excelente", text: "Participación excelente" },
+      strong: { short: "Alta", text: "Participación alta" },
+      good: { short: "Buena", text: "Participación buena" },
+      moderate: { short: "Moderada", text: "Participación moderada" },
+      developing: { short: "En desarrollo", text: "Participación en desarrollo" }
+    },
+    team: {
+      title: "Informe del equipo",
+      titleFor: "Informe del equipo: {group}",
+      average: "Puntuación media del equipo",
+      responded: {
+        one: "Respondieron {respondents} de {count} miembro",
+        other: "Respondieron {respondents} de {count} miembros"
+      },
+      members: "Miembros",
+      memberLine: "{average} de media · ±{spread} · {responses} · {level}",
+      noFeedback: "Sin comentarios recibidos",
+      tooFew: "{responses} · muy pocas para mostrar una puntuación",
+      levels: "Niveles de participación",
+      themeAverage: {
+        one: "Media {average} / 5 de {count} respuesta",
+        other: "Media {average} / 5 de {count} respuestas"
+      },
+      note: "Elaborado solo con datos agregados: no incluye comentarios individuales, respuestas de texto libre ni la identidad de quien respondió."
+    },
+    csv: {
+      member: "Miembro",
+      email: "Correo",
+      spread: "Dispersión",
+      level: "Nivel de participación",
+      answer: "Respuesta",
+      share: "Porcentaje"
+    }
+  },
+
+  pdf: {
+    page: "Página {number} de {total}",
+    anonymousFeedback: "Comentarios anónimos",
+    generatedBy: "Generado por OffRecord"
+  },
+
+  auth: {
+    tagline: "Comentarios anónimos entre compañeros para crecer",
+    createGroup: "Crear grupo",
+    joinGroup: "Unirme a un grupo",
+    firstName: "Nombre",
+    firstNamePlaceholder: "Alex",
+    emailPlaceholder: "tu@ejemplo.com",
+    password: "Contraseña",
+    createAccount: "Crear cuenta",
+    hostHint: "Podrás crear grupos e invitar a miembros",
+    haveAccountSignIn: "¿Ya tienes cuenta? Inicia sesión",
+    inviteCode: "Código de invitación",
+    signIn: "Iniciar sesión",
+    invitedEmailPlaceholder: "El correo con el que te invitaron",
+    tempPassword: "Contraseña temporal",
+    inviteHint: "No necesitas cuenta: usa los datos de la invitación de tu anfitrión",
+    accountHint: "Usa tu cuenta de OffRecord",
+    needHostAccount: "¿Necesitas una cuenta de anfitrión? Créala",
+    signInInstead: "¿Tienes cuenta? Inicia sesión",
+    errors: {
+      fillAllFields: "Completa todos los campos",
+      generic: "Algo salió mal. Inténtalo de nuevo.",
+      enterEmailPassword: "Introduce tu correo y tu contraseña",
+      noAccount:
+        "No hay ninguna cuenta con ese correo y contraseña. Usa “Crear grupo” para crear una cuenta, o “Código de invitación” si te invitaron.",
+      invalidCredentials: "Datos de acceso incorrectos",
+      enterEmailCode: "Introduce tu correo y tu contraseña temporal",
+      invalidInvite: "Correo o contraseña temporal incorrectos",
+      linkFailed: "{error}. Aún puedes unirte con el correo y la contraseña temporal de tu invitación.",
+      linkFailedDefault: "Este enlace de invitación no funcionó",
+      disableConfirmation: "Desactiva la confirmación por correo en Supabase Auth y vuelve a intentarlo.",
+      confirmationsEnabled:
+        "La confirmación por correo está activada. Desactívala en Supabase Auth, o confirma el correo y luego inicia sesión.",
+      emailTaken:
+        "Ese correo ya tiene una cuenta. Usa “Unirme a un grupo” → “Iniciar sesión” con la contraseña original (o restablece/elimina el usuario en Supabase Auth).",
+      emailUnconfirmed:
+        "Ese correo existe pero no está confirmado. Confirma (o elimina) el usuario en Supabase Auth → Users y vuelve a intentarlo.",
+      enableAnonymous: "Activa los inicios de sesión anónimos en la configuración de Supabase Auth y vuelve a intentarlo."
+    }
+  },
+
+  dashboard: {
+    welcome: "Hola, {name}",
+    notifications: "Notificaciones",
+    settings: "Ajustes",
+    signOut: "Cerrar sesión",
+    title: { host: "Tus grupos", member: "Tus grupos de comentarios" },
+    subtitle: { host: "Gestiona tus grupos y da comentarios en otros", member: "Completa las encuestas para dar comentarios" },
+    history: "Mis comentarios a lo largo del tiempo",
+    organizations: "Organizaciones",
+    refresh: "Actualizar",
+    refreshing: "Actualizando...",
+    newGroup: "Nuevo grupo",
+    createGroup: "Crear grupo",
+    empty: {
+      title: "Aún no hay grupos",
+      slow: "Seguimos cargando tus grupos… (suele ser un problema de red)",
+      fetching: "Cargando tus grupos...",
+      host: "Crea tu primer grupo de comentarios o espera a que un anfitrión te invite",
+      member: "Espera a que un anfitrión te invite a un grupo"
+    },
+    errors: {
+      timedOut: "Se agotó el tiempo al cargar los grupos",
+      loadFailed: "No se pudieron cargar los grupos"
+    }
+  },
+
+  groupCard: {
+    cohost: "Coanfitrión",
+    due: "Vence el {date}",
+    progress: "Progreso",
+    status: {
+      loading: "Cargando estado…",
+      noRound: "Aún no hay ronda de comentarios",
+      completed: "Completado",
+      released: "Comentarios publicados ({completed}/{total})",
+      closedTooFew: "Ronda cerrada con muy pocas respuestas para publicarse ({completed}/{count} necesarias)",
+      closed: "Ronda cerrada ({completed}/{total})",
+      collecting: "Recogiendo comentarios ({completed}/{total})",
+      waiting: "Esperando a los demás ({completed}/{total})",
+      actionNeeded: "Acción pendiente"
+    },
+    actions: {
+      teamReport: "Informe del equipo",
+      allCollected: "Todos los comentarios recogidos",
+      released: "Comentarios publicados",
+      download: "Descargar comentarios",
+      noOpenRound: "No hay ronda abierta",
+      waitingForResponses: "Esperando respuestas",
+      submitted: "Respuesta enviada",
+      giveFeedback: "Dar comentarios"
+    },
+    round: {
+      label: "Ronda {number}",
+      labelClosed: "Ronda {number} (cerrada)",
+      close: "Cerrar la ronda {number}",
+      start: "Empezar la ronda {number}",
+      updating: "Actualizando la ronda…",
+      confirmClose:
+        "¿Cerrar la ronda {number}? Los miembros ya no podrán enviar más comentarios en ella y todos podrán leer lo recogido.",
+      confirmCloseTooFew: {
+        one: "¿Cerrar la ronda {number}? Solo hay {completed} de la {count} respuesta necesaria, así que sus comentarios nunca se publicarán.",
+        other:
+          "¿Cerrar la ronda {number}? Solo hay {completed} de las {count} respuestas necesarias, así que sus comentarios nunca se publicarán."
+      },
+      confirmStart: "¿Empezar la ronda {number}? Se volverá a pedir comentarios a todos.",
+      failed: "No se pudo actualizar la ronda"
+    },
+    tooltips: {
+      pastRounds: "Comentarios de rondas anteriores",
+      teamReport: "Informe del equipo",
+      invitations: "Ver invitaciones",
+      releaseSettings: "Ajustes de publicación",
+      manageMembers: "Gestionar miembros",
+      removeSelf: "Quitarme de los miembros",
+      delete: "Eliminar grupo"
+    },
+    removeSelf: {
+      confirm: "¿Quitarte de la lista de miembros de este grupo? Podrás seguir gestionándolo.",
+      failed: "No se pudieron actualizar los miembros"
+    }
+  },
+
+  groupPage: {
+    back: "Todos los grupos",
+    loading: "Cargando grupo…",
+    notFound: {
+      title: "Grupo no encontrado",
+      text: "Puede que se haya eliminado o que no formes parte de él."
+    },
+    noReport: "Todavía no hay comentarios publicados en este grupo."
+  },
+
+  createGroup: {
+    title: "Crear grupo de comentarios",
+    purpose: "¿Para qué es este grupo?",
+    purposePlaceholder: "Retro del equipo de producto T4",
+    organization: "Organización",
+    noOrganization: "Ninguna (solo yo)",
+    organizationHint: "Los administradores de la organización ven la participación del grupo, nunca sus comentarios.",
+    members: "Miembros (correo + nombre)",
+    host: "Anfitrión",
+    emailPlaceholder: "correo@ejemplo.com",
+    namePlaceholder: "Nombre completo",
+    addMember: "Añadir miembro",
+    sizeTip: "Lo ideal son 3-6 personas. Después de crear el grupo podrás copiar y compartir los datos de acceso.",
+    customizeEmails: "Personalizar correos",
+    hideEmailSettings: "Ocultar ajustes de correo",
+    creating: "Creando...",
+    submit: "Crear grupo y enviar invitaciones",
+    errors: {
+      nameRequired: "Escribe un nombre para el grupo",
+      ownEmail: "Ya estás incluido: no añadas tu propio correo",
+      duplicateEmail: "Cada miembro debe tener un correo distinto",
+      failed: "No se pudo crear el grupo"
+    }
+  },
+
+  questionEditor: {
+    templates: "Empezar con una plantilla",
+    nameHint: "Usa {name} en una pregunta para insertar el nombre de la persona evaluada.",
+    promptPlaceholder: "¿Qué hizo bien {name}?",
+    choice: "Opción {number}",
+    removeChoice: "Quitar opción",
+    addChoice: "Añadir opción",
+    required: "Obligatoria",
+    removeQuestion: "Quitar pregunta",
+    addQuestion: "Añadir pregunta",
+    pointsTip:
+      "Cada encuesta pide además repartir 100 puntos por persona entre el grupo: esa es la puntuación de cada informe."
+  },
+
+  memberImport: {
+    button: "Importar desde CSV o JSON",
+    unreadable: "No se pudo leer el archivo",
+    added: { one: "Se añadió {count} miembro.", other: "Se añadieron {count} miembros." },
+    addedSkipped: {
+      one: "Se añadió {count} miembro y se omitieron {skipped}.",
+      other: "Se añadieron {count} miembros y se omitieron {skipped}."
+    },
+    line: "Línea {number}"
+  },
+
+  releaseSettings: {
+    heading: "¿Cuándo se publican los comentarios?",
+    minRespondents: "Mínimo de respuestas",
+    releaseEarly: "Publicar antes con (opcional)",
+    everyone: "Todos",
+    deadline: "Fecha límite (opcional)",
+    explanation:
+      "Nadie puede leer los comentarios de una ronda hasta que responda el mínimo de personas, así los grupos pequeños siguen siendo anónimos. A partir de ahí, se publican cuando todos responden, cuando se alcanza el número para publicar antes, en la fecha límite o cuando cierras la ronda.",
+    reminders: "Recordatorios por correo antes de la fecha límite",
+    remindersHint: "Solo reciben recordatorios los miembros que no han respondido.",
+    title: "Ajustes de publicación",
+    deadlineClosed: "La fecha límite se aplica a la ronda abierta; empieza una ronda para fijarla.",
+    errors: {
+      save: "No se pudieron guardar los ajustes de publicación"
+    }
+  },
+
+  emailSettings: {
+    language: "Idioma de los correos",
+    brandColor: "Color de marca",
+    intro: "Introducción (opcional)",
+    introPlaceholder: "Unas palabras tuyas que se añaden a cada correo",
+    signOff: "Despedida (opcional)",
+    placeholders: "Puedes usar {placeholders} en la introducción y la despedida.",
+    kinds: {
+      invite: "Invitación",
+      reminder: "Recordatorio de fecha límite",
+      roundOpened: "Ronda abierta",
+      resultsReady: "Resultados listos"
+    },
+    subject: "Asunto:",
+    preview: "Vista previa del correo"
+  },
+
+  invitations: {
+    created: "¡Grupo creado!",
+    readyFor: "Invitaciones listas para enviar a {group}",
+    emailDelivery: "Envío de correos",
+    sending: "Enviando invitaciones…",
+    sendFailed: "No se pudieron enviar los correos automáticamente ({error}). Aún puedes copiar los códigos de abajo.",
+    sent: { one: "Se envió {count} correo", other: "Se enviaron {count} correos" },
+    sentVia: { one: "Se envió {count} correo con {provider}", other: "Se enviaron {count} correos con {provider}" },
+    failedCount: { one: "{count} falló", other: "{count} fallaron" },
+    gmailDelay: "Gmail a veces retrasa la entrega unos minutos; los destinatarios también deberían revisar Spam/Promociones.",
+    resendPartial: "Enviados: {sent}, fallidos: {failed}.\n\nPrimer error: {error}",
+    resend: "Reenviar",
+    sendCredentials: "Envía estos datos de acceso a tus miembros:",
+    savePasswords:
+      "Guarda ahora estas contraseñas temporales: se almacenan cifradas y no se volverán a mostrar. Si alguna se pierde, genera otra desde las invitaciones del grupo.",
+    copyText:
+      "Hola, {name}:\n\nTe invitaron a dar comentarios en un grupo.\n\nInicia sesión en: {url}\nCorreo: {email}\nContraseña temporal: {password}\n\n¡Completa tu encuesta para ayudar a tu equipo a crecer!",
+    password: "Contraseña: {password}",
+    title: "Invitaciones del grupo",
+    codesHint:
+      "Los códigos se guardan cifrados, así que no se pueden volver a mostrar. Si alguien perdió el suyo, genera uno nuevo y compártelo.",
+    saveTemplate: "Guardar ajustes de correo",
+    loading: "Cargando invitaciones…",
+    regenerate: "Generar otro código",
+    revoke: "Revocar invitación",
+    restore: "Restaurar invitación",
+    emailCode: "Enviar el nuevo código por correo",
+    sentCode: "Se envió el nuevo código a {email}.",
+    resent: "Se reenvió la invitación a {email}.",
+    confirmRevoke:
+      "¿Revocar la invitación de {name}? Su código y sus enlaces dejarán de funcionar. Puedes restaurarla más adelante.",
+    confirmRegenerate: "¿Generar un código nuevo para {name}? Su código actual dejará de funcionar.",
+    confirmResend: "¿Reenviar la invitación de {name}? El correo incluye un código nuevo, así que el actual dejará de funcionar.",
+    status: {
+      host: "Sin invitación (anfitrión)",
+      joined: "Se unió",
+      revoked: "Invitación revocada",
+      expired: "Invitación caducada",
+      pending: "Invitación pendiente",
+      pendingUntil: "Invitación pendiente · caduca el {date}"
+    },
+    delivery: {
+      redeemed: "Canjeada",
+      none: "Aún no se ha enviado ningún correo",
+      failed: "Falló el correo del {date}: {error}",
+      sent: "Correo enviado el {date} con {provider}",
+      sentRetried: "Correo enviado el {date} con {provider} tras {count} intentos"
+    },
+    link: {
+      none: "No se ha enviado ningún enlace de invitación",
+      used: "Enlace usado el {date}",
+      revoked: "Enlace revocado",
+      expired: "Enlace caducado",
+      active: "Enlace activo hasta el {date}",
+      copy: "Copiar un enlace de invitación nuevo",
+      revoke: "Revocar enlace",
+      copied: "Se copió un enlace de invitación nuevo para {name}. Funciona una sola vez; el enlace anterior quedó revocado.",
+      copyFailed: "No se pudo copiar. Este es el enlace para {name}:\n\n{url}",
+      confirmRevoke: "¿Revocar el enlace de invitación de {name}? Aún podrá unirse con su código."
+    },
+    errors: {
+      load: "No se pudieron cargar las invitaciones",
+      notConfigured: "El envío de correos no está configurado",
+      failed: "Error",
+      sendFailed: "No se pudieron enviar los correos",
+      sendOne: "No se pudo enviar el correo",
+      emailFailed: "No se pudo enviar el correo: {error}",
+      unknown: "error desconocido",
+      saveTemplate: "No se pudieron guardar los ajustes de correo",
+      createLink: "No se pudo crear el enlace de invitación",
+      revokeLink: "No se pudo revocar el enlace",
+      revoke: "No se pudo revocar la invitación",
+      restore: "No se pudo restaurar la invitación",
+      regenerate: "No se pudo generar otro código"
+    }
+  },
+
+  exports: {
+    markdown: "Markdown",
+    text: "Texto",
+    pdf: "Descargar PDF",
+    preparing: "Preparando..."
+  },
+
+  feedbackReport: {
+    title: "Tus comentarios",
+    from: "De: {source}",
+    loading: "Cargando comentarios…",
+    empty: "Aún no hay comentarios disponibles",
+    privacy: "Los informes se generan en este dispositivo; tus comentarios no se suben a ningún sitio.",
+    errors: {
+      pdf: "No se pudo generar el PDF"
+    }
+  },
+
+  teamReport: {
+    loading: "Cargando el informe del equipo…",
+    empty: "No hay comentarios publicados en esta ronda.",
+    average: "Media del equipo",
+    responded: "Respondieron",
+    members: { one: "miembro", other: "miembros" },
+    memberLine: "±{spread} · {responses} · {level}",
+    themes: "Temas",
+    errors: {
+      load: "No se pudo cargar el informe del equipo"
+    }
+  },
+
+  history: {
+    subtitle: "Media de puntos que recibiste en cada grupo y ronda con comentarios publicados.",
+    loading: "Cargando tu historial de comentarios…",
+    empty: {
+      title: "Aún no hay comentarios",
+      text: "Tus informes aparecerán aquí cuando termine una ronda en la que participaste."
+    },
+    latest: "Última media",
+    change: "Cambio respecto a la anterior",
+    versus: "frente a {source}",
+    onlyOne: "Por ahora solo hay un informe",
+    reports: "Informes",
+    received: { one: "{count} respuesta recibida", other: "{count} respuestas recibidas" },
+    perRound: "Puntuación media por ronda",
+    distribution: "Distribución de las puntuaciones recibidas",
+    past: "Informes anteriores",
+    open: "Abrir",
+    errors: {
+      load: "No se pudo cargar tu historial de comentarios"
+    }
+  },
+
+  notifications: {
+    resultsReady: "Avisarme por correo cuando mis comentarios estén listos",
+    resultsReadyHint:
+      "Se envía una vez por ronda a la dirección con la que te invitaron, cuando se publican los comentarios de un grupo.",
+    errors: {
+      load: "No se pudieron cargar los ajustes de notificaciones",
+      save: "No se pudieron guardar los ajustes de notificaciones"
+    }
+  },
+
+  settings: {
+    title: "Ajustes",
+    languageHint: "Se usa en la app y en los informes que descargas. Los correos usan el idioma de cada grupo."
+  },
+
+  members: {
+    title: "Gestionar miembros",
+    current: "Miembros actuales",
+    export: "Exportar",
+    empty: "Aún no hay miembros.",
+    status: {
+      pending: "Sin invitar",
+      invited: "Invitado",
+      joined: "Se unió"
+    },
+    remove: "Quitar miembro",
+    removeHost: "Quitar al anfitrión de la lista de miembros",
+    addNew: "Añadir miembros nuevos",
+    removeRow: "Quitar fila",
+    addAnother: "Añadir otro",
+    sending: "Enviando...",
+    save: "Guardar e invitar",
+    newCredentials: "Datos de acceso nuevos",
+    errors: {
+      export: "No se pudo exportar la lista de miembros",
+      save: "No se pudo actualizar el grupo"
+    }
+  },
+
+  cohosts: {
+    title: "Anfitriones",
+    hint: "Los coanfitriones pueden invitar a miembros, gestionar rondas y cambiar ajustes. Solo el propietario puede eliminar el grupo.",
+    loading: "Cargando anfitriones…",
+    you: "(tú)",
+    owner: "Propietario",
+    makeOwner: "Hacer propietario",
+    stepDown: "Dejar el cargo",
+    emailPlaceholder: "Correo del coanfitrión (debe haberse unido al grupo)",
+    add: "Añadir coanfitrión",
+    confirmStepDown: "¿Dejar de ser coanfitrión de {group}? Ya no podrás gestionarlo.",
+    confirmRemove: "¿Quitar a {name} como coanfitrión?",
+    confirmTransfer:
+      "¿Hacer a {name} propietario de {group}? Tú seguirás como coanfitrión y solo esa persona podrá eliminar el grupo o cambiar de propietario.",
+    errors: {
+      load: "No se pudieron cargar los coanfitriones",
+      add: "No se pudo añadir el coanfitrión",
+      remove: "No se pudo quitar el coanfitrión",
+      transfer: "No se pudo transferir la propiedad"
+    }
+  },
+
+  survey: {
+    noMembers: {
+      title: "No hay miembros que evaluar",
+      text: "Este grupo aún no tiene miembros.",
+      complete: "Marcar como completada"
+    },
+    submitting: "Enviando...",
+    submit: "Enviar comentarios",
+    allCollected:
+      "¡Se recogieron todos los comentarios! Cada persona recibirá un correo cuando sus comentarios estén listos para leer.",
+    submitted: {
+      title: "Comentarios enviados",
+      text: "Tus respuestas quedaron registradas. Recibirás tus comentarios cuando todos completen la encuesta."
+    },
+    tip: "Sé sincero, concreto y constructivo",
+    score: "Puntuación para {name}",
+    pointsRemaining: "Puntos restantes:",
+    optional: "{prompt} (opcional)",
+    textPlaceholder: "Sé concreto y constructivo...",
+    errors: {
+      submit: "No se pudieron enviar los comentarios",
+      missingEmail: "Falta tu correo. Vuelve a iniciar sesión con tu código de invitación.",
+      points: {
+        one: "Debes repartir exactamente {count} punto. Te quedan {remaining} puntos.",
+        other: "Debes repartir exactamente {count} puntos. Te quedan {remaining} puntos."
+      },
+      alreadySubmitted: "Ya enviaste comentarios en esta ronda."
+    }
+  },
+
+  organizations: {
+    subtitle: "Reúne los grupos de tu empresa. Los administradores ven quién participa, nunca lo que se dijo.",
+    namePlaceholder: "Nombre de la nueva organización",
+    create: "Crear",
+    creating: "Creando…",
+    empty: {
+      title: "Aún no hay organizaciones",
+      text: "Crea una arriba o pide a un administrador que te añada a la suya."
+    },
+    members: "Miembros",
+    membersHint: "Los administradores gestionan los miembros y ven la participación en los grupos de la organización.",
+    loadingMembers: "Cargando miembros…",
+    roles: { admin: "Administrador", member: "Miembro" },
+    makeAdmin: "Hacer administrador",
+    makeMember: "Hacer miembro",
+    leave: "Salir",
+    emailPlaceholder: "Correo de su cuenta de OffRecord",
+    add: "Añadir",
+    groups: "Tus grupos",
+    groupsHint: "Grupos que organizas y que están en {org}.",
+    noGroups: "Aún no organizas ningún grupo.",
+    inOrg: "En {org}",
+    notInOrg: "Sin organización",
+    addGroup: "Añadir a {org}",
+    removeGroup: "Quitar de la organización",
+    confirmLeave: "¿Salir de {org}? Tus grupos seguirán en la organización.",
+    confirmRemove: "¿Quitar a {email} de {org}?",
+    participation: {
+      title: "Participación",
+      hint: "Ronda actual de cada grupo de {org}. Los comentarios se quedan en el grupo.",
+      loading: "Cargando la participación…",
+      empty: "Aún no hay grupos en esta organización.",
+      totals: {
+        one: "{count} grupo · {responded}/{members} respuestas en las rondas actuales",
+        other: "{count} grupos · {responded}/{members} respuestas en las rondas actuales"
+      },
+      noRound: "Aún no hay ronda",
+      closed: "Ronda cerrada",
+      collecting: "Recogiendo",
+      collectingDue: "Recogiendo · vence el {date}",
+      errors: {
+        load: "No se pudo cargar la participación"
+      }
+    },
+    errors: {
+      loadMembers: "No se pudieron cargar los miembros",
+      addMember: "No se pudo añadir el miembro",
+      removeMember: "No se pudo quitar el miembro",
+      changeRole: "No se pudo cambiar el rol",
+      updateGroup: "No se pudo actualizar el grupo",
+      create: "No se pudo crear la organización"
+    }
+  },
+
+  finishSetup: {
+    title: "Termina de configurar tu cuenta",
+    text: "Te uniste con un código de invitación. Elige una contraseña para poder volver a entrar sin la contraseña temporal.",
+    newPassword: "Contraseña nueva",
+    newPasswordPlaceholder: "Al menos 8 caracteres",
+    confirmPassword: "Confirmar contraseña",
+    confirmPasswordPlaceholder: "Repite la contraseña",
+    submit: "Guardar contraseña",
+    errors: {
+      missingEmail: "Falta tu correo. Cierra sesión y vuelve a unirte con tu código de invitación.",
+      passwordLength: "La contraseña debe tener al menos 8 caracteres",
+      mismatch: "Las contraseñas no coinciden",
+      emailTaken:
+        "Ese correo ya tiene una cuenta. Cierra sesión y usa “Unirme a un grupo” → “Iniciar sesión” con tu contraseña actual.",
+      confirmationsEnabled:
+        "La confirmación por correo de Supabase está activada. Desactívala en Supabase Auth o confirma el correo antes de continuar.",
+      failed: "No se pudo crear la cuenta"
+    }
+  },
+
+  app: {
+    joining: "Uniéndote a tu grupo…",
+    notConfigured: {
+      title: "Supabase no está configurado",
+      body:
+        "A este despliegue le faltan variables de entorno de Supabase obligatorias, así que la aplicación no puede iniciarse.",
+      netlify:
+        "Netlify → Site settings → Environment variables → añade `VITE_SUPABASE_URL` y `VITE_SUPABASE_ANON_KEY` y vuelve a desplegar.",
+      local:
+        "¿Desarrollas sin un proyecto de Supabase? Define `VITE_DATA_BACKEND=local` para usar datos de demostración en el navegador."
+    },
+    outOfDate: {
+      title: "La base de datos está desactualizada",
+      body:
+        "Esta versión de OffRecord necesita la versión {required} del esquema de la base de datos, pero el proyecto de Supabase conectado está en la versión {version}. Hasta que se migre, los grupos, las invitaciones y el feedback no se cargarán correctamente.",
+      manual:
+        "O pega los archivos pendientes de `supabase/migrations` en Supabase → SQL Editor, en orden. Las bases de datos creadas antes de que existieran las migraciones necesitan primero `supabase/legacy_patch.sql`. Después, recarga esta página."
+    },
+    localData: {
+      badge: "Datos de demostración locales",
+      reset: "Restablecer",
+      confirmReset: "¿Restablecer los datos locales a los de demostración? Se cerrará tu sesión."
+    }
+  }
+};
@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from "react";
+import { Link, Outlet, useOutletContext } from "react-router-dom";
+import { LogOut, Settings } from "lucide-react";
+import { listManagedGroups, listMemberGroups, listMyOrganizations } from "../db";
+import { AnonymousIcon, LanguageSwitcher } from "../components/ui";
+import { useAuth, useI18n } from "../context";
+
+// ============================================================================
+// SIGNED-IN LAYOUT
+// ============================================================================
+
+// The header and the signed-in user's groups and organizations, loaded once and shared with every page below it
+// through the outlet context, so moving between pages doesn't refetch them.
+export const useGroups = () => useOutletContext();
+
+export const AppLayout = () => {
+  const { t } = useI18n();
+  const { user, logout } = useAuth();
+  const [groups, setGroups] = useState([]);
+  const [organizations, setOrganizations] = useState([]);
+  const [loadingGroups, setLoadingGroups] = useState(true);
+  const [groupsError, setGroupsError] = useState("");
+  const [loadingSlow, setLoadingSlow] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const withTimeout = (promise, ms) => {
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => setTimeout(() => reject(new Error(t("dashboard.errors.timedOut"))), ms))
+    ]);
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      setGroupsError("");
+      setLoadingGroups(true);
+      setLoadingSlow(false);
+      try {
+        const slowTimer = setTimeout(() => setLoadingSlow(true), 2500);
+        const timeoutMs = 15000;
+
+        const hostedPromise = withTimeout(listManagedGroups({ uid: user.uid }), timeoutMs);
+        const memberPromise = withTimeout(listMemberGroups({ uid: user.uid, emailLower: user.emailLower }), timeoutMs);
+
+        const [hostedRes, memberRes] = await Promise.allSettled([hostedPromise, memberPromise]);
+        clearTimeout(slowTimer);
+
+        const merged = [];
+        const seen = new Set();
+        for (const res of [hostedRes, memberRes]) {
+          if (res.status !== "fulfilled") continue;
+          for (const g of res.value || []) {
+            if (seen.has(g.id)) continue;
+            seen.add(g.id);
+            merged.push(g);
+          }
+        }
+
+        if (merged.length === 0 && hostedRes.status === "rejected" && memberRes.status === "rejected") {
+          throw hostedRes.reason || memberRes.reason || new Error(t("dashboard.errors.loadFailed"));
+        }
+
+        setGroups(merged);
+      } catch (err) {
+        setGroupsError(err?.message || t("dashboard.errors.loadFailed"));
+      } finally {
+        setLoadingGroups(false);
+      }
+    };
+
+    void load();
+  }, [user.emailLower, user.uid]);
+
+  // Organizations are optional, so a failure here just hides them.
+  const loadOrganizations = async () => {
+    try {
+      setOrganizations(await listMyOrganizations({ uid: user.uid }));
+    } catch {
+      setOrganizations([]);
+    }
+  };
+
+  useEffect(() => {
+    if (user.isAnonymous) return;
+    void loadOrganizations();
+  }, [user.uid, user.isAnonymous]);
+
+  const refreshGroups = async () => {
+    setGroupsError("");
+    setLoadingGroups(true);
+    setLoadingSlow(false);
+    setRefreshing(true);
+    try {
+      const slowTimer = setTimeout(() => setLoadingSlow(true), 2500);
+      const timeoutMs = 15000;
+
+      const hostedPromise = withTimeout(listManagedGroups({ uid: user.uid }), timeoutMs);
+      const memberPromise = withTimeout(listMemberGroups({ uid: user.uid, emailLower: user.emailLower }), timeoutMs);
+
+      const [hostedRes, memberRes] = await Promise.allSettled([hostedPromise, memberPromise]);
+      clearTimeout(slowTimer);
+
+      const merged = [];
+      const seen = new Set();
+      for (const res of [hostedRes, memberRes]) {
+        if (res.status !== "fulfilled") continue;
+        for (const g of res.value || []) {
+          if (seen.has(g.id)) continue;
+          seen.add(g.id);
+          merged.push(g);
+        }
+      }
+
+      if (merged.length === 0 && hostedRes.status === "rejected" && memberRes.status === "rejected") {
+        throw hostedRes.reason || memberRes.reason || new Error(t("dashboard.errors.loadFailed"));
+      }
+
+      setGroups(merged);
+    } catch (err) {
+      setGroupsError(err?.message || t("dashboard.errors.loadFailed"));
+    } finally {
+      setLoadingGroups(false);
+      setRefreshing(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900">
+      <header className="bg-gray-800 border-b border-gray-700">
+        <div className="max-w-6xl mx-auto px-4 py-4 flex items-center justify-between">
+          <Link to="/" className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-purple-600 rounded-full flex items-center justify-center">
+              <AnonymousIcon className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold text-white">OffRecord</h1>
+              <p className="text-sm text-gray-400">{t("dashboard.welcome", { name: user.firstName })}</p>
+            </div>
+          </Link>
+
+          <div className="flex items-center gap-5">
+            <LanguageSwitcher />
+            <Link to="/settings" className="flex items-center gap-2 text-gray-400 hover:text-white transition">
+              <Settings className="w-5 h-5" />
+              <span className="text-sm">{t("dashboard.settings")}</span>
+            </Link>
+            <button onClick={logout} className="flex items-center gap-2 text-gray-400 hover:text-white transition">
+              <LogOut className="w-5 h-5" />
+              <span className="text-sm">{t("dashboard.signOut")}</span>
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto px-4 py-8">
+        <Outlet
+          context={{
+            groups,
+            organizations,
+            loadingGroups,
+            loadingSlow,
+            groupsError,
+            refreshing,
+            refreshGroups,
+            loadOrganizations
+          }}
+        />
+      </main>
+    </div>
+  );
+};
@@ -0,0 +1,377 @@
+import React, { useState } from "react";
+import { upsertUserProfile } from "../db";
+import { supabase } from "../supabase";
+import { AnonymousIcon, Button, Card, Input, LanguageSwitcher } from "../components/ui";
+import { useAuth, useI18n } from "../context";
+
+// ============================================================================
+// AUTH SCREEN
+// ============================================================================
+
+export const AuthScreen = () => {
+  const { t } = useI18n();
+  const { signup, login, loginWithInvite, joinError, joinEmail, clearJoinError } = useAuth();
+  const [isHost, setIsHost] = useState(() => !joinError);
+  const [joinMode, setJoinMode] = useState("invite"); // invite | signin
+  const [email, setEmail] = useState(() => (joinError ? joinEmail : ""));
+  const [password, setPassword] = useState("");
+  const [firstName, setFirstName] = useState("");
+  const [tempPassword, setTempPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const shownError = error || joinError;
+
+  const handleHostSignup = async () => {
+    setError("");
+    clearJoinError();
+
+    if (!email || !password || !firstName) {
+      setError(t("auth.errors.fillAllFields"));
+      return;
+    }
+
+	    setLoading(true);
+	    try {
+	      await signup(email, password, firstName);
+	    } catch (err) {
+	      setError(err?.message || t("auth.errors.generic"));
+	    } finally {
+	      setLoading(false);
+	    }
+		  };
+
+  const handleAccountLogin = async () => {
+    setError("");
+    clearJoinError();
+
+    if (!email || !password) {
+      setError(t("auth.errors.enterEmailPassword"));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await login(email, password);
+    } catch (err) {
+      const msg = String(err?.message || "");
+      if (msg.toLowerCase().includes("invalid login credentials")) {
+        setError(t("auth.errors.noAccount"));
+      } else {
+        setError(msg || t("auth.errors.invalidCredentials"));
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMemberLogin = async () => {
+    setError("");
+    clearJoinError();
+
+    if (!email || !tempPassword) {
+      setError(t("auth.errors.enterEmailCode"));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await loginWithInvite(email, tempPassword);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      if (isHost) return handleHostSignup();
+      return joinMode === "invite" ? handleMemberLogin() : handleAccountLogin();
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-purple-900 to-gray-900 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <div className="flex justify-end -mt-2 mb-2">
+          <LanguageSwitcher />
+        </div>
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-purple-600 rounded-full mb-4">
+            <AnonymousIcon className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-white mb-2">OffRecord</h1>
+          <p className="text-gray-400">{t("auth.tagline")}</p>
+        </div>
+
+        <div className="flex gap-2 mb-6 bg-gray-700 p-1 rounded-lg">
+          <button
+            onClick={() => setIsHost(true)}
+            className={`flex-1 py-2 rounded-md transition ${
+              isHost ? "bg-purple-600 text-white" : "text-gray-400"
+            }`}
+          >
+            {t("auth.createGroup")}
+          </button>
+          <button
+            onClick={() => setIsHost(false)}
+            className={`flex-1 py-2 rounded-md transition ${
+              !isHost ? "bg-purple-600 text-white" : "text-gray-400"
+            }`}
+          >
+            {t("auth.joinGroup")}
+          </button>
+        </div>
+
+        {isHost ? (
+          <div className="space-y-4">
+            <Input
+              label={t("auth.firstName")}
+              type="text"
+              placeholder={t("auth.firstNamePlaceholder")}
+              value={firstName}
+              onChange={(e) => setFirstName(e.target.value)}
+              onKeyDown={handleKeyDown}
+            />
+
+            <Input
+              label={t("common.email")}
+              type="email"
+              placeholder={t("auth.emailPlaceholder")}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              onKeyDown={handleKeyDown}
+            />
+
+            <Input
+              label={t("auth.password")}
+              type="password"
+              placeholder="••••••••"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              onKeyDown={handleKeyDown}
+            />
+
+            {shownError && (
+              <div className="bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">
+                {shownError}
+              </div>
+            )}
+
+            <Button onClick={handleHostSignup} variant="primary" className="w-full" disabled={loading}>
+              {loading ? t("common.pleaseWait") : t("auth.createAccount")}
+            </Button>
+
+            <p className="text-sm text-gray-400 text-center">{t("auth.hostHint")}</p>
+
+            <button
+              type="button"
+              className="w-full text-sm text-gray-400 hover:text-white transition"
+              onClick={() => {
+                setIsHost(false);
+                setJoinMode("signin");
+                setError("");
+              }}
+            >
+              {t("auth.haveAccountSignIn")}
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex gap-2 mb-1 bg-gray-700 p-1 rounded-lg">
+              <button
+                onClick={() => setJoinMode("invite")}
+                className={`flex-1 py-2 rounded-md transition ${
+                  joinMode === "invite" ? "bg-purple-600 text-white" : "text-gray-400"
+                }`}
+              >
+                {t("auth.inviteCode")}
+              </button>
+              <button
+                onClick={() => setJoinMode("signin")}
+                className={`flex-1 py-2 rounded-md transition ${
+                  joinMode === "signin" ? "bg-purple-600 text-white" : "text-gray-400"
+                }`}
+              >
+                {t("auth.signIn")}
+              </button>
+            </div>
+
+            <Input
+              label={t("common.email")}
+              type="email"
+              placeholder={t("auth.invitedEmailPlaceholder")}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              onKeyDown={handleKeyDown}
+            />
+
+            {joinMode === "invite" ? (
+              <Input
+                label={t("auth.tempPassword")}
+                type="text"
+                placeholder="ABC123"
+                value={tempPassword}
+                onChange={(e) => setTempPassword(e.target.value.toUpperCase())}
+                onKeyDown={handleKeyDown}
+              />
+            ) : (
+              <Input
+                label={t("auth.password")}
+                type="password"
+                placeholder="••••••••"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                onKeyDown={handleKeyDown}
+              />
+            )}
+
+            {shownError && (
+              <div className="bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">
+                {shownError}
+              </div>
+            )}
+
+            <Button
+              onClick={joinMode === "invite" ? handleMemberLogin : handleAccountLogin}
+              variant="primary"
+              className="w-full"
+              disabled={loading}
+            >
+              {loading ? t("common.pleaseWait") : joinMode === "invite" ? t("auth.joinGroup") : t("auth.signIn")}
+            </Button>
+
+            <p className="text-sm text-gray-400 text-center">
+              {joinMode === "invite" ? t("auth.inviteHint") : t("auth.accountHint")}
+            </p>
+
+            <button
+              type="button"
+              className="w-full text-sm text-gray-400 hover:text-white transition"
+              onClick={() => {
+                if (joinMode === "signin") {
+                  setIsHost(true);
+                  setError("");
+                } else {
+                  setJoinMode("signin");
+                  setError("");
+                }
+              }}
+            >
+              {joinMode === "signin" ? t("auth.needHostAccount") : t("auth.signInInstead")}
+            </button>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export const CompleteInviteAccountScreen = () => {
+  const { user, logout } = useAuth();
+  const { t } = useI18n();
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const emailLower =
+    user?.emailLower ||
+    (typeof window !== "undefined" ? String(window.sessionStorage?.getItem("offrecord_invite_email_lower") || "") : "");
+
+  const handleSave = async () => {
+    setError("");
+    if (!emailLower) {
+      setError(t("finishSetup.errors.missingEmail"));
+      return;
+    }
+    if (!password || password.length < 8) {
+      setError(t("finishSetup.errors.passwordLength"));
+      return;
+    }
+    if (password !== confirm) {
+      setError(t("finishSetup.errors.mismatch"));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { error: updateError } = await supabase.auth.updateUser({
+        email: emailLower,
+        password,
+        data: { email_lower: emailLower }
+      });
+      if (updateError) {
+        const m = String(updateError.message || "").toLowerCase();
+        if (m.includes("already") || m.includes("registered")) {
+          throw new Error(t("finishSetup.errors.emailTaken"));
+        }
+        if (m.includes("confirm")) {
+          throw new Error(t("finishSetup.errors.confirmationsEnabled"));
+        }
+        throw updateError;
+      }
+
+      // A profile makes the new account findable when hosts add co-hosts or org admins add members.
+      try {
+        await upsertUserProfile({ uid: user.uid, emailLower, firstName: user.firstName });
+      } catch {
+        // ignore
+      }
+
+      try {
+        window.sessionStorage.removeItem("offrecord_invite_needs_password");
+        window.sessionStorage.removeItem("offrecord_invite_email_lower");
+      } catch {
+        // ignore
+      }
+    } catch (err) {
+      setError(err?.message || t("finishSetup.errors.failed"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-purple-900 to-gray-900 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <div className="text-center mb-6">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-purple-600 rounded-full mb-4">
+            <AnonymousIcon className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-2xl font-bold text-white mb-2">{t("finishSetup.title")}</h1>
+          <p className="text-gray-400 text-sm">{t("finishSetup.text")}</p>
+        </div>
+
+        <div className="space-y-4">
+          <Input label={t("common.email")} value={emailLower} disabled />
+          <Input
+            label={t("finishSetup.newPassword")}
+            type="password"
+            placeholder={t("finishSetup.newPasswordPlaceholder")}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <Input
+            label={t("finishSetup.confirmPassword")}
+            type="password"
+            placeholder={t("finishSetup.confirmPasswordPlaceholder")}
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+          />
+
+          {error && (
+            <div className="bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">{error}</div>
+          )}
+
+          <Button onClick={handleSave} className="w-full" disabled={saving}>
+            {saving ? t("common.saving") : t("finishSetup.submit")}
+          </Button>
+
+          <button type="button" className="w-full text-sm text-gray-400 hover:text-white transition" onClick={logout}>
+            {t("dashboard.signOut")}
+          </button>
+        </div>
+      </Card>
+    </div>
+  );
+};
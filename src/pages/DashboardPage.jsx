@@ -0,0 +1,119 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Plus, TrendingUp, Building2 } from "lucide-react";
+import { deleteGroupCascade } from "../db";
+import { CreateGroupModal } from "../components/CreateGroupModal";
+import { GroupCard } from "../components/GroupCard";
+import { AnonymousIcon, Button, Card } from "../components/ui";
+import { useAuth, useI18n } from "../context";
+import { canManageGroup } from "../utils";
+import { useGroups } from "./AppLayout";
+
+// ============================================================================
+// DASHBOARD
+// ============================================================================
+
+export const DashboardPage = () => {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const { groups, organizations, loadingGroups, loadingSlow, groupsError, refreshing, refreshGroups } = useGroups();
+  const [showCreateModal, setShowCreateModal] = useState(false);
+
+  // Roles are per group: anyone with an account can start a group, and hosts are whoever owns or co-hosts one.
+  // Anonymous members (joined by link, no password yet) have no email to host with.
+  const canCreateGroups = !user.isAnonymous;
+  const hostsAnyGroup = groups.some(canManageGroup);
+
+  return (
+    <>
+      <div className="flex items-center justify-between mb-8">
+        <div>
+          <h2 className="text-2xl font-bold text-white mb-1">
+            {hostsAnyGroup ? t("dashboard.title.host") : t("dashboard.title.member")}
+          </h2>
+          <p className="text-gray-400">
+            {hostsAnyGroup ? t("dashboard.subtitle.host") : t("dashboard.subtitle.member")}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <Button variant="secondary" onClick={() => navigate("/history")} disabled={loadingGroups}>
+            <TrendingUp className="w-5 h-5" />
+            {t("dashboard.history")}
+          </Button>
+          {!user.isAnonymous && (
+            <Button variant="secondary" onClick={() => navigate("/organizations")} disabled={loadingGroups}>
+              <Building2 className="w-5 h-5" />
+              {t("dashboard.organizations")}
+            </Button>
+          )}
+          <Button variant="secondary" onClick={refreshGroups} disabled={loadingGroups}>
+            {refreshing ? t("dashboard.refreshing") : t("dashboard.refresh")}
+          </Button>
+          {canCreateGroups && (
+            <Button onClick={() => setShowCreateModal(true)} disabled={loadingGroups}>
+              <Plus className="w-5 h-5" />
+              {t("dashboard.newGroup")}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {groups.length === 0 ? (
+        <Card className="text-center py-12">
+          <AnonymousIcon className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-white mb-2">
+            {loadingGroups ? t("common.loading") : t("dashboard.empty.title")}
+          </h3>
+          {groupsError ? (
+            <p className="text-red-400 mb-6">{groupsError}</p>
+          ) : (
+            <p className="text-gray-400 mb-6">
+              {loadingGroups
+                ? loadingSlow
+                  ? t("dashboard.empty.slow")
+                  : t("dashboard.empty.fetching")
+                : canCreateGroups
+                  ? t("dashboard.empty.host")
+                  : t("dashboard.empty.member")}
+            </p>
+          )}
+          {canCreateGroups && (
+            <Button onClick={() => setShowCreateModal(true)}>
+              <Plus className="w-5 h-5" />
+              {t("dashboard.createGroup")}
+            </Button>
+          )}
+        </Card>
+      ) : (
+        <div className="grid gap-6 md:grid-cols-2">
+          {groups.map((group) => (
+            <GroupCard
+              key={group.id}
+              group={group}
+              linkToGroup
+              onRefresh={refreshGroups}
+              onDelete={async (id) => {
+                await deleteGroupCascade({ groupId: id });
+                await refreshGroups();
+              }}
+            />
+          ))}
+        </div>
+      )}
+
+      {showCreateModal && (
+        <CreateGroupModal
+          hostUid={user.uid}
+          hostEmail={user.email}
+          hostName={user.firstName}
+          organizations={organizations}
+          onClose={() => setShowCreateModal(false)}
+          onCreated={async () => {
+            await refreshGroups();
+          }}
+        />
+      )}
+    </>
+  );
+};
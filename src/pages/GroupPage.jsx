@@ -0,0 +1,73 @@
+import React from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { ArrowLeft } from "lucide-react";
+import { deleteGroupCascade } from "../db";
+import { GroupCard } from "../components/GroupCard";
+import { AnonymousIcon, Card } from "../components/ui";
+import { useI18n } from "../context";
+import { useGroups } from "./AppLayout";
+
+// ============================================================================
+// GROUP PAGE
+// ============================================================================
+
+// The group named in the URL, looked up among the signed-in user's groups. `group` stays null while they load and
+// when the group doesn't exist or the user isn't in it.
+export const useRouteGroup = () => {
+  const { groupId } = useParams();
+  const { groups, loadingGroups } = useGroups();
+  const group = groups.find((g) => g.id === groupId) || null;
+  return { group, loading: !group && loadingGroups };
+};
+
+const BackToGroups = () => {
+  const { t } = useI18n();
+  return (
+    <Link to="/" className="inline-flex items-center gap-2 text-gray-400 hover:text-white transition mb-6">
+      <ArrowLeft className="w-5 h-5" />
+      {t("groupPage.back")}
+    </Link>
+  );
+};
+
+// Shown in place of a group page while the groups load, or when the link points at a group the user can't see.
+export const GroupUnavailable = ({ loading }) => {
+  const { t } = useI18n();
+  return (
+    <>
+      <BackToGroups />
+      <Card className="text-center py-12">
+        <AnonymousIcon className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+        <h3 className="text-xl font-semibold text-white mb-2">
+          {loading ? t("groupPage.loading") : t("groupPage.notFound.title")}
+        </h3>
+        {!loading && <p className="text-gray-400">{t("groupPage.notFound.text")}</p>}
+      </Card>
+    </>
+  );
+};
+
+// `panel` opens one of the group card's host dialogs (see GroupCard).
+export const GroupPage = ({ panel = null }) => {
+  const navigate = useNavigate();
+  const { refreshGroups } = useGroups();
+  const { group, loading } = useRouteGroup();
+
+  if (!group) return <GroupUnavailable loading={loading} />;
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <BackToGroups />
+      <GroupCard
+        group={group}
+        panel={panel}
+        onRefresh={refreshGroups}
+        onDelete={async (id) => {
+          await deleteGroupCascade({ groupId: id });
+          navigate("/", { replace: true });
+          await refreshGroups();
+        }}
+      />
+    </div>
+  );
+};
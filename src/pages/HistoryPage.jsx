@@ -0,0 +1,291 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft } from "lucide-react";
+import { listFeedbackForRecipient, listResponsesForGroups, listRoundsForGroups } from "../db";
+import { countRespondentsByRound, isRoundReleased } from "../release";
+import { PARTICIPATION_LEVELS, getParticipationLevel, levelLabel } from "../report";
+import { FeedbackPDFModal } from "../components/FeedbackReports";
+import { AnonymousIcon, Button, Card } from "../components/ui";
+import { useAuth, useI18n } from "../context";
+import { getScoreColor } from "../utils";
+import { useGroups } from "./AppLayout";
+
+// ============================================================================
+// FEEDBACK HISTORY (TRENDS ACROSS ROUNDS)
+// ============================================================================
+
+const FeedbackHistoryScreen = ({ groups, onClose }) => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [reports, setReports] = useState([]);
+  const [scores, setScores] = useState([]);
+  const [openReport, setOpenReport] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const participantGroups = (groups || []).filter((g) =>
+          (g.members || []).some((m) => String(m.emailLower || "").toLowerCase() === user.emailLower)
+        );
+        const groupIds = participantGroups.map((g) => g.id);
+        const [rounds, responses, feedback] = await Promise.all([
+          listRoundsForGroups({ groupIds }),
+          listResponsesForGroups({ groupIds }),
+          listFeedbackForRecipient({ recipientEmailLower: user.emailLower, groupIds })
+        ]);
+
+        const groupsById = new Map(participantGroups.map((g) => [g.id, g]));
+        const respondedByRound = countRespondentsByRound(responses);
+        const released = rounds.filter((r) =>
+          isRoundReleased({ group: groupsById.get(r.groupId), round: r, respondedCount: respondedByRound.get(r.id) })
+        );
+        const releasedIds = new Set(released.map((r) => r.id));
+        const releasedFeedback = feedback.filter((f) => releasedIds.has(f.roundId));
+
+        const nextReports = released
+          .map((round) => {
+            const items = releasedFeedback.filter((f) => f.roundId === round.id);
+            if (items.length === 0) return null;
+            const averageScore = Math.round(items.reduce((sum, f) => sum + f.score, 0) / items.length);
+            return {
+              group: groupsById.get(round.groupId),
+              round,
+              groupRounds: released
+                .filter((r) => r.groupId === round.groupId)
+                .sort((a, b) => b.number - a.number),
+              responses: items.length,
+              averageScore
+            };
+          })
+          .filter(Boolean)
+          .sort((a, b) => new Date(a.round.openedAt) - new Date(b.round.openedAt));
+
+        if (!cancelled) {
+          setReports(nextReports);
+          setScores(releasedFeedback.map((f) => f.score));
+        }
+      } catch (err) {
+        if (!cancelled) setError(err?.message || t("history.errors.load"));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    void load();
+    return () => {
+      cancelled = true;
+    };
+  }, [groups, user.emailLower]);
+
+  if (openReport) {
+    return (
+      <FeedbackPDFModal
+        group={openReport.group}
+        rounds={openReport.groupRounds}
+        initialRoundId={openReport.round.id}
+        userEmail={user.emailLower}
+        userName={user.firstName}
+        onClose={() => setOpenReport(null)}
+      />
+    );
+  }
+
+  const latest = reports[reports.length - 1];
+  const previous = reports[reports.length - 2];
+  const change = latest && previous ? latest.averageScore - previous.averageScore : null;
+  const distribution = PARTICIPATION_LEVELS.map((level) => ({
+    level,
+    count: scores.filter((score) => getParticipationLevel(score) === level).length
+  }));
+  const maxBucket = Math.max(1, ...distribution.map((d) => d.count));
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 z-50 overflow-y-auto">
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        <div className="flex items-center justify-between mb-8">
+          <button onClick={onClose} className="flex items-center gap-2 text-gray-400 hover:text-white transition">
+            <ArrowLeft className="w-5 h-5" />
+            <span>{t("common.back")}</span>
+          </button>
+        </div>
+
+        <div className="mb-8">
+          <h2 className="text-2xl font-bold text-white mb-1">{t("dashboard.history")}</h2>
+          <p className="text-gray-400">{t("history.subtitle")}</p>
+        </div>
+
+        {loading ? (
+          <Card className="text-center py-12">
+            <p className="text-gray-400">{t("history.loading")}</p>
+          </Card>
+        ) : error ? (
+          <Card className="text-center py-12">
+            <p className="text-red-400">{error}</p>
+          </Card>
+        ) : reports.length === 0 ? (
+          <Card className="text-center py-12">
+            <AnonymousIcon className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-white mb-2">{t("history.empty.title")}</h3>
+            <p className="text-gray-400">{t("history.empty.text")}</p>
+          </Card>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid gap-4 sm:grid-cols-3">
+              <Card>
+                <p className="text-sm text-gray-400 mb-1">{t("history.latest")}</p>
+                <p className="text-3xl font-bold" style={{ color: getScoreColor(latest.averageScore) }}>
+                  {latest.averageScore}
+                </p>
+                <p className="text-sm text-gray-300">{levelLabel(getParticipationLevel(latest.averageScore), t)}</p>
+              </Card>
+              <Card>
+                <p className="text-sm text-gray-400 mb-1">{t("history.change")}</p>
+                <p
+                  className={`text-3xl font-bold ${
+                    change === null ? "text-gray-500" : change >= 0 ? "text-green-400" : "text-orange-400"
+                  }`}
+                >
+                  {change === null ? "—" : `${change > 0 ? "+" : ""}${change}`}
+                </p>
+                <p className="text-sm text-gray-300">
+                  {previous
+                    ? t("history.versus", {
+                        source: t("report.source", { group: previous.group.name, number: previous.round.number })
+                      })
+                    : t("history.onlyOne")}
+                </p>
+              </Card>
+              <Card>
+                <p className="text-sm text-gray-400 mb-1">{t("history.reports")}</p>
+                <p className="text-3xl font-bold text-white">{reports.length}</p>
+                <p className="text-sm text-gray-300">{t("history.received", { count: scores.length })}</p>
+              </Card>
+            </div>
+
+            <Card>
+              <h3 className="text-lg font-semibold text-white mb-4">{t("history.perRound")}</h3>
+              <ScoreTrendChart reports={reports} />
+            </Card>
+
+            <Card>
+              <h3 className="text-lg font-semibold text-white mb-4">{t("history.distribution")}</h3>
+              <div className="space-y-2">
+                {distribution.map(({ level, count }) => (
+                  <div key={level.key} className="flex items-center gap-3">
+                    <span className="w-24 text-sm text-gray-300">{levelLabel(level, t, "short")}</span>
+                    <div className="flex-1 bg-gray-700 rounded-full h-3">
+                      <div
+                        className="h-3 rounded-full"
+                        style={{ width: `${(count / maxBucket) * 100}%`, backgroundColor: level.hex }}
+                      />
+                    </div>
+                    <span className="w-8 text-right text-sm text-gray-400">{count}</span>
+                  </div>
+                ))}
+              </div>
+            </Card>
+
+            <Card>
+              <h3 className="text-lg font-semibold text-white mb-4">{t("history.past")}</h3>
+              <div className="space-y-2">
+                {[...reports].reverse().map((report) => (
+                  <div
+                    key={report.round.id}
+                    className="flex items-center justify-between gap-4 bg-gray-700/50 rounded-lg px-4 py-3"
+                  >
+                    <div>
+                      <p className="text-white font-medium">
+                        {t("report.source", { group: report.group.name, number: report.round.number })}
+                      </p>
+                      <p className="text-gray-400 text-sm">
+                        {t.formatDate(report.round.openedAt)} •{" "}
+                        {t("report.responses", { count: report.responses })} •{" "}
+                        {levelLabel(getParticipationLevel(report.averageScore), t)}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-4">
+                      <span className="text-xl font-bold" style={{ color: getScoreColor(report.averageScore) }}>
+                        {report.averageScore}
+                      </span>
+                      <Button variant="secondary" onClick={() => setOpenReport(report)}>
+                        {t("history.open")}
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </Card>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ScoreTrendChart = ({ reports }) => {
+  const { t } = useI18n();
+  const width = 640;
+  const height = 240;
+  const pad = { top: 16, right: 16, bottom: 36, left: 40 };
+  const maxScore = Math.max(100, ...reports.map((r) => r.averageScore));
+  const yMax = Math.ceil(maxScore / 20) * 20;
+  const innerWidth = width - pad.left - pad.right;
+  const innerHeight = height - pad.top - pad.bottom;
+  const x = (idx) => pad.left + (reports.length === 1 ? innerWidth / 2 : (idx / (reports.length - 1)) * innerWidth);
+  const y = (score) => pad.top + innerHeight - (score / yMax) * innerHeight;
+  const points = reports.map((r, idx) => `${x(idx)},${y(r.averageScore)}`).join(" ");
+  const thresholds = PARTICIPATION_LEVELS.filter((level) => Number.isFinite(level.min));
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label={t("history.perRound")}>
+      {thresholds.map((level) => (
+        <g key={level.key}>
+          <line
+            x1={pad.left}
+            x2={width - pad.right}
+            y1={y(level.min)}
+            y2={y(level.min)}
+            stroke={level.hex}
+            strokeOpacity="0.35"
+            strokeDasharray="4 4"
+          />
+          <text x={pad.left - 6} y={y(level.min) + 4} textAnchor="end" fontSize="10" fill="#9ca3af">
+            {level.min}
+          </text>
+        </g>
+      ))}
+      <line x1={pad.left} x2={width - pad.right} y1={y(0)} y2={y(0)} stroke="#4b5563" />
+      <polyline points={points} fill="none" stroke="#9333ea" strokeWidth="3" strokeLinejoin="round" />
+      {reports.map((r, idx) => (
+        <g key={r.round.id}>
+          <circle cx={x(idx)} cy={y(r.averageScore)} r="5" fill={getScoreColor(r.averageScore)}>
+            <title>
+              {t("report.source", { group: r.group.name, number: r.round.number })}: {r.averageScore}
+            </title>
+          </circle>
+          <text x={x(idx)} y={height - pad.bottom + 16} textAnchor="middle" fontSize="10" fill="#9ca3af">
+            {`R${r.round.number}`}
+          </text>
+          <text x={x(idx)} y={height - pad.bottom + 28} textAnchor="middle" fontSize="9" fill="#6b7280">
+            {r.group.name.length > 14 ? `${r.group.name.slice(0, 13)}…` : r.group.name}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// /history. Waits for the group list, which decides whose feedback to load.
+export const HistoryPage = () => {
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const { groups, loadingGroups } = useGroups();
+  if (loadingGroups) return <p className="text-gray-400">{t("common.loading")}</p>;
+  return <FeedbackHistoryScreen groups={groups} onClose={() => navigate("/")} />;
+};
@@ -0,0 +1,33 @@
+import React, { useEffect, useRef } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { useAuth, useI18n } from "../context";
+
+// ============================================================================
+// JOIN BY LINK
+// ============================================================================
+
+// /join/:token, the one-time links in invite emails (see send-invites). Redeeming one signs the member in, then they
+// land on the group. A link can't be redeemed twice, so a failure goes to the sign-in screen, which shows the error
+// and offers the code from the same email instead.
+export const JoinPage = () => {
+  const { t } = useI18n();
+  const { token } = useParams();
+  const { loading, loginWithInviteLink } = useAuth();
+  const navigate = useNavigate();
+  // StrictMode runs effects twice in development; the ref survives that, so the token is only sent once.
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (loading || started.current) return;
+    started.current = true;
+    void loginWithInviteLink(token).then((invite) => {
+      navigate(invite ? `/groups/${invite.groupId}` : "/", { replace: true });
+    });
+  }, [loading, token]);
+
+  return (
+    <div className="min-h-screen bg-gray-900 flex items-center justify-center">
+      <div className="text-white">{t("app.joining")}</div>
+    </div>
+  );
+};
@@ -0,0 +1,423 @@
+import React, { useEffect, useState } from "react";
+import { Navigate, useNavigate } from "react-router-dom";
+import { ArrowLeft, Plus, Building2 } from "lucide-react";
+import {
+  createOrganization,
+  listOrganizationMembers,
+  listOrganizationParticipation,
+  removeOrganizationMember,
+  setGroupOrganization,
+  setOrganizationMember
+} from "../db";
+import { Button, Card } from "../components/ui";
+import { useAuth, useI18n } from "../context";
+import { canManageGroup } from "../utils";
+import { useGroups } from "./AppLayout";
+
+// ============================================================================
+// ORGANIZATIONS
+// ============================================================================
+
+const describeParticipation = (row, t) => {
+  if (row.roundNumber === null) return t("organizations.participation.noRound");
+  if (row.released) return t("groupCard.actions.released");
+  if (!row.roundOpen) return t("organizations.participation.closed");
+  if (row.dueAt) return t("organizations.participation.collectingDue", { date: t.formatDate(row.dueAt) });
+  return t("organizations.participation.collecting");
+};
+
+// Admins only see counts: who runs each group, how far its current round is, and whether it was released.
+const OrganizationParticipation = ({ org }) => {
+  const { t } = useI18n();
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [nonce, setNonce] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const result = await listOrganizationParticipation({ orgId: org.id });
+        if (!cancelled) setRows(result);
+      } catch (err) {
+        if (!cancelled) setError(err?.message || t("organizations.participation.errors.load"));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    void load();
+    return () => {
+      cancelled = true;
+    };
+  }, [org.id, nonce]);
+
+  const totals = rows.reduce(
+    (acc, row) => ({ responded: acc.responded + row.responded, members: acc.members + row.memberCount }),
+    { responded: 0, members: 0 }
+  );
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">{t("organizations.participation.title")}</h3>
+          <p className="text-gray-400 text-sm">{t("organizations.participation.hint", { org: org.name })}</p>
+        </div>
+        <Button variant="secondary" onClick={() => setNonce((n) => n + 1)} disabled={loading}>
+          {t("dashboard.refresh")}
+        </Button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-400 text-sm">{t("organizations.participation.loading")}</p>
+      ) : error ? (
+        <p className="text-red-400 text-sm">{error}</p>
+      ) : rows.length === 0 ? (
+        <p className="text-gray-400 text-sm">{t("organizations.participation.empty")}</p>
+      ) : (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-300">
+            {t("organizations.participation.totals", {
+              count: rows.length,
+              responded: totals.responded,
+              members: totals.members
+            })}
+          </p>
+          {rows.map((row) => (
+            <div key={row.groupId} className="bg-gray-700 rounded-lg p-4">
+              <div className="flex items-start justify-between gap-3 mb-2">
+                <div>
+                  <p className="text-white font-medium">{row.groupName}</p>
+                  <p className="text-gray-400 text-xs">
+                    {row.ownerEmailLower}
+                    {row.roundNumber !== null && ` · ${t("groupCard.round.label", { number: row.roundNumber })}`}
+                  </p>
+                </div>
+                <span className={`text-xs ${row.released ? "text-green-400" : "text-gray-300"}`}>
+                  {describeParticipation(row, t)}
+                </span>
+              </div>
+              <div className="flex items-center gap-3">
+                <div className="flex-1 bg-gray-800 rounded-full h-2">
+                  <div
+                    className="bg-purple-600 h-2 rounded-full"
+                    style={{ width: `${row.memberCount > 0 ? (row.responded / row.memberCount) * 100 : 0}%` }}
+                  />
+                </div>
+                <span className="text-sm text-gray-300">
+                  {row.responded}/{row.memberCount}
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+const OrganizationPanel = ({ org, groups, onChanged }) => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [newMember, setNewMember] = useState({ email: "", role: "member" });
+  const [nonce, setNonce] = useState(0);
+  const isAdmin = org.myRole === "admin";
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      try {
+        const result = await listOrganizationMembers({ orgId: org.id });
+        if (!cancelled) setMembers(result);
+      } catch (err) {
+        if (!cancelled) setError(err?.message || t("organizations.errors.loadMembers"));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    void load();
+    return () => {
+      cancelled = true;
+    };
+  }, [org.id, nonce]);
+
+  const runAction = async (action, fallbackError) => {
+    if (busy) return;
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      setNonce((n) => n + 1);
+      await onChanged?.();
+    } catch (err) {
+      setError(err?.message || fallbackError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddMember = () => {
+    if (!newMember.email.trim()) return;
+    void runAction(async () => {
+      await setOrganizationMember({ orgId: org.id, email: newMember.email, role: newMember.role });
+      setNewMember({ email: "", role: "member" });
+    }, t("organizations.errors.addMember"));
+  };
+
+  const handleRemoveMember = (member) => {
+    const self = member.userId === user.uid;
+    const ok = window.confirm(
+      self
+        ? t("organizations.confirmLeave", { org: org.name })
+        : t("organizations.confirmRemove", { email: member.emailLower, org: org.name })
+    );
+    if (!ok) return;
+    void runAction(
+      () => removeOrganizationMember({ orgId: org.id, userId: member.userId }),
+      t("organizations.errors.removeMember")
+    );
+  };
+
+  const managedGroups = (groups || []).filter(canManageGroup);
+  const orgGroups = managedGroups.filter((g) => g.orgId === org.id);
+  const otherGroups = managedGroups.filter((g) => !g.orgId);
+
+  return (
+    <div className="space-y-6">
+      {isAdmin && <OrganizationParticipation org={org} />}
+
+      <Card>
+        <h3 className="text-lg font-semibold text-white mb-1">{t("organizations.members")}</h3>
+        <p className="text-gray-400 text-sm mb-4">{t("organizations.membersHint")}</p>
+
+        {loading ? (
+          <p className="text-gray-400 text-sm">{t("organizations.loadingMembers")}</p>
+        ) : (
+          <div className="space-y-2">
+            {members.map((member) => (
+              <div key={member.userId} className="flex items-center justify-between gap-3 bg-gray-700 rounded-lg px-4 py-3">
+                <div>
+                  <p className="text-white text-sm">
+                    {member.emailLower}
+                    {member.userId === user.uid && <span className="text-gray-400"> {t("cohosts.you")}</span>}
+                  </p>
+                  <p className="text-gray-400 text-xs">{t(`organizations.roles.${member.role}`)}</p>
+                </div>
+                <div className="flex gap-4">
+                  {isAdmin && (
+                    <button
+                      onClick={() =>
+                        void runAction(
+                          () =>
+                            setOrganizationMember({
+                              orgId: org.id,
+                              email: member.emailLower,
+                              role: member.role === "admin" ? "member" : "admin"
+                            }),
+                          t("organizations.errors.changeRole")
+                        )
+                      }
+                      disabled={busy}
+                      className="text-sm text-purple-400 hover:text-purple-300 transition disabled:opacity-40"
+                    >
+                      {member.role === "admin" ? t("organizations.makeMember") : t("organizations.makeAdmin")}
+                    </button>
+                  )}
+                  {(isAdmin || member.userId === user.uid) && (
+                    <button
+                      onClick={() => handleRemoveMember(member)}
+                      disabled={busy}
+                      className="text-sm text-red-400 hover:text-red-300 transition disabled:opacity-40"
+                    >
+                      {member.userId === user.uid ? t("organizations.leave") : t("common.remove")}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {isAdmin && (
+          <div className="flex gap-2 mt-4">
+            <input
+              className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              placeholder={t("organizations.emailPlaceholder")}
+              type="email"
+              value={newMember.email}
+              onChange={(e) => setNewMember((m) => ({ ...m, email: e.target.value }))}
+            />
+            <select
+              className="px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white"
+              value={newMember.role}
+              onChange={(e) => setNewMember((m) => ({ ...m, role: e.target.value }))}
+            >
+              <option value="member">{t("organizations.roles.member")}</option>
+              <option value="admin">{t("organizations.roles.admin")}</option>
+            </select>
+            <Button variant="secondary" onClick={handleAddMember} disabled={busy || !newMember.email.trim()}>
+              {t("organizations.add")}
+            </Button>
+          </div>
+        )}
+
+        {error && (
+          <div className="mt-4 bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">{error}</div>
+        )}
+      </Card>
+
+      <Card>
+        <h3 className="text-lg font-semibold text-white mb-1">{t("organizations.groups")}</h3>
+        <p className="text-gray-400 text-sm mb-4">{t("organizations.groupsHint", { org: org.name })}</p>
+        <div className="space-y-2">
+          {orgGroups.length === 0 && otherGroups.length === 0 && (
+            <p className="text-gray-400 text-sm">{t("organizations.noGroups")}</p>
+          )}
+          {[...orgGroups, ...otherGroups].map((group) => {
+            const inOrg = group.orgId === org.id;
+            return (
+              <div key={group.id} className="flex items-center justify-between gap-3 bg-gray-700 rounded-lg px-4 py-3">
+                <div>
+                  <p className="text-white text-sm">{group.name}</p>
+                  <p className="text-gray-400 text-xs">
+                    {inOrg ? t("organizations.inOrg", { org: org.name }) : t("organizations.notInOrg")}
+                  </p>
+                </div>
+                <button
+                  onClick={() =>
+                    void runAction(
+                      () => setGroupOrganization({ groupId: group.id, orgId: inOrg ? null : org.id }),
+                      t("organizations.errors.updateGroup")
+                    )
+                  }
+                  disabled={busy}
+                  className={`text-sm transition disabled:opacity-40 ${
+                    inOrg ? "text-red-400 hover:text-red-300" : "text-purple-400 hover:text-purple-300"
+                  }`}
+                >
+                  {inOrg ? t("organizations.removeGroup") : t("organizations.addGroup", { org: org.name })}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+const OrganizationsScreen = ({ organizations, groups, onClose, onChanged }) => {
+  const { t } = useI18n();
+  const [selectedOrgId, setSelectedOrgId] = useState(() => organizations[0]?.id || null);
+  const [newOrgName, setNewOrgName] = useState("");
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState("");
+
+  const selectedOrg = organizations.find((o) => o.id === selectedOrgId) || organizations[0] || null;
+
+  const handleCreate = async () => {
+    if (creating || !newOrgName.trim()) return;
+    setCreating(true);
+    setError("");
+    try {
+      const org = await createOrganization({ name: newOrgName });
+      setNewOrgName("");
+      await onChanged?.();
+      setSelectedOrgId(org.id);
+    } catch (err) {
+      setError(err?.message || t("organizations.errors.create"));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 z-50 overflow-y-auto">
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        <div className="flex items-center justify-between mb-8">
+          <button onClick={onClose} className="flex items-center gap-2 text-gray-400 hover:text-white transition">
+            <ArrowLeft className="w-5 h-5" />
+            <span>{t("common.back")}</span>
+          </button>
+        </div>
+
+        <div className="mb-8">
+          <h2 className="text-2xl font-bold text-white mb-1">{t("dashboard.organizations")}</h2>
+          <p className="text-gray-400">{t("organizations.subtitle")}</p>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-6">
+          {organizations.map((org) => (
+            <button
+              key={org.id}
+              onClick={() => setSelectedOrgId(org.id)}
+              className={`px-4 py-2 rounded-full text-sm transition ${
+                selectedOrg?.id === org.id ? "bg-purple-600 text-white" : "bg-gray-800 text-gray-300 hover:bg-gray-700"
+              }`}
+            >
+              {org.name}
+              {org.myRole === "admin" && <span className="ml-2 text-xs opacity-75">{t("organizations.roles.admin")}</span>}
+            </button>
+          ))}
+        </div>
+
+        <Card className="mb-6">
+          <div className="flex gap-2">
+            <input
+              className="flex-1 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              placeholder={t("organizations.namePlaceholder")}
+              value={newOrgName}
+              onChange={(e) => setNewOrgName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleCreate()}
+            />
+            <Button onClick={handleCreate} disabled={creating || !newOrgName.trim()}>
+              <Plus className="w-5 h-5" />
+              {creating ? t("organizations.creating") : t("organizations.create")}
+            </Button>
+          </div>
+          {error && <p className="mt-3 text-red-400 text-sm">{error}</p>}
+        </Card>
+
+        {selectedOrg ? (
+          <OrganizationPanel key={selectedOrg.id} org={selectedOrg} groups={groups} onChanged={onChanged} />
+        ) : (
+          <Card className="text-center py-12">
+            <Building2 className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-white mb-2">{t("organizations.empty.title")}</h3>
+            <p className="text-gray-400">{t("organizations.empty.text")}</p>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// /organizations. Members who joined by link have no account email to belong to an organization with.
+export const OrganizationsPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const { organizations, groups, refreshGroups, loadOrganizations } = useGroups();
+  if (user.isAnonymous) return <Navigate to="/" replace />;
+  return (
+    <OrganizationsScreen
+      organizations={organizations}
+      groups={groups}
+      onClose={() => navigate("/")}
+      onChanged={async () => {
+        await Promise.all([loadOrganizations(), refreshGroups()]);
+      }}
+    />
+  );
+};
@@ -0,0 +1,69 @@
+import React from "react";
+import { Link, Navigate, useNavigate } from "react-router-dom";
+import { ArrowLeft } from "lucide-react";
+import { FeedbackPDFModal, TeamReportModal } from "../components/FeedbackReports";
+import { useGroupStatus } from "../components/GroupCard";
+import { AnonymousIcon, Card } from "../components/ui";
+import { useAuth, useI18n } from "../context";
+import { canManageGroup } from "../utils";
+import { GroupUnavailable, useRouteGroup } from "./GroupPage";
+
+// ============================================================================
+// REPORT PAGES
+// ============================================================================
+
+// /groups/:groupId/report is the member's own feedback, /groups/:groupId/report/team the hosts' team report. Both
+// open on the latest released round and close back to the group page.
+export const ReportPage = ({ team = false }) => {
+  const { group, loading } = useRouteGroup();
+  if (!group) return <GroupUnavailable loading={loading} />;
+  return <GroupReport key={group.id} group={group} team={team} />;
+};
+
+const GroupReport = ({ group, team }) => {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const { status, releasedRounds } = useGroupStatus(group);
+  const groupPath = `/groups/${group.id}`;
+
+  if (status.loading) return <GroupUnavailable loading />;
+  if (team ? !canManageGroup(group) : !status.userIsParticipant) return <Navigate to={groupPath} replace />;
+
+  if (releasedRounds.length === 0) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <Link to={groupPath} className="inline-flex items-center gap-2 text-gray-400 hover:text-white transition mb-6">
+          <ArrowLeft className="w-5 h-5" />
+          {group.name}
+        </Link>
+        <Card className="text-center py-12">
+          <AnonymousIcon className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+          <p className="text-gray-400">{t("groupPage.noReport")}</p>
+        </Card>
+      </div>
+    );
+  }
+
+  if (team) {
+    return (
+      <TeamReportModal
+        group={group}
+        rounds={releasedRounds}
+        initialRoundId={releasedRounds[0].id}
+        onClose={() => navigate(groupPath)}
+      />
+    );
+  }
+
+  return (
+    <FeedbackPDFModal
+      group={group}
+      rounds={releasedRounds}
+      initialRoundId={releasedRounds[0].id}
+      userEmail={user.emailLower}
+      userName={user.firstName}
+      onClose={() => navigate(groupPath)}
+    />
+  );
+};
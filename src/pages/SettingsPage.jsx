@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { ArrowLeft } from "lucide-react";
+import { getNotificationPreferences, updateNotificationPreferences } from "../db";
+import { LOCALES } from "../i18n";
+import { Button, Card } from "../components/ui";
+import { useAuth, useI18n } from "../context";
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+// Per-account email settings. The send-results-ready function reads them before emailing anyone.
+const NotificationSettings = () => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [resultsReady, setResultsReady] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const prefs = await getNotificationPreferences({ uid: user.uid });
+        setResultsReady(prefs.resultsReady);
+      } catch (err) {
+        setError(err?.message || t("notifications.errors.load"));
+      } finally {
+        setLoading(false);
+      }
+    };
+    void load();
+  }, [user.uid]);
+
+  const handleSave = async () => {
+    setError("");
+    setSaving(true);
+    try {
+      await updateNotificationPreferences({ uid: user.uid, resultsReady });
+      setSaved(true);
+    } catch (err) {
+      setError(err?.message || t("notifications.errors.save"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section>
+      <h3 className="text-lg font-semibold text-white mb-4">{t("dashboard.notifications")}</h3>
+
+      <label className="flex items-start gap-3 text-gray-300">
+        <input
+          type="checkbox"
+          className="mt-1"
+          checked={resultsReady}
+          disabled={loading}
+          onChange={(e) => {
+            setResultsReady(e.target.checked);
+            setSaved(false);
+          }}
+        />
+        <span>
+          {t("notifications.resultsReady")}
+          <span className="block text-sm text-gray-500">{t("notifications.resultsReadyHint")}</span>
+        </span>
+      </label>
+
+      {error && (
+        <div className="mt-4 bg-red-900/30 border border-red-500 rounded-lg p-3 text-red-400 text-sm">{error}</div>
+      )}
+
+      <div className="mt-6 flex items-center gap-3">
+        <Button onClick={handleSave} disabled={loading || saving}>
+          {saving ? t("common.saving") : t("common.save")}
+        </Button>
+        {saved && <span className="text-sm text-green-400">{t("common.saved")}</span>}
+      </div>
+    </section>
+  );
+};
+
+// /settings: the app language (the same choice as the switcher in the header) and email notifications.
+export const SettingsPage = () => {
+  const { t, locale, setLocale } = useI18n();
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <Link to="/" className="inline-flex items-center gap-2 text-gray-400 hover:text-white transition mb-6">
+        <ArrowLeft className="w-5 h-5" />
+        {t("groupPage.back")}
+      </Link>
+
+      <Card>
+        <h2 className="text-2xl font-bold text-white mb-6">{t("settings.title")}</h2>
+
+        <section className="mb-8">
+          <h3 className="text-lg font-semibold text-white mb-2">{t("common.language")}</h3>
+          <p className="text-sm text-gray-400 mb-3">{t("settings.languageHint")}</p>
+          <select
+            className="px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white"
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+          >
+            {Object.entries(LOCALES).map(([code, label]) => (
+              <option key={code} value={code}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </section>
+
+        <NotificationSettings />
+      </Card>
+    </div>
+  );
+};
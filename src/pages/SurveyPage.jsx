@@ -0,0 +1,381 @@
+import React, { useState } from "react";
+import { Navigate, useNavigate } from "react-router-dom";
+import { Send, CheckCircle, ArrowLeft } from "lucide-react";
+import { listGroupResponses, submitGroupResponse } from "../db";
+import { isAnswered, likertLabels, renderPrompt } from "../questions";
+import { useGroupStatus } from "../components/GroupCard";
+import { Button, Card, Textarea } from "../components/ui";
+import { useAuth, useI18n } from "../context";
+import { useGroups } from "./AppLayout";
+import { GroupUnavailable, useRouteGroup } from "./GroupPage";
+
+// ============================================================================
+// SURVEY SCREEN
+// ============================================================================
+
+const SurveyScreen = ({ group, round, onComplete }) => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [currentMemberIdx, setCurrentMemberIdx] = useState(0);
+  const members = group.members || [];
+  const userIsParticipant = members.some((m) => String(m.emailLower || "").toLowerCase() === user.emailLower);
+  const recipients = members;
+  const questions = round?.questions || group.questions || [];
+
+  const [responses, setResponses] = useState(() => {
+    return recipients.map((m) => {
+      const emailLower = String(m.emailLower || "").toLowerCase();
+      return {
+        recipientName: m.name,
+        recipientEmailLower: emailLower,
+        answers: {},
+        score: null
+      };
+    });
+  });
+  const [showSuccess, setShowSuccess] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const totalPoints = recipients.length * 100;
+  const allocatedPoints = responses.reduce((sum, r) => sum + (Number.isFinite(r.score) ? r.score : 0), 0);
+  const remainingPoints = totalPoints - allocatedPoints;
+
+  if (recipients.length === 0) {
+    return (
+      <div className="fixed inset-0 bg-gray-900 z-50 overflow-y-auto">
+        <div className="max-w-2xl mx-auto px-4 py-8">
+          <div className="flex items-center justify-between mb-8">
+            <button onClick={onComplete} className="flex items-center gap-2 text-gray-400 hover:text-white transition">
+              <ArrowLeft className="w-5 h-5" />
+              <span>{t("common.back")}</span>
+            </button>
+          </div>
+          <Card className="text-center">
+            <h2 className="text-2xl font-bold text-white mb-2">{t("survey.noMembers.title")}</h2>
+            <p className="text-gray-400 mb-6">{t("survey.noMembers.text")}</p>
+            <Button
+              onClick={async () => {
+                setSubmitting(true);
+                try {
+                  await submitGroupResponse({
+                    groupId: group.id,
+                    respondentUid: user.uid,
+                    respondentEmailLower: user.emailLower,
+                    feedbackItems: []
+                  });
+                  setShowSuccess(true);
+                  setTimeout(() => onComplete(), 800);
+                } catch (err) {
+                  alert(err?.message || t("survey.errors.submit"));
+                } finally {
+                  setSubmitting(false);
+                }
+              }}
+              disabled={submitting}
+              className="w-full"
+            >
+              {submitting ? t("survey.submitting") : t("survey.noMembers.complete")}
+            </Button>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  const currentMember = recipients[currentMemberIdx];
+  const currentResponse = responses[currentMemberIdx];
+
+  const updateResponse = (field, value) => {
+    const updated = [...responses];
+    updated[currentMemberIdx] = { ...updated[currentMemberIdx], [field]: value };
+    setResponses(updated);
+  };
+
+  const updateAnswer = (questionId, value) => {
+    updateResponse("answers", { ...currentResponse.answers, [questionId]: value });
+  };
+
+  const canProceed = () => {
+    return (
+      questions.every((q) => !q.required || isAnswered(q, currentResponse.answers[q.id])) &&
+      Number.isFinite(currentResponse.score) &&
+      currentResponse.score >= 0
+    );
+  };
+
+  const handleNext = () => {
+    if (currentMemberIdx < recipients.length - 1) {
+      setCurrentMemberIdx(currentMemberIdx + 1);
+    }
+  };
+
+  const handleBack = () => {
+    if (currentMemberIdx > 0) {
+      setCurrentMemberIdx(currentMemberIdx - 1);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!user.emailLower) {
+      alert(t("survey.errors.missingEmail"));
+      return;
+    }
+    if (remainingPoints !== 0) {
+      alert(t("survey.errors.points", { count: totalPoints, remaining: remainingPoints }));
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await submitGroupResponse({
+        groupId: group.id,
+        respondentUid: user.uid,
+        respondentEmailLower: user.emailLower,
+        feedbackItems: responses.map((r) => ({
+          recipientEmailLower: r.recipientEmailLower,
+          answers: Object.fromEntries(
+            questions.filter((q) => isAnswered(q, r.answers[q.id])).map((q) => [q.id, r.answers[q.id]])
+          ),
+          score: r.score
+        }))
+      });
+
+      const [current] = await listGroupResponses({ groupId: group.id, roundId: round?.id });
+      const totalParticipants = (group.members || []).length;
+      const allComplete = totalParticipants > 0 && current?.responded === totalParticipants;
+
+      setShowSuccess(true);
+
+      setTimeout(() => {
+        if (allComplete) {
+          alert(`🎉 ${t("survey.allCollected")}`);
+        }
+        onComplete();
+      }, 2000);
+    } catch (err) {
+      const msg = String(err?.message || "");
+      if (msg.toLowerCase().includes("already submitted")) {
+        alert(t("survey.errors.alreadySubmitted"));
+      } else {
+        alert(msg || t("survey.errors.submit"));
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (showSuccess) {
+    return (
+      <div className="fixed inset-0 bg-gray-900 flex items-center justify-center z-50">
+        <Card className="max-w-md text-center">
+          <div className="w-20 h-20 bg-green-500 rounded-full flex items-center justify-center mx-auto mb-6">
+            <CheckCircle className="w-12 h-12 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-white mb-2">{t("survey.submitted.title")}</h2>
+          <p className="text-gray-400">{t("survey.submitted.text")}</p>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 z-50 overflow-y-auto">
+      <div className="max-w-2xl mx-auto px-4 py-8">
+        <div className="flex items-center justify-between mb-8">
+          <button onClick={onComplete} className="flex items-center gap-2 text-gray-400 hover:text-white transition">
+            <ArrowLeft className="w-5 h-5" />
+            <span>{t("common.back")}</span>
+          </button>
+          <div className="text-gray-400 text-sm">
+            {currentMemberIdx + 1} / {recipients.length}
+          </div>
+        </div>
+
+        <div className="mb-8">
+          <div className="flex gap-2">
+            {recipients.map((_, idx) => (
+              <div
+                key={idx}
+                className={`h-1 flex-1 rounded-full transition-all ${idx <= currentMemberIdx ? "bg-purple-600" : "bg-gray-700"}`}
+              />
+            ))}
+          </div>
+        </div>
+
+        <Card>
+          <div className="mb-6">
+            <h2 className="text-2xl font-bold text-white mb-2">{t("report.feedbackFor", { name: currentMember.name })}</h2>
+            <p className="text-gray-400">{t("survey.tip")}</p>
+          </div>
+
+          <div className="space-y-6">
+            {questions.map((q) => (
+              <QuestionInput
+                key={q.id}
+                question={q}
+                recipientName={currentMember.name}
+                value={currentResponse.answers[q.id]}
+                onChange={(value) => updateAnswer(q.id, value)}
+              />
+            ))}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                {t("survey.score", { name: currentMember.name })}
+              </label>
+              <input
+                type="number"
+                min="0"
+                max={totalPoints}
+                className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white text-2xl font-bold focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                value={Number.isFinite(currentResponse.score) ? currentResponse.score : ""}
+                onChange={(e) => {
+                  const raw = e.target.value;
+                  if (raw === "") {
+                    updateResponse("score", null);
+                    return;
+                  }
+                  updateResponse("score", parseInt(raw, 10) || 0);
+                }}
+              />
+            </div>
+
+            <div
+              className={`p-4 rounded-lg border-2 ${
+                remainingPoints === 0
+                  ? "bg-green-900/20 border-green-500"
+                  : remainingPoints < 0
+                    ? "bg-red-900/20 border-red-500"
+                    : "bg-gray-700 border-gray-600"
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-300">{t("survey.pointsRemaining")}</span>
+                <span
+                  className={`text-2xl font-bold ${
+                    remainingPoints === 0 ? "text-green-400" : remainingPoints < 0 ? "text-red-400" : "text-white"
+                  }`}
+                >
+                  {remainingPoints} / {totalPoints}
+                </span>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex gap-3 mt-8">
+            {currentMemberIdx > 0 && (
+              <Button variant="secondary" onClick={handleBack}>
+                <ArrowLeft className="w-5 h-5" />
+                {t("common.back")}
+              </Button>
+            )}
+
+            {currentMemberIdx < recipients.length - 1 ? (
+              <Button onClick={handleNext} disabled={!canProceed()} className="flex-1">
+                {t("common.continue")}
+              </Button>
+            ) : (
+              <Button
+                onClick={handleSubmit}
+                disabled={submitting || !canProceed() || remainingPoints !== 0}
+                className="flex-1"
+              >
+                <Send className="w-5 h-5" />
+                {submitting ? t("survey.submitting") : t("survey.submit")}
+              </Button>
+            )}
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+const QuestionInput = ({ question, recipientName, value, onChange }) => {
+  const { t } = useI18n();
+  const prompt = renderPrompt(question.prompt, recipientName, t);
+  const label = question.required ? prompt : t("survey.optional", { prompt });
+  const likert = likertLabels(t);
+  const optionClass = (selected) =>
+    `px-4 py-3 rounded-lg border text-sm transition ${
+      selected
+        ? "bg-purple-600 border-purple-500 text-white"
+        : "bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600"
+    }`;
+
+  if (question.type === "text") {
+    return (
+      <Textarea
+        label={label}
+        placeholder={t("survey.textPlaceholder")}
+        value={value || ""}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    );
+  }
+
+  const choices =
+    question.type === "likert"
+      ? likert.map((text, idx) => ({ value: idx + 1, text: t.formatNumber(idx + 1), title: text }))
+      : question.type === "yesno"
+        ? [
+            { value: true, text: t("common.yes") },
+            { value: false, text: t("common.no") }
+          ]
+        : (question.options || []).map((option) => ({ value: option, text: option }));
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-300">{label}</label>
+      <div className={question.type === "choice" ? "grid gap-2 sm:grid-cols-2" : "flex gap-2"}>
+        {choices.map((c) => (
+          <button
+            key={String(c.value)}
+            type="button"
+            title={c.title}
+            onClick={() => onChange(c.value)}
+            className={`${optionClass(value === c.value)} ${question.type === "choice" ? "text-left" : "flex-1"}`}
+          >
+            {c.text}
+          </button>
+        ))}
+      </div>
+      {question.type === "likert" && (
+        <div className="flex justify-between text-xs text-gray-500">
+          <span>{likert[0]}</span>
+          <span>{likert[likert.length - 1]}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// /groups/:groupId/survey. Only members who still have to answer the open round get the survey; anyone else (already
+// responded, round closed, hosting without taking part) lands on the group page, which says why.
+export const SurveyPage = () => {
+  const { group, loading } = useRouteGroup();
+  if (!group) return <GroupUnavailable loading={loading} />;
+  return <GroupSurvey key={group.id} group={group} />;
+};
+
+const GroupSurvey = ({ group }) => {
+  const navigate = useNavigate();
+  const { refreshGroups } = useGroups();
+  const { status } = useGroupStatus(group);
+
+  if (status.loading) return <GroupUnavailable loading />;
+  if (!status.round?.isOpen || !status.userIsParticipant || status.userHasSubmitted) {
+    return <Navigate to={`/groups/${group.id}`} replace />;
+  }
+
+  return (
+    <SurveyScreen
+      group={group}
+      round={status.round}
+      onComplete={() => {
+        navigate(`/groups/${group.id}`, { replace: true });
+        void refreshGroups();
+      }}
+    />
+  );
+};
@@ -0,0 +1,349 @@
+// PDF rendering with pdf-lib, entirely in the browser (nothing leaves the device). `createPdfWriter` lays out
+// flowing text on A4 pages and stamps a header and page-numbered footer on each page once the content is done.
+// Uses the standard Helvetica fonts, so characters outside Windows-1252 (emoji, CJK, …) print as "?".
+// Reports print in the language they were built in (report.locale).
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { createTranslator, defaultTranslator } from "./i18n.js";
+import { formatShare, levelLabel } from "./report.js";
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN_X = 56;
+const MARGIN_TOP = 72; // leaves room for the header
+const MARGIN_BOTTOM = 64; // and the footer
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN_X * 2;
+
+export const hexColor = (hex) => {
+  const value = String(hex || "#000000").replace("#", "");
+  const channel = (i) => parseInt(value.slice(i, i + 2), 16) / 255;
+  return rgb(channel(0), channel(2), channel(4));
+};
+
+const COLORS = {
+  text: hexColor("#1f2937"),
+  muted: hexColor("#6b7280"),
+  accent: hexColor("#7c3aed"),
+  rule: hexColor("#e5e7eb"),
+  panel: hexColor("#f9fafb")
+};
+
+export const createPdfWriter = async ({ title, header = "", footer = "", t = defaultTranslator }) => {
+  const doc = await PDFDocument.create();
+  doc.setTitle(title);
+  doc.setCreator("OffRecord");
+  doc.setProducer("OffRecord");
+
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold),
+    italic: await doc.embedFont(StandardFonts.HelveticaOblique)
+  };
+  const supported = new Set(fonts.regular.getCharacterSet());
+
+  const sanitize = (value) =>
+    Array.from(String(value ?? "").replace(/\t/g, "  ").replace(/\r/g, ""))
+      .map((ch) => (ch === "\n" || supported.has(ch.codePointAt(0)) ? ch : "?"))
+      .join("");
+
+  // Single-line text (headers, footers) is cut short with an ellipsis rather than wrapped.
+  const fit = (value, font, size, width) => {
+    let line = sanitize(value).replace(/\n/g, " ");
+    if (font.widthOfTextAtSize(line, size) <= width) return line;
+    while (line && font.widthOfTextAtSize(`${line}…`, size) > width) line = line.slice(0, -1);
+    return `${line}…`;
+  };
+
+  const wrap = (value, font, size, width) => {
+    const lines = [];
+    for (const paragraph of sanitize(value).split("\n")) {
+      let line = "";
+      for (const word of paragraph.split(/ +/)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (font.widthOfTextAtSize(candidate, size) <= width) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+        // Words wider than the column are broken wherever they run out of room.
+        line = "";
+        for (const ch of word) {
+          if (line && font.widthOfTextAtSize(line + ch, size) > width) {
+            lines.push(line);
+            line = "";
+          }
+          line += ch;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  };
+
+  let page = null;
+  let y = 0;
+
+  const addPage = () => {
+    page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    y = PAGE_HEIGHT - MARGIN_TOP;
+  };
+
+  // Starts a new page unless `height` points still fit on this one.
+  const ensureSpace = (height) => {
+    if (!page || y - height < MARGIN_BOTTOM) addPage();
+  };
+
+  const lineHeight = (size) => size * 1.45;
+
+  // `keepWithNext` reserves that many points below the text on the same page, so headings aren't left stranded.
+  const text = (
+    value,
+    { size = 11, font = "regular", color = COLORS.text, indent = 0, align = "left", keepWithNext = 0 } = {}
+  ) => {
+    const f = fonts[font];
+    const lines = wrap(value, f, size, CONTENT_WIDTH - indent);
+    if (keepWithNext > 0) ensureSpace(lineHeight(size) * lines.length + keepWithNext);
+    for (const line of lines) {
+      ensureSpace(lineHeight(size));
+      const width = f.widthOfTextAtSize(line, size);
+      const x = align === "center" ? MARGIN_X + (CONTENT_WIDTH - width) / 2 : MARGIN_X + indent;
+      page.drawText(line, { x, y: y - size, size, font: f, color });
+      y -= lineHeight(size);
+    }
+  };
+
+  const space = (height) => {
+    y -= height;
+  };
+
+  const rule = ({ color = COLORS.rule, thickness = 1 } = {}) => {
+    ensureSpace(thickness + 8);
+    page.drawLine({
+      start: { x: MARGIN_X, y: y - 4 },
+      end: { x: PAGE_WIDTH - MARGIN_X, y: y - 4 },
+      thickness,
+      color
+    });
+    y -= thickness + 8;
+  };
+
+  // A two-column row (label left, value right-aligned) on a light panel, e.g. one line of a ratings table.
+  const row = (label, value, { size = 10 } = {}) => {
+    const valueText = sanitize(value);
+    const valueWidth = fonts.bold.widthOfTextAtSize(valueText, size);
+    const lines = wrap(label, fonts.regular, size, CONTENT_WIDTH - valueWidth - 28);
+    const height = lines.length * lineHeight(size) + 8;
+    ensureSpace(height + 4);
+    page.drawRectangle({ x: MARGIN_X, y: y - height, width: CONTENT_WIDTH, height, color: COLORS.panel });
+    lines.forEach((line, idx) => {
+      page.drawText(line, {
+        x: MARGIN_X + 10,
+        y: y - 4 - size - idx * lineHeight(size),
+        size,
+        font: fonts.regular,
+        color: COLORS.text
+      });
+    });
+    page.drawText(valueText, {
+      x: PAGE_WIDTH - MARGIN_X - 10 - valueWidth,
+      y: y - 4 - size,
+      size,
+      font: fonts.bold,
+      color: COLORS.accent
+    });
+    y -= height + 4;
+  };
+
+  // A bordered box holding centered lines ([{ text, size, font, color }]) that is never split across pages.
+  const box = (lines, { borderColor = COLORS.accent, fill = COLORS.panel, padding = 16 } = {}) => {
+    const laidOut = lines.flatMap((l) =>
+      wrap(l.text, fonts[l.font || "regular"], l.size || 11, CONTENT_WIDTH - padding * 2).map((line) => ({
+        ...l,
+        line
+      }))
+    );
+    const height = laidOut.reduce((sum, l) => sum + lineHeight(l.size || 11), 0) + padding * 2;
+    ensureSpace(height + 8);
+    page.drawRectangle({
+      x: MARGIN_X,
+      y: y - height,
+      width: CONTENT_WIDTH,
+      height,
+      color: fill,
+      borderColor,
+      borderWidth: 2
+    });
+    let lineY = y - padding;
+    for (const l of laidOut) {
+      const size = l.size || 11;
+      const font = fonts[l.font || "regular"];
+      const width = font.widthOfTextAtSize(l.line, size);
+      page.drawText(l.line, {
+        x: MARGIN_X + (CONTENT_WIDTH - width) / 2,
+        y: lineY - size,
+        size,
+        font,
+        color: l.color || COLORS.text
+      });
+      lineY -= lineHeight(size);
+    }
+    y -= height + 8;
+  };
+
+  const finish = async () => {
+    if (!page) addPage();
+    const pages = doc.getPages();
+    const small = 8;
+    const headerText = fit(header, fonts.regular, small, CONTENT_WIDTH);
+    const footerText = fit(footer, fonts.regular, small, CONTENT_WIDTH - 80);
+    pages.forEach((p, idx) => {
+      const muted = { size: small, font: fonts.regular, color: COLORS.muted };
+      if (headerText) p.drawText(headerText, { x: MARGIN_X, y: PAGE_HEIGHT - 36, ...muted });
+      p.drawLine({
+        start: { x: MARGIN_X, y: PAGE_HEIGHT - 44 },
+        end: { x: PAGE_WIDTH - MARGIN_X, y: PAGE_HEIGHT - 44 },
+        thickness: 0.5,
+        color: COLORS.rule
+      });
+      const pageLabel = t("pdf.page", { number: idx + 1, total: pages.length });
+      const labelWidth = fonts.regular.widthOfTextAtSize(pageLabel, small);
+      if (footerText) p.drawText(footerText, { x: MARGIN_X, y: 32, ...muted });
+      p.drawText(pageLabel, { x: PAGE_WIDTH - MARGIN_X - labelWidth, y: 32, ...muted });
+    });
+    return doc.save();
+  };
+
+  return { text, space, rule, row, box, ensureSpace, lineHeight, colors: COLORS, finish };
+};
+
+// The member's own report (see buildFeedbackReport in src/report.js). Resolves to the PDF file's bytes.
+export const renderFeedbackReportPdf = async (report) => {
+  const t = createTranslator(report.locale);
+  const generated = t("report.generated", { date: t.formatDate(report.generatedAt) });
+  const title = t("report.feedbackFor", { name: report.recipientName });
+  const pdf = await createPdfWriter({
+    title,
+    header: `OffRecord · ${report.source}`,
+    footer: `${generated} · ${t("pdf.anonymousFeedback")}`,
+    t
+  });
+
+  pdf.text(title, { size: 22, font: "bold", align: "center" });
+  pdf.text(`${report.source} · ${generated}`, { size: 10, color: pdf.colors.muted, align: "center" });
+  pdf.space(16);
+
+  const levelColor = hexColor(report.level.hex);
+  pdf.box(
+    [
+      { text: String(report.averageScore), size: 36, font: "bold", color: levelColor },
+      { text: t("report.averageScore"), size: 9, color: pdf.colors.muted },
+      { text: levelLabel(report.level, t), size: 13, font: "bold", color: levelColor },
+      { text: t("report.responses", { count: report.responses.length }), size: 9, color: pdf.colors.muted },
+      { text: t("report.scoreScale"), size: 8, color: pdf.colors.muted }
+    ],
+    { borderColor: levelColor }
+  );
+
+  if (report.ratings.length > 0) {
+    pdf.space(12);
+    pdf.text(t("report.ratings"), { size: 14, font: "bold", color: pdf.colors.accent, keepWithNext: 40 });
+    pdf.space(4);
+    for (const r of report.ratings) pdf.row(r.prompt, `${t.formatDecimal(r.average)} / 5 (${r.count})`);
+  }
+
+  for (const response of report.responses) {
+    pdf.space(14);
+    pdf.text(t("report.response", { number: response.number }), {
+      size: 14,
+      font: "bold",
+      color: pdf.colors.accent,
+      keepWithNext: 60
+    });
+    pdf.rule({ color: pdf.colors.accent });
+    for (const { prompt, answer } of response.answers) {
+      pdf.text(prompt, { size: 10, font: "bold", color: pdf.colors.muted, keepWithNext: 32 });
+      pdf.text(answer, { size: 11 });
+      pdf.space(6);
+    }
+    pdf.text(t("report.score", { count: response.score }), { size: 10, font: "bold", color: pdf.colors.accent });
+  }
+
+  pdf.space(24);
+  pdf.rule();
+  pdf.text(t("report.anonymityNote"), { size: 9, font: "italic", color: pdf.colors.muted, align: "center" });
+  pdf.text(t("pdf.generatedBy"), { size: 9, color: pdf.colors.muted, align: "center" });
+
+  return pdf.finish();
+};
+
+// The host's team report (see buildTeamReport in src/report.js): aggregates only.
+export const renderTeamReportPdf = async (report) => {
+  const t = createTranslator(report.locale);
+  const generated = t("report.generated", { date: t.formatDate(report.generatedAt) });
+  const pdf = await createPdfWriter({
+    title: t("report.team.titleFor", { group: report.groupName }),
+    header: `OffRecord · ${report.source}`,
+    footer: `${generated} · ${t("report.team.title")}`,
+    t
+  });
+  const heading = (value) => {
+    pdf.space(12);
+    pdf.text(value, { size: 14, font: "bold", color: pdf.colors.accent, keepWithNext: 40 });
+    pdf.space(4);
+  };
+
+  pdf.text(t("report.team.title"), { size: 22, font: "bold", align: "center" });
+  pdf.text(`${report.source} · ${generated}`, { size: 10, color: pdf.colors.muted, align: "center" });
+  pdf.space(16);
+
+  const levelColor = hexColor(report.teamLevel.hex);
+  const responded = t("report.team.responded", { respondents: report.respondents, count: report.memberCount });
+  pdf.box(
+    [
+      { text: String(report.teamAverage), size: 36, font: "bold", color: levelColor },
+      { text: t("report.team.average"), size: 9, color: pdf.colors.muted },
+      { text: levelLabel(report.teamLevel, t), size: 13, font: "bold", color: levelColor },
+      { text: responded, size: 9, color: pdf.colors.muted },
+      { text: t("report.scoreScale"), size: 8, color: pdf.colors.muted }
+    ],
+    { borderColor: levelColor }
+  );
+
+  heading(t("report.team.members"));
+  for (const m of report.members) {
+    const responses = t("report.responses", { count: m.responses });
+    let value = t("report.team.noFeedback");
+    if (m.responses > 0 && m.averageScore === null) {
+      value = t("report.team.tooFew", { responses });
+    } else if (m.responses > 0) {
+      value = t("report.team.memberLine", {
+        average: m.averageScore,
+        spread: m.spread,
+        responses,
+        level: levelLabel(m.level, t, "short")
+      });
+    }
+    pdf.row(m.name, value);
+  }
+
+  heading(t("report.team.levels"));
+  for (const { level, count } of report.levels) pdf.row(levelLabel(level, t), String(count));
+
+  for (const theme of report.themes) {
+    heading(theme.prompt);
+    if (theme.average !== null) {
+      pdf.text(t("report.team.themeAverage", { average: t.formatDecimal(theme.average), count: theme.total }), {
+        size: 10,
+        color: pdf.colors.muted
+      });
+      pdf.space(4);
+    }
+    for (const a of theme.answers) pdf.row(a.label, `${a.count} (${formatShare(a.share)})`);
+  }
+
+  pdf.space(24);
+  pdf.rule();
+  pdf.text(t("report.team.note"), { size: 9, font: "italic", color: pdf.colors.muted, align: "center" });
+  pdf.text(t("pdf.generatedBy"), { size: 9, color: pdf.colors.muted, align: "center" });
+
+  return pdf.finish();
+};
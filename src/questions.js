@@ -0,0 +1,142 @@
+import { defaultTranslator } from "./i18n.js";
+
+// Labels and template texts here are the English originals; the UI shows them through the message catalogs
+// (questions.* and questionTemplates.* in src/locales).
+export const QUESTION_TYPES = [
+  { value: "text", label: "Free text" },
+  { value: "likert", label: "1–5 scale" },
+  { value: "choice", label: "Multiple choice" },
+  { value: "yesno", label: "Yes / No" }
+];
+
+export const LIKERT_LABELS = ["Strongly disagree", "Disagree", "Neutral", "Agree", "Strongly agree"];
+
+export const likertLabels = (t = defaultTranslator) => {
+  const labels = t.raw("questions.likert");
+  return Array.isArray(labels) && labels.length === LIKERT_LABELS.length ? labels : LIKERT_LABELS;
+};
+
+// Prompts may reference the person being reviewed as {name}.
+export const QUESTION_TEMPLATES = [
+  {
+    id: "peer-review",
+    name: "Peer review",
+    questions: [
+      { id: "strengths", type: "text", prompt: "What did {name} do well?", required: true },
+      { id: "improvements", type: "text", prompt: "What could {name} improve?", required: true }
+    ]
+  },
+  {
+    id: "project-retro",
+    name: "Project retro",
+    questions: [
+      { id: "contribution", type: "text", prompt: "What was {name}'s most valuable contribution to the project?", required: true },
+      { id: "reliability", type: "likert", prompt: "{name} delivered what they committed to.", required: true },
+      {
+        id: "collaboration",
+        type: "choice",
+        prompt: "How was working with {name}?",
+        options: ["Smooth", "Mostly smooth", "Some friction", "Difficult"],
+        required: true
+      },
+      { id: "again", type: "yesno", prompt: "Would you want to work with {name} on the next project?", required: true },
+      { id: "next-time", type: "text", prompt: "What should {name} do differently next time?", required: false }
+    ]
+  },
+  {
+    id: "leadership-360",
+    name: "Leadership 360",
+    questions: [
+      { id: "vision", type: "likert", prompt: "{name} communicates a clear direction for the team.", required: true },
+      { id: "support", type: "likert", prompt: "{name} supports my growth.", required: true },
+      { id: "feedback", type: "likert", prompt: "{name} is open to feedback.", required: true },
+      { id: "keep", type: "text", prompt: "What should {name} keep doing?", required: true },
+      { id: "change", type: "text", prompt: "What should {name} start or stop doing?", required: true }
+    ]
+  }
+];
+
+export const DEFAULT_QUESTIONS = QUESTION_TEMPLATES[0].questions;
+
+const createQuestionId = () => {
+  return `q-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+export const createQuestion = (type = "text") => {
+  return {
+    id: createQuestionId(),
+    type,
+    prompt: "",
+    options: type === "choice" ? ["", ""] : [],
+    required: true
+  };
+};
+
+// Template questions are copied into the group in the host's language; members answer them as written.
+export const cloneTemplateQuestions = (templateId, t = defaultTranslator) => {
+  const template = QUESTION_TEMPLATES.find((x) => x.id === templateId) || QUESTION_TEMPLATES[0];
+  return template.questions.map((q) => {
+    const prompt = t.raw(`questionTemplates.${template.id}.questions.${q.id}`);
+    const options = t.raw(`questionTemplates.${template.id}.options.${q.id}`);
+    const original = q.options || [];
+    return {
+      ...q,
+      prompt: typeof prompt === "string" ? prompt : q.prompt,
+      options: [...(Array.isArray(options) && options.length === original.length ? options : original)]
+    };
+  });
+};
+
+// Groups created before question templates existed have no stored questions; they used the peer review form.
+export const normalizeQuestions = (questions) => {
+  if (!Array.isArray(questions) || questions.length === 0) return DEFAULT_QUESTIONS;
+  return questions
+    .map((q) => ({
+      id: String(q?.id || "").trim(),
+      type: QUESTION_TYPES.some((t) => t.value === q?.type) ? q.type : "text",
+      prompt: String(q?.prompt || "").trim(),
+      options: Array.isArray(q?.options) ? q.options.map((o) => String(o || "").trim()).filter(Boolean) : [],
+      required: q?.required !== false
+    }))
+    .filter((q) => q.id && q.prompt);
+};
+
+export const validateQuestions = (questions, t = defaultTranslator) => {
+  const list = Array.isArray(questions) ? questions : [];
+  if (list.length === 0) return t("questions.errors.none");
+  const ids = new Set();
+  for (const [idx, q] of list.entries()) {
+    const number = idx + 1;
+    if (!String(q.prompt || "").trim()) return t("questions.errors.prompt", { number });
+    if (ids.has(q.id)) return t("questions.errors.duplicateId");
+    ids.add(q.id);
+    if (q.type === "choice") {
+      const options = (q.options || []).map((o) => String(o || "").trim()).filter(Boolean);
+      if (options.length < 2) return t("questions.errors.fewChoices", { number });
+      if (new Set(options).size !== options.length) return t("questions.errors.duplicateChoices", { number });
+    }
+  }
+  return "";
+};
+
+export const renderPrompt = (prompt, name, t = defaultTranslator) =>
+  String(prompt || "").replaceAll("{name}", name || t("questions.them"));
+
+export const isAnswered = (question, value) => {
+  if (question.type === "text") return Boolean(String(value || "").trim());
+  if (question.type === "likert") return Number.isInteger(value) && value >= 1 && value <= 5;
+  if (question.type === "choice") return (question.options || []).includes(value);
+  if (question.type === "yesno") return value === true || value === false;
+  return false;
+};
+
+export const formatAnswer = (question, value, t = defaultTranslator) => {
+  if (value === undefined || value === null || value === "") return "—";
+  if (question.type === "likert") {
+    const n = Number(value);
+    const label = likertLabels(t)[n - 1];
+    return label ? `${n} / 5 — ${label}` : String(value);
+  }
+  if (question.type === "yesno") return value === true ? t("common.yes") : value === false ? t("common.no") : String(value);
+  return String(value);
+};
@@ -0,0 +1,70 @@
+// Mirrors public.round_is_released in supabase/migrations. The database is the source of truth (feedback
+// reads return nothing until a round is released); this copy only decides what the UI offers.
+import { defaultTranslator } from "./i18n.js";
+
+// The k-anonymity floor the database enforces (groups_min_respondents_check); also the default for new groups.
+export const MIN_RESPONDENTS_FLOOR = 3;
+export const DEFAULT_MIN_RESPONDENTS = MIN_RESPONDENTS_FLOOR;
+
+export const isRoundReleased = ({ group, round, respondedCount, now = new Date() }) => {
+  if (!group || !round) return false;
+  if (round.releasedAt) return true;
+  const responded = Number(respondedCount) || 0;
+  const total = group.memberEmails?.length || group.members?.length || 0;
+  if (responded < (group.minRespondents || MIN_RESPONDENTS_FLOOR)) return false;
+  if (!round.isOpen) return true;
+  if (total > 0 && responded >= total) return true;
+  if (group.releaseThreshold && responded >= group.releaseThreshold) return true;
+  if (round.dueAt && now >= new Date(round.dueAt)) return true;
+  return false;
+};
+
+// `responses` are the per-round counts from listGroupResponses / listResponsesForGroups.
+export const countRespondentsByRound = (responses) =>
+  new Map((responses || []).map((r) => [r.roundId, r.responded]));
+
+export const validateReleaseSettings = ({ minRespondents, releaseThreshold, memberCount }, t = defaultTranslator) => {
+  const min = Number(minRespondents);
+  if (!Number.isInteger(min) || min < MIN_RESPONDENTS_FLOOR) {
+    return t("release.errors.minTooLow", { count: MIN_RESPONDENTS_FLOOR });
+  }
+  // Groups smaller than the floor can exist; their feedback just isn't released until enough people respond.
+  if (memberCount > 0 && min > Math.max(memberCount, MIN_RESPONDENTS_FLOOR)) {
+    return t("release.errors.minTooHigh", { count: memberCount });
+  }
+  if (releaseThreshold === null || releaseThreshold === undefined || releaseThreshold === "") return "";
+  const threshold = Number(releaseThreshold);
+  if (!Number.isInteger(threshold) || threshold < 1) return t("release.errors.thresholdNotWhole");
+  if (threshold < min) return t("release.errors.thresholdBelowMin");
+  if (memberCount > 0 && threshold > memberCount) return t("release.errors.thresholdTooHigh", { count: memberCount });
+  return "";
+};
+
+export const describeReleaseRule = ({ group, round }, t = defaultTranslator) => {
+  const alternatives = [t("release.rule.everyone"), t("release.rule.hostCloses")];
+  if (group?.releaseThreshold) alternatives.unshift(t("release.rule.threshold", { count: group.releaseThreshold }));
+  if (round?.dueAt) alternatives.push(t("release.rule.deadline", { date: t.formatDateTime(round.dueAt) }));
+  return t("release.rule.summary", {
+    count: group?.minRespondents || MIN_RESPONDENTS_FLOOR,
+    alternatives: t.list(alternatives, "disjunction")
+  });
+};
+
+// Reminder cadence: days before a round's deadline (0 = on the day). Emails go out from
+// netlify/functions/send-reminders.js to members who haven't responded yet.
+export const REMINDER_DAY_OPTIONS = [7, 3, 1, 0];
+export const DEFAULT_REMINDER_DAYS = [3, 1, 0];
+
+export const describeReminderDay = (days, t = defaultTranslator) => {
+  if (days === 0) return t("release.reminders.onTheDay");
+  return t("release.reminders.daysBefore", { count: days });
+};
+
+export const formatCountdown = (dueAt, now = new Date(), t = defaultTranslator) => {
+  const ms = new Date(dueAt).getTime() - now.getTime();
+  if (ms <= 0) return t("release.countdown.passed");
+  const hours = Math.floor(ms / (60 * 60 * 1000));
+  if (hours < 1) return t("release.countdown.lessThanHour");
+  if (hours < 48) return t("release.countdown.hours", { count: hours });
+  return t("release.countdown.days", { count: Math.floor(hours / 24) });
+};
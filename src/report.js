@@ -0,0 +1,348 @@
+// Feedback reports: one model built from a member's released feedback, rendered on screen (FeedbackPDFModal),
+// as a PDF (src/pdf.js) or as Markdown / plain text. Hosts get a team report built from aggregates only
+// (TeamReportModal), rendered on screen, as a PDF or as CSV.
+// Reports are built in one language (the builders take a translator, see src/i18n.js) and remember it as
+// `report.locale`, so every rendering of the same report reads the same.
+import { toCsv } from "./csv.js";
+import { createTranslator, defaultTranslator } from "./i18n.js";
+import { formatAnswer, likertLabels, renderPrompt } from "./questions.js";
+
+export const PARTICIPATION_LEVELS = [
+  { key: "great", min: 90, short: "Great", text: "Great Participation", color: "text-green-600", bgColor: "bg-green-50", hex: "#059669" },
+  { key: "strong", min: 80, short: "Strong", text: "Strong Participation", color: "text-blue-600", bgColor: "bg-blue-50", hex: "#2563eb" },
+  { key: "good", min: 70, short: "Good", text: "Good Participation", color: "text-purple-600", bgColor: "bg-purple-50", hex: "#9333ea" },
+  { key: "moderate", min: 60, short: "Moderate", text: "Moderate Participation", color: "text-yellow-600", bgColor: "bg-yellow-50", hex: "#d97706" },
+  {
+    key: "developing",
+    min: -Infinity,
+    short: "Developing",
+    text: "Developing Participation",
+    color: "text-orange-600",
+    bgColor: "bg-orange-50",
+    hex: "#ea580c"
+  }
+];
+
+export const getParticipationLevel = (score) => PARTICIPATION_LEVELS.find((level) => score >= level.min);
+
+// "Strong Participation", or "Strong" with form "short", in the translator's language.
+export const levelLabel = (level, t = defaultTranslator, form = "text") =>
+  level ? t(`report.levels.${level.key}.${form}`) : "";
+
+export const summarizeRatings = (questions, feedback) => {
+  return (questions || [])
+    .filter((q) => q.type === "likert")
+    .map((q) => {
+      const values = (feedback || []).map((f) => Number(f.answers?.[q.id])).filter((n) => n >= 1 && n <= 5);
+      const average = values.length > 0 ? values.reduce((sum, n) => sum + n, 0) / values.length : 0;
+      return { question: q, average, count: values.length };
+    })
+    .filter((r) => r.count > 0);
+};
+
+export const buildFeedbackReport = ({
+  recipientName,
+  groupName,
+  round = null,
+  questions,
+  feedback,
+  generatedAt = new Date(),
+  t = defaultTranslator
+}) => {
+  const items = feedback || [];
+  const averageScore =
+    items.length > 0 ? Math.round(items.reduce((sum, f) => sum + (Number(f.score) || 0), 0) / items.length) : 0;
+  return {
+    locale: t.locale,
+    recipientName,
+    groupName,
+    roundNumber: round?.number ?? null,
+    source: round ? t("report.source", { group: groupName, number: round.number }) : groupName,
+    generatedAt: new Date(generatedAt),
+    averageScore,
+    level: getParticipationLevel(averageScore),
+    ratings: summarizeRatings(questions, items).map(({ question, average, count }) => ({
+      prompt: renderPrompt(question.prompt, recipientName, t),
+      average,
+      count
+    })),
+    responses: items.map((f, idx) => ({
+      number: idx + 1,
+      score: f.score,
+      answers: (questions || []).map((q) => ({
+        prompt: renderPrompt(q.prompt, recipientName, t),
+        answer: formatAnswer(q, f.answers?.[q.id], t)
+      }))
+    }))
+  };
+};
+
+// "Design Team!" → "design-team", for file names.
+export const slugify = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// feedback-ana-design-team-round-2.pdf, or team-report-design-team-round-2.csv for a team report
+export const reportFilename = (report, extension) => {
+  const parts = report.recipientName ? ["feedback", slugify(report.recipientName)] : ["team-report"];
+  parts.push(slugify(report.groupName));
+  if (report.roundNumber !== null) parts.push(`round-${report.roundNumber}`);
+  return `${parts.filter(Boolean).join("-")}.${extension}`;
+};
+
+export const feedbackReportToMarkdown = (report) => {
+  const t = createTranslator(report.locale);
+  const escape = (value) => String(value).replace(/([\\`*_[\]#<>|])/g, "\\$1");
+  // Answers are free text: also keep a leading "-" or "1." from turning into a list.
+  const escapeLine = (line) => escape(line).replace(/^([-+])(\s)/, "\\$1$2").replace(/^(\d+)\.(\s)/, "$1\\.$2");
+  const quote = (value) =>
+    String(value)
+      .split("\n")
+      .map((line) => `> ${escapeLine(line)}`)
+      .join("\n");
+
+  const lines = [
+    `# ${t("report.feedbackFor", { name: escape(report.recipientName) })}`,
+    "",
+    `${escape(report.source)} · ${t("report.generated", { date: t.formatDate(report.generatedAt) })}`,
+    "",
+    `## ${t("report.summary")}`,
+    "",
+    `- ${t("report.averageScore")}: **${report.averageScore}** (${levelLabel(report.level, t)})`,
+    `- ${t("report.responsesLabel")}: ${report.responses.length}`,
+    "",
+    `_${t("report.scoreScale")}_`,
+    ""
+  ];
+
+  if (report.ratings.length > 0) {
+    lines.push(
+      `## ${t("report.ratings")}`,
+      "",
+      `| ${t("report.question")} | ${t("report.average")} | ${t("report.responsesLabel")} |`,
+      "| --- | --- | --- |"
+    );
+    for (const r of report.ratings) lines.push(`| ${escape(r.prompt)} | ${t.formatDecimal(r.average)} / 5 | ${r.count} |`);
+    lines.push("");
+  }
+
+  for (const response of report.responses) {
+    lines.push(`## ${t("report.response", { number: response.number })}`, "");
+    for (const { prompt, answer } of response.answers) lines.push(`**${escape(prompt)}**`, "", quote(answer), "");
+    lines.push(t("report.score", { count: response.score }), "");
+  }
+
+  lines.push("---", "", `_${t("report.anonymityNote")}_`, "");
+  return lines.join("\n");
+};
+
+export const feedbackReportToText = (report) => {
+  const t = createTranslator(report.locale);
+  const title = t("report.feedbackFor", { name: report.recipientName });
+  const indent = (value) =>
+    String(value)
+      .split("\n")
+      .map((line) => `  ${line}`)
+      .join("\n");
+
+  const lines = [
+    title,
+    "=".repeat(title.length),
+    `${report.source} · ${t("report.generated", { date: t.formatDate(report.generatedAt) })}`,
+    "",
+    `${t("report.averageScore")}: ${report.averageScore} (${levelLabel(report.level, t)})`,
+    `${t("report.responsesLabel")}: ${report.responses.length}`,
+    t("report.scoreScale"),
+    ""
+  ];
+
+  if (report.ratings.length > 0) {
+    const heading = t("report.ratings");
+    lines.push(heading, "-".repeat(heading.length));
+    for (const r of report.ratings) lines.push(`${r.prompt}: ${t.formatDecimal(r.average)} / 5 (${r.count})`);
+    lines.push("");
+  }
+
+  for (const response of report.responses) {
+    const heading = t("report.response", { number: response.number });
+    lines.push(heading, "-".repeat(heading.length));
+    for (const { prompt, answer } of response.answers) lines.push(prompt, indent(answer), "");
+    lines.push(t("report.score", { count: response.score }), "");
+  }
+
+  lines.push(t("report.anonymityNote"), "");
+  return lines.join("\n");
+};
+
+const THEME_TYPES = ["likert", "choice", "yesno"];
+
+const themeAnswers = (question, t) => {
+  if (question.type === "likert") return likertLabels(t).map((label, idx) => ({ value: String(idx + 1), label }));
+  if (question.type === "yesno") {
+    return [
+      { value: "true", label: t("common.yes") },
+      { value: "false", label: t("common.no") }
+    ];
+  }
+  return (question.options || []).map((option) => ({ value: option, label: option }));
+};
+
+// Prompts are written about one person ("{name} is reliable"); across the team they read "Each member is reliable".
+const teamPrompt = (prompt, t) => {
+  const text = renderPrompt(prompt, t("report.eachMember"), t);
+  return text.charAt(0).toLocaleUpperCase(t.locale) + text.slice(1);
+};
+
+// `summary` comes from getGroupTeamSummary and `responses` from listGroupResponses for the same round.
+export const buildTeamReport = ({
+  group,
+  round,
+  summary,
+  responses = [],
+  generatedAt = new Date(),
+  t = defaultTranslator
+}) => {
+  const recipients = new Map((summary?.recipients || []).map((r) => [r.recipientEmailLower, r]));
+  const roster = group.members || [];
+  const known = new Set(roster.map((m) => m.emailLower));
+  // People removed from the roster after the round still appear under their email.
+  const people = [
+    ...roster.map((m) => ({ name: m.name || m.emailLower, emailLower: m.emailLower })),
+    ...[...recipients.keys()].filter((email) => !known.has(email)).map((email) => ({ name: email, emailLower: email }))
+  ];
+
+  const members = people
+    .map(({ name, emailLower }) => {
+      const r = recipients.get(emailLower);
+      return {
+        name,
+        emailLower,
+        responses: r?.responses || 0,
+        averageScore: r ? r.averageScore : null,
+        spread: r ? r.scoreSpread : null,
+        level: r && r.averageScore !== null ? getParticipationLevel(r.averageScore) : null
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name, t.locale));
+
+  // Members with too few responses to show a score count as responded-to but stay out of the averages.
+  const scored = members.filter((m) => m.responses > 0 && m.averageScore !== null);
+  const totalResponses = scored.reduce((sum, m) => sum + m.responses, 0);
+  const teamAverage =
+    totalResponses > 0
+      ? Math.round(scored.reduce((sum, m) => sum + m.averageScore * m.responses, 0) / totalResponses)
+      : 0;
+  const respondents = responses
+    .filter((r) => !round || r.roundId === round.id)
+    .reduce((sum, r) => sum + r.responded, 0);
+
+  const counts = new Map((summary?.answers || []).map((a) => [`${a.questionId}\u0000${a.answer}`, a.responses]));
+  const themes = (round?.questions || group.questions || [])
+    .filter((q) => THEME_TYPES.includes(q.type))
+    .map((q) => {
+      const answers = themeAnswers(q, t).map(({ value, label }) => ({
+        label,
+        value,
+        count: counts.get(`${q.id}\u0000${value}`) || 0
+      }));
+      const total = answers.reduce((sum, a) => sum + a.count, 0);
+      const average =
+        q.type === "likert" && total > 0
+          ? answers.reduce((sum, a) => sum + Number(a.value) * a.count, 0) / total
+          : null;
+      return {
+        prompt: teamPrompt(q.prompt, t),
+        type: q.type,
+        total,
+        average,
+        answers: answers.map(({ label, count }) => ({ label, count, share: total > 0 ? count / total : 0 }))
+      };
+    })
+    .filter((theme) => theme.total > 0);
+
+  return {
+    locale: t.locale,
+    groupName: group.name,
+    roundNumber: round?.number ?? null,
+    source: round ? t("report.source", { group: group.name, number: round.number }) : group.name,
+    generatedAt: new Date(generatedAt),
+    memberCount: roster.length,
+    respondents,
+    teamAverage,
+    teamLevel: getParticipationLevel(teamAverage),
+    members,
+    levels: PARTICIPATION_LEVELS.map((level) => ({
+      level,
+      count: scored.filter((m) => m.level === level).length
+    })),
+    themes
+  };
+};
+
+export const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+// Two tables separated by a blank line: one row per member, then the answer counts per question.
+export const teamReportToCsv = (report) => {
+  const t = createTranslator(report.locale);
+  const members = toCsv([
+    [
+      t("report.csv.member"),
+      t("report.csv.email"),
+      t("report.responsesLabel"),
+      t("report.averageScore"),
+      t("report.csv.spread"),
+      t("report.csv.level")
+    ],
+    ...report.members.map((m) => [
+      m.name,
+      m.emailLower,
+      m.responses,
+      m.averageScore ?? "",
+      m.spread ?? "",
+      levelLabel(m.level, t)
+    ])
+  ]);
+  if (report.themes.length === 0) return `${members}\r\n`;
+  const themes = toCsv([
+    [t("report.question"), t("report.csv.answer"), t("report.responsesLabel"), t("report.csv.share")],
+    ...report.themes.flatMap((theme) =>
+      theme.answers.map((a) => [theme.prompt, a.label, a.count, formatShare(a.share)])
+    )
+  ]);
+  return `${members}\r\n\r\n${themes}\r\n`;
+};
+
+// The same aggregates as JSON, without the display-only fields. Level names stay in English: this is for tools.
+export const teamReportToJson = (report) =>
+  JSON.stringify(
+    {
+      group: report.groupName,
+      round: report.roundNumber,
+      generatedAt: report.generatedAt.toISOString(),
+      memberCount: report.memberCount,
+      respondents: report.respondents,
+      teamAverage: report.teamAverage,
+      teamLevel: report.teamLevel.text,
+      members: report.members.map((m) => ({
+        name: m.name,
+        email: m.emailLower,
+        responses: m.responses,
+        averageScore: m.averageScore,
+        spread: m.spread,
+        level: m.level?.text ?? null
+      })),
+      levels: report.levels.map(({ level, count }) => ({ level: level.text, count })),
+      themes: report.themes.map((theme) => ({
+        question: theme.prompt,
+        type: theme.type,
+        total: theme.total,
+        average: theme.average,
+        answers: theme.answers
+      }))
+    },
+    null,
+    2
+  );
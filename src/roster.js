@@ -0,0 +1,160 @@
+// Member lists: the roster rules createGroup enforces, bulk import from CSV / JSON files, and roster exports.
+import { normalizeEmail } from "./backends/rows.js";
+import { parseCsv, toCsv } from "./csv.js";
+import { slugify } from "./report.js";
+
+export const HOST_MEMBER_ERROR = "You don't need to add yourself as a member";
+export const DUPLICATE_MEMBER_ERROR = "Each member must have a unique email";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// createGroup's rules for the members it's given (the host is added to the roster separately).
+export const validateMemberList = (members, { hostEmail } = {}) => {
+  const host = normalizeEmail(hostEmail);
+  const emails = (members || []).map((m) => normalizeEmail(m.emailLower || m.email));
+  if (host && emails.includes(host)) return HOST_MEMBER_ERROR;
+  if (new Set(emails).size !== emails.length) return DUPLICATE_MEMBER_ERROR;
+  return "";
+};
+
+const looksLikeJson = (text, filename) => /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+
+const fromJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("This file isn't valid JSON");
+  }
+  const list = Array.isArray(data) ? data : data?.members;
+  if (!Array.isArray(list)) throw new Error("Expected a list of members, or an object with a members list");
+  return list.map((entry, idx) => ({
+    line: idx + 1,
+    name: String(entry?.name ?? ""),
+    email: String(entry?.email ?? entry?.emailLower ?? "")
+  }));
+};
+
+// A header row is optional. Without one, columns are name,email (or email,name when the first holds addresses).
+const fromCsv = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const emailCol = header.findIndex((cell) => ["email", "e-mail", "email address"].includes(cell));
+  let nameCol = header.findIndex((cell) => ["name", "full name"].includes(cell));
+  let body = rows.map((cells, idx) => ({ cells, line: idx + 1 }));
+
+  let columns;
+  if (emailCol >= 0) {
+    if (nameCol < 0) nameCol = emailCol === 0 ? 1 : 0;
+    columns = { name: nameCol, email: emailCol };
+    body = body.slice(1);
+  } else {
+    const emailFirst = rows[0][0]?.includes("@") && !rows[0][1]?.includes("@");
+    columns = emailFirst ? { name: 1, email: 0 } : { name: 0, email: 1 };
+  }
+
+  return body.map(({ cells, line }) => ({
+    line,
+    name: cells[columns.name] ?? "",
+    email: cells[columns.email] ?? ""
+  }));
+};
+
+// Reads the entries of a CSV or JSON file (a list of { name, email }, or a roster export). `line` is the CSV row
+// or the position in the JSON list, for error messages. Throws on files that can't be read at all.
+export const parseMemberFile = (text, { filename = "" } = {}) => {
+  const content = String(text || "");
+  return looksLikeJson(content, filename) ? fromJson(content) : fromCsv(content);
+};
+
+// Sorts parsed entries into members to add and problems to report, with createGroup's rules: everyone needs a
+// name and an email, the host isn't added as a member, and no email appears twice, counting `existing` (the
+// rows already in the form or on the roster).
+export const checkMemberImport = (entries, { hostEmail = "", existing = [] } = {}) => {
+  const host = normalizeEmail(hostEmail);
+  const taken = new Set((existing || []).map((m) => normalizeEmail(m.emailLower || m.email)).filter(Boolean));
+  const seen = new Map();
+  const members = [];
+  const problems = [];
+
+  for (const entry of entries || []) {
+    const name = String(entry.name || "").trim();
+    const email = normalizeEmail(entry.email);
+    const problem = (message) => problems.push({ line: entry.line, email, message });
+
+    if (!name && !email) continue;
+    if (!email) problem("Missing email");
+    else if (!EMAIL_PATTERN.test(email)) problem("Not an email address");
+    else if (!name) problem("Missing name");
+    else if (host && email === host) problem(HOST_MEMBER_ERROR);
+    else if (taken.has(email)) problem("Already a member");
+    else if (seen.has(email)) problem(`Duplicate of line ${seen.get(email)}`);
+    else {
+      seen.set(email, entry.line);
+      members.push({ name, email });
+    }
+  }
+  return { members, problems };
+};
+
+const inviteState = (invitation, now) => {
+  if (!invitation) return "";
+  if (invitation.redeemedAt) return "redeemed";
+  if (invitation.revokedAt) return "revoked";
+  if (invitation.expiresAt && new Date(invitation.expiresAt) <= now) return "expired";
+  return "pending";
+};
+
+// The roster with each member's latest invitation. No invite codes or feedback.
+export const buildRosterExport = ({ group, invitations = [], now = new Date() }) => {
+  const latest = new Map();
+  for (const inv of invitations) {
+    const current = latest.get(inv.emailLower);
+    if (!current || String(inv.createdAt) > String(current.createdAt)) latest.set(inv.emailLower, inv);
+  }
+  return {
+    group: group.name,
+    exportedAt: new Date(now).toISOString(),
+    members: (group.members || []).map((m) => {
+      const inv = latest.get(m.emailLower) || null;
+      return {
+        name: m.name,
+        email: m.emailLower,
+        role: m.role,
+        status: m.status,
+        joinedAt: m.joinedAt || null,
+        invitation: inv
+          ? {
+              state: inviteState(inv, new Date(now)),
+              sentAt: inv.createdAt || null,
+              expiresAt: inv.expiresAt || null,
+              revokedAt: inv.revokedAt || null
+            }
+          : null
+      };
+    })
+  };
+};
+
+export const rosterToCsv = (roster) =>
+  `${toCsv([
+    ["Name", "Email", "Role", "Status", "Joined", "Invitation", "Invited", "Invitation expires"],
+    ...roster.members.map((m) => [
+      m.name,
+      m.email,
+      m.role,
+      m.status,
+      m.joinedAt || "",
+      m.invitation?.state || "",
+      m.invitation?.sentAt || "",
+      m.invitation?.expiresAt || ""
+    ])
+  ])}\r\n`;
+
+export const rosterToJson = (roster) => JSON.stringify(roster, null, 2);
+
+// roster-design-team.csv
+export const rosterFilename = (roster, extension) =>
+  `${["roster", slugify(roster.group)].filter(Boolean).join("-")}.${extension}`;
@@ -0,0 +1,3 @@
+// The database schema version this build needs: the number of the newest file in supabase/migrations.
+// Bump it together with each new migration (tests/migrations.test.mjs checks they match).
+export const REQUIRED_SCHEMA_VERSION = 18;
@@ -1,7 +1,22 @@
 import { createClient } from "@supabase/supabase-js";
 
+// VITE_DATA_BACKEND=local runs the app without a Supabase project: data lives in the browser (see
+// src/backends/localBackend.js) and `supabase` only carries its stand-in auth.
+export const DATA_BACKEND = import.meta.env.VITE_DATA_BACKEND === "local" ? "local" : "supabase";
+
+// Loaded only in local mode, so Supabase builds don't ship the local backend or its seed data (and its password).
+const loadLocalBackend = async () => {
+  const { createLocalBackend } = await import("./backends/localBackend");
+  return createLocalBackend({
+    storage: typeof window === "undefined" ? null : window.localStorage,
+    sessionStorage: typeof window === "undefined" ? null : window.sessionStorage
+  });
+};
+
+export const localBackend = DATA_BACKEND === "local" ? await loadLocalBackend() : null;
+
 const requiredKeys = ["VITE_SUPABASE_URL", "VITE_SUPABASE_ANON_KEY"];
-const missingKeys = requiredKeys.filter((k) => !import.meta.env[k]);
+const missingKeys = localBackend ? [] : requiredKeys.filter((k) => !import.meta.env[k]);
 
 export const supabaseInitError =
   missingKeys.length > 0 ? new Error(`Missing Supabase env vars: ${missingKeys.join(", ")}`) : null;
@@ -21,7 +36,9 @@ const getTabId = () => {
   }
 };
 
-export const supabase = supabaseInitError
+export const supabase = localBackend
+  ? { auth: localBackend.auth }
+  : supabaseInitError
   ? null
   : createClient(import.meta.env.VITE_SUPABASE_URL, import.meta.env.VITE_SUPABASE_ANON_KEY, {
       auth: {
@@ -0,0 +1,76 @@
+import { getParticipationLevel } from "./report";
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+export const generateTempPassword = () => {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.getRandomValues(new Uint8Array(6));
+  return Array.from(bytes, (b) => chars[b % chars.length]).join("");
+};
+
+export const copyTextToClipboard = async (text) => {
+  try {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text);
+      return true;
+    }
+  } catch {
+    // fall through to execCommand
+  }
+
+  try {
+    const el = document.createElement("textarea");
+    el.value = text;
+    el.setAttribute("readonly", "");
+    el.style.position = "fixed";
+    el.style.left = "-9999px";
+    document.body.appendChild(el);
+    el.select();
+    const ok = document.execCommand("copy");
+    document.body.removeChild(el);
+    return ok;
+  } catch {
+    return false;
+  }
+};
+
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Invite emails link to /join/<token> (see send-invites and pages/JoinPage).
+export const buildInviteLinkUrl = (token) => `${window.location.origin}/join/${token}`;
+
+// Owners and co-hosts manage a group (myRole comes from group_roles, see listManagedGroups).
+export const canManageGroup = (group) => group?.myRole === "owner" || group?.myRole === "cohost";
+
+// group_members.status ("pending", "invited" or "joined"), kept in sync with the member's invitation by the database.
+// Labels are under members.status in the message catalogs.
+
+// Plaintext codes for send-invites; only available right after they were generated.
+export const toInviteCredentials = (invitations) =>
+  (invitations || [])
+    .filter((i) => i.tempPassword)
+    .map((i) => ({ email: i.emailLower || i.email, tempPassword: i.tempPassword }));
+
+export const getScoreColor = (score) => getParticipationLevel(score).hex;
+
+// <input type="datetime-local"> works in local time without a zone; round-trip through Date for storage.
+export const toDateTimeLocal = (iso) => {
+  if (!iso) return "";
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+export const fromDateTimeLocal = (value) => (value ? new Date(value).toISOString() : null);
@@ -0,0 +1,1620 @@
+-- Migration 0001: the full schema as of the switch to versioned migrations.
+-- Apply with `npm run migrate`, or paste each migration in order into Supabase → SQL Editor. Every migration is
+-- idempotent and records itself in public.schema_migrations.
+
+create extension if not exists pgcrypto;
+
+-- Migration ledger: one row per applied migration. The app compares schema_version() with the version it needs.
+create table if not exists public.schema_migrations (
+  version integer primary key,
+  name text not null,
+  applied_at timestamptz not null default now()
+);
+
+alter table public.schema_migrations enable row level security; -- no policies: read through schema_version()
+
+create or replace function public.schema_version()
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(max(version), 0) from public.schema_migrations;
+$$;
+
+grant execute on function public.schema_version() to anon, authenticated;
+
+-- Profiles (user metadata)
+create table if not exists public.profiles (
+  id uuid primary key references auth.users (id) on delete cascade,
+  email_lower text not null,
+  first_name text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists profiles_email_lower_uidx on public.profiles (email_lower);
+
+-- Organizations: team leads' groups can belong to an org, whose admins see participation across them (never
+-- feedback content). Org data is only visible to the org's own members.
+create table if not exists public.organizations (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_by uuid null references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.organization_members (
+  org_id uuid not null references public.organizations (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  email_lower text not null,
+  role text not null check (role in ('admin','member')),
+  created_at timestamptz not null default now(),
+  primary key (org_id, user_id)
+);
+
+create index if not exists organization_members_user_id_idx on public.organization_members (user_id);
+
+-- The caller's role in an org ('admin' | 'member'), or null if they don't belong to it.
+create or replace function public.org_role(org_id_input uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select m.role from public.organization_members m where m.org_id = org_id_input and m.user_id = auth.uid();
+$$;
+
+grant execute on function public.org_role(uuid) to authenticated;
+
+-- Groups
+create table if not exists public.groups (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  host_uid uuid not null references auth.users (id) on delete cascade,
+  host_email_lower text not null,
+  questions jsonb not null default '[]'::jsonb, -- [{id,type,prompt,options,required}]; empty = default peer review form
+  min_respondents integer not null default 1 check (min_respondents >= 1), -- k-anonymity floor for releasing feedback
+  release_threshold integer null check (release_threshold >= 1), -- release early once this many have responded
+  reminder_days integer[] not null default '{3,1,0}'::integer[], -- reminder emails N days before a round's deadline (0 = on the day)
+  org_id uuid null references public.organizations (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists groups_host_uid_idx on public.groups (host_uid);
+create index if not exists groups_org_id_idx on public.groups (org_id);
+
+-- Groups can only be filed under an org their host belongs to.
+create or replace function public.check_group_organization()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.org_id is not null
+    and (tg_op = 'INSERT' or new.org_id is distinct from old.org_id)
+    and auth.uid() is not null
+    and public.org_role(new.org_id) is null then
+    raise exception 'You can only add groups to an organization you belong to';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists groups_check_organization on public.groups;
+create trigger groups_check_organization
+before insert or update of org_id on public.groups
+for each row execute function public.check_group_organization();
+
+-- Invitations (email + hashed temp password)
+create table if not exists public.invitations (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups (id) on delete cascade,
+  host_uid uuid not null references auth.users (id) on delete cascade,
+  host_email_lower text not null,
+  email_lower text not null,
+  name text not null,
+  temp_password text null, -- write-only: hashed into temp_password_hash and cleared by a trigger
+  temp_password_hash text not null,
+  redeemed_by_uid uuid null references auth.users (id) on delete set null,
+  redeemed_at timestamptz null,
+  expires_at timestamptz null default (now() + interval '30 days'), -- null = never expires
+  revoked_at timestamptz null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists invitations_group_id_idx on public.invitations (group_id);
+create index if not exists invitations_email_lower_idx on public.invitations (email_lower);
+create index if not exists invitations_redeemed_by_uid_idx on public.invitations (redeemed_by_uid);
+
+-- Group roles: the owner (mirrors groups.host_uid), co-hosts who manage the group alongside them, and members who
+-- joined through an invitation. Rows are written by triggers and the co-host functions below, never by clients.
+create table if not exists public.group_roles (
+  group_id uuid not null references public.groups (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  email_lower text not null,
+  role text not null check (role in ('owner','cohost','member')),
+  created_at timestamptz not null default now(),
+  primary key (group_id, user_id)
+);
+
+create unique index if not exists group_roles_one_owner_uidx on public.group_roles (group_id) where role = 'owner';
+create index if not exists group_roles_user_id_idx on public.group_roles (user_id);
+
+-- Owners and co-hosts manage a group; policies and host-only functions check this instead of groups.host_uid.
+create or replace function public.is_group_manager(group_id_input uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.group_roles r
+    where r.group_id = group_id_input
+      and r.user_id = auth.uid()
+      and r.role in ('owner', 'cohost')
+  );
+$$;
+
+grant execute on function public.is_group_manager(uuid) to authenticated;
+
+create or replace function public.group_owner_uid(group_id_input uuid)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select r.user_id from public.group_roles r where r.group_id = group_id_input and r.role = 'owner';
+$$;
+
+grant execute on function public.group_owner_uid(uuid) to authenticated;
+
+create or replace function public.add_group_owner_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.group_roles (group_id, user_id, email_lower, role)
+  values (new.id, new.host_uid, new.host_email_lower, 'owner')
+  on conflict (group_id, user_id) do update set role = 'owner';
+  return new;
+end;
+$$;
+
+drop trigger if exists groups_add_owner_role on public.groups;
+create trigger groups_add_owner_role
+after insert on public.groups
+for each row execute function public.add_group_owner_role();
+
+create or replace function public.add_invitation_member_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.redeemed_by_uid is not null then
+    insert into public.group_roles (group_id, user_id, email_lower, role)
+    values (new.group_id, new.redeemed_by_uid, new.email_lower, 'member')
+    on conflict (group_id, user_id) do nothing;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists invitations_add_member_role on public.invitations;
+create trigger invitations_add_member_role
+after insert or update of redeemed_by_uid on public.invitations
+for each row execute function public.add_invitation_member_role();
+
+-- Owners and co-hosts can make someone a co-host: a member who joined the group, or anyone with an account.
+create or replace function public.add_group_cohost(group_id_input uuid, email_input text)
+returns public.group_roles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  email_normalized text := lower(trim(coalesce(email_input, '')));
+  target_uid uuid;
+  result public.group_roles;
+begin
+  if not public.is_group_manager(group_id_input) then
+    raise exception 'Only the group host can add co-hosts';
+  end if;
+
+  select r.user_id
+    into target_uid
+  from public.group_roles r
+  where r.group_id = group_id_input
+    and r.email_lower = email_normalized
+  order by r.created_at desc
+  limit 1;
+
+  if target_uid is null then
+    select p.id into target_uid from public.profiles p where p.email_lower = email_normalized;
+  end if;
+
+  if target_uid is null then
+    raise exception 'Nobody with that email has joined yet. Invite them to the group first';
+  end if;
+
+  if exists (
+    select 1 from public.groups g
+    where g.id = group_id_input
+      and g.org_id is not null
+      and not exists (
+        select 1 from public.organization_members m where m.org_id = g.org_id and m.user_id = target_uid
+      )
+  ) then
+    raise exception 'Co-hosts must belong to the group''s organization';
+  end if;
+
+  insert into public.group_roles (group_id, user_id, email_lower, role)
+  values (group_id_input, target_uid, email_normalized, 'cohost')
+  on conflict (group_id, user_id) do update
+    set role = 'cohost'
+    where group_roles.role = 'member'
+  returning * into result;
+
+  if not found then
+    raise exception 'They already manage this group';
+  end if;
+
+  return result;
+end;
+$$;
+
+grant execute on function public.add_group_cohost(uuid, text) to authenticated;
+
+-- The owner can remove any co-host; co-hosts can step down themselves. They stay a member if they joined as one.
+create or replace function public.remove_group_cohost(group_id_input uuid, user_id_input uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if public.group_owner_uid(group_id_input) is distinct from auth.uid() and user_id_input is distinct from auth.uid() then
+    raise exception 'Only the group owner can remove co-hosts';
+  end if;
+
+  if not exists (
+    select 1 from public.group_roles r
+    where r.group_id = group_id_input
+      and r.user_id = user_id_input
+      and r.role = 'cohost'
+  ) then
+    raise exception 'That person is not a co-host of this group';
+  end if;
+
+  if exists (
+    select 1 from public.invitations i
+    where i.group_id = group_id_input
+      and i.redeemed_by_uid = user_id_input
+  ) then
+    update public.group_roles
+      set role = 'member'
+      where group_id = group_id_input
+        and user_id = user_id_input;
+  else
+    delete from public.group_roles where group_id = group_id_input and user_id = user_id_input;
+  end if;
+end;
+$$;
+
+grant execute on function public.remove_group_cohost(uuid, uuid) to authenticated;
+
+-- Hand the group to a co-host. The previous owner stays on as a co-host.
+create or replace function public.transfer_group_ownership(group_id_input uuid, new_owner_uid_input uuid)
+returns public.groups
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  new_owner public.group_roles;
+  g public.groups;
+begin
+  if public.group_owner_uid(group_id_input) is distinct from auth.uid() then
+    raise exception 'Only the group owner can transfer ownership';
+  end if;
+
+  select *
+    into new_owner
+  from public.group_roles r
+  where r.group_id = group_id_input
+    and r.user_id = new_owner_uid_input
+    and r.role = 'cohost';
+
+  if not found then
+    raise exception 'Ownership can only be transferred to a co-host';
+  end if;
+
+  update public.group_roles
+    set role = 'cohost'
+    where group_id = group_id_input
+      and user_id = auth.uid();
+
+  update public.group_roles
+    set role = 'owner'
+    where group_id = group_id_input
+      and user_id = new_owner_uid_input;
+
+  update public.groups
+    set host_uid = new_owner_uid_input,
+        host_email_lower = new_owner.email_lower
+    where id = group_id_input
+    returning * into g;
+
+  update public.invitations
+    set host_uid = new_owner_uid_input,
+        host_email_lower = new_owner.email_lower
+    where group_id = group_id_input;
+
+  return g;
+end;
+$$;
+
+grant execute on function public.transfer_group_ownership(uuid, uuid) to authenticated;
+
+-- Group members: one row per person on a group's roster (the people feedback is given to). Hosts add and remove
+-- rows one at a time, so edits from two tabs don't overwrite each other. `role`, `status`, `invitation_id` and
+-- `joined_at` are kept in sync by the triggers below; clients only write the email and name.
+create table if not exists public.group_members (
+  group_id uuid not null references public.groups (id) on delete cascade,
+  email_lower text not null,
+  name text not null,
+  role text not null default 'member' check (role in ('owner','cohost','member')), -- mirrors group_roles
+  status text not null default 'pending' check (status in ('pending','invited','joined')),
+  invitation_id uuid null references public.invitations (id) on delete set null,
+  joined_at timestamptz null,
+  created_at timestamptz not null default now(),
+  primary key (group_id, email_lower)
+);
+
+create index if not exists group_members_email_lower_idx on public.group_members (email_lower);
+
+-- New roster rows pick up the person's group role and their latest invitation.
+create or replace function public.fill_group_member()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare inv public.invitations;
+begin
+  new.email_lower := lower(trim(new.email_lower));
+  new.name := trim(new.name);
+
+  select coalesce((
+    select r.role
+    from public.group_roles r
+    where r.group_id = new.group_id
+      and r.email_lower = new.email_lower
+    order by case r.role when 'owner' then 0 when 'cohost' then 1 else 2 end
+    limit 1
+  ), 'member')
+    into new.role;
+
+  select *
+    into inv
+  from public.invitations i
+  where i.group_id = new.group_id
+    and i.email_lower = new.email_lower
+  order by i.created_at desc
+  limit 1;
+
+  new.invitation_id := inv.id;
+  if inv.redeemed_at is not null then
+    new.status := 'joined';
+    new.joined_at := inv.redeemed_at;
+  elsif inv.id is not null then
+    new.status := 'invited';
+    new.joined_at := null;
+  elsif new.role in ('owner', 'cohost') then
+    new.status := 'joined';
+    new.joined_at := now();
+  else
+    new.status := 'pending';
+    new.joined_at := null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists group_members_fill on public.group_members;
+create trigger group_members_fill
+before insert on public.group_members
+for each row execute function public.fill_group_member();
+
+create or replace function public.sync_group_member_invitation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.group_members m
+    set invitation_id = new.id,
+        status = case when new.redeemed_at is not null or m.status = 'joined' then 'joined' else 'invited' end,
+        joined_at = coalesce(m.joined_at, new.redeemed_at)
+    where m.group_id = new.group_id
+      and m.email_lower = new.email_lower;
+  return new;
+end;
+$$;
+
+drop trigger if exists invitations_sync_group_member on public.invitations;
+create trigger invitations_sync_group_member
+after insert or update of redeemed_by_uid on public.invitations
+for each row execute function public.sync_group_member_invitation();
+
+create or replace function public.sync_group_member_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'DELETE' then
+    update public.group_members
+      set role = 'member'
+      where group_id = old.group_id
+        and email_lower = old.email_lower;
+    return old;
+  end if;
+
+  update public.group_members
+    set role = new.role
+    where group_id = new.group_id
+      and email_lower = new.email_lower;
+  return new;
+end;
+$$;
+
+drop trigger if exists group_roles_sync_group_member on public.group_roles;
+create trigger group_roles_sync_group_member
+after insert or update or delete on public.group_roles
+for each row execute function public.sync_group_member_role();
+
+-- Hosts can rename people on the roster; the other columns are maintained by the triggers above.
+revoke update on public.group_members from anon, authenticated;
+grant update (name) on public.group_members to authenticated;
+
+-- Invite codes are stored as bcrypt hashes. Clients (and the send-invites function) write the plaintext to
+-- `temp_password`; this trigger hashes it into `temp_password_hash` and clears it before the row is stored.
+create or replace function public.hash_invitation_temp_password()
+returns trigger
+language plpgsql
+set search_path = public, extensions
+as $$
+begin
+  if new.temp_password is not null then
+    new.temp_password_hash := crypt(new.temp_password, gen_salt('bf', 8));
+    new.temp_password := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists invitations_hash_temp_password on public.invitations;
+create trigger invitations_hash_temp_password
+before insert or update of temp_password on public.invitations
+for each row execute function public.hash_invitation_temp_password();
+
+-- Same alphabet as generateTempPassword in src/App.jsx (no 0/O, 1/I).
+create or replace function public.generate_invite_code()
+returns text
+language sql
+volatile
+set search_path = public, extensions
+as $$
+  select string_agg(substr('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', (get_byte(b.bytes, i) % 32) + 1, 1), '')
+  from gen_random_bytes(6) as b(bytes), generate_series(0, 5) as i;
+$$;
+
+-- Hosts who lost a code can issue a new one; the old code stops working. The plaintext is only returned here.
+create or replace function public.regenerate_invitation_code(invitation_id_input uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare code text;
+begin
+  if not exists (
+    select 1 from public.invitations i where i.id = invitation_id_input and public.is_group_manager(i.group_id)
+  ) then
+    raise exception 'Only the group host can regenerate an invite code';
+  end if;
+
+  code := public.generate_invite_code();
+  update public.invitations
+    set temp_password = code,
+        revoked_at = null,
+        expires_at = now() + interval '30 days'
+    where id = invitation_id_input;
+
+  return code;
+end;
+$$;
+
+grant execute on function public.regenerate_invitation_code(uuid) to authenticated;
+
+-- Invite links: single-use, expiring tokens emailed as /join/<token>. Only a SHA-256 of the token is stored,
+-- so a link can't be reconstructed from the database. Issuing a new link revokes the invitation's unused ones.
+create table if not exists public.invite_links (
+  id uuid primary key default gen_random_uuid(),
+  invitation_id uuid not null references public.invitations (id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz null,
+  used_by_uid uuid null references auth.users (id) on delete set null,
+  revoked_at timestamptz null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists invite_links_invitation_id_idx on public.invite_links (invitation_id);
+
+-- Internal: called by the send-invites function (service role) and by create_invite_link after its host check.
+create or replace function public.issue_invite_link(invitation_id_input uuid, valid_for_input interval default interval '7 days')
+returns text
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare token text;
+begin
+  if not exists (select 1 from public.invitations i where i.id = invitation_id_input) then
+    raise exception 'Invitation not found';
+  end if;
+
+  update public.invite_links
+    set revoked_at = now()
+    where invitation_id = invitation_id_input
+      and used_at is null
+      and revoked_at is null;
+
+  token := encode(gen_random_bytes(32), 'hex');
+  insert into public.invite_links (invitation_id, token_hash, expires_at)
+  values (invitation_id_input, encode(digest(token, 'sha256'), 'hex'), now() + valid_for_input);
+
+  return token;
+end;
+$$;
+
+revoke execute on function public.issue_invite_link(uuid, interval) from public, anon, authenticated;
+grant execute on function public.issue_invite_link(uuid, interval) to service_role;
+
+create or replace function public.create_invite_link(invitation_id_input uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1 from public.invitations i where i.id = invitation_id_input and public.is_group_manager(i.group_id)
+  ) then
+    raise exception 'Only the group host can create invite links';
+  end if;
+
+  return public.issue_invite_link(invitation_id_input);
+end;
+$$;
+
+grant execute on function public.create_invite_link(uuid) to authenticated;
+
+create or replace function public.revoke_invite_links(invitation_id_input uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare revoked integer;
+begin
+  if not exists (
+    select 1 from public.invitations i where i.id = invitation_id_input and public.is_group_manager(i.group_id)
+  ) then
+    raise exception 'Only the group host can revoke invite links';
+  end if;
+
+  update public.invite_links
+    set revoked_at = now()
+    where invitation_id = invitation_id_input
+      and used_at is null
+      and revoked_at is null;
+  get diagnostics revoked = row_count;
+  return revoked;
+end;
+$$;
+
+grant execute on function public.revoke_invite_links(uuid) to authenticated;
+
+-- Redeem a link for the calling (usually anonymous) session. Each link works once.
+create or replace function public.redeem_invite_link(token_input text)
+returns public.invitations
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  link public.invite_links;
+  inv public.invitations;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in before redeeming an invite link';
+  end if;
+
+  select *
+    into link
+  from public.invite_links
+  where token_hash = encode(digest(coalesce(token_input, ''), 'sha256'), 'hex')
+  for update;
+
+  if not found then
+    raise exception 'This invite link is not valid';
+  end if;
+  if link.revoked_at is not null then
+    raise exception 'This invite link was revoked';
+  end if;
+  if link.used_at is not null then
+    raise exception 'This invite link has already been used';
+  end if;
+  if link.expires_at <= now() then
+    raise exception 'This invite link has expired';
+  end if;
+  if exists (
+    select 1 from public.invitations i
+    where i.id = link.invitation_id
+      and (i.revoked_at is not null or (i.expires_at is not null and i.expires_at <= now()))
+  ) then
+    raise exception 'This invite is no longer valid. Ask your host for a new one';
+  end if;
+
+  update public.invite_links
+    set used_at = now(),
+        used_by_uid = auth.uid()
+    where id = link.id;
+
+  update public.invitations
+    set redeemed_by_uid = auth.uid(),
+        redeemed_at = now()
+    where id = link.invitation_id
+    returning * into inv;
+
+  return inv;
+end;
+$$;
+
+grant execute on function public.redeem_invite_link(text) to authenticated;
+
+-- Failed code redemptions, for throttling guesses per email and per client IP. Rows older than a day are pruned.
+create table if not exists public.invite_redeem_attempts (
+  id bigint generated always as identity primary key,
+  email_lower text not null,
+  ip text null,
+  attempted_at timestamptz not null default now()
+);
+
+create index if not exists invite_redeem_attempts_email_idx on public.invite_redeem_attempts (email_lower, attempted_at);
+create index if not exists invite_redeem_attempts_ip_idx on public.invite_redeem_attempts (ip, attempted_at);
+
+-- Client IP as forwarded by the Supabase API gateway (first hop of X-Forwarded-For); null outside a request.
+create or replace function public.request_ip()
+returns text
+language sql
+stable
+as $$
+  select nullif(trim(split_part(coalesce(
+    nullif(current_setting('request.headers', true), '')::json->>'cf-connecting-ip',
+    nullif(current_setting('request.headers', true), '')::json->>'x-forwarded-for',
+    ''
+  ), ',', 1)), '');
+$$;
+
+-- 5 failures per email or 20 per IP within 15 minutes lock further attempts until the oldest of them ages out.
+create or replace function public.invite_redeem_locked_until(email_lower_input text, ip_input text)
+returns timestamptz
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  by_email timestamptz;
+  by_ip timestamptz;
+begin
+  delete from public.invite_redeem_attempts where attempted_at < now() - interval '1 day';
+
+  select min(a.attempted_at) + interval '15 minutes'
+    into by_email
+  from (
+    select attempted_at
+    from public.invite_redeem_attempts
+    where email_lower = email_lower_input
+      and attempted_at > now() - interval '15 minutes'
+    order by attempted_at desc
+    limit 5
+  ) a
+  having count(*) >= 5;
+
+  if ip_input is not null then
+    select min(a.attempted_at) + interval '15 minutes'
+      into by_ip
+    from (
+      select attempted_at
+      from public.invite_redeem_attempts
+      where ip = ip_input
+        and attempted_at > now() - interval '15 minutes'
+      order by attempted_at desc
+      limit 20
+    ) a
+    having count(*) >= 20;
+  end if;
+
+  return greatest(by_email, by_ip);
+end;
+$$;
+
+revoke execute on function public.invite_redeem_locked_until(text, text) from public, anon, authenticated;
+
+-- Hosts can revoke an invitation: its code and links stop working. Members who already joined keep access
+-- (remove them from the group for that). Regenerating the code re-issues a revoked or expired invitation.
+create or replace function public.revoke_invitation(invitation_id_input uuid)
+returns public.invitations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare inv public.invitations;
+begin
+  if not exists (
+    select 1 from public.invitations i where i.id = invitation_id_input and public.is_group_manager(i.group_id)
+  ) then
+    raise exception 'Only the group host can revoke an invitation';
+  end if;
+
+  update public.invite_links
+    set revoked_at = now()
+    where invitation_id = invitation_id_input
+      and used_at is null
+      and revoked_at is null;
+
+  update public.invitations
+    set revoked_at = now()
+    where id = invitation_id_input
+    returning * into inv;
+
+  return inv;
+end;
+$$;
+
+grant execute on function public.revoke_invitation(uuid) to authenticated;
+
+-- Redeem an invitation without requiring an email-bearing auth user.
+-- Members will authenticate anonymously, then redeem using (email + temp password).
+create or replace function public.redeem_invitation(email_lower_input text, temp_password_input text)
+returns public.invitations
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  inv public.invitations;
+  email_normalized text := lower(trim(coalesce(email_lower_input, '')));
+  client_ip text := public.request_ip();
+  locked_until timestamptz := public.invite_redeem_locked_until(email_normalized, client_ip);
+begin
+  if locked_until is not null then
+    raise exception 'Too many attempts. Try again in % minutes', ceil(extract(epoch from locked_until - now()) / 60)::integer;
+  end if;
+
+  select *
+    into inv
+  from public.invitations
+  where email_lower = email_normalized
+    and temp_password_hash = crypt(temp_password_input, temp_password_hash)
+  order by created_at desc
+  limit 1;
+
+  -- Returning (rather than raising) keeps the failed attempt recorded; callers treat an empty row as invalid.
+  if not found then
+    insert into public.invite_redeem_attempts (email_lower, ip) values (email_normalized, client_ip);
+    return null;
+  end if;
+
+  if inv.revoked_at is not null then
+    raise exception 'This invite was revoked by the host';
+  end if;
+  if inv.expires_at is not null and inv.expires_at <= now() then
+    raise exception 'This invite has expired. Ask your host for a new code';
+  end if;
+
+  -- Allow re-redeeming from a new device/tab (latest session wins).
+  if inv.redeemed_by_uid is null or inv.redeemed_by_uid <> auth.uid() then
+    update public.invitations
+      set redeemed_by_uid = auth.uid(),
+          redeemed_at = now()
+      where id = inv.id
+      returning * into inv;
+  end if;
+
+  return inv;
+end;
+$$;
+
+grant execute on function public.redeem_invitation(text, text) to authenticated;
+
+-- Rounds (recurring feedback cycles for the same group; at most one open round per group)
+create table if not exists public.rounds (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups (id) on delete cascade,
+  number integer not null,
+  questions jsonb not null default '[]'::jsonb, -- snapshot of groups.questions when the round opened
+  opened_at timestamptz not null default now(),
+  closed_at timestamptz null,
+  due_at timestamptz null, -- deadline; feedback is released once it passes (if min_respondents is met)
+  unique (group_id, number)
+);
+
+create index if not exists rounds_group_id_idx on public.rounds (group_id);
+create unique index if not exists rounds_one_open_per_group_uidx on public.rounds (group_id) where closed_at is null;
+
+-- Every group starts with round 1 open.
+create or replace function public.open_first_round()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.rounds (group_id, number, questions)
+  values (new.id, 1, new.questions);
+  return new;
+end;
+$$;
+
+drop trigger if exists groups_open_first_round on public.groups;
+create trigger groups_open_first_round
+after insert on public.groups
+for each row execute function public.open_first_round();
+
+-- Close the group's open round (if any) and open the next one with the group's current questions.
+create or replace function public.open_round(group_id_input uuid, due_at_input timestamptz default null)
+returns public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare g public.groups;
+declare r public.rounds;
+begin
+  select * into g from public.groups where id = group_id_input;
+  if not found or not public.is_group_manager(g.id) then
+    raise exception 'Only the group host can open a round';
+  end if;
+
+  update public.rounds
+    set closed_at = now()
+    where group_id = g.id
+      and closed_at is null;
+
+  insert into public.rounds (group_id, number, questions, due_at)
+  values (
+    g.id,
+    coalesce((select max(number) from public.rounds where group_id = g.id), 0) + 1,
+    g.questions,
+    due_at_input
+  )
+  returning * into r;
+
+  return r;
+end;
+$$;
+
+grant execute on function public.open_round(uuid, timestamptz) to authenticated;
+
+create or replace function public.close_round(group_id_input uuid)
+returns public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare r public.rounds;
+begin
+  if not exists (select 1 from public.groups g where g.id = group_id_input and public.is_group_manager(g.id)) then
+    raise exception 'Only the group host can close a round';
+  end if;
+
+  update public.rounds
+    set closed_at = now()
+    where group_id = group_id_input
+      and closed_at is null
+    returning * into r;
+
+  if not found then
+    raise exception 'This group has no open round';
+  end if;
+
+  return r;
+end;
+$$;
+
+grant execute on function public.close_round(uuid) to authenticated;
+
+-- Submissions (one per respondent per round; used for progress without exposing feedback contents)
+create table if not exists public.submissions (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups (id) on delete cascade,
+  round_id uuid not null references public.rounds (id) on delete cascade,
+  respondent_uid uuid not null references auth.users (id) on delete cascade,
+  submitted_at timestamptz not null default now(),
+  unique (round_id, respondent_uid)
+);
+
+create index if not exists submissions_group_id_idx on public.submissions (group_id);
+create index if not exists submissions_round_id_idx on public.submissions (round_id);
+create index if not exists submissions_respondent_uid_idx on public.submissions (respondent_uid);
+
+-- Reminder log (written by the send-reminders function with the service role, so a reminder goes out once)
+create table if not exists public.round_reminders (
+  round_id uuid not null references public.rounds (id) on delete cascade,
+  email_lower text not null,
+  days_before integer not null,
+  sent_at timestamptz not null default now(),
+  primary key (round_id, email_lower, days_before)
+);
+
+-- Release rules: feedback from a round becomes readable once at least `min_respondents` people responded
+-- (k-anonymity floor, never waived) and one of these holds: the round is closed, everyone responded,
+-- `release_threshold` responses are in, or the round's deadline has passed.
+create or replace function public.round_is_released(round_id_input uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((
+    select c.responded >= g.min_respondents
+      and (
+        r.closed_at is not null
+        or c.responded >= (select count(*) from public.group_members m where m.group_id = g.id)
+        or (g.release_threshold is not null and c.responded >= g.release_threshold)
+        or (r.due_at is not null and now() >= r.due_at)
+      )
+    from public.rounds r
+    join public.groups g on g.id = r.group_id
+    cross join lateral (
+      select count(*)::integer as responded
+      from public.submissions s
+      where s.round_id = r.id
+    ) c
+    where r.id = round_id_input
+  ), false);
+$$;
+
+grant execute on function public.round_is_released(uuid) to authenticated;
+
+create or replace function public.set_round_due_at(round_id_input uuid, due_at_input timestamptz)
+returns public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare r public.rounds;
+begin
+  if not exists (
+    select 1
+    from public.rounds x
+    join public.groups g on g.id = x.group_id
+    where x.id = round_id_input
+      and public.is_group_manager(g.id)
+  ) then
+    raise exception 'Only the group host can change the deadline';
+  end if;
+
+  update public.rounds
+    set due_at = due_at_input
+    where id = round_id_input
+    returning * into r;
+
+  return r;
+end;
+$$;
+
+grant execute on function public.set_round_due_at(uuid, timestamptz) to authenticated;
+
+-- Feedback (per-recipient rows; deliberately no respondent id or timestamp so rows can't be linked to `submissions`)
+create table if not exists public.feedback (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups (id) on delete cascade,
+  round_id uuid not null references public.rounds (id) on delete cascade,
+  recipient_email_lower text not null,
+  strengths text not null default '',
+  improvements text not null default '',
+  answers jsonb not null default '{}'::jsonb, -- { [questionId]: answer }
+  score integer not null
+);
+
+create index if not exists feedback_group_id_idx on public.feedback (group_id);
+create index if not exists feedback_round_id_idx on public.feedback (round_id);
+create index if not exists feedback_recipient_email_lower_idx on public.feedback (recipient_email_lower);
+
+-- Submit feedback for the group's open round in one transaction.
+-- Runs as definer so feedback rows can be written without recording who wrote them: participation is tracked
+-- in `submissions`, while `feedback` rows carry no respondent id or timestamp that could link them back.
+create or replace function public.submit_feedback(group_id_input uuid, items jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare g public.groups;
+declare item jsonb;
+declare item_answers jsonb;
+declare recipient text;
+declare inserted_count integer;
+declare open_round_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'You must be signed in to submit feedback';
+  end if;
+
+  select * into g from public.groups where id = group_id_input;
+  if not found then
+    raise exception 'Group not found';
+  end if;
+
+  if not (
+    exists (
+      select 1 from public.invitations i
+      where i.group_id = g.id
+        and i.redeemed_by_uid = auth.uid()
+    )
+    or (
+      public.is_group_manager(g.id)
+      and exists (
+        select 1 from public.group_members m
+        where m.group_id = g.id
+          and m.email_lower = lower(auth.jwt()->>'email')
+      )
+    )
+  ) then
+    raise exception 'You are not a member of this group';
+  end if;
+
+  select r.id
+    into open_round_id
+  from public.rounds r
+  where r.group_id = g.id
+    and r.closed_at is null;
+
+  if open_round_id is null then
+    raise exception 'This group has no open feedback round';
+  end if;
+
+  insert into public.submissions (group_id, round_id, respondent_uid)
+  values (g.id, open_round_id, auth.uid())
+  on conflict (round_id, respondent_uid) do nothing;
+
+  get diagnostics inserted_count = row_count;
+  if inserted_count = 0 then
+    raise exception 'You have already submitted feedback for this round';
+  end if;
+
+  for item in select * from jsonb_array_elements(items)
+  loop
+    item_answers := coalesce(item->'answers', '{}'::jsonb);
+    if jsonb_typeof(item_answers) <> 'object' then
+      raise exception 'Feedback answers must be an object keyed by question id';
+    end if;
+
+    recipient := lower(coalesce(item->>'recipientEmailLower', item->>'recipient_email_lower'));
+    if recipient is null or not exists (
+      select 1 from public.group_members m where m.group_id = g.id and m.email_lower = recipient
+    ) then
+      raise exception 'Feedback recipient is not a member of this group';
+    end if;
+
+    insert into public.feedback (
+      group_id,
+      round_id,
+      recipient_email_lower,
+      strengths,
+      improvements,
+      answers,
+      score
+    ) values (
+      g.id,
+      open_round_id,
+      recipient,
+      coalesce(item->>'strengths', item_answers->>'strengths', ''),
+      coalesce(item->>'improvements', item_answers->>'improvements', ''),
+      item_answers,
+      (coalesce(item->>'score','0'))::integer
+    );
+  end loop;
+end;
+$$;
+
+grant execute on function public.submit_feedback(uuid, jsonb) to authenticated;
+
+-- Feedback is never selected directly: the table has no read policies, so neither hosts nor members can scan it.
+-- Recipients read their own rows through this function, which returns them in random order so row order
+-- can't be matched against the order of `submissions`, and only for rounds that passed the release rules.
+create or replace function public.list_my_feedback(group_ids uuid[], round_id_input uuid default null)
+returns table (
+  id uuid,
+  group_id uuid,
+  round_id uuid,
+  recipient_email_lower text,
+  strengths text,
+  improvements text,
+  answers jsonb,
+  score integer
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select f.id, f.group_id, f.round_id, f.recipient_email_lower, f.strengths, f.improvements, f.answers, f.score
+  from public.feedback f
+  where f.group_id = any(group_ids)
+    and (round_id_input is null or f.round_id = round_id_input)
+    and (
+      exists (
+        select 1 from public.invitations i
+        where i.group_id = f.group_id
+          and i.redeemed_by_uid = auth.uid()
+          and i.email_lower = f.recipient_email_lower
+      )
+      or exists (
+        select 1 from public.profiles p
+        where p.id = auth.uid()
+          and p.email_lower = f.recipient_email_lower
+      )
+    )
+    and public.round_is_released(f.round_id)
+  order by random();
+$$;
+
+grant execute on function public.list_my_feedback(uuid[], uuid) to authenticated;
+
+-- Hosts only get per-recipient aggregates, never individual rows, and under the same release rules.
+create or replace function public.group_feedback_summary(group_id_input uuid, round_id_input uuid)
+returns table (
+  recipient_email_lower text,
+  responses integer,
+  average_score numeric
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.groups g where g.id = group_id_input and public.is_group_manager(g.id)) then
+    raise exception 'Only the group host can read feedback summaries';
+  end if;
+
+  return query
+    select f.recipient_email_lower, count(*)::integer, round(avg(f.score), 1)
+    from public.feedback f
+    where f.group_id = group_id_input
+      and f.round_id = round_id_input
+      and public.round_is_released(f.round_id)
+    group by f.recipient_email_lower;
+end;
+$$;
+
+grant execute on function public.group_feedback_summary(uuid, uuid) to authenticated;
+
+-- Anyone signed in with an email account can start an org; they become its first admin.
+create or replace function public.create_organization(name_input text)
+returns public.organizations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  creator_email text := lower(coalesce(auth.jwt()->>'email', ''));
+  org public.organizations;
+begin
+  if auth.uid() is null or creator_email = '' then
+    raise exception 'Sign in with an email account to create an organization';
+  end if;
+  if trim(coalesce(name_input, '')) = '' then
+    raise exception 'Organization name is required';
+  end if;
+
+  insert into public.organizations (name, created_by)
+  values (trim(name_input), auth.uid())
+  returning * into org;
+
+  insert into public.organization_members (org_id, user_id, email_lower, role)
+  values (org.id, auth.uid(), creator_email, 'admin');
+
+  return org;
+end;
+$$;
+
+grant execute on function public.create_organization(text) to authenticated;
+
+-- Admins add people (by the email on their account) or change their role.
+create or replace function public.set_organization_member(org_id_input uuid, email_input text, role_input text)
+returns public.organization_members
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  email_normalized text := lower(trim(coalesce(email_input, '')));
+  target_uid uuid;
+  result public.organization_members;
+begin
+  if public.org_role(org_id_input) is distinct from 'admin' then
+    raise exception 'Only organization admins can manage members';
+  end if;
+  if role_input not in ('admin', 'member') then
+    raise exception 'Role must be admin or member';
+  end if;
+
+  select p.id into target_uid from public.profiles p where p.email_lower = email_normalized;
+  if target_uid is null then
+    raise exception 'No account uses that email yet. Ask them to sign up first';
+  end if;
+
+  if role_input = 'member' and not exists (
+    select 1 from public.organization_members m
+    where m.org_id = org_id_input
+      and m.role = 'admin'
+      and m.user_id <> target_uid
+  ) then
+    raise exception 'An organization needs at least one admin';
+  end if;
+
+  insert into public.organization_members (org_id, user_id, email_lower, role)
+  values (org_id_input, target_uid, email_normalized, role_input)
+  on conflict (org_id, user_id) do update set role = excluded.role
+  returning * into result;
+
+  return result;
+end;
+$$;
+
+grant execute on function public.set_organization_member(uuid, text, text) to authenticated;
+
+-- Admins remove anyone; members can leave. Their groups stay in the org.
+create or replace function public.remove_organization_member(org_id_input uuid, user_id_input uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if public.org_role(org_id_input) is distinct from 'admin' and user_id_input is distinct from auth.uid() then
+    raise exception 'Only organization admins can manage members';
+  end if;
+
+  if not exists (
+    select 1 from public.organization_members m
+    where m.org_id = org_id_input
+      and m.role = 'admin'
+      and m.user_id <> user_id_input
+  ) then
+    raise exception 'An organization needs at least one admin';
+  end if;
+
+  delete from public.organization_members where org_id = org_id_input and user_id = user_id_input;
+end;
+$$;
+
+grant execute on function public.remove_organization_member(uuid, uuid) to authenticated;
+
+-- Org admin dashboard: participation in each group's current round. Counts only, never feedback content.
+create or replace function public.organization_participation(org_id_input uuid)
+returns table (
+  group_id uuid,
+  group_name text,
+  owner_email_lower text,
+  member_count integer,
+  round_number integer,
+  round_open boolean,
+  due_at timestamptz,
+  responded integer,
+  released boolean
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if public.org_role(org_id_input) is distinct from 'admin' then
+    raise exception 'Only organization admins can view participation';
+  end if;
+
+  return query
+    select
+      g.id,
+      g.name,
+      g.host_email_lower,
+      (select count(*)::integer from public.group_members m where m.group_id = g.id),
+      r.number,
+      r.id is not null and r.closed_at is null,
+      r.due_at,
+      (select count(*)::integer from public.submissions s where s.round_id = r.id),
+      r.id is not null and public.round_is_released(r.id)
+    from public.groups g
+    left join lateral (
+      select x.* from public.rounds x where x.group_id = g.id order by x.number desc limit 1
+    ) r on true
+    where g.org_id = org_id_input
+    order by g.name;
+end;
+$$;
+
+grant execute on function public.organization_participation(uuid) to authenticated;
+
+-- RLS
+alter table public.profiles enable row level security;
+alter table public.groups enable row level security;
+alter table public.invitations enable row level security;
+alter table public.rounds enable row level security;
+alter table public.submissions enable row level security;
+alter table public.feedback enable row level security;
+alter table public.round_reminders enable row level security; -- no policies: only the service role touches it
+alter table public.invite_links enable row level security;
+alter table public.invite_redeem_attempts enable row level security; -- no policies: only definer functions
+alter table public.group_roles enable row level security;
+alter table public.group_members enable row level security;
+alter table public.organizations enable row level security;
+alter table public.organization_members enable row level security;
+
+-- Profiles policies
+drop policy if exists "profiles_select_own" on public.profiles;
+create policy "profiles_select_own"
+on public.profiles for select
+to authenticated
+using (id = auth.uid());
+
+drop policy if exists "profiles_upsert_own" on public.profiles;
+create policy "profiles_upsert_own"
+on public.profiles for insert
+to authenticated
+with check (id = auth.uid());
+
+drop policy if exists "profiles_update_own" on public.profiles;
+create policy "profiles_update_own"
+on public.profiles for update
+to authenticated
+using (id = auth.uid())
+with check (id = auth.uid());
+
+-- Groups policies (owners and co-hosts, see group_roles, manage a group; only the owner deletes it)
+drop policy if exists "groups_read_host_or_member" on public.groups;
+create policy "groups_read_host_or_member"
+on public.groups for select
+to authenticated
+using (
+  host_uid = auth.uid()
+  or public.is_group_manager(id)
+  or exists (
+    select 1 from public.invitations i
+    where i.group_id = groups.id
+      and i.redeemed_by_uid = auth.uid()
+  )
+);
+
+drop policy if exists "groups_create_host" on public.groups;
+create policy "groups_create_host"
+on public.groups for insert
+to authenticated
+with check (host_uid = auth.uid());
+
+-- host_uid only changes through transfer_group_ownership.
+drop policy if exists "groups_update_delete_host" on public.groups;
+create policy "groups_update_delete_host"
+on public.groups for update
+to authenticated
+using (public.is_group_manager(id))
+with check (public.is_group_manager(id) and host_uid = public.group_owner_uid(id));
+
+drop policy if exists "groups_delete_host" on public.groups;
+create policy "groups_delete_host"
+on public.groups for delete
+to authenticated
+using (host_uid = auth.uid());
+
+-- Invitations policies
+drop policy if exists "invites_read_host_or_invitee" on public.invitations;
+create policy "invites_read_host_or_invitee"
+on public.invitations for select
+to authenticated
+using (
+  public.is_group_manager(group_id)
+  or redeemed_by_uid = auth.uid()
+);
+
+drop policy if exists "invites_create_host" on public.invitations;
+create policy "invites_create_host"
+on public.invitations for insert
+to authenticated
+with check (public.is_group_manager(group_id) and host_uid = public.group_owner_uid(group_id));
+
+drop policy if exists "invites_update_host" on public.invitations;
+create policy "invites_update_host"
+on public.invitations for update
+to authenticated
+using (public.is_group_manager(group_id))
+with check (public.is_group_manager(group_id));
+
+drop policy if exists "invites_delete_host" on public.invitations;
+create policy "invites_delete_host"
+on public.invitations for delete
+to authenticated
+using (public.is_group_manager(group_id));
+
+-- Invite link policies (hosts see link status; links are written only through the functions above)
+drop policy if exists "invite_links_read_host" on public.invite_links;
+create policy "invite_links_read_host"
+on public.invite_links for select
+to authenticated
+using (
+  exists (
+    select 1 from public.invitations i
+    where i.id = invite_links.invitation_id
+      and public.is_group_manager(i.group_id)
+  )
+);
+
+-- Rounds policies (readable by the same people who can read the group; written via open_round/close_round)
+drop policy if exists "rounds_read_host_or_member" on public.rounds;
+create policy "rounds_read_host_or_member"
+on public.rounds for select
+to authenticated
+using (
+  exists (
+    select 1 from public.groups g
+    where g.id = rounds.group_id
+      and (
+        public.is_group_manager(g.id)
+        or exists (
+          select 1 from public.invitations i
+          where i.group_id = g.id
+            and i.redeemed_by_uid = auth.uid()
+        )
+      )
+  )
+);
+
+-- Submissions policies (progress visibility)
+drop policy if exists "submissions_read_host_or_member" on public.submissions;
+create policy "submissions_read_host_or_member"
+on public.submissions for select
+to authenticated
+using (
+  exists (
+    select 1 from public.groups g
+    where g.id = submissions.group_id
+      and (
+        public.is_group_manager(g.id)
+        or exists (
+          select 1 from public.invitations i
+          where i.group_id = g.id
+            and i.redeemed_by_uid = auth.uid()
+        )
+      )
+  )
+);
+
+drop policy if exists "submissions_create_member" on public.submissions;
+create policy "submissions_create_member"
+on public.submissions for insert
+to authenticated
+with check (
+  respondent_uid = auth.uid()
+  and (
+    exists (
+      select 1 from public.invitations i
+      where i.group_id = submissions.group_id
+        and i.redeemed_by_uid = auth.uid()
+    )
+    or exists (
+      select 1 from public.groups g
+      where g.id = submissions.group_id
+        and public.is_group_manager(g.id)
+        and exists (
+          select 1 from public.group_members m
+          where m.group_id = g.id
+            and m.email_lower = lower(auth.jwt()->>'email')
+        )
+    )
+  )
+);
+
+-- Group roles policies (managers see everyone's role in their groups; everyone sees their own)
+drop policy if exists "group_roles_read_self_or_manager" on public.group_roles;
+create policy "group_roles_read_self_or_manager"
+on public.group_roles for select
+to authenticated
+using (
+  user_id = auth.uid()
+  or public.is_group_manager(group_id)
+);
+
+-- Group members policies (the roster is visible to everyone in the group; managers edit it)
+drop policy if exists "group_members_read_host_or_member" on public.group_members;
+create policy "group_members_read_host_or_member"
+on public.group_members for select
+to authenticated
+using (
+  public.is_group_manager(group_id)
+  or exists (
+    select 1 from public.invitations i
+    where i.group_id = group_members.group_id
+      and i.redeemed_by_uid = auth.uid()
+  )
+);
+
+drop policy if exists "group_members_create_host" on public.group_members;
+create policy "group_members_create_host"
+on public.group_members for insert
+to authenticated
+with check (public.is_group_manager(group_id));
+
+drop policy if exists "group_members_update_host" on public.group_members;
+create policy "group_members_update_host"
+on public.group_members for update
+to authenticated
+using (public.is_group_manager(group_id))
+with check (public.is_group_manager(group_id));
+
+drop policy if exists "group_members_delete_host" on public.group_members;
+create policy "group_members_delete_host"
+on public.group_members for delete
+to authenticated
+using (public.is_group_manager(group_id));
+
+-- Organization policies (visible to the org's members only; written through the functions above)
+drop policy if exists "organizations_read_member" on public.organizations;
+create policy "organizations_read_member"
+on public.organizations for select
+to authenticated
+using (public.org_role(id) is not null);
+
+drop policy if exists "organizations_update_admin" on public.organizations;
+create policy "organizations_update_admin"
+on public.organizations for update
+to authenticated
+using (public.org_role(id) = 'admin')
+with check (public.org_role(id) = 'admin');
+
+drop policy if exists "organizations_delete_admin" on public.organizations;
+create policy "organizations_delete_admin"
+on public.organizations for delete
+to authenticated
+using (public.org_role(id) = 'admin');
+
+drop policy if exists "organization_members_read_member" on public.organization_members;
+create policy "organization_members_read_member"
+on public.organization_members for select
+to authenticated
+using (public.org_role(org_id) is not null);
+
+-- Feedback: no policies on purpose. Rows are written by submit_feedback and read through list_my_feedback /
+-- group_feedback_summary, so direct table access is revoked as well.
+revoke all on public.feedback from anon, authenticated;
+
+insert into public.schema_migrations (version, name) values (1, 'initial') on conflict (version) do nothing;
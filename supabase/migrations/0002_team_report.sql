@@ -0,0 +1,82 @@
+-- Migration 0002: aggregates for the host team report. Hosts still never read feedback rows or free-text answers:
+-- they get per-recipient score statistics and team-wide counts of structured answers, under the same release rules.
+
+-- group_feedback_summary also returns the spread of each recipient's scores (population standard deviation).
+drop function if exists public.group_feedback_summary(uuid, uuid);
+
+create function public.group_feedback_summary(group_id_input uuid, round_id_input uuid)
+returns table (
+  recipient_email_lower text,
+  responses integer,
+  average_score numeric,
+  score_spread numeric
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.groups g where g.id = group_id_input and public.is_group_manager(g.id)) then
+    raise exception 'Only the group host can read feedback summaries';
+  end if;
+
+  return query
+    select f.recipient_email_lower, count(*)::integer, round(avg(f.score), 1), round(stddev_pop(f.score), 1)
+    from public.feedback f
+    where f.group_id = group_id_input
+      and f.round_id = round_id_input
+      and public.round_is_released(f.round_id)
+    group by f.recipient_email_lower;
+end;
+$$;
+
+grant execute on function public.group_feedback_summary(uuid, uuid) to authenticated;
+
+-- How often each answer was given to the round's 1–5 scale, multiple-choice and yes/no questions, counted over the
+-- whole team rather than per recipient. Answers that don't fit their question (free text sent for a choice, say)
+-- are skipped, so nothing a respondent typed comes back through here.
+create or replace function public.group_answer_summary(group_id_input uuid, round_id_input uuid)
+returns table (
+  question_id text,
+  answer text,
+  responses integer
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.groups g where g.id = group_id_input and public.is_group_manager(g.id)) then
+    raise exception 'Only the group host can read feedback summaries';
+  end if;
+
+  return query
+    select q.value->>'id', f.answers->>(q.value->>'id'), count(*)::integer
+    from public.rounds r
+    cross join lateral jsonb_array_elements(r.questions) q
+    join public.feedback f on f.round_id = r.id
+    where r.id = round_id_input
+      and r.group_id = group_id_input
+      and public.round_is_released(r.id)
+      and (
+        (
+          q.value->>'type' = 'likert'
+          and jsonb_typeof(f.answers->(q.value->>'id')) = 'number'
+          and f.answers->>(q.value->>'id') in ('1', '2', '3', '4', '5')
+        )
+        or (q.value->>'type' = 'yesno' and jsonb_typeof(f.answers->(q.value->>'id')) = 'boolean')
+        or (
+          q.value->>'type' = 'choice'
+          and jsonb_typeof(f.answers->(q.value->>'id')) = 'string'
+          and coalesce(q.value->'options', '[]'::jsonb) ? (f.answers->>(q.value->>'id'))
+        )
+      )
+    group by 1, 2;
+end;
+$$;
+
+grant execute on function public.group_answer_summary(uuid, uuid) to authenticated;
+
+insert into public.schema_migrations (version, name) values (2, 'team_report') on conflict (version) do nothing;
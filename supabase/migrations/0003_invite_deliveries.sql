@@ -0,0 +1,30 @@
+-- Migration 0003: a record of every invite email the send-invites function tries to send, so hosts can see what
+-- was delivered and what failed after the function has returned.
+
+-- One row per send attempt. Retries of a transient failure are separate rows with a higher `attempt`.
+create table if not exists public.invite_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  invitation_id uuid not null references public.invitations (id) on delete cascade,
+  group_id uuid not null references public.groups (id) on delete cascade,
+  email_lower text not null,
+  provider text not null,
+  message_id text null,
+  status text not null check (status in ('sent', 'failed')),
+  error text null,
+  attempt integer not null default 1 check (attempt >= 1),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists invite_deliveries_group_id_idx on public.invite_deliveries (group_id, created_at desc);
+create index if not exists invite_deliveries_invitation_id_idx on public.invite_deliveries (invitation_id);
+
+-- Written only by send-invites (service role); owners and co-hosts read their groups' rows.
+alter table public.invite_deliveries enable row level security;
+
+drop policy if exists "invite_deliveries_read_host" on public.invite_deliveries;
+create policy "invite_deliveries_read_host"
+on public.invite_deliveries for select
+to authenticated
+using (public.is_group_manager(group_id));
+
+insert into public.schema_migrations (version, name) values (3, 'invite_deliveries') on conflict (version) do nothing;
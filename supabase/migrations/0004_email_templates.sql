@@ -0,0 +1,13 @@
+-- Migration 0004: per-group email settings (language, intro, sign-off and brand color) used by every email the
+-- functions send for the group. The shape is checked by the app (src/emailTemplates.js); the database only keeps
+-- it an object of reasonable size. Hosts edit it through the existing groups update policy.
+
+alter table public.groups
+  add column if not exists email_template jsonb not null default '{}'::jsonb;
+
+alter table public.groups drop constraint if exists groups_email_template_check;
+alter table public.groups
+  add constraint groups_email_template_check
+  check (jsonb_typeof(email_template) = 'object' and pg_column_size(email_template) <= 8192);
+
+insert into public.schema_migrations (version, name) values (4, 'email_templates') on conflict (version) do nothing;
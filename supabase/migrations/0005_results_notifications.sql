@@ -0,0 +1,70 @@
+-- Migration 0005: "your feedback is ready" emails. The send-results-ready function (scheduled, see netlify.toml)
+-- finds rounds whose feedback was released, emails each member who joined the group and records it, skipping
+-- anyone who turned these emails off.
+
+-- Per-user notification settings. No row means the defaults (everything on).
+create table if not exists public.notification_preferences (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  results_ready boolean not null default true,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.notification_preferences enable row level security;
+
+drop policy if exists "notification_preferences_select_own" on public.notification_preferences;
+create policy "notification_preferences_select_own"
+on public.notification_preferences for select
+to authenticated
+using (user_id = auth.uid());
+
+drop policy if exists "notification_preferences_insert_own" on public.notification_preferences;
+create policy "notification_preferences_insert_own"
+on public.notification_preferences for insert
+to authenticated
+with check (user_id = auth.uid());
+
+drop policy if exists "notification_preferences_update_own" on public.notification_preferences;
+create policy "notification_preferences_update_own"
+on public.notification_preferences for update
+to authenticated
+using (user_id = auth.uid())
+with check (user_id = auth.uid());
+
+-- Notification log (written by send-results-ready with the service role, so each member is emailed once per round)
+create table if not exists public.round_notifications (
+  round_id uuid not null references public.rounds (id) on delete cascade,
+  email_lower text not null,
+  kind text not null default 'results_ready' check (kind in ('results_ready')),
+  sent_at timestamptz not null default now(),
+  primary key (round_id, email_lower, kind)
+);
+
+alter table public.round_notifications enable row level security; -- no policies: only the service role touches it
+
+-- Set once every member of a released round has been handled, so the function stops looking at the round.
+alter table public.rounds add column if not exists results_notified_at timestamptz null;
+
+-- Rounds released before this migration don't send anything.
+update public.rounds
+set results_notified_at = now()
+where results_notified_at is null and public.round_is_released(id);
+
+-- Released rounds that still have members to notify.
+create or replace function public.rounds_pending_results_notification()
+returns table (round_id uuid, group_id uuid, number integer)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select r.id, r.group_id, r.number
+  from public.rounds r
+  where r.results_notified_at is null
+    and public.round_is_released(r.id)
+  order by r.opened_at;
+$$;
+
+revoke execute on function public.rounds_pending_results_notification() from public, anon, authenticated;
+grant execute on function public.rounds_pending_results_notification() to service_role;
+
+insert into public.schema_migrations (version, name) values (5, 'results_notifications') on conflict (version) do nothing;
@@ -0,0 +1,24 @@
+-- Migration 0006: who redeemed an invitation decides whose feedback a member reads (list_my_feedback), so only the
+-- redeem functions may set it. Clients used to be able to insert or update invitations with any redeemed_by_uid,
+-- which let a host claim a member's invitation and read that member's feedback.
+
+-- Hosts create invitations with an email, a name and a plaintext code (hashed by a trigger). Everything else is
+-- set by the database: redeemed_by_uid/redeemed_at by the redeem functions, revoked_at and new codes by
+-- revoke_invitation/regenerate_invitation_code. Existing invitations are never edited directly.
+revoke insert, update on public.invitations from anon, authenticated;
+grant insert (id, group_id, host_uid, host_email_lower, email_lower, name, temp_password) on public.invitations to authenticated;
+
+drop policy if exists "invites_create_host" on public.invitations;
+create policy "invites_create_host"
+on public.invitations for insert
+to authenticated
+with check (
+  public.is_group_manager(group_id)
+  and host_uid = public.group_owner_uid(group_id)
+  and redeemed_by_uid is null
+  and redeemed_at is null
+);
+
+drop policy if exists "invites_update_host" on public.invitations;
+
+insert into public.schema_migrations (version, name) values (6, 'invitation_identity') on conflict (version) do nothing;
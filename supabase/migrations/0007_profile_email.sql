@@ -0,0 +1,60 @@
+-- Migration 0007: a profile's email has to be the signed-in account's own. The profile policies only checked the id,
+-- so anyone could file a profile under someone else's email (members who joined with a code have no profile to
+-- collide with) and then read that person's feedback, or be found by it when a host adds a co-host.
+
+-- Profiles that don't match their account's email are forged or stale; the app writes them again from the auth
+-- email on the next sign-in.
+delete from public.profiles p
+using auth.users u
+where u.id = p.id
+  and p.email_lower is distinct from lower(u.email);
+
+drop policy if exists "profiles_upsert_own" on public.profiles;
+create policy "profiles_upsert_own"
+on public.profiles for insert
+to authenticated
+with check (id = auth.uid() and email_lower = lower(auth.jwt()->>'email'));
+
+drop policy if exists "profiles_update_own" on public.profiles;
+create policy "profiles_update_own"
+on public.profiles for update
+to authenticated
+using (id = auth.uid())
+with check (id = auth.uid() and email_lower = lower(auth.jwt()->>'email'));
+
+-- Recipients are recognized by the invitation they redeemed or by the email on their session, never by a row they
+-- wrote themselves.
+create or replace function public.list_my_feedback(group_ids uuid[], round_id_input uuid default null)
+returns table (
+  id uuid,
+  group_id uuid,
+  round_id uuid,
+  recipient_email_lower text,
+  strengths text,
+  improvements text,
+  answers jsonb,
+  score integer
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select f.id, f.group_id, f.round_id, f.recipient_email_lower, f.strengths, f.improvements, f.answers, f.score
+  from public.feedback f
+  where f.group_id = any(group_ids)
+    and (round_id_input is null or f.round_id = round_id_input)
+    and (
+      exists (
+        select 1 from public.invitations i
+        where i.group_id = f.group_id
+          and i.redeemed_by_uid = auth.uid()
+          and i.email_lower = f.recipient_email_lower
+      )
+      or f.recipient_email_lower = lower(auth.jwt()->>'email')
+    )
+    and public.round_is_released(f.round_id)
+  order by random();
+$$;
+
+insert into public.schema_migrations (version, name) values (7, 'profile_email') on conflict (version) do nothing;
@@ -0,0 +1,154 @@
+-- Migration 0008: released feedback no longer changes. A round used to stay open after its threshold or deadline
+-- released it, so every later submission moved the averages hosts and recipients could read, and comparing reads
+-- before and after (with the submission times visible to everyone in the group) tied the new answers to whoever had
+-- just responded. Now a round is frozen once released, and only respondents see their own submission rows.
+
+-- The submission that releases a round (threshold reached, or everyone responded) closes it. A round released by
+-- its deadline stays open until the host closes it, but takes no more submissions.
+create or replace function public.submit_feedback(group_id_input uuid, items jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare g public.groups;
+declare item jsonb;
+declare item_answers jsonb;
+declare recipient text;
+declare inserted_count integer;
+declare open_round_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'You must be signed in to submit feedback';
+  end if;
+
+  select * into g from public.groups where id = group_id_input;
+  if not found then
+    raise exception 'Group not found';
+  end if;
+
+  if not (
+    exists (
+      select 1 from public.invitations i
+      where i.group_id = g.id
+        and i.redeemed_by_uid = auth.uid()
+    )
+    or (
+      public.is_group_manager(g.id)
+      and exists (
+        select 1 from public.group_members m
+        where m.group_id = g.id
+          and m.email_lower = lower(auth.jwt()->>'email')
+      )
+    )
+  ) then
+    raise exception 'You are not a member of this group';
+  end if;
+
+  -- Locked so concurrent submissions see each other when checking the release rules below.
+  select r.id
+    into open_round_id
+  from public.rounds r
+  where r.group_id = g.id
+    and r.closed_at is null
+  for update;
+
+  if open_round_id is null then
+    raise exception 'This group has no open feedback round';
+  end if;
+
+  if public.round_is_released(open_round_id) then
+    raise exception 'Feedback for this round has already been released';
+  end if;
+
+  insert into public.submissions (group_id, round_id, respondent_uid)
+  values (g.id, open_round_id, auth.uid())
+  on conflict (round_id, respondent_uid) do nothing;
+
+  get diagnostics inserted_count = row_count;
+  if inserted_count = 0 then
+    raise exception 'You have already submitted feedback for this round';
+  end if;
+
+  for item in select * from jsonb_array_elements(items)
+  loop
+    item_answers := coalesce(item->'answers', '{}'::jsonb);
+    if jsonb_typeof(item_answers) <> 'object' then
+      raise exception 'Feedback answers must be an object keyed by question id';
+    end if;
+
+    recipient := lower(coalesce(item->>'recipientEmailLower', item->>'recipient_email_lower'));
+    if recipient is null or not exists (
+      select 1 from public.group_members m where m.group_id = g.id and m.email_lower = recipient
+    ) then
+      raise exception 'Feedback recipient is not a member of this group';
+    end if;
+
+    insert into public.feedback (
+      group_id,
+      round_id,
+      recipient_email_lower,
+      strengths,
+      improvements,
+      answers,
+      score
+    ) values (
+      g.id,
+      open_round_id,
+      recipient,
+      coalesce(item->>'strengths', item_answers->>'strengths', ''),
+      coalesce(item->>'improvements', item_answers->>'improvements', ''),
+      item_answers,
+      (coalesce(item->>'score','0'))::integer
+    );
+  end loop;
+
+  if public.round_is_released(open_round_id) then
+    update public.rounds set closed_at = now() where id = open_round_id;
+  end if;
+end;
+$$;
+
+grant execute on function public.submit_feedback(uuid, jsonb) to authenticated;
+
+-- Respondents see their own submission; everyone else only the counts from round_response_counts.
+drop policy if exists "submissions_read_host_or_member" on public.submissions;
+drop policy if exists "submissions_read_own" on public.submissions;
+create policy "submissions_read_own"
+on public.submissions for select
+to authenticated
+using (respondent_uid = auth.uid());
+
+-- Progress per round for the groups the caller manages or joined: how many responded and whether the caller did.
+create or replace function public.round_response_counts(group_ids uuid[])
+returns table (
+  group_id uuid,
+  round_id uuid,
+  responded integer,
+  submitted boolean
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    r.group_id,
+    r.id,
+    (select count(*)::integer from public.submissions s where s.round_id = r.id),
+    exists (select 1 from public.submissions s where s.round_id = r.id and s.respondent_uid = auth.uid())
+  from public.rounds r
+  where r.group_id = any(group_ids)
+    and (
+      public.is_group_manager(r.group_id)
+      or exists (
+        select 1 from public.invitations i
+        where i.group_id = r.group_id
+          and i.redeemed_by_uid = auth.uid()
+      )
+    );
+$$;
+
+grant execute on function public.round_response_counts(uuid[]) to authenticated;
+
+insert into public.schema_migrations (version, name) values (8, 'frozen_release') on conflict (version) do nothing;
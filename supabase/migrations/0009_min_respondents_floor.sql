@@ -0,0 +1,12 @@
+-- Migration 0009: at least 3 respondents before any feedback is released. min_respondents defaulted to 1 (and could
+-- be set that low), so a round's "aggregate" could be a single person's answers; the app already defaulted new
+-- groups to 3. Groups below the floor are raised to it, which also hides rounds released with fewer responses.
+
+update public.groups set min_respondents = 3 where min_respondents < 3;
+
+alter table public.groups alter column min_respondents set default 3;
+
+alter table public.groups drop constraint if exists groups_min_respondents_check;
+alter table public.groups add constraint groups_min_respondents_check check (min_respondents >= 3);
+
+insert into public.schema_migrations (version, name) values (9, 'min_respondents_floor') on conflict (version) do nothing;
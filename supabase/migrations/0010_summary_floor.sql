@@ -0,0 +1,45 @@
+-- Migration 0010: per-recipient score statistics only from enough responses to hide who gave which score. With two
+-- responses the spread (half their difference) and the average give both scores away, and anyone who gave one of
+-- them learns the other. Recipients with fewer than 3 responses, or fewer than the group's min_respondents, still
+-- get their response count, but null average and spread.
+
+drop function if exists public.group_feedback_summary(uuid, uuid);
+
+create function public.group_feedback_summary(group_id_input uuid, round_id_input uuid)
+returns table (
+  recipient_email_lower text,
+  responses integer,
+  average_score numeric,
+  score_spread numeric
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  floor_count integer;
+begin
+  if not exists (select 1 from public.groups g where g.id = group_id_input and public.is_group_manager(g.id)) then
+    raise exception 'Only the group host can read feedback summaries';
+  end if;
+
+  select greatest(3, g.min_respondents) into floor_count from public.groups g where g.id = group_id_input;
+
+  return query
+    select
+      f.recipient_email_lower,
+      count(*)::integer,
+      case when count(*) >= floor_count then round(avg(f.score), 1) end,
+      case when count(*) >= floor_count then round(stddev_pop(f.score), 1) end
+    from public.feedback f
+    where f.group_id = group_id_input
+      and f.round_id = round_id_input
+      and public.round_is_released(f.round_id)
+    group by f.recipient_email_lower;
+end;
+$$;
+
+grant execute on function public.group_feedback_summary(uuid, uuid) to authenticated;
+
+insert into public.schema_migrations (version, name) values (10, 'summary_floor') on conflict (version) do nothing;
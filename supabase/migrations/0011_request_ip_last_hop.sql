@@ -0,0 +1,19 @@
+-- Migration 0011: throttle redemptions by the address the API gateway saw, not one the client made up.
+-- request_ip() took the first hop of X-Forwarded-For (or CF-Connecting-IP), which are whatever the client sends, so
+-- rotating them sidestepped the per-IP lockout. The gateway appends the peer address it saw as the last hop.
+
+create or replace function public.request_ip()
+returns text
+language sql
+stable
+as $$
+  select nullif(trim(h.hops[cardinality(h.hops)]), '')
+  from (
+    select string_to_array(
+      coalesce(nullif(current_setting('request.headers', true), '')::json->>'x-forwarded-for', ''),
+      ','
+    ) as hops
+  ) h;
+$$;
+
+insert into public.schema_migrations (version, name) values (11, 'request_ip_last_hop') on conflict (version) do nothing;
@@ -0,0 +1,59 @@
+-- Migration 0012: co-hosts come from the group's own members. add_group_cohost also accepted anyone with an account,
+-- so any co-host could hand management to an outsider, and its different errors told them whether an email had an
+-- account. Now only people on the roster who joined can be promoted, and everyone else gets the same error.
+
+create or replace function public.add_group_cohost(group_id_input uuid, email_input text)
+returns public.group_roles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  email_normalized text := lower(trim(coalesce(email_input, '')));
+  target_uid uuid;
+  result public.group_roles;
+begin
+  if not public.is_group_manager(group_id_input) then
+    raise exception 'Only the group host can add co-hosts';
+  end if;
+
+  select r.user_id
+    into target_uid
+  from public.group_roles r
+  join public.group_members m on m.group_id = r.group_id and m.email_lower = r.email_lower
+  where r.group_id = group_id_input
+    and r.email_lower = email_normalized
+  order by r.created_at desc
+  limit 1;
+
+  if target_uid is null then
+    raise exception 'Only members who joined this group can become co-hosts';
+  end if;
+
+  if exists (
+    select 1 from public.groups g
+    where g.id = group_id_input
+      and g.org_id is not null
+      and not exists (
+        select 1 from public.organization_members m where m.org_id = g.org_id and m.user_id = target_uid
+      )
+  ) then
+    raise exception 'Co-hosts must belong to the group''s organization';
+  end if;
+
+  insert into public.group_roles (group_id, user_id, email_lower, role)
+  values (group_id_input, target_uid, email_normalized, 'cohost')
+  on conflict (group_id, user_id) do update
+    set role = 'cohost'
+    where group_roles.role = 'member'
+  returning * into result;
+
+  if not found then
+    raise exception 'They already manage this group';
+  end if;
+
+  return result;
+end;
+$$;
+
+insert into public.schema_migrations (version, name) values (12, 'cohost_members_only') on conflict (version) do nothing;
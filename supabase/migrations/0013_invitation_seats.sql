@@ -0,0 +1,107 @@
+-- Migration 0013: once someone joins with an invitation, that seat is theirs. A host could regenerate the code of a
+-- member's redeemed invitation (or add a second invitation for the same email) and redeem it themselves; "latest
+-- session wins" then moved redeemed_by_uid to the host, and list_my_feedback returned everything the member
+-- received. Redeemed invitations no longer get new codes, and redeeming never takes over an email another account
+-- already joined the group with.
+
+-- True when another account has redeemed an invitation for this invitation's group and email.
+create or replace function public.invitation_seat_taken(invitation_id_input uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.invitations inv
+    join public.invitations other on other.group_id = inv.group_id and other.email_lower = inv.email_lower
+    where inv.id = invitation_id_input
+      and other.redeemed_by_uid is not null
+      and other.redeemed_by_uid is distinct from auth.uid()
+  );
+$$;
+
+revoke execute on function public.invitation_seat_taken(uuid) from public, anon, authenticated;
+
+create or replace function public.regenerate_invitation_code(invitation_id_input uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare code text;
+begin
+  if not exists (
+    select 1 from public.invitations i where i.id = invitation_id_input and public.is_group_manager(i.group_id)
+  ) then
+    raise exception 'Only the group host can regenerate an invite code';
+  end if;
+  if exists (select 1 from public.invitations i where i.id = invitation_id_input and i.redeemed_by_uid is not null) then
+    raise exception 'This invite has already been used, so it can''t get a new code';
+  end if;
+
+  code := public.generate_invite_code();
+  update public.invitations
+    set temp_password = code,
+        revoked_at = null,
+        expires_at = now() + interval '30 days'
+    where id = invitation_id_input;
+
+  return code;
+end;
+$$;
+
+create or replace function public.redeem_invitation(email_lower_input text, temp_password_input text)
+returns public.invitations
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  inv public.invitations;
+  email_normalized text := lower(trim(coalesce(email_lower_input, '')));
+  client_ip text := public.request_ip();
+  locked_until timestamptz := public.invite_redeem_locked_until(email_normalized, client_ip);
+begin
+  if locked_until is not null then
+    raise exception 'Too many attempts. Try again in % minutes', ceil(extract(epoch from locked_until - now()) / 60)::integer;
+  end if;
+
+  select *
+    into inv
+  from public.invitations
+  where email_lower = email_normalized
+    and temp_password_hash = crypt(temp_password_input, temp_password_hash)
+  order by created_at desc
+  limit 1;
+
+  -- Returning (rather than raising) keeps the failed attempt recorded; callers treat an empty row as invalid.
+  if not found then
+    insert into public.invite_redeem_attempts (email_lower, ip) values (email_normalized, client_ip);
+    return null;
+  end if;
+
+  if inv.revoked_at is not null then
+    raise exception 'This invite was revoked by the host';
+  end if;
+  if inv.expires_at is not null and inv.expires_at <= now() then
+    raise exception 'This invite has expired. Ask your host for a new code';
+  end if;
+  if public.invitation_seat_taken(inv.id) then
+    raise exception 'Someone already joined with this invite. Ask your host if that wasn''t you';
+  end if;
+
+  if inv.redeemed_by_uid is null then
+    update public.invitations
+      set redeemed_by_uid = auth.uid(),
+          redeemed_at = now()
+      where id = inv.id
+      returning * into inv;
+  end if;
+
+  return inv;
+end;
+$$;
+
+insert into public.schema_migrations (version, name) values (13, 'invitation_seats') on conflict (version) do nothing;
@@ -0,0 +1,68 @@
+-- Migration 0014: revoking an invitation sticks until a host restores it. regenerate_invitation_code used to clear
+-- revoked_at, so a routine "new code" (or an emailed resend) quietly re-issued invites the host had revoked. Now it
+-- refuses revoked invitations, and restore_invitation is the one way back.
+
+create or replace function public.regenerate_invitation_code(invitation_id_input uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare code text;
+begin
+  if not exists (
+    select 1 from public.invitations i where i.id = invitation_id_input and public.is_group_manager(i.group_id)
+  ) then
+    raise exception 'Only the group host can regenerate an invite code';
+  end if;
+  if exists (select 1 from public.invitations i where i.id = invitation_id_input and i.redeemed_by_uid is not null) then
+    raise exception 'This invite has already been used, so it can''t get a new code';
+  end if;
+  if exists (select 1 from public.invitations i where i.id = invitation_id_input and i.revoked_at is not null) then
+    raise exception 'This invite was revoked. Restore it before generating a new code';
+  end if;
+
+  code := public.generate_invite_code();
+  update public.invitations
+    set temp_password = code,
+        expires_at = now() + interval '30 days'
+    where id = invitation_id_input;
+
+  return code;
+end;
+$$;
+
+-- Undoes revoke_invitation: the invitation's current code works again for another 30 days. Links revoked along
+-- with it stay revoked; hosts send a new one.
+create or replace function public.restore_invitation(invitation_id_input uuid)
+returns public.invitations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare inv public.invitations;
+begin
+  if not exists (
+    select 1 from public.invitations i where i.id = invitation_id_input and public.is_group_manager(i.group_id)
+  ) then
+    raise exception 'Only the group host can restore an invitation';
+  end if;
+
+  update public.invitations
+    set revoked_at = null,
+        expires_at = now() + interval '30 days'
+    where id = invitation_id_input
+      and revoked_at is not null
+    returning * into inv;
+
+  if not found then
+    raise exception 'This invite isn''t revoked';
+  end if;
+
+  return inv;
+end;
+$$;
+
+grant execute on function public.restore_invitation(uuid) to authenticated;
+
+insert into public.schema_migrations (version, name) values (14, 'invitation_restore') on conflict (version) do nothing;
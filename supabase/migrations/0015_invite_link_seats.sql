@@ -0,0 +1,103 @@
+-- Migration 0015: invite links follow the same rule as codes (0013). A host could issue a link for a member's
+-- redeemed invitation and open it, which moved redeemed_by_uid to the host, and a link sent before the member joined
+-- with their code still worked afterwards. Links are now only issued for invitations nobody has joined with and
+-- that aren't revoked, and redeeming one never takes over an email another account already joined with.
+
+create or replace function public.issue_invite_link(invitation_id_input uuid, valid_for_input interval default interval '7 days')
+returns text
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  inv public.invitations;
+  token text;
+begin
+  select * into inv from public.invitations i where i.id = invitation_id_input;
+  if not found then
+    raise exception 'Invitation not found';
+  end if;
+  if inv.redeemed_by_uid is not null then
+    raise exception 'This invite has already been used, so it can''t get a new link';
+  end if;
+  if inv.revoked_at is not null then
+    raise exception 'This invite was revoked. Restore it before sending a new link';
+  end if;
+
+  update public.invite_links
+    set revoked_at = now()
+    where invitation_id = invitation_id_input
+      and used_at is null
+      and revoked_at is null;
+
+  token := encode(gen_random_bytes(32), 'hex');
+  insert into public.invite_links (invitation_id, token_hash, expires_at)
+  values (invitation_id_input, encode(digest(token, 'sha256'), 'hex'), now() + valid_for_input);
+
+  return token;
+end;
+$$;
+
+revoke execute on function public.issue_invite_link(uuid, interval) from public, anon, authenticated;
+grant execute on function public.issue_invite_link(uuid, interval) to service_role;
+
+create or replace function public.redeem_invite_link(token_input text)
+returns public.invitations
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  link public.invite_links;
+  inv public.invitations;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in before redeeming an invite link';
+  end if;
+
+  select *
+    into link
+  from public.invite_links
+  where token_hash = encode(digest(coalesce(token_input, ''), 'sha256'), 'hex')
+  for update;
+
+  if not found then
+    raise exception 'This invite link is not valid';
+  end if;
+  if link.revoked_at is not null then
+    raise exception 'This invite link was revoked';
+  end if;
+  if link.used_at is not null then
+    raise exception 'This invite link has already been used';
+  end if;
+  if link.expires_at <= now() then
+    raise exception 'This invite link has expired';
+  end if;
+  if exists (
+    select 1 from public.invitations i
+    where i.id = link.invitation_id
+      and (i.revoked_at is not null or (i.expires_at is not null and i.expires_at <= now()))
+  ) then
+    raise exception 'This invite is no longer valid. Ask your host for a new one';
+  end if;
+  if public.invitation_seat_taken(link.invitation_id) then
+    raise exception 'Someone already joined with this invite. Ask your host if that wasn''t you';
+  end if;
+
+  update public.invite_links
+    set used_at = now(),
+        used_by_uid = auth.uid()
+    where id = link.id;
+
+  update public.invitations
+    set redeemed_by_uid = auth.uid(),
+        redeemed_at = now()
+    where id = link.invitation_id
+      and redeemed_by_uid is null;
+
+  select * into inv from public.invitations where id = link.invitation_id;
+  return inv;
+end;
+$$;
+
+insert into public.schema_migrations (version, name) values (15, 'invite_link_seats') on conflict (version) do nothing;
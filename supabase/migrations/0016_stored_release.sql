@@ -0,0 +1,212 @@
+-- Migration 0016: a released round stays released. round_is_released was worked out from the current settings on
+-- every call, so moving a past deadline back out, raising min_respondents or release_threshold, or removing a member
+-- could un-release a round that had been read, and reopen it to submissions that changed what had been read (0008
+-- only froze rounds while they still looked released). Releases are now recorded in rounds.released_at, and the
+-- settings a release depends on can't change while the open round is released: hosts close it first.
+
+alter table public.rounds add column if not exists released_at timestamptz null;
+
+-- Released once released_at is set, or while the rules hold: at least `min_respondents` responded, and the round is
+-- closed, everyone responded, `release_threshold` responses are in, or the deadline has passed. A deadline release
+-- isn't recorded until something writes to the round or the group; until then the guards below keep it in place.
+create or replace function public.round_is_released(round_id_input uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((
+    select r.released_at is not null
+      or (
+        c.responded >= g.min_respondents
+        and (
+          r.closed_at is not null
+          or c.responded >= (select count(*) from public.group_members m where m.group_id = g.id)
+          or (g.release_threshold is not null and c.responded >= g.release_threshold)
+          or (r.due_at is not null and now() >= r.due_at)
+        )
+      )
+    from public.rounds r
+    join public.groups g on g.id = r.group_id
+    cross join lateral (
+      select count(*)::integer as responded
+      from public.submissions s
+      where s.round_id = r.id
+    ) c
+    where r.id = round_id_input
+  ), false);
+$$;
+
+update public.rounds
+set released_at = coalesce(closed_at, now())
+where released_at is null
+  and public.round_is_released(id);
+
+-- Records every release the group's rounds currently meet.
+create or replace function public.record_round_releases(group_id_input uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.rounds
+    set released_at = now()
+    where group_id = group_id_input
+      and released_at is null
+      and public.round_is_released(id);
+$$;
+
+revoke execute on function public.record_round_releases(uuid) from public, anon, authenticated;
+
+create or replace function public.open_round_is_released(group_id_input uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.rounds r
+    where r.group_id = group_id_input
+      and r.closed_at is null
+      and public.round_is_released(r.id)
+  );
+$$;
+
+-- Closing a round (close_round, open_round, or the submission that released it) records the release if enough
+-- people responded, so later settings changes can't take it back.
+create or replace function public.record_release_on_close()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.closed_at is null and new.closed_at is not null and new.released_at is null and exists (
+    select 1 from public.groups g
+    where g.id = new.group_id
+      and (select count(*) from public.submissions s where s.round_id = new.id) >= g.min_respondents
+  ) then
+    new.released_at := new.closed_at;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists rounds_record_release on public.rounds;
+create trigger rounds_record_release
+before update of closed_at on public.rounds
+for each row execute function public.record_release_on_close();
+
+create or replace function public.set_round_due_at(round_id_input uuid, due_at_input timestamptz)
+returns public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare r public.rounds;
+begin
+  if not exists (
+    select 1
+    from public.rounds x
+    join public.groups g on g.id = x.group_id
+    where x.id = round_id_input
+      and public.is_group_manager(g.id)
+  ) then
+    raise exception 'Only the group host can change the deadline';
+  end if;
+  if public.round_is_released(round_id_input) then
+    raise exception 'Feedback for this round has already been released, so its deadline can''t change';
+  end if;
+
+  update public.rounds
+    set due_at = due_at_input
+    where id = round_id_input
+    returning * into r;
+
+  perform public.record_round_releases(r.group_id);
+  select * into r from public.rounds where id = round_id_input;
+  return r;
+end;
+$$;
+
+-- The floor and threshold decide whether the open round is released, so they're fixed until it's closed. Changes
+-- that release it are recorded straight away.
+create or replace function public.guard_release_settings()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if (new.min_respondents, new.release_threshold) is distinct from (old.min_respondents, old.release_threshold)
+     and public.open_round_is_released(old.id) then
+    raise exception 'The open round has already been released. Close it before changing the release settings';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists groups_guard_release_settings on public.groups;
+create trigger groups_guard_release_settings
+before update of min_respondents, release_threshold on public.groups
+for each row execute function public.guard_release_settings();
+
+create or replace function public.record_releases_after_settings()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.record_round_releases(new.id);
+  return null;
+end;
+$$;
+
+drop trigger if exists groups_record_releases on public.groups;
+create trigger groups_record_releases
+after update of min_respondents, release_threshold on public.groups
+for each row execute function public.record_releases_after_settings();
+
+-- Likewise the roster, which decides whether everyone responded. Deleting the group itself removes its roster too;
+-- that's not a roster change.
+create or replace function public.guard_roster_removal()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (select 1 from public.groups g where g.id = old.group_id)
+     and public.open_round_is_released(old.group_id) then
+    raise exception 'The open round has already been released. Close it before removing members';
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists group_members_guard_removal on public.group_members;
+create trigger group_members_guard_removal
+before delete on public.group_members
+for each row execute function public.guard_roster_removal();
+
+create or replace function public.record_releases_after_removal()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.record_round_releases(old.group_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists group_members_record_releases on public.group_members;
+create trigger group_members_record_releases
+after delete on public.group_members
+for each row execute function public.record_releases_after_removal();
+
+insert into public.schema_migrations (version, name) values (16, 'stored_release') on conflict (version) do nothing;
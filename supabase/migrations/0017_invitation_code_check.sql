@@ -0,0 +1,22 @@
+-- Migration 0017: the send-invites function emailed whatever code the host's client said an invitation had, without
+-- checking it, so a host could send members a code that would never work. invitation_code_matches lets the function
+-- (service role) check a code against the stored hash; when it doesn't match, the function issues a fresh one.
+
+create or replace function public.invitation_code_matches(invitation_id_input uuid, code_input text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public, extensions
+as $$
+  select coalesce((
+    select i.temp_password_hash = crypt(code_input, i.temp_password_hash)
+    from public.invitations i
+    where i.id = invitation_id_input
+  ), false);
+$$;
+
+revoke execute on function public.invitation_code_matches(uuid, text) from public, anon, authenticated;
+grant execute on function public.invitation_code_matches(uuid, text) to service_role;
+
+insert into public.schema_migrations (version, name) values (17, 'invitation_code_check') on conflict (version) do nothing;
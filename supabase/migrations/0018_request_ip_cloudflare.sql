@@ -0,0 +1,25 @@
+-- Migration 0018: key the per-IP redeem lockout on the client, not on whatever proxy forwarded the request. 0011 used
+-- the last X-Forwarded-For hop, but behind Supabase's proxies that can be a shared gateway address, so one client's
+-- wrong guesses could lock out everyone. Supabase's API sits behind Cloudflare, which sets CF-Connecting-IP to the
+-- address that connected to it and overwrites any value the client sent, so that header is trusted. Requests that
+-- don't come through Cloudflare (a self-hosted stack) fall back to the last X-Forwarded-For hop, the one appended
+-- by the gateway in front of PostgREST; earlier hops come from the client.
+
+create or replace function public.request_ip()
+returns text
+language sql
+stable
+as $$
+  select coalesce(
+    nullif(trim(h.headers->>'cf-connecting-ip'), ''),
+    nullif(trim(h.hops[cardinality(h.hops)]), '')
+  )
+  from (
+    select
+      headers,
+      string_to_array(coalesce(headers->>'x-forwarded-for', ''), ',') as hops
+    from (select nullif(current_setting('request.headers', true), '')::json as headers) r
+  ) h;
+$$;
+
+insert into public.schema_migrations (version, name) values (18, 'request_ip_cloudflare') on conflict (version) do nothing;
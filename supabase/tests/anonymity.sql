@@ -0,0 +1,250 @@
+-- Anonymity checks for feedback storage and read access.
+-- Run against a database with the migrations applied (`npm run migrate`, e.g. against the local Supabase stack):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/anonymity.sql
+-- Everything happens in one transaction that is rolled back, so no fixtures are left behind.
+
+begin;
+
+-- Fixtures: a host who is also a member, and two invited members.
+insert into auth.users (id, email) values
+  ('a0000000-0000-4000-8000-000000000001', 'host@anon.test'),
+  ('a0000000-0000-4000-8000-000000000002', null),
+  ('a0000000-0000-4000-8000-000000000003', null);
+
+insert into public.profiles (id, email_lower, first_name)
+values ('a0000000-0000-4000-8000-000000000001', 'host@anon.test', 'Hana');
+
+insert into public.groups (id, name, host_uid, host_email_lower)
+values (
+  'b0000000-0000-4000-8000-000000000001',
+  'Anonymity test',
+  'a0000000-0000-4000-8000-000000000001',
+  'host@anon.test'
+);
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('b0000000-0000-4000-8000-000000000001', 'host@anon.test', 'Hana'),
+  ('b0000000-0000-4000-8000-000000000001', 'ana@anon.test', 'Ana'),
+  ('b0000000-0000-4000-8000-000000000001', 'ben@anon.test', 'Ben');
+
+insert into public.invitations (group_id, host_uid, host_email_lower, email_lower, name, temp_password, redeemed_by_uid, redeemed_at)
+values
+  ('b0000000-0000-4000-8000-000000000001', 'a0000000-0000-4000-8000-000000000001', 'host@anon.test', 'ana@anon.test', 'Ana', 'AAAAAA', 'a0000000-0000-4000-8000-000000000002', now()),
+  ('b0000000-0000-4000-8000-000000000001', 'a0000000-0000-4000-8000-000000000001', 'host@anon.test', 'ben@anon.test', 'Ben', 'BBBBBB', 'a0000000-0000-4000-8000-000000000003', now());
+
+-- Ana, Ben and the host all submit feedback about everyone.
+set local role authenticated;
+set local request.jwt.claims to '{"sub":"a0000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.submit_feedback('b0000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"host@anon.test","answers":{"strengths":"from ana"},"score":120},
+  {"recipientEmailLower":"ana@anon.test","answers":{"strengths":"self"},"score":90},
+  {"recipientEmailLower":"ben@anon.test","answers":{"strengths":"from ana"},"score":90}
+]');
+
+set local request.jwt.claims to '{"sub":"a0000000-0000-4000-8000-000000000003","role":"authenticated"}';
+select public.submit_feedback('b0000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"host@anon.test","answers":{"strengths":"from ben"},"score":80},
+  {"recipientEmailLower":"ana@anon.test","answers":{"strengths":"from ben"},"score":110},
+  {"recipientEmailLower":"ben@anon.test","answers":{"strengths":"self"},"score":110}
+]');
+
+set local request.jwt.claims to '{"sub":"a0000000-0000-4000-8000-000000000001","email":"host@anon.test","role":"authenticated"}';
+select public.submit_feedback('b0000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"ana@anon.test","answers":{"strengths":"from hana"},"score":100},
+  {"recipientEmailLower":"ben@anon.test","answers":{"strengths":"from hana"},"score":100}
+]');
+reset role;
+
+-- The feedback table has nothing that identifies (or timestamps) the respondent.
+do $$
+declare cols text;
+begin
+  select string_agg(column_name, ',' order by column_name)
+    into cols
+  from information_schema.columns
+  where table_schema = 'public'
+    and table_name = 'feedback';
+
+  if cols <> 'answers,group_id,id,improvements,recipient_email_lower,round_id,score,strengths' then
+    raise exception 'feedback has unexpected columns: %', cols;
+  end if;
+end;
+$$;
+
+-- Host session (everyone responded, so feedback is released): no direct reads, no way to join feedback to
+-- submissions, aggregates only.
+set local role authenticated;
+set local request.jwt.claims to '{"sub":"a0000000-0000-4000-8000-000000000001","email":"host@anon.test","role":"authenticated"}';
+
+do $$
+begin
+  begin
+    perform 1 from public.feedback;
+    raise exception 'host was able to select from feedback';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  begin
+    perform 1
+    from public.submissions s
+    join public.feedback f on f.group_id = s.group_id and f.round_id = s.round_id;
+    raise exception 'host was able to join submissions to feedback';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  -- The host still sees how many have responded (progress), but not who or when.
+  if exists (select 1 from public.submissions where respondent_uid <> 'a0000000-0000-4000-8000-000000000001') then
+    raise exception 'host read someone else''s submission';
+  end if;
+  if (
+    select responded
+    from public.round_response_counts(array['b0000000-0000-4000-8000-000000000001'::uuid])
+  ) <> 3 then
+    raise exception 'host should see all three responses counted';
+  end if;
+
+  if (
+    select count(*)
+    from public.group_feedback_summary(
+      'b0000000-0000-4000-8000-000000000001',
+      (select id from public.rounds where group_id = 'b0000000-0000-4000-8000-000000000001')
+    )
+    where recipient_email_lower = 'ana@anon.test'
+      and responses = 3
+      and average_score = 100
+  ) <> 1 then
+    raise exception 'host summary should aggregate Ana''s feedback';
+  end if;
+
+  -- As a recipient the host only gets their own rows.
+  if exists (
+    select 1
+    from public.list_my_feedback(array['b0000000-0000-4000-8000-000000000001'::uuid])
+    where recipient_email_lower <> 'host@anon.test'
+  ) then
+    raise exception 'host read feedback addressed to someone else';
+  end if;
+
+  if (select count(*) from public.list_my_feedback(array['b0000000-0000-4000-8000-000000000001'::uuid])) <> 2 then
+    raise exception 'host should read the two responses about them';
+  end if;
+end;
+$$;
+
+-- The host can't make themselves Ana's recipient identity: redeemed_by_uid (and the email and code of an existing
+-- invitation) are only written by the redeem functions.
+do $$
+begin
+  begin
+    insert into public.invitations (group_id, host_uid, host_email_lower, email_lower, name, temp_password, redeemed_by_uid)
+    values (
+      'b0000000-0000-4000-8000-000000000001',
+      'a0000000-0000-4000-8000-000000000001',
+      'host@anon.test',
+      'ana@anon.test',
+      'Ana',
+      'CCCCCC',
+      'a0000000-0000-4000-8000-000000000001'
+    );
+    raise exception 'host created an invitation already redeemed by themself';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  begin
+    update public.invitations
+      set redeemed_by_uid = 'a0000000-0000-4000-8000-000000000001'
+      where email_lower = 'ana@anon.test';
+    raise exception 'host took over Ana''s invitation';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  begin
+    update public.invitations
+      set email_lower = 'ana@anon.test', temp_password = 'DDDDDD'
+      where email_lower = 'ben@anon.test';
+    raise exception 'host rewrote an invitation''s email and code';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  -- Nor through the redeem functions: Ana's invitation can't get a new code, and a second invitation for her email
+  -- can't be redeemed while she holds the seat.
+  begin
+    perform public.regenerate_invitation_code(
+      (select id from public.invitations where email_lower = 'ana@anon.test')
+    );
+    raise exception 'host regenerated the code of Ana''s redeemed invitation';
+  exception when raise_exception then
+    if sqlerrm <> 'This invite has already been used, so it can''t get a new code' then raise; end if;
+  end;
+
+  begin
+    insert into public.invitations (group_id, host_uid, host_email_lower, email_lower, name, temp_password)
+    values (
+      'b0000000-0000-4000-8000-000000000001',
+      'a0000000-0000-4000-8000-000000000001',
+      'host@anon.test',
+      'ana@anon.test',
+      'Ana',
+      'EEEEEE'
+    );
+    perform public.redeem_invitation('ana@anon.test', 'EEEEEE');
+    raise exception 'host redeemed a second invitation for Ana''s email';
+  exception when raise_exception then
+    if sqlerrm <> 'Someone already joined with this invite. Ask your host if that wasn''t you' then raise; end if;
+  end;
+
+  if exists (
+    select 1
+    from public.list_my_feedback(array['b0000000-0000-4000-8000-000000000001'::uuid])
+    where recipient_email_lower <> 'host@anon.test'
+  ) then
+    raise exception 'host read feedback addressed to someone else';
+  end if;
+end;
+$$;
+
+-- Member session: only their own feedback, no summaries, no direct writes.
+set local request.jwt.claims to '{"sub":"a0000000-0000-4000-8000-000000000002","role":"authenticated"}';
+
+do $$
+begin
+  if exists (
+    select 1
+    from public.list_my_feedback(array['b0000000-0000-4000-8000-000000000001'::uuid])
+    where recipient_email_lower <> 'ana@anon.test'
+  ) then
+    raise exception 'member read feedback addressed to someone else';
+  end if;
+
+  begin
+    perform 1
+    from public.group_feedback_summary(
+      'b0000000-0000-4000-8000-000000000001',
+      (select id from public.rounds where group_id = 'b0000000-0000-4000-8000-000000000001')
+    );
+    raise exception 'member was able to read the host summary';
+  exception when raise_exception then
+    if sqlerrm not like 'Only the group host%' then
+      raise;
+    end if;
+  end;
+
+  begin
+    insert into public.feedback (group_id, round_id, recipient_email_lower, score)
+    select group_id, id, 'ben@anon.test', 0
+    from public.rounds
+    where group_id = 'b0000000-0000-4000-8000-000000000001';
+    raise exception 'member was able to insert feedback directly';
+  exception when insufficient_privilege then
+    null;
+  end;
+end;
+$$;
+
+reset role;
+rollback;
@@ -0,0 +1,208 @@
+-- Co-host checks: owners and co-hosts manage a group, only the owner deletes it or transfers ownership, and
+-- ownership moves only to a co-host.
+-- Run against a database with the migrations applied (`npm run migrate`):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/cohosts.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+insert into auth.users (id, email) values
+  ('e3000000-0000-4000-8000-000000000001', 'owner@cohost.test'),
+  ('e3000000-0000-4000-8000-000000000002', null),
+  ('e3000000-0000-4000-8000-000000000003', null),
+  ('e3000000-0000-4000-8000-000000000004', 'otto@cohost.test');
+
+insert into public.profiles (id, email_lower, first_name)
+values ('e3000000-0000-4000-8000-000000000004', 'otto@cohost.test', 'Otto');
+
+set local role authenticated;
+set local request.jwt.claims to '{"sub":"e3000000-0000-4000-8000-000000000001","email":"owner@cohost.test","role":"authenticated"}';
+
+insert into public.groups (id, name, host_uid, host_email_lower)
+values (
+  'f4000000-0000-4000-8000-000000000001',
+  'Co-host test',
+  'e3000000-0000-4000-8000-000000000001',
+  'owner@cohost.test'
+);
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('f4000000-0000-4000-8000-000000000001', 'owner@cohost.test', 'Olive'),
+  ('f4000000-0000-4000-8000-000000000001', 'ana@cohost.test', 'Ana'),
+  ('f4000000-0000-4000-8000-000000000001', 'ben@cohost.test', 'Ben');
+
+insert into public.invitations (id, group_id, host_uid, host_email_lower, email_lower, name, temp_password)
+values
+  ('f4100000-0000-4000-8000-000000000001', 'f4000000-0000-4000-8000-000000000001', 'e3000000-0000-4000-8000-000000000001',
+   'owner@cohost.test', 'ana@cohost.test', 'Ana', 'ANA234'),
+  ('f4100000-0000-4000-8000-000000000002', 'f4000000-0000-4000-8000-000000000001', 'e3000000-0000-4000-8000-000000000001',
+   'owner@cohost.test', 'ben@cohost.test', 'Ben', 'BEN234');
+
+-- The creator is recorded as owner; members get a role when they redeem.
+set local request.jwt.claims to '{"sub":"e3000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.redeem_invitation('ana@cohost.test', 'ANA234');
+set local request.jwt.claims to '{"sub":"e3000000-0000-4000-8000-000000000003","role":"authenticated"}';
+select public.redeem_invitation('ben@cohost.test', 'BEN234');
+
+do $$
+begin
+  if (select role from public.group_roles where user_id = 'e3000000-0000-4000-8000-000000000003') <> 'member' then
+    raise exception 'redeeming should record a member role';
+  end if;
+  if (select count(*) from public.group_roles) <> 1 then
+    raise exception 'members should only see their own role';
+  end if;
+end;
+$$;
+
+-- Members can't add co-hosts.
+do $$
+begin
+  perform public.add_group_cohost('f4000000-0000-4000-8000-000000000001', 'ana@cohost.test');
+  raise exception 'member added a co-host';
+exception
+  when raise_exception then
+    if sqlerrm not like 'Only the group host%' then raise; end if;
+end;
+$$;
+
+-- The owner makes Ana a co-host.
+set local request.jwt.claims to '{"sub":"e3000000-0000-4000-8000-000000000001","email":"owner@cohost.test","role":"authenticated"}';
+do $$
+begin
+  if (public.add_group_cohost('f4000000-0000-4000-8000-000000000001', 'ANA@cohost.test')).role <> 'cohost' then
+    raise exception 'expected a co-host role';
+  end if;
+  if (select count(*) from public.group_roles where group_id = 'f4000000-0000-4000-8000-000000000001') <> 3 then
+    raise exception 'the owner should see every role in the group';
+  end if;
+end;
+$$;
+
+-- Co-hosts can only promote members who joined and are still on the roster. Accounts outside the group, unknown
+-- emails and removed members all get the same error, so it doesn't tell whether an email has an account.
+set local request.jwt.claims to '{"sub":"e3000000-0000-4000-8000-000000000002","role":"authenticated"}';
+do $$
+declare
+  email text;
+begin
+  foreach email in array array['otto@cohost.test', 'nobody@cohost.test'] loop
+    begin
+      perform public.add_group_cohost('f4000000-0000-4000-8000-000000000001', email);
+      raise exception 'promoted % to co-host', email;
+    exception
+      when raise_exception then
+        if sqlerrm <> 'Only members who joined this group can become co-hosts' then raise; end if;
+    end;
+  end loop;
+
+  begin
+    delete from public.group_members where email_lower = 'ben@cohost.test';
+    perform public.add_group_cohost('f4000000-0000-4000-8000-000000000001', 'ben@cohost.test');
+    raise exception 'promoted a removed member to co-host';
+  exception
+    when raise_exception then
+      if sqlerrm <> 'Only members who joined this group can become co-hosts' then raise; end if;
+  end;
+end;
+$$;
+
+-- Co-hosts manage the group: invitations, codes, rounds and settings.
+do $$
+begin
+  if (select count(*) from public.invitations where group_id = 'f4000000-0000-4000-8000-000000000001') <> 2 then
+    raise exception 'co-host should read all invitations';
+  end if;
+  insert into public.invitations (id, group_id, host_uid, host_email_lower, email_lower, name, temp_password)
+  values ('f4100000-0000-4000-8000-000000000003', 'f4000000-0000-4000-8000-000000000001',
+          'e3000000-0000-4000-8000-000000000001', 'owner@cohost.test', 'cy@cohost.test', 'Cy', 'CYC234');
+  perform public.regenerate_invitation_code('f4100000-0000-4000-8000-000000000003');
+  perform public.close_round('f4000000-0000-4000-8000-000000000001');
+  perform public.open_round('f4000000-0000-4000-8000-000000000001');
+  update public.groups set min_respondents = 4 where id = 'f4000000-0000-4000-8000-000000000001';
+  if not found then
+    raise exception 'co-host should update group settings';
+  end if;
+  perform * from public.group_feedback_summary(
+    'f4000000-0000-4000-8000-000000000001',
+    (select id from public.rounds where group_id = 'f4000000-0000-4000-8000-000000000001' and closed_at is null)
+  );
+end;
+$$;
+
+-- ...but can't take the group over, delete it, or transfer it.
+do $$
+begin
+  update public.groups set host_uid = 'e3000000-0000-4000-8000-000000000002' where id = 'f4000000-0000-4000-8000-000000000001';
+  raise exception 'co-host changed host_uid directly';
+exception
+  when insufficient_privilege then null;
+end;
+$$;
+
+do $$
+begin
+  delete from public.groups where id = 'f4000000-0000-4000-8000-000000000001';
+  if found then
+    raise exception 'co-host deleted the group';
+  end if;
+end;
+$$;
+
+do $$
+begin
+  perform public.transfer_group_ownership('f4000000-0000-4000-8000-000000000001', 'e3000000-0000-4000-8000-000000000002');
+  raise exception 'co-host transferred ownership';
+exception
+  when raise_exception then
+    if sqlerrm <> 'Only the group owner can transfer ownership' then raise; end if;
+end;
+$$;
+
+-- Ownership only goes to a co-host; the old owner stays on as one.
+set local request.jwt.claims to '{"sub":"e3000000-0000-4000-8000-000000000001","email":"owner@cohost.test","role":"authenticated"}';
+do $$
+begin
+  perform public.transfer_group_ownership('f4000000-0000-4000-8000-000000000001', 'e3000000-0000-4000-8000-000000000003');
+  raise exception 'ownership went to a plain member';
+exception
+  when raise_exception then
+    if sqlerrm <> 'Ownership can only be transferred to a co-host' then raise; end if;
+end;
+$$;
+
+do $$
+declare g public.groups;
+begin
+  g := public.transfer_group_ownership('f4000000-0000-4000-8000-000000000001', 'e3000000-0000-4000-8000-000000000002');
+  if g.host_uid <> 'e3000000-0000-4000-8000-000000000002' or g.host_email_lower <> 'ana@cohost.test' then
+    raise exception 'groups.host_uid should follow the new owner';
+  end if;
+  if (select role from public.group_roles where user_id = 'e3000000-0000-4000-8000-000000000001') <> 'cohost' then
+    raise exception 'previous owner should become a co-host';
+  end if;
+end;
+$$;
+
+-- The previous owner can step down; the new owner can now delete the group.
+select public.remove_group_cohost('f4000000-0000-4000-8000-000000000001', 'e3000000-0000-4000-8000-000000000001');
+do $$
+begin
+  if public.is_group_manager('f4000000-0000-4000-8000-000000000001') then
+    raise exception 'stepping down should remove management rights';
+  end if;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"e3000000-0000-4000-8000-000000000002","role":"authenticated"}';
+do $$
+begin
+  delete from public.groups where id = 'f4000000-0000-4000-8000-000000000001';
+  if not found then
+    raise exception 'new owner should be able to delete the group';
+  end if;
+end;
+$$;
+
+reset role;
+rollback;
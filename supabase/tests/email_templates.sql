@@ -0,0 +1,67 @@
+-- Email template checks: hosts set a group's email settings, members can't, and only JSON objects are stored.
+-- Run against a database with the migrations applied (`npm run migrate`):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/email_templates.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+insert into auth.users (id, email) values
+  ('e6000000-0000-4000-8000-000000000001', 'host@template.test'),
+  ('e6000000-0000-4000-8000-000000000002', null);
+
+insert into public.groups (id, name, host_uid, host_email_lower)
+values ('f6000000-0000-4000-8000-000000000001', 'Template test', 'e6000000-0000-4000-8000-000000000001', 'host@template.test');
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('f6000000-0000-4000-8000-000000000001', 'ana@template.test', 'Ana');
+
+insert into public.invitations (group_id, host_uid, host_email_lower, email_lower, name, temp_password)
+values (
+  'f6000000-0000-4000-8000-000000000001',
+  'e6000000-0000-4000-8000-000000000001',
+  'host@template.test',
+  'ana@template.test',
+  'Ana',
+  'ANA234'
+);
+
+do $$
+begin
+  if (select email_template from public.groups where id = 'f6000000-0000-4000-8000-000000000001') <> '{}'::jsonb then
+    raise exception 'new groups should start with an empty email template';
+  end if;
+
+  begin
+    update public.groups set email_template = '"plain text"'::jsonb where id = 'f6000000-0000-4000-8000-000000000001';
+    raise exception 'a non-object email template was accepted';
+  exception when check_violation then
+    null;
+  end;
+end;
+$$;
+
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub":"e6000000-0000-4000-8000-000000000001","email":"host@template.test","role":"authenticated"}';
+update public.groups
+set email_template = '{"locale":"es","intro":"Hola {{name}}","brandColor":"#112233"}'::jsonb
+where id = 'f6000000-0000-4000-8000-000000000001';
+
+set local request.jwt.claims to '{"sub":"e6000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.redeem_invitation('ana@template.test', 'ANA234');
+update public.groups
+set email_template = '{"intro":"Changed by a member"}'::jsonb
+where id = 'f6000000-0000-4000-8000-000000000001';
+
+reset role;
+
+do $$
+begin
+  if (select email_template ->> 'intro' from public.groups where id = 'f6000000-0000-4000-8000-000000000001')
+     is distinct from 'Hola {{name}}' then
+    raise exception 'the host''s template should be saved and the member''s update ignored';
+  end if;
+end;
+$$;
+
+rollback;
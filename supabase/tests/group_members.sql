@@ -0,0 +1,132 @@
+-- Group roster checks: managers add and remove people one row at a time, roles and invite status follow
+-- group_roles and invitations, and members can read the roster but not change it.
+-- Run against a database with the migrations applied (`npm run migrate`):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/group_members.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+insert into auth.users (id, email) values
+  ('e5000000-0000-4000-8000-000000000001', 'host@roster.test'),
+  ('e5000000-0000-4000-8000-000000000002', null),
+  ('e5000000-0000-4000-8000-000000000003', null);
+
+set local role authenticated;
+set local request.jwt.claims to '{"sub":"e5000000-0000-4000-8000-000000000001","email":"host@roster.test","role":"authenticated"}';
+
+insert into public.groups (id, name, host_uid, host_email_lower)
+values ('f6000000-0000-4000-8000-000000000001', 'Roster test', 'e5000000-0000-4000-8000-000000000001', 'host@roster.test');
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('f6000000-0000-4000-8000-000000000001', 'host@roster.test', 'Hana'),
+  ('f6000000-0000-4000-8000-000000000001', 'Ana@Roster.test ', 'Ana'),
+  ('f6000000-0000-4000-8000-000000000001', 'ben@roster.test', 'Ben');
+
+-- A second tab adding the same person doesn't duplicate or overwrite them.
+insert into public.group_members (group_id, email_lower, name)
+values ('f6000000-0000-4000-8000-000000000001', 'ben@roster.test', 'Benjamin')
+on conflict (group_id, email_lower) do nothing;
+
+insert into public.invitations (id, group_id, host_uid, host_email_lower, email_lower, name, temp_password)
+values ('f6100000-0000-4000-8000-000000000001', 'f6000000-0000-4000-8000-000000000001', 'e5000000-0000-4000-8000-000000000001',
+        'host@roster.test', 'ana@roster.test', 'Ana', 'ANA234');
+
+do $$
+declare m public.group_members;
+begin
+  if (select count(*) from public.group_members) <> 3 then
+    raise exception 'expected three roster rows';
+  end if;
+
+  select * into m from public.group_members where email_lower = 'host@roster.test';
+  if m.role <> 'owner' or m.status <> 'joined' then
+    raise exception 'host row should be the joined owner: %', row_to_json(m);
+  end if;
+
+  select * into m from public.group_members where email_lower = 'ana@roster.test';
+  if m.status <> 'invited' or m.invitation_id <> 'f6100000-0000-4000-8000-000000000001' then
+    raise exception 'inviting should link the invitation: %', row_to_json(m);
+  end if;
+
+  select * into m from public.group_members where email_lower = 'ben@roster.test';
+  if m.name <> 'Ben' or m.status <> 'pending' then
+    raise exception 'uninvited row should be pending and keep its name: %', row_to_json(m);
+  end if;
+end;
+$$;
+
+-- Clients can rename people but not set their role or status.
+do $$
+begin
+  update public.group_members set status = 'joined' where email_lower = 'ben@roster.test';
+  raise exception 'client changed a roster status';
+exception
+  when insufficient_privilege then null;
+end;
+$$;
+
+-- Redeeming marks the member as joined; they can read the roster but not edit it.
+set local request.jwt.claims to '{"sub":"e5000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.redeem_invitation('ana@roster.test', 'ANA234');
+
+do $$
+begin
+  if (select count(*) from public.group_members) <> 3 then
+    raise exception 'members should see the whole roster';
+  end if;
+  if (select status from public.group_members where email_lower = 'ana@roster.test') <> 'joined'
+     or (select joined_at from public.group_members where email_lower = 'ana@roster.test') is null then
+    raise exception 'redeeming should mark the member as joined';
+  end if;
+
+  insert into public.group_members (group_id, email_lower, name)
+  values ('f6000000-0000-4000-8000-000000000001', 'eve@roster.test', 'Eve');
+  raise exception 'member added someone to the roster';
+exception
+  when insufficient_privilege then null;
+end;
+$$;
+
+do $$
+begin
+  delete from public.group_members where email_lower = 'ben@roster.test';
+  if found then
+    raise exception 'member removed someone from the roster';
+  end if;
+end;
+$$;
+
+-- Outsiders don't see the roster.
+set local request.jwt.claims to '{"sub":"e5000000-0000-4000-8000-000000000003","role":"authenticated"}';
+do $$
+begin
+  if exists (select 1 from public.group_members) then
+    raise exception 'outsider can read the roster';
+  end if;
+end;
+$$;
+
+-- Co-host roles show up on the roster; removing someone stops feedback to them.
+set local request.jwt.claims to '{"sub":"e5000000-0000-4000-8000-000000000001","email":"host@roster.test","role":"authenticated"}';
+select public.add_group_cohost('f6000000-0000-4000-8000-000000000001', 'ana@roster.test');
+delete from public.group_members where email_lower = 'ben@roster.test';
+
+do $$
+begin
+  if (select role from public.group_members where email_lower = 'ana@roster.test') <> 'cohost' then
+    raise exception 'roster role should follow group_roles';
+  end if;
+
+  perform public.submit_feedback(
+    'f6000000-0000-4000-8000-000000000001',
+    '[{"recipientEmailLower":"ben@roster.test","score":3}]'::jsonb
+  );
+  raise exception 'feedback accepted for someone off the roster';
+exception
+  when raise_exception then
+    if sqlerrm <> 'Feedback recipient is not a member of this group' then raise; end if;
+end;
+$$;
+
+reset role;
+rollback;
@@ -0,0 +1,144 @@
+-- Invite code checks: codes are only stored hashed, redeem compares hashes, only hosts can regenerate, and only the
+-- service role can check a code.
+-- Run against a database with the migrations applied (`npm run migrate`):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/invitations.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+insert into auth.users (id, email) values
+  ('e0000000-0000-4000-8000-000000000001', 'host@invite.test'),
+  ('e0000000-0000-4000-8000-000000000002', null),
+  ('e0000000-0000-4000-8000-000000000003', null);
+
+insert into public.groups (id, name, host_uid, host_email_lower)
+values (
+  'f0000000-0000-4000-8000-000000000001',
+  'Invite test',
+  'e0000000-0000-4000-8000-000000000001',
+  'host@invite.test'
+);
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('f0000000-0000-4000-8000-000000000001', 'ana@invite.test', 'Ana'),
+  ('f0000000-0000-4000-8000-000000000001', 'ben@invite.test', 'Ben');
+
+insert into public.invitations (id, group_id, host_uid, host_email_lower, email_lower, name, temp_password)
+values (
+  'f1000000-0000-4000-8000-000000000001',
+  'f0000000-0000-4000-8000-000000000001',
+  'e0000000-0000-4000-8000-000000000001',
+  'host@invite.test',
+  'ana@invite.test',
+  'Ana',
+  'ABC234'
+), (
+  'f1000000-0000-4000-8000-000000000002',
+  'f0000000-0000-4000-8000-000000000001',
+  'e0000000-0000-4000-8000-000000000001',
+  'host@invite.test',
+  'ben@invite.test',
+  'Ben',
+  'BEN234'
+);
+
+do $$
+declare inv public.invitations;
+begin
+  select * into inv from public.invitations where id = 'f1000000-0000-4000-8000-000000000001';
+  if inv.temp_password is not null then
+    raise exception 'plaintext invite code was stored';
+  end if;
+  if inv.temp_password_hash is null or inv.temp_password_hash = 'ABC234' then
+    raise exception 'invite code was not hashed';
+  end if;
+end;
+$$;
+
+set local role authenticated;
+
+-- Wrong code returns no invitation (the attempt is logged for throttling); the right one redeems.
+set local request.jwt.claims to '{"sub":"e0000000-0000-4000-8000-000000000002","role":"authenticated"}';
+do $$
+begin
+  if (public.redeem_invitation('ana@invite.test', 'WRONG1')).id is not null then
+    raise exception 'wrong code should not redeem';
+  end if;
+end;
+$$;
+
+do $$
+begin
+  if (public.redeem_invitation('ANA@invite.test', 'ABC234')).redeemed_by_uid <> 'e0000000-0000-4000-8000-000000000002' then
+    raise exception 'right code should redeem';
+  end if;
+end;
+$$;
+
+-- Members can't regenerate codes.
+do $$
+begin
+  perform public.regenerate_invitation_code('f1000000-0000-4000-8000-000000000001');
+  raise exception 'member regenerated a code';
+exception
+  when raise_exception then
+    if sqlerrm not like 'Only the group host%' then raise; end if;
+end;
+$$;
+
+-- Ana's invitation is used, so it can't get a new code that someone else could redeem.
+set local request.jwt.claims to '{"sub":"e0000000-0000-4000-8000-000000000001","email":"host@invite.test","role":"authenticated"}';
+do $$
+begin
+  perform public.regenerate_invitation_code('f1000000-0000-4000-8000-000000000001');
+  raise exception 'host regenerated a redeemed invite';
+exception
+  when raise_exception then
+    if sqlerrm <> 'This invite has already been used, so it can''t get a new code' then raise; end if;
+end;
+$$;
+
+-- The host regenerates Ben's pending invitation: the new code works and the old one stops working.
+create temporary table new_code on commit drop as
+select public.regenerate_invitation_code('f1000000-0000-4000-8000-000000000002') as code;
+
+set local request.jwt.claims to '{"sub":"e0000000-0000-4000-8000-000000000003","role":"authenticated"}';
+do $$
+declare code text := (select code from new_code);
+begin
+  if code !~ '^[A-HJ-NP-Z2-9]{6}$' then
+    raise exception 'unexpected code format: %', code;
+  end if;
+  if (public.redeem_invitation('ben@invite.test', 'BEN234')).id is not null then
+    raise exception 'old code still redeems';
+  end if;
+  perform public.redeem_invitation('ben@invite.test', code);
+end;
+$$;
+
+-- Only the service role (the send-invites function) can check a code against the stored hash.
+do $$
+begin
+  perform public.invitation_code_matches('f1000000-0000-4000-8000-000000000001', 'ABC234');
+  raise exception 'authenticated users should not call invitation_code_matches';
+exception
+  when insufficient_privilege then null;
+end;
+$$;
+
+reset role;
+set local role service_role;
+do $$
+begin
+  if not public.invitation_code_matches('f1000000-0000-4000-8000-000000000001', 'ABC234') then
+    raise exception 'the right code should match';
+  end if;
+  if public.invitation_code_matches('f1000000-0000-4000-8000-000000000001', 'WRONG1')
+     or public.invitation_code_matches('f1000000-0000-4000-8000-000000000002', 'BEN234') then
+    raise exception 'a wrong or replaced code matched';
+  end if;
+end;
+$$;
+
+reset role;
+rollback;
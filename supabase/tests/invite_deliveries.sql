@@ -0,0 +1,80 @@
+-- Invite delivery checks: hosts read their group's delivery log, members and other hosts don't, and nobody but the
+-- service role writes to it.
+-- Run against a database with the migrations applied (`npm run migrate`):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/invite_deliveries.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+insert into auth.users (id, email) values
+  ('e5000000-0000-4000-8000-000000000001', 'host@delivery.test'),
+  ('e5000000-0000-4000-8000-000000000002', null),
+  ('e5000000-0000-4000-8000-000000000003', 'other@delivery.test');
+
+insert into public.groups (id, name, host_uid, host_email_lower)
+values ('f5000000-0000-4000-8000-000000000001', 'Delivery test', 'e5000000-0000-4000-8000-000000000001', 'host@delivery.test');
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('f5000000-0000-4000-8000-000000000001', 'ana@delivery.test', 'Ana');
+
+insert into public.invitations (id, group_id, host_uid, host_email_lower, email_lower, name, temp_password)
+values (
+  'f5100000-0000-4000-8000-000000000001',
+  'f5000000-0000-4000-8000-000000000001',
+  'e5000000-0000-4000-8000-000000000001',
+  'host@delivery.test',
+  'ana@delivery.test',
+  'Ana',
+  'ANA234'
+);
+
+-- What send-invites writes: a transient failure, then the retry that went through.
+insert into public.invite_deliveries (invitation_id, group_id, email_lower, provider, status, error, attempt)
+values
+  ('f5100000-0000-4000-8000-000000000001', 'f5000000-0000-4000-8000-000000000001', 'ana@delivery.test', 'smtp',
+   'failed', '421 Try again later', 1);
+insert into public.invite_deliveries (invitation_id, group_id, email_lower, provider, message_id, status, attempt)
+values
+  ('f5100000-0000-4000-8000-000000000001', 'f5000000-0000-4000-8000-000000000001', 'ana@delivery.test', 'smtp',
+   '<abc@delivery.test>', 'sent', 2);
+
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub":"e5000000-0000-4000-8000-000000000001","email":"host@delivery.test","role":"authenticated"}';
+do $$
+begin
+  if (select count(*) from public.invite_deliveries) <> 2 then
+    raise exception 'host should read both delivery attempts';
+  end if;
+
+  begin
+    insert into public.invite_deliveries (invitation_id, group_id, email_lower, provider, status)
+    values ('f5100000-0000-4000-8000-000000000001', 'f5000000-0000-4000-8000-000000000001', 'ana@delivery.test', 'fake', 'sent');
+    raise exception 'host was able to write a delivery record';
+  exception when insufficient_privilege then
+    null;
+  end;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"e5000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.redeem_invitation('ana@delivery.test', 'ANA234');
+do $$
+begin
+  if exists (select 1 from public.invite_deliveries) then
+    raise exception 'member read the delivery log';
+  end if;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"e5000000-0000-4000-8000-000000000003","email":"other@delivery.test","role":"authenticated"}';
+do $$
+begin
+  if exists (select 1 from public.invite_deliveries) then
+    raise exception 'an unrelated user read the delivery log';
+  end if;
+end;
+$$;
+
+reset role;
+rollback;
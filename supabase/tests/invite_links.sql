@@ -0,0 +1,201 @@
+-- Invite link checks: links are single-use, expire, can be revoked by the host, only hosts can issue them, and only
+-- for invitations nobody has joined with.
+-- Run against a database with the migrations applied (`npm run migrate`):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/invite_links.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+insert into auth.users (id, email) values
+  ('e1000000-0000-4000-8000-000000000001', 'host@link.test'),
+  ('e1000000-0000-4000-8000-000000000002', null),
+  ('e1000000-0000-4000-8000-000000000003', null);
+
+insert into public.groups (id, name, host_uid, host_email_lower)
+values (
+  'f2000000-0000-4000-8000-000000000001',
+  'Link test',
+  'e1000000-0000-4000-8000-000000000001',
+  'host@link.test'
+);
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('f2000000-0000-4000-8000-000000000001', 'ana@link.test', 'Ana'),
+  ('f2000000-0000-4000-8000-000000000001', 'ben@link.test', 'Ben'),
+  ('f2000000-0000-4000-8000-000000000001', 'cy@link.test', 'Cy');
+
+insert into public.invitations (id, group_id, host_uid, host_email_lower, email_lower, name, temp_password)
+values
+  ('f2100000-0000-4000-8000-000000000001', 'f2000000-0000-4000-8000-000000000001', 'e1000000-0000-4000-8000-000000000001',
+   'host@link.test', 'ana@link.test', 'Ana', 'ABC234'),
+  ('f2100000-0000-4000-8000-000000000002', 'f2000000-0000-4000-8000-000000000001', 'e1000000-0000-4000-8000-000000000001',
+   'host@link.test', 'ben@link.test', 'Ben', 'BEN234'),
+  ('f2100000-0000-4000-8000-000000000003', 'f2000000-0000-4000-8000-000000000001', 'e1000000-0000-4000-8000-000000000001',
+   'host@link.test', 'cy@link.test', 'Cy', 'CYC234');
+
+create temporary table links (name text primary key, token text) on commit drop;
+grant all on links to authenticated;
+
+set local role authenticated;
+
+-- Members can't issue links, neither through the host wrapper nor the internal function.
+set local request.jwt.claims to '{"sub":"e1000000-0000-4000-8000-000000000002","role":"authenticated"}';
+do $$
+begin
+  perform public.create_invite_link('f2100000-0000-4000-8000-000000000001');
+  raise exception 'member created an invite link';
+exception
+  when raise_exception then
+    if sqlerrm not like 'Only the group host%' then raise; end if;
+end;
+$$;
+
+do $$
+begin
+  perform public.issue_invite_link('f2100000-0000-4000-8000-000000000001');
+  raise exception 'authenticated users should not call issue_invite_link';
+exception
+  when insufficient_privilege then null;
+end;
+$$;
+
+-- The host issues a link; the token isn't stored in plaintext.
+set local request.jwt.claims to '{"sub":"e1000000-0000-4000-8000-000000000001","email":"host@link.test","role":"authenticated"}';
+insert into links values ('first', public.create_invite_link('f2100000-0000-4000-8000-000000000001'));
+
+do $$
+begin
+  if exists (select 1 from public.invite_links l join links t on l.token_hash = t.token) then
+    raise exception 'token stored in plaintext';
+  end if;
+  if (select count(*) from public.invite_links) <> 1 then
+    raise exception 'host should see the link it issued';
+  end if;
+end;
+$$;
+
+-- Ana redeems it once; replaying the same link fails, even from another session.
+set local request.jwt.claims to '{"sub":"e1000000-0000-4000-8000-000000000002","role":"authenticated"}';
+do $$
+begin
+  if (public.redeem_invite_link((select token from links where name = 'first'))).redeemed_by_uid
+     <> 'e1000000-0000-4000-8000-000000000002' then
+    raise exception 'link should redeem for the caller';
+  end if;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"e1000000-0000-4000-8000-000000000003","role":"authenticated"}';
+do $$
+begin
+  perform public.redeem_invite_link((select token from links where name = 'first'));
+  raise exception 'replayed link was accepted';
+exception
+  when raise_exception then
+    if sqlerrm <> 'This invite link has already been used' then raise; end if;
+end;
+$$;
+
+do $$
+begin
+  perform public.redeem_invite_link('not-a-token');
+  raise exception 'made-up token was accepted';
+exception
+  when raise_exception then
+    if sqlerrm <> 'This invite link is not valid' then raise; end if;
+end;
+$$;
+
+-- Ana joined, so her invitation gets no more links: a new one would let whoever opens it take her place.
+set local request.jwt.claims to '{"sub":"e1000000-0000-4000-8000-000000000001","email":"host@link.test","role":"authenticated"}';
+do $$
+begin
+  perform public.create_invite_link('f2100000-0000-4000-8000-000000000001');
+  raise exception 'host created a link for a redeemed invite';
+exception
+  when raise_exception then
+    if sqlerrm <> 'This invite has already been used, so it can''t get a new link' then raise; end if;
+end;
+$$;
+
+-- A link sent before Cy joined with their code no longer redeems for anyone else.
+insert into links values ('before-code', public.create_invite_link('f2100000-0000-4000-8000-000000000003'));
+
+set local request.jwt.claims to '{"sub":"e1000000-0000-4000-8000-000000000003","role":"authenticated"}';
+select public.redeem_invitation('cy@link.test', 'CYC234');
+
+set local request.jwt.claims to '{"sub":"e1000000-0000-4000-8000-000000000001","email":"host@link.test","role":"authenticated"}';
+do $$
+begin
+  perform public.redeem_invite_link((select token from links where name = 'before-code'));
+  raise exception 'link for a redeemed invite was accepted';
+exception
+  when raise_exception then
+    if sqlerrm <> 'Someone already joined with this invite. Ask your host if that wasn''t you' then raise; end if;
+end;
+$$;
+
+do $$
+begin
+  if (select redeemed_by_uid from public.invitations where id = 'f2100000-0000-4000-8000-000000000003')
+     <> 'e1000000-0000-4000-8000-000000000003' then
+    raise exception 'Cy''s invitation changed hands';
+  end if;
+end;
+$$;
+
+-- Revoked links and links replaced by a newer one stop working.
+insert into links values ('second', public.create_invite_link('f2100000-0000-4000-8000-000000000002'));
+insert into links values ('third', public.create_invite_link('f2100000-0000-4000-8000-000000000002'));
+select public.revoke_invite_links('f2100000-0000-4000-8000-000000000002');
+
+set local request.jwt.claims to '{"sub":"e1000000-0000-4000-8000-000000000003","role":"authenticated"}';
+do $$
+declare link_name text;
+begin
+  foreach link_name in array array['second', 'third'] loop
+    begin
+      perform public.redeem_invite_link((select token from links where name = link_name));
+      raise exception '% link should be revoked', link_name;
+    exception
+      when raise_exception then
+        if sqlerrm <> 'This invite link was revoked' then raise; end if;
+    end;
+  end loop;
+end;
+$$;
+
+-- Expired links are rejected.
+set local request.jwt.claims to '{"sub":"e1000000-0000-4000-8000-000000000001","email":"host@link.test","role":"authenticated"}';
+insert into links values ('expired', public.create_invite_link('f2100000-0000-4000-8000-000000000002'));
+
+reset role;
+update public.invite_links set expires_at = now() - interval '1 minute' where used_at is null and revoked_at is null;
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub":"e1000000-0000-4000-8000-000000000003","role":"authenticated"}';
+do $$
+begin
+  perform public.redeem_invite_link((select token from links where name = 'expired'));
+  raise exception 'expired link was accepted';
+exception
+  when raise_exception then
+    if sqlerrm <> 'This invite link has expired' then raise; end if;
+end;
+$$;
+
+-- Revoked invitations get no links until the host restores them.
+set local request.jwt.claims to '{"sub":"e1000000-0000-4000-8000-000000000001","email":"host@link.test","role":"authenticated"}';
+select public.revoke_invitation('f2100000-0000-4000-8000-000000000002');
+do $$
+begin
+  perform public.create_invite_link('f2100000-0000-4000-8000-000000000002');
+  raise exception 'host created a link for a revoked invite';
+exception
+  when raise_exception then
+    if sqlerrm <> 'This invite was revoked. Restore it before sending a new link' then raise; end if;
+end;
+$$;
+
+reset role;
+rollback;
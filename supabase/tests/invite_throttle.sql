@@ -0,0 +1,224 @@
+-- Invite expiry, revocation and redeem throttling (per email and per client IP).
+-- Run against a database with the migrations applied (`npm run migrate`):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/invite_throttle.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+insert into auth.users (id, email) values
+  ('e2000000-0000-4000-8000-000000000001', 'host@throttle.test'),
+  ('e2000000-0000-4000-8000-000000000002', null);
+
+insert into public.groups (id, name, host_uid, host_email_lower)
+values (
+  'f3000000-0000-4000-8000-000000000001',
+  'Throttle test',
+  'e2000000-0000-4000-8000-000000000001',
+  'host@throttle.test'
+);
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('f3000000-0000-4000-8000-000000000001', 'ana@throttle.test', 'Ana'),
+  ('f3000000-0000-4000-8000-000000000001', 'ben@throttle.test', 'Ben'),
+  ('f3000000-0000-4000-8000-000000000001', 'cy@throttle.test', 'Cy');
+
+insert into public.invitations (id, group_id, host_uid, host_email_lower, email_lower, name, temp_password, expires_at)
+values
+  ('f3100000-0000-4000-8000-000000000001', 'f3000000-0000-4000-8000-000000000001', 'e2000000-0000-4000-8000-000000000001',
+   'host@throttle.test', 'ana@throttle.test', 'Ana', 'ABC234', default),
+  ('f3100000-0000-4000-8000-000000000002', 'f3000000-0000-4000-8000-000000000001', 'e2000000-0000-4000-8000-000000000001',
+   'host@throttle.test', 'ben@throttle.test', 'Ben', 'BEN234', now() - interval '1 minute'),
+  ('f3100000-0000-4000-8000-000000000003', 'f3000000-0000-4000-8000-000000000001', 'e2000000-0000-4000-8000-000000000001',
+   'host@throttle.test', 'cy@throttle.test', 'Cy', 'CYC234', default);
+
+set local role authenticated;
+
+-- New invitations expire after 30 days; expired ones are rejected with their own message.
+set local request.jwt.claims to '{"sub":"e2000000-0000-4000-8000-000000000002","role":"authenticated"}';
+do $$
+begin
+  if (select expires_at from public.invitations where id = 'f3100000-0000-4000-8000-000000000001')
+     not between now() + interval '29 days' and now() + interval '31 days' then
+    raise exception 'new invitation should expire in 30 days';
+  end if;
+end;
+$$;
+
+do $$
+begin
+  perform public.redeem_invitation('ben@throttle.test', 'BEN234');
+  raise exception 'expired invite redeemed';
+exception
+  when raise_exception then
+    if sqlerrm not like 'This invite has expired%' then raise; end if;
+end;
+$$;
+
+-- Only the host can revoke; a revoked invite no longer redeems.
+do $$
+begin
+  perform public.revoke_invitation('f3100000-0000-4000-8000-000000000003');
+  raise exception 'member revoked an invitation';
+exception
+  when raise_exception then
+    if sqlerrm not like 'Only the group host%' then raise; end if;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"e2000000-0000-4000-8000-000000000001","email":"host@throttle.test","role":"authenticated"}';
+select public.revoke_invitation('f3100000-0000-4000-8000-000000000003');
+
+set local request.jwt.claims to '{"sub":"e2000000-0000-4000-8000-000000000002","role":"authenticated"}';
+do $$
+begin
+  perform public.redeem_invitation('cy@throttle.test', 'CYC234');
+  raise exception 'revoked invite redeemed';
+exception
+  when raise_exception then
+    if sqlerrm <> 'This invite was revoked by the host' then raise; end if;
+end;
+$$;
+
+-- Regenerating the code re-issues an expired invitation.
+set local request.jwt.claims to '{"sub":"e2000000-0000-4000-8000-000000000001","email":"host@throttle.test","role":"authenticated"}';
+create temporary table new_code on commit drop as
+select public.regenerate_invitation_code('f3100000-0000-4000-8000-000000000002') as code;
+grant select on new_code to authenticated;
+
+set local request.jwt.claims to '{"sub":"e2000000-0000-4000-8000-000000000002","role":"authenticated"}';
+do $$
+begin
+  if (public.redeem_invitation('ben@throttle.test', (select code from new_code))).id is null then
+    raise exception 'regenerated code should redeem an expired invite';
+  end if;
+end;
+$$;
+
+-- A new code doesn't undo a revocation; only restore_invitation does, and only for hosts.
+do $$
+begin
+  perform public.restore_invitation('f3100000-0000-4000-8000-000000000003');
+  raise exception 'member restored an invitation';
+exception
+  when raise_exception then
+    if sqlerrm not like 'Only the group host%' then raise; end if;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"e2000000-0000-4000-8000-000000000001","email":"host@throttle.test","role":"authenticated"}';
+do $$
+begin
+  perform public.regenerate_invitation_code('f3100000-0000-4000-8000-000000000003');
+  raise exception 'regenerating the code re-issued a revoked invite';
+exception
+  when raise_exception then
+    if sqlerrm <> 'This invite was revoked. Restore it before generating a new code' then raise; end if;
+end;
+$$;
+
+select public.restore_invitation('f3100000-0000-4000-8000-000000000003');
+
+set local request.jwt.claims to '{"sub":"e2000000-0000-4000-8000-000000000002","role":"authenticated"}';
+do $$
+begin
+  if (public.redeem_invitation('cy@throttle.test', 'CYC234')).id is null then
+    raise exception 'restored invite should redeem with its code';
+  end if;
+end;
+$$;
+
+-- Five wrong codes for one email lock that email, even with the right code.
+do $$
+begin
+  for i in 1..5 loop
+    if (public.redeem_invitation('ana@throttle.test', 'WRONG' || i)).id is not null then
+      raise exception 'wrong code redeemed';
+    end if;
+  end loop;
+  perform public.redeem_invitation('ana@throttle.test', 'ABC234');
+  raise exception 'email lockout not applied';
+exception
+  when raise_exception then
+    if sqlerrm not like 'Too many attempts. Try again in % minutes' then raise; end if;
+end;
+$$;
+
+-- The client IP is the cf-connecting-ip header, which Cloudflare sets and clients can't; without it (no Cloudflare in
+-- front), the last X-Forwarded-For hop, which the gateway appends.
+do $$
+begin
+  perform set_config(
+    'request.headers',
+    '{"x-forwarded-for":"192.0.2.1, 203.0.113.7","cf-connecting-ip":"198.51.100.4"}',
+    true
+  );
+  if public.request_ip() is distinct from '198.51.100.4' then
+    raise exception 'request_ip should prefer cf-connecting-ip, got %', public.request_ip();
+  end if;
+  perform set_config('request.headers', '{"x-forwarded-for":"192.0.2.1, 203.0.113.7"}', true);
+  if public.request_ip() is distinct from '203.0.113.7' then
+    raise exception 'request_ip should fall back to the last hop, got %', public.request_ip();
+  end if;
+end;
+$$;
+
+-- Twenty failures from one client lock it out for every email, however it varies the X-Forwarded-For hops.
+do $$
+begin
+  for i in 1..20 loop
+    perform set_config(
+      'request.headers',
+      json_build_object('x-forwarded-for', '192.0.2.' || i || ', 203.0.113.7', 'cf-connecting-ip', '198.51.100.4')::text,
+      true
+    );
+    perform public.redeem_invitation('guess' || i || '@throttle.test', 'WRONG1');
+  end loop;
+  perform set_config(
+    'request.headers',
+    '{"x-forwarded-for":"192.0.2.99, 203.0.113.7","cf-connecting-ip":"198.51.100.4"}',
+    true
+  );
+  perform public.redeem_invitation('ben@throttle.test', 'NOPE12');
+  raise exception 'ip lockout not applied';
+exception
+  when raise_exception then
+    if sqlerrm not like 'Too many attempts%' then raise; end if;
+end;
+$$;
+
+-- Other clients behind the same gateway (the same last hop) are unaffected: one client's guesses don't lock out
+-- everyone.
+do $$
+begin
+  for i in 1..20 loop
+    perform set_config(
+      'request.headers',
+      json_build_object('x-forwarded-for', '203.0.113.7', 'cf-connecting-ip', '198.51.100.4')::text,
+      true
+    );
+    perform public.redeem_invitation('guess' || i || '@throttle.test', 'WRONG1');
+  end loop;
+  perform set_config(
+    'request.headers',
+    '{"x-forwarded-for":"203.0.113.7","cf-connecting-ip":"198.51.100.5"}',
+    true
+  );
+  if (public.redeem_invitation('ben@throttle.test', 'NOPE12')).id is not null then
+    raise exception 'wrong code redeemed';
+  end if;
+end;
+$$;
+
+-- Attempts aren't readable by clients.
+do $$
+begin
+  if exists (select 1 from public.invite_redeem_attempts) then
+    raise exception 'attempts should not be visible';
+  end if;
+exception
+  when insufficient_privilege then null;
+end;
+$$;
+
+reset role;
+rollback;
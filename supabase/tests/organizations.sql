@@ -0,0 +1,142 @@
+-- Organization checks: org data is only visible to its members, only admins manage members and see
+-- participation, and groups can only be filed under an org their host belongs to.
+-- Run against a database with the migrations applied (`npm run migrate`):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/organizations.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+insert into auth.users (id, email) values
+  ('e4000000-0000-4000-8000-000000000001', 'admin@org.test'),
+  ('e4000000-0000-4000-8000-000000000002', 'lead@org.test'),
+  ('e4000000-0000-4000-8000-000000000003', 'outsider@org.test');
+
+insert into public.profiles (id, email_lower, first_name) values
+  ('e4000000-0000-4000-8000-000000000001', 'admin@org.test', 'Ada'),
+  ('e4000000-0000-4000-8000-000000000002', 'lead@org.test', 'Lee'),
+  ('e4000000-0000-4000-8000-000000000003', 'outsider@org.test', 'Otto');
+
+create temporary table ids (name text primary key, id uuid) on commit drop;
+grant all on ids to authenticated;
+
+set local role authenticated;
+
+-- The creator becomes the org's first admin and adds a team lead.
+set local request.jwt.claims to '{"sub":"e4000000-0000-4000-8000-000000000001","email":"admin@org.test","role":"authenticated"}';
+insert into ids select 'org', (public.create_organization('Acme')).id;
+select public.set_organization_member((select id from ids where name = 'org'), 'lead@org.test', 'member');
+
+do $$
+begin
+  perform public.set_organization_member((select id from ids where name = 'org'), 'nobody@org.test', 'member');
+  raise exception 'added an email without an account';
+exception
+  when raise_exception then
+    if sqlerrm not like 'No account uses that email%' then raise; end if;
+end;
+$$;
+
+do $$
+begin
+  perform public.set_organization_member((select id from ids where name = 'org'), 'admin@org.test', 'member');
+  raise exception 'demoted the last admin';
+exception
+  when raise_exception then
+    if sqlerrm <> 'An organization needs at least one admin' then raise; end if;
+end;
+$$;
+
+-- Outsiders see nothing of the org and can't file groups under it.
+set local request.jwt.claims to '{"sub":"e4000000-0000-4000-8000-000000000003","email":"outsider@org.test","role":"authenticated"}';
+do $$
+begin
+  if exists (select 1 from public.organizations) or exists (select 1 from public.organization_members) then
+    raise exception 'outsider can see org data';
+  end if;
+end;
+$$;
+
+do $$
+begin
+  insert into public.groups (name, host_uid, host_email_lower, org_id)
+  values ('Sneaky', 'e4000000-0000-4000-8000-000000000003', 'outsider@org.test', (select id from ids where name = 'org'));
+  raise exception 'outsider filed a group under the org';
+exception
+  when raise_exception then
+    if sqlerrm <> 'You can only add groups to an organization you belong to' then raise; end if;
+end;
+$$;
+
+-- The team lead sees the org, files a group under it, but can't manage members or see the dashboard.
+set local request.jwt.claims to '{"sub":"e4000000-0000-4000-8000-000000000002","email":"lead@org.test","role":"authenticated"}';
+insert into public.groups (id, name, host_uid, host_email_lower, org_id)
+values (
+  'f5000000-0000-4000-8000-000000000001',
+  'Platform team',
+  'e4000000-0000-4000-8000-000000000002',
+  'lead@org.test',
+  (select id from ids where name = 'org')
+);
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('f5000000-0000-4000-8000-000000000001', 'lead@org.test', 'Lee'),
+  ('f5000000-0000-4000-8000-000000000001', 'ana@org.test', 'Ana');
+
+do $$
+begin
+  if (select count(*) from public.organization_members) <> 2 then
+    raise exception 'members should see who is in their org';
+  end if;
+end;
+$$;
+
+do $$
+begin
+  perform public.set_organization_member((select id from ids where name = 'org'), 'outsider@org.test', 'member');
+  raise exception 'member managed org members';
+exception
+  when raise_exception then
+    if sqlerrm <> 'Only organization admins can manage members' then raise; end if;
+end;
+$$;
+
+do $$
+begin
+  perform * from public.organization_participation((select id from ids where name = 'org'));
+  raise exception 'member read participation';
+exception
+  when raise_exception then
+    if sqlerrm <> 'Only organization admins can view participation' then raise; end if;
+end;
+$$;
+
+-- Co-hosts of an org group must be members of the group (and of the org).
+do $$
+begin
+  perform public.add_group_cohost('f5000000-0000-4000-8000-000000000001', 'outsider@org.test');
+  raise exception 'outsider became co-host of an org group';
+exception
+  when raise_exception then
+    if sqlerrm <> 'Only members who joined this group can become co-hosts' then raise; end if;
+end;
+$$;
+
+-- Admins see participation counts for every group in the org, without reading the groups themselves.
+set local request.jwt.claims to '{"sub":"e4000000-0000-4000-8000-000000000001","email":"admin@org.test","role":"authenticated"}';
+do $$
+declare p record;
+begin
+  if exists (select 1 from public.groups where id = 'f5000000-0000-4000-8000-000000000001') then
+    raise exception 'org admins should not read group rows';
+  end if;
+
+  select * into p from public.organization_participation((select id from ids where name = 'org'));
+  if p.group_name <> 'Platform team' or p.member_count <> 2 or p.round_number <> 1 or not p.round_open
+     or p.responded <> 0 or p.released then
+    raise exception 'unexpected participation row: %', row_to_json(p);
+  end if;
+end;
+$$;
+
+reset role;
+rollback;
@@ -0,0 +1,351 @@
+-- Release rule checks: the k-anonymity floor, early release threshold and deadlines, and that released rounds are
+-- frozen and stay released.
+-- Run against a database with the migrations applied (`npm run migrate`):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/release.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+insert into auth.users (id, email) values
+  ('c0000000-0000-4000-8000-000000000001', 'host@release.test'),
+  ('c0000000-0000-4000-8000-000000000002', null),
+  ('c0000000-0000-4000-8000-000000000003', null),
+  ('c0000000-0000-4000-8000-000000000004', null),
+  ('c0000000-0000-4000-8000-000000000005', null);
+
+insert into public.groups (id, name, host_uid, host_email_lower)
+values (
+  'd0000000-0000-4000-8000-000000000001',
+  'Release test',
+  'c0000000-0000-4000-8000-000000000001',
+  'host@release.test'
+);
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('d0000000-0000-4000-8000-000000000001', 'ana@release.test', 'Ana'),
+  ('d0000000-0000-4000-8000-000000000001', 'ben@release.test', 'Ben'),
+  ('d0000000-0000-4000-8000-000000000001', 'cy@release.test', 'Cy'),
+  ('d0000000-0000-4000-8000-000000000001', 'dee@release.test', 'Dee');
+
+insert into public.invitations (group_id, host_uid, host_email_lower, email_lower, name, temp_password, redeemed_by_uid, redeemed_at)
+values
+  ('d0000000-0000-4000-8000-000000000001', 'c0000000-0000-4000-8000-000000000001', 'host@release.test', 'ana@release.test', 'Ana', 'AAAAAA', 'c0000000-0000-4000-8000-000000000002', now()),
+  ('d0000000-0000-4000-8000-000000000001', 'c0000000-0000-4000-8000-000000000001', 'host@release.test', 'ben@release.test', 'Ben', 'BBBBBB', 'c0000000-0000-4000-8000-000000000003', now()),
+  ('d0000000-0000-4000-8000-000000000001', 'c0000000-0000-4000-8000-000000000001', 'host@release.test', 'cy@release.test', 'Cy', 'CCCCCC', 'c0000000-0000-4000-8000-000000000004', now()),
+  ('d0000000-0000-4000-8000-000000000001', 'c0000000-0000-4000-8000-000000000001', 'host@release.test', 'dee@release.test', 'Dee', 'DDDDDD', 'c0000000-0000-4000-8000-000000000005', now());
+
+create temporary table round_under_test on commit drop as
+select id from public.rounds where group_id = 'd0000000-0000-4000-8000-000000000001';
+grant select, insert, truncate on round_under_test to authenticated;
+
+-- New groups wait for 3 respondents, and no group can go below that.
+do $$
+begin
+  if (select min_respondents from public.groups where id = 'd0000000-0000-4000-8000-000000000001') <> 3 then
+    raise exception 'min_respondents should default to 3';
+  end if;
+
+  begin
+    update public.groups set min_respondents = 2 where id = 'd0000000-0000-4000-8000-000000000001';
+    raise exception 'min_respondents was set below the floor';
+  exception when check_violation then
+    null;
+  end;
+end;
+$$;
+
+set local role authenticated;
+
+-- Two responses: below the floor, so nothing is released, not even by a past deadline.
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"ben@release.test","answers":{"strengths":"from ana"},"score":100}
+]');
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000003","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"ben@release.test","answers":{"strengths":"self"},"score":100}
+]');
+
+do $$
+begin
+  if public.round_is_released((select id from round_under_test)) then
+    raise exception 'round released with two responses';
+  end if;
+  if exists (select 1 from public.list_my_feedback(array['d0000000-0000-4000-8000-000000000001'::uuid])) then
+    raise exception 'Ben read feedback before release';
+  end if;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000001","email":"host@release.test","role":"authenticated"}';
+select public.set_round_due_at((select id from round_under_test), now() - interval '1 day');
+do $$
+begin
+  if public.round_is_released((select id from round_under_test)) then
+    raise exception 'past deadline released a round below the floor';
+  end if;
+end;
+$$;
+
+-- The third response meets the floor; the past deadline now releases the round, which freezes it: nobody else can
+-- add a response that would change what's been read.
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000004","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"ben@release.test","answers":{"strengths":"from cy"},"score":100}
+]');
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000003","role":"authenticated"}';
+do $$
+begin
+  if not public.round_is_released((select id from round_under_test)) then
+    raise exception 'round should be released after the deadline with three responses';
+  end if;
+  if (select count(*) from public.list_my_feedback(array['d0000000-0000-4000-8000-000000000001'::uuid])) <> 3 then
+    raise exception 'Ben should read all three responses after release';
+  end if;
+  if (select closed_at from public.rounds where id = (select id from round_under_test)) is null then
+    raise exception 'the submission that released the round should close it';
+  end if;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000005","role":"authenticated"}';
+do $$
+begin
+  perform public.submit_feedback(
+    'd0000000-0000-4000-8000-000000000001',
+    '[{"recipientEmailLower":"ben@release.test","score":1}]'::jsonb
+  );
+  raise exception 'Dee added a response to a released round';
+exception
+  when raise_exception then
+    if sqlerrm <> 'This group has no open feedback round' then raise; end if;
+end;
+$$;
+
+-- Round 2, no deadline: three of four responses only release the round once the threshold allows it.
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000001","email":"host@release.test","role":"authenticated"}';
+truncate round_under_test;
+insert into round_under_test select id from public.open_round('d0000000-0000-4000-8000-000000000001');
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000003","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000004","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+
+do $$
+begin
+  if public.round_is_released((select id from round_under_test)) then
+    raise exception 'round released before everyone responded and without a threshold';
+  end if;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000001","email":"host@release.test","role":"authenticated"}';
+update public.groups set release_threshold = 3 where id = 'd0000000-0000-4000-8000-000000000001';
+do $$
+begin
+  if not public.round_is_released((select id from round_under_test)) then
+    raise exception 'threshold of 3 should release the round';
+  end if;
+end;
+$$;
+
+-- Released by a settings change rather than a submission: the round is still open, but frozen.
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000005","role":"authenticated"}';
+do $$
+begin
+  perform public.submit_feedback(
+    'd0000000-0000-4000-8000-000000000001',
+    '[{"recipientEmailLower":"ben@release.test","score":1}]'::jsonb
+  );
+  raise exception 'Dee added a response to a released round';
+exception
+  when raise_exception then
+    if sqlerrm <> 'Feedback for this round has already been released' then raise; end if;
+end;
+$$;
+
+-- Round 3: the response that reaches the threshold closes the round.
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000001","email":"host@release.test","role":"authenticated"}';
+truncate round_under_test;
+insert into round_under_test select id from public.open_round('d0000000-0000-4000-8000-000000000001');
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000003","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000004","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+
+do $$
+begin
+  if (select closed_at from public.rounds where id = (select id from round_under_test)) is null then
+    raise exception 'reaching the threshold should close the round';
+  end if;
+end;
+$$;
+
+-- Members only see their own submission row; counts come from round_response_counts.
+do $$
+begin
+  if exists (select 1 from public.submissions where respondent_uid <> 'c0000000-0000-4000-8000-000000000004') then
+    raise exception 'member read someone else''s submission';
+  end if;
+  if (
+    select count(*)
+    from public.round_response_counts(array['d0000000-0000-4000-8000-000000000001'::uuid])
+    where round_id = (select id from round_under_test)
+      and responded = 3
+      and submitted
+  ) <> 1 then
+    raise exception 'member should see the round''s response count';
+  end if;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000001","email":"host@release.test","role":"authenticated"}';
+do $$
+begin
+  if exists (select 1 from public.submissions) then
+    raise exception 'host read submission rows';
+  end if;
+  if (
+    select sum(responded)
+    from public.round_response_counts(array['d0000000-0000-4000-8000-000000000001'::uuid])
+  ) <> 9 then
+    raise exception 'host should see response counts for every round';
+  end if;
+end;
+$$;
+
+-- Round 4: the deadline passes with three responses, releasing the open round. Nothing the host changes can take
+-- that back and let Dee add a response: not the deadline, the threshold, the floor or the roster.
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000001","email":"host@release.test","role":"authenticated"}';
+update public.groups set release_threshold = null where id = 'd0000000-0000-4000-8000-000000000001';
+truncate round_under_test;
+insert into round_under_test
+select id from public.open_round('d0000000-0000-4000-8000-000000000001', now() + interval '1 day');
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000003","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000004","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+
+reset role;
+update public.rounds set due_at = now() - interval '1 minute' where id = (select id from round_under_test);
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000001","email":"host@release.test","role":"authenticated"}';
+do $$
+begin
+  if not public.round_is_released((select id from round_under_test)) then
+    raise exception 'the passed deadline should release the round';
+  end if;
+
+  begin
+    perform public.set_round_due_at((select id from round_under_test), now() + interval '1 day');
+    raise exception 'host moved the deadline of a released round back out';
+  exception when raise_exception then
+    if sqlerrm <> 'Feedback for this round has already been released, so its deadline can''t change' then raise; end if;
+  end;
+
+  begin
+    update public.groups set min_respondents = 4 where id = 'd0000000-0000-4000-8000-000000000001';
+    raise exception 'host raised the floor of a released round';
+  exception when raise_exception then
+    if sqlerrm <> 'The open round has already been released. Close it before changing the release settings' then
+      raise;
+    end if;
+  end;
+
+  begin
+    update public.groups set release_threshold = 4 where id = 'd0000000-0000-4000-8000-000000000001';
+    raise exception 'host set a threshold on a released round';
+  exception when raise_exception then
+    if sqlerrm <> 'The open round has already been released. Close it before changing the release settings' then
+      raise;
+    end if;
+  end;
+
+  begin
+    delete from public.group_members
+    where group_id = 'd0000000-0000-4000-8000-000000000001'
+      and email_lower = 'dee@release.test';
+    raise exception 'host removed a member while the open round was released';
+  exception when raise_exception then
+    if sqlerrm <> 'The open round has already been released. Close it before removing members' then raise; end if;
+  end;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000005","role":"authenticated"}';
+do $$
+begin
+  perform public.submit_feedback(
+    'd0000000-0000-4000-8000-000000000001',
+    '[{"recipientEmailLower":"ben@release.test","score":1}]'::jsonb
+  );
+  raise exception 'Dee added a response to a released round';
+exception
+  when raise_exception then
+    if sqlerrm <> 'Feedback for this round has already been released' then raise; end if;
+end;
+$$;
+
+-- Closing records the release; after that the settings are free to change and the round stays released.
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000001","email":"host@release.test","role":"authenticated"}';
+select public.close_round('d0000000-0000-4000-8000-000000000001');
+update public.groups set min_respondents = 4 where id = 'd0000000-0000-4000-8000-000000000001';
+do $$
+begin
+  if (select released_at from public.rounds where id = (select id from round_under_test)) is null then
+    raise exception 'closing should record the release';
+  end if;
+  if not public.round_is_released((select id from round_under_test)) then
+    raise exception 'raising the floor un-released a closed round';
+  end if;
+end;
+$$;
+
+-- Round 5: removing the one member who hasn't responded releases the round, and that's recorded. Deleting the group
+-- still takes its roster with it.
+update public.groups set min_respondents = 3 where id = 'd0000000-0000-4000-8000-000000000001';
+truncate round_under_test;
+insert into round_under_test select id from public.open_round('d0000000-0000-4000-8000-000000000001');
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000003","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000004","role":"authenticated"}';
+select public.submit_feedback('d0000000-0000-4000-8000-000000000001', '[]');
+
+set local request.jwt.claims to '{"sub":"c0000000-0000-4000-8000-000000000001","email":"host@release.test","role":"authenticated"}';
+delete from public.group_members
+where group_id = 'd0000000-0000-4000-8000-000000000001'
+  and email_lower = 'dee@release.test';
+do $$
+begin
+  if (select released_at from public.rounds where id = (select id from round_under_test)) is null then
+    raise exception 'the removal that released the round should record it';
+  end if;
+end;
+$$;
+
+delete from public.groups where id = 'd0000000-0000-4000-8000-000000000001';
+do $$
+begin
+  if exists (select 1 from public.groups where id = 'd0000000-0000-4000-8000-000000000001') then
+    raise exception 'host could not delete a group with a released open round';
+  end if;
+end;
+$$;
+
+reset role;
+rollback;
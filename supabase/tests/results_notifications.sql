@@ -0,0 +1,111 @@
+-- Results notification checks: members manage only their own notification settings, only the service role finds
+-- released rounds to announce or reads the notification log.
+-- Run against a database with the migrations applied (`npm run migrate`):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/results_notifications.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+insert into auth.users (id, email) values
+  ('e7000000-0000-4000-8000-000000000001', 'host@notify.test'),
+  ('e7000000-0000-4000-8000-000000000002', null),
+  ('e7000000-0000-4000-8000-000000000003', null),
+  ('e7000000-0000-4000-8000-000000000004', null);
+
+insert into public.groups (id, name, host_uid, host_email_lower)
+values ('f7000000-0000-4000-8000-000000000001', 'Notify test', 'e7000000-0000-4000-8000-000000000001', 'host@notify.test');
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('f7000000-0000-4000-8000-000000000001', 'ana@notify.test', 'Ana'),
+  ('f7000000-0000-4000-8000-000000000001', 'ben@notify.test', 'Ben'),
+  ('f7000000-0000-4000-8000-000000000001', 'cy@notify.test', 'Cy');
+
+insert into public.invitations (group_id, host_uid, host_email_lower, email_lower, name, temp_password, redeemed_by_uid, redeemed_at)
+values
+  ('f7000000-0000-4000-8000-000000000001', 'e7000000-0000-4000-8000-000000000001', 'host@notify.test', 'ana@notify.test', 'Ana', 'AAAAAA', 'e7000000-0000-4000-8000-000000000002', now()),
+  ('f7000000-0000-4000-8000-000000000001', 'e7000000-0000-4000-8000-000000000001', 'host@notify.test', 'ben@notify.test', 'Ben', 'BBBBBB', 'e7000000-0000-4000-8000-000000000003', now()),
+  ('f7000000-0000-4000-8000-000000000001', 'e7000000-0000-4000-8000-000000000001', 'host@notify.test', 'cy@notify.test', 'Cy', 'CCCCCC', 'e7000000-0000-4000-8000-000000000004', now());
+
+-- Every member responded, so round 1 is released.
+insert into public.submissions (group_id, round_id, respondent_uid)
+select r.group_id, r.id, u.id
+from public.rounds r
+cross join (
+  values
+    ('e7000000-0000-4000-8000-000000000002'::uuid),
+    ('e7000000-0000-4000-8000-000000000003'::uuid),
+    ('e7000000-0000-4000-8000-000000000004'::uuid)
+) u (id)
+where r.group_id = 'f7000000-0000-4000-8000-000000000001';
+
+insert into public.round_notifications (round_id, email_lower)
+select id, 'ana@notify.test' from public.rounds where group_id = 'f7000000-0000-4000-8000-000000000001';
+
+set local role service_role;
+do $$
+begin
+  if not exists (
+    select 1 from public.rounds_pending_results_notification() where group_id = 'f7000000-0000-4000-8000-000000000001'
+  ) then
+    raise exception 'released round is not pending notification';
+  end if;
+end;
+$$;
+reset role;
+
+set local role authenticated;
+
+set local request.jwt.claims to '{"sub":"e7000000-0000-4000-8000-000000000002","role":"authenticated"}';
+insert into public.notification_preferences (user_id, results_ready) values ('e7000000-0000-4000-8000-000000000002', false);
+update public.notification_preferences set results_ready = true, updated_at = now();
+do $$
+begin
+  if not (select results_ready from public.notification_preferences where user_id = 'e7000000-0000-4000-8000-000000000002') then
+    raise exception 'member could not update their own preferences';
+  end if;
+
+  begin
+    insert into public.notification_preferences (user_id, results_ready) values ('e7000000-0000-4000-8000-000000000003', false);
+    raise exception 'member changed another member''s preferences';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  if exists (select 1 from public.round_notifications) then
+    raise exception 'member read the notification log';
+  end if;
+
+  begin
+    perform public.rounds_pending_results_notification();
+    raise exception 'member listed rounds pending notification';
+  exception when insufficient_privilege then
+    null;
+  end;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"e7000000-0000-4000-8000-000000000003","role":"authenticated"}';
+do $$
+begin
+  if exists (select 1 from public.notification_preferences) then
+    raise exception 'member read another member''s preferences';
+  end if;
+end;
+$$;
+
+reset role;
+
+update public.rounds set results_notified_at = now() where group_id = 'f7000000-0000-4000-8000-000000000001';
+set local role service_role;
+do $$
+begin
+  if exists (
+    select 1 from public.rounds_pending_results_notification() where group_id = 'f7000000-0000-4000-8000-000000000001'
+  ) then
+    raise exception 'round is still pending after everyone was notified';
+  end if;
+end;
+$$;
+
+reset role;
+rollback;
@@ -0,0 +1,278 @@
+-- Access matrix for the row-level security policies and RPCs: what the host, a member, another member, a
+-- signed-in outsider and the anon role can read, write and delete.
+-- Run against a database with the migrations applied (`npm run migrate`), or with `npm run test:db`:
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/rls.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+-- Fixtures: host Hana, members Ana and Ben (anonymous sessions that redeemed invites), outsiders Otto and Fay (who
+-- has no profile yet).
+insert into auth.users (id, email) values
+  ('e6000000-0000-4000-8000-000000000001', 'host@rls.test'),
+  ('e6000000-0000-4000-8000-000000000002', null),
+  ('e6000000-0000-4000-8000-000000000003', null),
+  ('e6000000-0000-4000-8000-000000000004', 'otto@rls.test'),
+  ('e6000000-0000-4000-8000-000000000005', 'fay@rls.test');
+
+insert into public.profiles (id, email_lower, first_name) values
+  ('e6000000-0000-4000-8000-000000000001', 'host@rls.test', 'Hana'),
+  ('e6000000-0000-4000-8000-000000000004', 'otto@rls.test', 'Otto');
+
+insert into public.groups (id, name, host_uid, host_email_lower)
+values ('f7000000-0000-4000-8000-000000000001', 'RLS test', 'e6000000-0000-4000-8000-000000000001', 'host@rls.test');
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('f7000000-0000-4000-8000-000000000001', 'host@rls.test', 'Hana'),
+  ('f7000000-0000-4000-8000-000000000001', 'ana@rls.test', 'Ana'),
+  ('f7000000-0000-4000-8000-000000000001', 'ben@rls.test', 'Ben');
+
+insert into public.invitations (id, group_id, host_uid, host_email_lower, email_lower, name, temp_password, redeemed_by_uid, redeemed_at)
+values
+  ('f7100000-0000-4000-8000-000000000001', 'f7000000-0000-4000-8000-000000000001', 'e6000000-0000-4000-8000-000000000001',
+   'host@rls.test', 'ana@rls.test', 'Ana', 'ANA234', 'e6000000-0000-4000-8000-000000000002', now()),
+  ('f7100000-0000-4000-8000-000000000002', 'f7000000-0000-4000-8000-000000000001', 'e6000000-0000-4000-8000-000000000001',
+   'host@rls.test', 'ben@rls.test', 'Ben', 'BEN234', 'e6000000-0000-4000-8000-000000000003', now());
+
+set local role authenticated;
+
+-- Ana, Ben and Hana give each other feedback; with everyone responded the round is released.
+set local request.jwt.claims to '{"sub":"e6000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.submit_feedback('f7000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"ben@rls.test","answers":{"strengths":"ana about ben"},"score":4},
+  {"recipientEmailLower":"host@rls.test","answers":{"strengths":"ana about hana"},"score":5}
+]');
+
+set local request.jwt.claims to '{"sub":"e6000000-0000-4000-8000-000000000003","role":"authenticated"}';
+select public.submit_feedback('f7000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"ana@rls.test","answers":{"strengths":"ben about ana"},"score":3}
+]');
+
+set local request.jwt.claims to '{"sub":"e6000000-0000-4000-8000-000000000001","email":"host@rls.test","role":"authenticated"}';
+select public.submit_feedback('f7000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"ben@rls.test","answers":{"strengths":"hana about ben"},"score":4}
+]');
+
+-- Host: sees the whole group and manages it, but never reads feedback rows.
+do $$
+begin
+  if (select count(*) from public.invitations) <> 2
+     or (select count(*) from public.group_members) <> 3
+     or (select sum(responded) from public.round_response_counts(array['f7000000-0000-4000-8000-000000000001'::uuid])) <> 3 then
+    raise exception 'host should see every invitation, roster row and response count';
+  end if;
+  if exists (select 1 from public.submissions where respondent_uid <> 'e6000000-0000-4000-8000-000000000001') then
+    raise exception 'host read who responded';
+  end if;
+
+  begin
+    perform 1 from public.feedback;
+    raise exception 'host selected from feedback';
+  exception when insufficient_privilege then null;
+  end;
+
+  if exists (
+    select 1 from public.list_my_feedback(array['f7000000-0000-4000-8000-000000000001'::uuid])
+    where recipient_email_lower <> 'host@rls.test'
+  ) then
+    raise exception 'host read feedback addressed to a member';
+  end if;
+
+  update public.groups set name = 'RLS test (renamed)' where id = 'f7000000-0000-4000-8000-000000000001';
+  if not found then
+    raise exception 'host should be able to rename the group';
+  end if;
+end;
+$$;
+
+-- Member: reads the group, the roster and their own invitation; only their own feedback; no host actions.
+set local request.jwt.claims to '{"sub":"e6000000-0000-4000-8000-000000000002","role":"authenticated"}';
+do $$
+begin
+  if (select count(*) from public.groups) <> 1 or (select count(*) from public.group_members) <> 3 then
+    raise exception 'member should read their group and its roster';
+  end if;
+  if (select count(*) from public.invitations) <> 1
+     or exists (select 1 from public.invitations where email_lower <> 'ana@rls.test') then
+    raise exception 'member should only read their own invitation';
+  end if;
+
+  if exists (
+    select 1 from public.list_my_feedback(array['f7000000-0000-4000-8000-000000000001'::uuid])
+    where recipient_email_lower <> 'ana@rls.test'
+  ) then
+    raise exception 'member read another member''s feedback';
+  end if;
+  if (select count(*) from public.list_my_feedback(array['f7000000-0000-4000-8000-000000000001'::uuid])) <> 1 then
+    raise exception 'member should read the one response about them';
+  end if;
+
+  update public.groups set name = 'Hijacked' where id = 'f7000000-0000-4000-8000-000000000001';
+  if found then
+    raise exception 'member renamed the group';
+  end if;
+
+  delete from public.invitations where group_id = 'f7000000-0000-4000-8000-000000000001';
+  if found then
+    raise exception 'member deleted invitations';
+  end if;
+
+  delete from public.groups where id = 'f7000000-0000-4000-8000-000000000001';
+  if found then
+    raise exception 'member deleted the group';
+  end if;
+end;
+$$;
+
+do $$
+begin
+  insert into public.submissions (group_id, round_id, respondent_uid)
+  select group_id, id, 'e6000000-0000-4000-8000-000000000003'
+  from public.rounds
+  where group_id = 'f7000000-0000-4000-8000-000000000001';
+  raise exception 'member recorded a submission for someone else';
+exception when insufficient_privilege then null;
+end;
+$$;
+
+do $$
+begin
+  insert into public.invitations (group_id, host_uid, host_email_lower, email_lower, name, temp_password)
+  values ('f7000000-0000-4000-8000-000000000001', 'e6000000-0000-4000-8000-000000000001', 'host@rls.test',
+          'friend@rls.test', 'Friend', 'FRN234');
+  raise exception 'member created an invitation';
+exception when insufficient_privilege then null;
+end;
+$$;
+
+-- The other member only ever gets the feedback addressed to them.
+set local request.jwt.claims to '{"sub":"e6000000-0000-4000-8000-000000000003","role":"authenticated"}';
+do $$
+begin
+  if exists (
+    select 1 from public.list_my_feedback(array['f7000000-0000-4000-8000-000000000001'::uuid])
+    where recipient_email_lower <> 'ben@rls.test'
+  ) then
+    raise exception 'member read another member''s feedback';
+  end if;
+end;
+$$;
+
+-- Outsider: signed in, but sees and changes nothing in the group.
+set local request.jwt.claims to '{"sub":"e6000000-0000-4000-8000-000000000004","email":"otto@rls.test","role":"authenticated"}';
+do $$
+begin
+  if exists (select 1 from public.groups)
+     or exists (select 1 from public.invitations)
+     or exists (select 1 from public.group_members)
+     or exists (select 1 from public.rounds)
+     or exists (select 1 from public.submissions)
+     or exists (select 1 from public.group_roles)
+     or exists (select 1 from public.round_response_counts(array['f7000000-0000-4000-8000-000000000001'::uuid])) then
+    raise exception 'outsider can read group data';
+  end if;
+  if (select count(*) from public.profiles) <> 1 then
+    raise exception 'outsider should only read their own profile';
+  end if;
+  if exists (select 1 from public.list_my_feedback(array['f7000000-0000-4000-8000-000000000001'::uuid])) then
+    raise exception 'outsider read feedback';
+  end if;
+
+  delete from public.groups where id = 'f7000000-0000-4000-8000-000000000001';
+  if found then
+    raise exception 'outsider deleted the group';
+  end if;
+end;
+$$;
+
+do $$
+begin
+  perform public.submit_feedback(
+    'f7000000-0000-4000-8000-000000000001',
+    '[{"recipientEmailLower":"ana@rls.test","score":1}]'::jsonb
+  );
+  raise exception 'outsider submitted feedback';
+exception
+  when raise_exception then
+    if sqlerrm <> 'You are not a member of this group' then raise; end if;
+end;
+$$;
+
+do $$
+begin
+  perform public.open_round('f7000000-0000-4000-8000-000000000001');
+  raise exception 'outsider opened a round';
+exception
+  when raise_exception then
+    if sqlerrm not like 'Only the group host%' then raise; end if;
+end;
+$$;
+
+do $$
+begin
+  insert into public.group_members (group_id, email_lower, name)
+  values ('f7000000-0000-4000-8000-000000000001', 'otto@rls.test', 'Otto');
+  raise exception 'outsider added themselves to the roster';
+exception when insufficient_privilege then null;
+end;
+$$;
+
+-- A profile can't claim someone else's email: Ana joined with a code and has no profile, so nothing else would stop
+-- Fay from filing one under Ana's email and reading Ana's feedback as its recipient.
+set local request.jwt.claims to '{"sub":"e6000000-0000-4000-8000-000000000005","email":"fay@rls.test","role":"authenticated"}';
+do $$
+begin
+  begin
+    insert into public.profiles (id, email_lower, first_name)
+    values ('e6000000-0000-4000-8000-000000000005', 'ana@rls.test', 'Ana');
+    raise exception 'outsider created a profile with another member''s email';
+  exception when insufficient_privilege then null;
+  end;
+
+  if exists (select 1 from public.list_my_feedback(array['f7000000-0000-4000-8000-000000000001'::uuid])) then
+    raise exception 'outsider read feedback';
+  end if;
+
+  insert into public.profiles (id, email_lower, first_name)
+  values ('e6000000-0000-4000-8000-000000000005', 'fay@rls.test', 'Fay');
+
+  begin
+    update public.profiles set email_lower = 'ben@rls.test' where id = 'e6000000-0000-4000-8000-000000000005';
+    raise exception 'outsider moved their profile to another member''s email';
+  exception when insufficient_privilege then null;
+  end;
+end;
+$$;
+
+-- Anon role (no session at all): no rows anywhere, and the sign-in-only RPCs refuse.
+reset role;
+set local role anon;
+set local request.jwt.claims to '{"role":"anon"}';
+do $$
+begin
+  if exists (select 1 from public.groups)
+     or exists (select 1 from public.invitations)
+     or exists (select 1 from public.group_members)
+     or exists (select 1 from public.profiles)
+     or exists (select 1 from public.submissions) then
+    raise exception 'anon can read data';
+  end if;
+
+  begin
+    perform 1 from public.feedback;
+    raise exception 'anon selected from feedback';
+  exception when insufficient_privilege then null;
+  end;
+
+  begin
+    perform public.submit_feedback('f7000000-0000-4000-8000-000000000001', '[]'::jsonb);
+    raise exception 'anon submitted feedback';
+  exception
+    when raise_exception then
+      if sqlerrm <> 'You must be signed in to submit feedback' then raise; end if;
+  end;
+end;
+$$;
+
+reset role;
+rollback;
@@ -0,0 +1,53 @@
+-- Stand-in for the parts of Supabase the migrations and tests rely on, so they run on plain Postgres:
+-- the anon / authenticated / service_role roles with Supabase's default grants, `auth.users`, and
+-- `auth.uid()` / `auth.jwt()` reading the request.jwt.claims setting that PostgREST sets per request.
+-- Tests impersonate a user with:
+--   set local role authenticated;
+--   set local request.jwt.claims to '{"sub":"<user id>","email":"<email>","role":"authenticated"}';
+-- Applied by `npm run test:db` before the migrations. Never run this against a Supabase project.
+
+do $$
+begin
+  if not exists (select 1 from pg_roles where rolname = 'anon') then
+    create role anon nologin;
+  end if;
+  if not exists (select 1 from pg_roles where rolname = 'authenticated') then
+    create role authenticated nologin;
+  end if;
+  if not exists (select 1 from pg_roles where rolname = 'service_role') then
+    create role service_role nologin bypassrls;
+  end if;
+end;
+$$;
+
+create schema if not exists auth;
+create schema if not exists extensions;
+
+create table if not exists auth.users (
+  id uuid primary key,
+  email text null,
+  raw_user_meta_data jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create or replace function auth.jwt()
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(nullif(current_setting('request.jwt.claims', true), ''), '{}')::jsonb;
+$$;
+
+create or replace function auth.uid()
+returns uuid
+language sql
+stable
+as $$
+  select nullif(auth.jwt()->>'sub', '')::uuid;
+$$;
+
+grant usage on schema auth, extensions, public to anon, authenticated, service_role;
+grant execute on all functions in schema auth to anon, authenticated, service_role;
+alter default privileges in schema public grant all on tables to anon, authenticated, service_role;
+alter default privileges in schema public grant all on sequences to anon, authenticated, service_role;
+alter default privileges in schema public grant all on functions to anon, authenticated, service_role;
@@ -0,0 +1,136 @@
+-- Team report checks: hosts get score statistics and counts of structured answers, never free text, and only
+-- once the round is released. Members can't read either summary.
+-- Run against a database with the migrations applied (`npm run migrate`):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/team_report.sql
+-- Everything happens in one transaction that is rolled back.
+
+begin;
+
+insert into auth.users (id, email) values
+  ('e0000000-0000-4000-8000-000000000001', 'host@team.test'),
+  ('e0000000-0000-4000-8000-000000000002', null),
+  ('e0000000-0000-4000-8000-000000000003', null),
+  ('e0000000-0000-4000-8000-000000000004', null);
+
+insert into public.groups (id, name, host_uid, host_email_lower, questions)
+values (
+  'f0000000-0000-4000-8000-000000000001',
+  'Team report test',
+  'e0000000-0000-4000-8000-000000000001',
+  'host@team.test',
+  '[
+    {"id":"notes","type":"text","prompt":"Anything else?"},
+    {"id":"reliable","type":"likert","prompt":"{name} is reliable"},
+    {"id":"pace","type":"choice","prompt":"Pace?","options":["Fast","Steady"]},
+    {"id":"again","type":"yesno","prompt":"Again?"}
+  ]'::jsonb
+);
+
+insert into public.group_members (group_id, email_lower, name) values
+  ('f0000000-0000-4000-8000-000000000001', 'ana@team.test', 'Ana'),
+  ('f0000000-0000-4000-8000-000000000001', 'ben@team.test', 'Ben'),
+  ('f0000000-0000-4000-8000-000000000001', 'cy@team.test', 'Cy');
+
+insert into public.invitations (group_id, host_uid, host_email_lower, email_lower, name, temp_password, redeemed_by_uid, redeemed_at)
+values
+  ('f0000000-0000-4000-8000-000000000001', 'e0000000-0000-4000-8000-000000000001', 'host@team.test', 'ana@team.test', 'Ana', 'AAAAAA', 'e0000000-0000-4000-8000-000000000002', now()),
+  ('f0000000-0000-4000-8000-000000000001', 'e0000000-0000-4000-8000-000000000001', 'host@team.test', 'ben@team.test', 'Ben', 'BBBBBB', 'e0000000-0000-4000-8000-000000000003', now()),
+  ('f0000000-0000-4000-8000-000000000001', 'e0000000-0000-4000-8000-000000000001', 'host@team.test', 'cy@team.test', 'Cy', 'CCCCCC', 'e0000000-0000-4000-8000-000000000004', now());
+
+create temporary table round_under_test on commit drop as
+select id from public.rounds where group_id = 'f0000000-0000-4000-8000-000000000001';
+grant select on round_under_test to authenticated;
+
+set local role authenticated;
+
+-- Ana's response slips free text into the choice question; it must not show up in the answer summary.
+set local request.jwt.claims to '{"sub":"e0000000-0000-4000-8000-000000000002","role":"authenticated"}';
+select public.submit_feedback('f0000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"ben@team.test","answers":{"notes":"secret note","reliable":5,"pace":"Ben is slow","again":true},"score":90},
+  {"recipientEmailLower":"cy@team.test","answers":{"notes":"","reliable":"4","pace":"Fast","again":false},"score":70},
+  {"recipientEmailLower":"ana@team.test","score":90}
+]');
+
+set local request.jwt.claims to '{"sub":"e0000000-0000-4000-8000-000000000001","email":"host@team.test","role":"authenticated"}';
+do $$
+begin
+  if exists (select 1 from public.group_feedback_summary('f0000000-0000-4000-8000-000000000001', (select id from round_under_test)))
+    or exists (select 1 from public.group_answer_summary('f0000000-0000-4000-8000-000000000001', (select id from round_under_test)))
+  then
+    raise exception 'host read summaries of an unreleased round';
+  end if;
+end;
+$$;
+
+set local request.jwt.claims to '{"sub":"e0000000-0000-4000-8000-000000000003","role":"authenticated"}';
+select public.submit_feedback('f0000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"ana@team.test","answers":{"notes":"secret too","reliable":3,"pace":"Steady","again":true},"score":80},
+  {"recipientEmailLower":"cy@team.test","answers":{"reliable":2,"pace":"Fast","again":true},"score":50}
+]');
+
+-- Cy's response is the last one, which releases the round.
+set local request.jwt.claims to '{"sub":"e0000000-0000-4000-8000-000000000004","role":"authenticated"}';
+select public.submit_feedback('f0000000-0000-4000-8000-000000000001', '[
+  {"recipientEmailLower":"ana@team.test","score":100}
+]');
+
+set local request.jwt.claims to '{"sub":"e0000000-0000-4000-8000-000000000001","email":"host@team.test","role":"authenticated"}';
+do $$
+begin
+  if (
+    select count(*)
+    from public.group_feedback_summary('f0000000-0000-4000-8000-000000000001', (select id from round_under_test))
+    where recipient_email_lower = 'ana@team.test'
+      and responses = 3
+      and average_score = 90
+      and score_spread = 8.2
+  ) <> 1 then
+    raise exception 'summary should report Ana''s average and spread';
+  end if;
+
+  -- Two scores would be given away by their average and spread (and each respondent would learn the other's).
+  if (
+    select count(*)
+    from public.group_feedback_summary('f0000000-0000-4000-8000-000000000001', (select id from round_under_test))
+    where recipient_email_lower = 'cy@team.test'
+      and responses = 2
+      and average_score is null
+      and score_spread is null
+  ) <> 1 then
+    raise exception 'summary should hide Cy''s scores behind their response count';
+  end if;
+
+  if exists (
+    select 1
+    from public.group_answer_summary('f0000000-0000-4000-8000-000000000001', (select id from round_under_test))
+    where question_id = 'notes' or answer not in ('2', '3', '5', 'Fast', 'Steady', 'true', 'false')
+  ) then
+    raise exception 'answer summary returned free text';
+  end if;
+
+  if (
+    select string_agg(question_id || '=' || answer || ':' || responses, ',' order by question_id, answer)
+    from public.group_answer_summary('f0000000-0000-4000-8000-000000000001', (select id from round_under_test))
+  ) <> 'again=false:1,again=true:3,pace=Fast:2,pace=Steady:1,reliable=2:1,reliable=3:1,reliable=5:1' then
+    raise exception 'answer summary counts are wrong';
+  end if;
+end;
+$$;
+
+-- Members get neither summary.
+set local request.jwt.claims to '{"sub":"e0000000-0000-4000-8000-000000000002","role":"authenticated"}';
+do $$
+begin
+  begin
+    perform 1 from public.group_answer_summary('f0000000-0000-4000-8000-000000000001', (select id from round_under_test));
+    raise exception 'member was able to read the answer summary';
+  exception when raise_exception then
+    if sqlerrm not like 'Only the group host%' then
+      raise;
+    end if;
+  end;
+end;
+$$;
+
+reset role;
+rollback;
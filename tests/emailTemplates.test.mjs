@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_BRAND_COLOR,
+  formatTimeLeft,
+  groupPageUrl,
+  normalizeEmailTemplate,
+  renderEmail,
+  renderTemplate,
+  validateEmailTemplate
+} from "../src/emailTemplates.js";
+
+const inviteVars = {
+  name: "Ana",
+  hostName: "Hana",
+  groupName: "Design team",
+  email: "ana@example.com",
+  tempPassword: "ABC234",
+  signInUrl: "https://offrecord.test",
+  actionUrl: "https://offrecord.test/join/token",
+  linkTtlHours: 168
+};
+
+test("placeholders and sections; values are never expanded again", () => {
+  const greeting = "Hi {{name}}{{#late}}, you're late{{/late}}{{^late}}!{{/late}}";
+  assert.equal(renderTemplate(greeting, { name: "Ana" }), "Hi Ana!");
+  assert.equal(renderTemplate("{{#a}}A{{#b}}B{{/b}}{{/a}}", { a: true, b: true }), "AB");
+  assert.equal(renderTemplate("Hi {{name}}", { name: "{{secret}}", secret: "x" }), "Hi {{secret}}");
+  assert.equal(renderTemplate("{{missing}}.", {}), ".");
+});
+
+test("member names, group names and host text are escaped in the HTML version", () => {
+  const email = renderEmail(
+    "invite",
+    { ...inviteVars, name: "<script>alert(1)</script>", groupName: 'A & "B"' },
+    { intro: "<b>Welcome</b>, {{name}}!\n\nSee you soon", signOff: "Cheers, {{hostName}}" }
+  );
+
+  assert.doesNotMatch(email.html, /<script>|<b>/);
+  assert.match(email.html, /&lt;b&gt;Welcome&lt;\/b&gt;, &lt;script&gt;/);
+  assert.match(email.html, /A &amp; &quot;B&quot;/);
+  assert.match(email.text, /^<b>Welcome<\/b>, <script>alert\(1\)<\/script>!$/m);
+  assert.match(email.text, /Cheers, Hana$/);
+  assert.equal(email.subject, 'Hana invited you to OffRecord: A & "B"');
+});
+
+test("the brand color styles the button, and only http(s) links become buttons", () => {
+  const branded = renderEmail("invite", inviteVars, { brandColor: "#112233" });
+  assert.match(branded.html, /href="https:\/\/offrecord\.test\/join\/token" style="[^"]*background:#112233/);
+  assert.match(branded.text, /Temporary Password: ABC234/);
+
+  const unsafe = renderEmail("invite", { ...inviteVars, actionUrl: "javascript:alert(1)" });
+  assert.doesNotMatch(unsafe.html, /javascript:/);
+  assert.doesNotMatch(unsafe.text, /Join with one click/);
+});
+
+test("links point at the group's pages in the app", () => {
+  assert.equal(groupPageUrl("https://offrecord.test/", "g1", "survey"), "https://offrecord.test/groups/g1/survey");
+  assert.equal(groupPageUrl(" https://offrecord.test ", "g1"), "https://offrecord.test/groups/g1");
+  assert.equal(groupPageUrl("", "g1", "report"), "");
+});
+
+test("emails use the group's language", () => {
+  const email = renderEmail(
+    "resultsReady",
+    { name: "Ana", groupName: "Equipo", roundNumber: 2, actionUrl: "https://offrecord.test" },
+    { locale: "es" }
+  );
+  assert.equal(email.subject, "Tus comentarios de Equipo están listos");
+  assert.match(email.text, /^Hola, Ana:/);
+  assert.equal(formatTimeLeft("2026-03-03T12:00:00Z", new Date("2026-03-01T12:00:00Z"), "de"), "in 2 Tagen");
+  assert.throws(() => renderEmail("farewell", {}), /Unknown email template/);
+});
+
+test("template settings are validated and defaulted", () => {
+  assert.deepEqual(normalizeEmailTemplate(null), {
+    locale: "en",
+    intro: "",
+    signOff: "",
+    brandColor: DEFAULT_BRAND_COLOR
+  });
+  assert.equal(normalizeEmailTemplate({ locale: "xx", brandColor: "red" }).brandColor, DEFAULT_BRAND_COLOR);
+  assert.equal(validateEmailTemplate({ brandColor: "#12345" }), "Brand color must be a hex color like #7c3aed");
+  assert.equal(validateEmailTemplate({ locale: "xx" }), "Pick one of the listed languages");
+  assert.match(validateEmailTemplate({ intro: "x".repeat(2001) }), /at most 2000/);
+  assert.equal(validateEmailTemplate({ locale: "de", brandColor: "#AABBCC", intro: "Hallo" }), "");
+});
@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CATALOGS, LOCALES, createTranslator, detectLocale, isPluralMessage } from "../src/i18n.js";
+import { buildFeedbackReport, feedbackReportToText } from "../src/report.js";
+import { EMAIL_LOCALES, renderEmail } from "../src/emailTemplates.js";
+import { validateQuestions } from "../src/questions.js";
+
+// key → message for every leaf; plural forms are compared as one message per form.
+const flatten = (node, prefix = "", out = {}) => {
+  for (const [key, value] of Object.entries(node)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === "string" || Array.isArray(value)) out[path] = value;
+    else if (isPluralMessage(value)) out[path] = value.other;
+    else flatten(value, path, out);
+  }
+  return out;
+};
+
+const placeholders = (message) => [...String(message).matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+
+for (const locale of ["es", "de"]) {
+  test(`the ${locale} catalog has every English message with the same placeholders`, () => {
+    const english = flatten(CATALOGS.en);
+    const translated = flatten(CATALOGS[locale]);
+    assert.deepEqual(Object.keys(translated).sort(), Object.keys(english).sort());
+    for (const [key, message] of Object.entries(english)) {
+      if (Array.isArray(message)) assert.equal(translated[key].length, message.length, key);
+      else assert.deepEqual(placeholders(translated[key]), placeholders(message), key);
+    }
+  });
+}
+
+test("emails come in the languages the app has", () => {
+  assert.deepEqual(Object.keys(EMAIL_LOCALES).sort(), Object.keys(LOCALES).sort());
+  assert.deepEqual(Object.keys(CATALOGS).sort(), Object.keys(LOCALES).sort());
+});
+
+test("messages pick plural forms, format numbers and fall back to English", () => {
+  const de = createTranslator("de-DE");
+  assert.equal(de.locale, "de");
+  assert.equal(de("common.members", { count: 1 }), "1 Mitglied");
+  assert.equal(de("common.members", { count: 1200 }), "1.200 Mitglieder");
+  assert.equal(de.formatDecimal(4.5), "4,5");
+  assert.equal(createTranslator("es")("release.countdown.days", { count: 1 }), "Vence en 1 día");
+  assert.equal(createTranslator("xx")("dashboard.refresh"), "Refresh");
+  assert.equal(de("no.such.key"), "no.such.key");
+  assert.match(de("questionEditor.nameHint"), /^Nutze \{name\} in einer Frage/);
+  assert.equal(validateQuestions([], de), "Füge mindestens eine Frage hinzu");
+});
+
+test("the saved language wins over the browser's, which wins over English", () => {
+  assert.equal(detectLocale({ stored: "es", languages: ["de-DE"] }), "es");
+  assert.equal(detectLocale({ stored: null, languages: ["fr-FR", "de-AT", "en"] }), "de");
+  assert.equal(detectLocale({ stored: "klingon", languages: ["ja"] }), "en");
+  assert.equal(detectLocale(), "en");
+});
+
+test("reports and emails come out in German", () => {
+  const report = buildFeedbackReport({
+    recipientName: "Jonas",
+    groupName: "Plattform",
+    round: { id: "r1", number: 3 },
+    questions: [{ id: "collab", type: "likert", prompt: "{name} ist hilfsbereit" }],
+    feedback: [
+      { score: 90, answers: { collab: 5 } },
+      { score: 71, answers: { collab: 4 } }
+    ],
+    generatedAt: "2026-03-01T12:00:00Z",
+    t: createTranslator("de")
+  });
+  const text = feedbackReportToText(report);
+  assert.match(text, /^Feedback für Jonas$/m);
+  assert.match(text, /Plattform • Runde 3/);
+  assert.match(text, /Jonas ist hilfsbereit: 4,5 \/ 5/);
+
+  const email = renderEmail(
+    "reminder",
+    { name: "Jonas", groupName: "Plattform", roundNumber: 3, timeLeft: "morgen", dueLabel: "2. März 2026" },
+    { locale: "de" }
+  );
+  assert.equal(email.subject, "Erinnerung: Das Feedback für Plattform ist morgen fällig");
+  assert.match(email.text, /^Hallo Jonas,/);
+});
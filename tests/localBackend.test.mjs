@@ -0,0 +1,355 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createLocalBackend } from "../src/backends/localBackend.js";
+import { SEED_PASSWORD } from "../src/backends/localSeed.js";
+
+// Stands in for localStorage / sessionStorage.
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const signIn = async (backend, email, password = SEED_PASSWORD) => {
+  const { data, error } = await backend.auth.signInWithPassword({ email, password });
+  assert.equal(error, null);
+  return data.user;
+};
+
+test("seed data: hosts see their groups, members only their own released feedback", async () => {
+  const backend = createLocalBackend();
+  const { db } = backend;
+
+  const hana = await signIn(backend, "hana@example.com");
+  const managed = await db.listManagedGroups({ uid: hana.id });
+  assert.deepEqual(
+    managed.map((g) => [g.name, g.myRole]),
+    [["Design team", "owner"]]
+  );
+  const design = managed[0];
+  assert.equal(design.members.find((m) => m.emailLower === "dan@example.com").status, "invited");
+
+  const ana = await signIn(backend, "ana@example.com");
+  const feedback = await db.listFeedbackForRecipient({ recipientEmailLower: "ana@example.com", groupIds: [design.id] });
+  const rounds = await db.listGroupRounds({ groupId: design.id });
+  // Round 2 has one response out of the three required, so only round 1 is released.
+  assert.equal(feedback.length, 2);
+  assert.ok(feedback.every((f) => f.recipientEmailLower === "ana@example.com" && f.roundId === rounds.at(-1).id));
+  assert.deepEqual(await db.listManagedGroups({ uid: ana.id }).then((gs) => gs.map((g) => g.name)), ["Book club"]);
+
+  await backend.auth.signOut();
+  assert.equal((await backend.auth.getSession()).data.session, null);
+  await assert.rejects(db.getGroup({ groupId: design.id }));
+});
+
+test("a group runs end to end: invite, join with a code, submit, release", async () => {
+  const backend = createLocalBackend({ seed: null });
+  const { db, auth } = backend;
+
+  const { data } = await auth.signUp({ email: "host@test.local", password: "secret123" });
+  const host = data.user;
+  const { group, invitations } = await db.createGroup({
+    name: "Team",
+    hostUid: host.id,
+    hostEmail: "host@test.local",
+    hostName: "Host",
+    members: [
+      { email: "a@test.local", name: "A", tempPassword: "AAA234" },
+      { email: "b@test.local", name: "B", tempPassword: "BBB234" },
+      { email: "c@test.local", name: "C", tempPassword: "CCC234" }
+    ],
+    minRespondents: 3,
+    releaseThreshold: 3
+  });
+  assert.equal(invitations[0].tempPassword, "AAA234");
+  assert.deepEqual(
+    group.members.map((m) => [m.emailLower, m.role, m.status]).sort((x, y) => x[0].localeCompare(y[0])),
+    [
+      ["a@test.local", "member", "invited"],
+      ["b@test.local", "member", "invited"],
+      ["c@test.local", "member", "invited"],
+      ["host@test.local", "owner", "joined"]
+    ]
+  );
+
+  const joinAs = async (email, code) => {
+    await auth.signInAnonymously();
+    return db.redeemInvitationForUser({ emailLower: email, tempPassword: code });
+  };
+
+  await auth.signInAnonymously();
+  await assert.rejects(
+    db.redeemInvitationForUser({ emailLower: "a@test.local", tempPassword: "WRONG1" }),
+    /Invalid email or temporary password/
+  );
+
+  await joinAs("a@test.local", "AAA234");
+  const items = [
+    { recipientEmailLower: "b@test.local", answers: { strengths: "a on b", improvements: "" }, score: 4 },
+    { recipientEmailLower: "host@test.local", answers: { strengths: "a on host", improvements: "" }, score: 5 }
+  ];
+  await db.submitGroupResponse({ groupId: group.id, feedbackItems: items });
+  await assert.rejects(
+    db.submitGroupResponse({ groupId: group.id, feedbackItems: items }),
+    /already submitted feedback/
+  );
+
+  await joinAs("c@test.local", "CCC234");
+  await db.submitGroupResponse({
+    groupId: group.id,
+    feedbackItems: [{ recipientEmailLower: "b@test.local", answers: { strengths: "c on b" }, score: 2 }]
+  });
+
+  await joinAs("b@test.local", "BBB234");
+  // A bad item fails the whole submission, leaving nothing behind.
+  await assert.rejects(
+    db.submitGroupResponse({ groupId: group.id, feedbackItems: [{ recipientEmailLower: "x@test.local", score: 1 }] }),
+    /not a member of this group/
+  );
+  assert.deepEqual(
+    (await db.listGroupResponses({ groupId: group.id })).map((r) => [r.responded, r.submitted]),
+    [[2, false]]
+  );
+  // Two responses are below the floor of three.
+  assert.deepEqual(await db.listFeedbackForRecipient({ recipientEmailLower: "b@test.local", groupIds: [group.id] }), []);
+
+  await db.submitGroupResponse({
+    groupId: group.id,
+    feedbackItems: [{ recipientEmailLower: "a@test.local", answers: { strengths: "b on a" }, score: 3 }]
+  });
+  const released = await db.listFeedbackForRecipient({ recipientEmailLower: "b@test.local", groupIds: [group.id] });
+  assert.deepEqual(released.map((f) => f.answers.strengths).sort(), ["a on b", "c on b"]);
+  // Reaching the release threshold froze the round.
+  assert.equal((await db.listGroupRounds({ groupId: group.id }))[0].isOpen, false);
+  await assert.rejects(db.closeGroupRound({ groupId: group.id }), /Only the group host/);
+
+  await auth.signInWithPassword({ email: "host@test.local", password: "secret123" });
+  const roster = await db.getGroup({ groupId: group.id });
+  assert.ok(roster.members.every((m) => m.status === "joined"));
+  const { recipients } = await db.getGroupTeamSummary({ groupId: group.id, roundId: released[0].roundId });
+  assert.deepEqual(
+    recipients.map((r) => [r.recipientEmailLower, r.responses, r.averageScore]).sort(),
+    [
+      ["a@test.local", 1, null],
+      ["b@test.local", 2, null],
+      ["host@test.local", 1, null]
+    ]
+  );
+  const next = await db.openGroupRound({ groupId: group.id });
+  assert.equal(next.number, 2);
+});
+
+test("a round released by its deadline stays released", async () => {
+  let clock = new Date("2026-03-02T09:00:00Z");
+  const backend = createLocalBackend({ seed: null, now: () => clock });
+  const { db, auth } = backend;
+
+  const { data } = await auth.signUp({ email: "host@test.local", password: "secret123" });
+  const { group } = await db.createGroup({
+    name: "Team",
+    hostUid: data.user.id,
+    hostEmail: "host@test.local",
+    hostName: "Host",
+    members: ["a", "b", "c", "d"].map((x) => ({ email: `${x}@test.local`, name: x, tempPassword: `${x}${x}${x}234` })),
+    dueAt: new Date("2026-03-03T09:00:00Z")
+  });
+  for (const x of ["a", "b", "c"]) {
+    await auth.signInAnonymously();
+    await db.redeemInvitationForUser({ emailLower: `${x}@test.local`, tempPassword: `${x}${x}${x}234` });
+    await db.submitGroupResponse({ groupId: group.id, feedbackItems: [] });
+  }
+
+  clock = new Date("2026-03-04T09:00:00Z");
+  await auth.signInWithPassword({ email: "host@test.local", password: "secret123" });
+  const [round] = await db.listGroupRounds({ groupId: group.id });
+  await assert.rejects(
+    db.setRoundDueAt({ roundId: round.id, dueAt: new Date("2026-03-10T09:00:00Z") }),
+    /already been released/
+  );
+  await assert.rejects(
+    db.updateGroupReleaseSettings({ groupId: group.id, minRespondents: 4, releaseThreshold: null, memberCount: 5 }),
+    /Close it before changing the release settings/
+  );
+  await assert.rejects(
+    db.updateGroupMembers({ groupId: group.id, remove: ["d@test.local"] }),
+    /Close it before removing members/
+  );
+
+  await auth.signInAnonymously();
+  await db.redeemInvitationForUser({ emailLower: "d@test.local", tempPassword: "ddd234" });
+  await assert.rejects(db.submitGroupResponse({ groupId: group.id, feedbackItems: [] }), /already been released/);
+
+  await auth.signInWithPassword({ email: "host@test.local", password: "secret123" });
+  await db.closeGroupRound({ groupId: group.id });
+  await db.updateGroupReleaseSettings({ groupId: group.id, minRespondents: 4, releaseThreshold: null, memberCount: 5 });
+  const [closed] = await db.listGroupRounds({ groupId: group.id });
+  assert.equal(closed.releasedAt, "2026-03-04T09:00:00.000Z");
+});
+
+test("invite links work once", async () => {
+  const backend = createLocalBackend();
+  const { db, auth } = backend;
+
+  await signIn(backend, "hana@example.com");
+  const [design] = await db.listManagedGroups({ uid: (await auth.getSession()).data.session.user.id });
+  const dan = (await db.listGroupInvitations({ groupId: design.id })).find((i) => i.emailLower === "dan@example.com");
+  const token = await db.createInviteLink({ invitationId: dan.id });
+
+  await auth.signInAnonymously();
+  const invite = await db.redeemInviteLink({ token });
+  assert.equal(invite.emailLower, "dan@example.com");
+
+  await auth.signInAnonymously();
+  await assert.rejects(db.redeemInviteLink({ token }), /already been used/);
+
+  // Dan joined, so nobody gets a new link for that invitation.
+  await signIn(backend, "hana@example.com");
+  await assert.rejects(db.createInviteLink({ invitationId: dan.id }), /already been used/);
+});
+
+test("a member's seat can't be taken over with a new code or a second invitation", async () => {
+  const backend = createLocalBackend({ seed: null });
+  const { db, auth } = backend;
+
+  const { data } = await auth.signUp({ email: "host@test.local", password: "secret123" });
+  const { group, invitations } = await db.createGroup({
+    name: "Team",
+    hostUid: data.user.id,
+    hostEmail: "host@test.local",
+    hostName: "Host",
+    members: [{ email: "a@test.local", name: "A", tempPassword: "AAA234" }]
+  });
+
+  await auth.signInAnonymously();
+  await db.redeemInvitationForUser({ emailLower: "a@test.local", tempPassword: "AAA234" });
+  // The same session can sign in with the code again.
+  await db.redeemInvitationForUser({ emailLower: "a@test.local", tempPassword: "AAA234" });
+
+  await auth.signInWithPassword({ email: "host@test.local", password: "secret123" });
+  await assert.rejects(db.regenerateInvitationCode({ invitationId: invitations[0].id }), /already been used/);
+  await db.createGroupInvitations({
+    groupId: group.id,
+    hostEmailLower: "host@test.local",
+    members: [{ email: "a@test.local", name: "A", tempPassword: "HOST23" }]
+  });
+  await assert.rejects(
+    db.redeemInvitationForUser({ emailLower: "a@test.local", tempPassword: "HOST23" }),
+    /Someone already joined/
+  );
+});
+
+test("revoked invites stay revoked until a host restores them", async () => {
+  const backend = createLocalBackend();
+  const { db, auth } = backend;
+
+  await signIn(backend, "hana@example.com");
+  const [design] = await db.listManagedGroups({ uid: (await auth.getSession()).data.session.user.id });
+  const dan = (await db.listGroupInvitations({ groupId: design.id })).find((i) => i.emailLower === "dan@example.com");
+  await db.revokeInvitation({ invitationId: dan.id });
+  await assert.rejects(db.regenerateInvitationCode({ invitationId: dan.id }), /Restore it/);
+
+  const restored = await db.restoreInvitation({ invitationId: dan.id });
+  assert.equal(restored.revokedAt, null);
+  assert.match(await db.regenerateInvitationCode({ invitationId: dan.id }), /^[A-Z2-9]{6}$/);
+});
+
+test("tables are shared through storage, sessions are per tab", async () => {
+  const storage = memoryStorage();
+  const tabA = createLocalBackend({ storage, sessionStorage: memoryStorage() });
+  const tabB = createLocalBackend({ storage, sessionStorage: memoryStorage() });
+
+  const hana = await signIn(tabA, "hana@example.com");
+  await tabA.db.createOrganization({ name: "Zeta" });
+
+  assert.equal((await tabB.auth.getSession()).data.session, null);
+  await signIn(tabB, "hana@example.com");
+  const orgs = await tabB.db.listMyOrganizations({ uid: hana.id });
+  assert.deepEqual(
+    orgs.map((o) => [o.name, o.myRole]),
+    [
+      ["Acme", "admin"],
+      ["Zeta", "admin"]
+    ]
+  );
+
+  tabB.reset();
+  await signIn(tabA, "hana@example.com");
+  assert.deepEqual((await tabA.db.listMyOrganizations({ uid: hana.id })).map((o) => o.name), ["Acme"]);
+});
+
+test("sent invites are logged for hosts only", async (t) => {
+  t.mock.method(console, "info", () => {});
+  const backend = createLocalBackend();
+  const { db, auth } = backend;
+
+  await signIn(backend, "hana@example.com");
+  const [design] = await db.listManagedGroups({ uid: (await auth.getSession()).data.session.user.id });
+  const res = await backend.sendInviteEmails({ groupId: design.id, emails: ["dan@example.com", "ana@example.com"] });
+  assert.equal(res.sent, 1);
+  // Ana already joined, so there's no pending invite to send her.
+  assert.deepEqual(res.failures, [{ to: "ana@example.com", error: "No pending invite for this email" }]);
+  assert.deepEqual(res.results, [{ email: "dan@example.com", ok: true, error: null }]);
+
+  const [delivery] = await db.listInviteDeliveries({ groupId: design.id });
+  assert.equal(delivery.emailLower, "dan@example.com");
+  assert.equal(delivery.status, "sent");
+  assert.equal(delivery.provider, "console");
+
+  // A code that isn't the invitation's current one is replaced rather than emailed.
+  const code = await db.regenerateInvitationCode({ invitationId: delivery.invitationId });
+  const credentials = [{ email: "dan@example.com", tempPassword: code }];
+  const known = await backend.sendInviteEmails({ groupId: design.id, emails: ["dan@example.com"], credentials });
+  assert.equal(known.regenerated, 0);
+  credentials[0].tempPassword = "NOTIT2";
+  const made = await backend.sendInviteEmails({ groupId: design.id, emails: ["dan@example.com"], credentials });
+  assert.equal(made.regenerated, 1);
+
+  await auth.signInAnonymously();
+  assert.deepEqual(await db.listInviteDeliveries({ groupId: design.id }), []);
+});
+
+test("members who joined hear once when feedback is released, unless they opted out", async (t) => {
+  const logged = t.mock.method(console, "info", () => {});
+  const backend = createLocalBackend({ seed: null });
+  const { db, auth } = backend;
+
+  const { data } = await auth.signUp({ email: "host@test.local", password: "secret123" });
+  const { group } = await db.createGroup({
+    name: "Team",
+    hostUid: data.user.id,
+    hostEmail: "host@test.local",
+    hostName: "Host",
+    members: [
+      { email: "a@test.local", name: "A", tempPassword: "AAA234" },
+      { email: "b@test.local", name: "B", tempPassword: "BBB234" },
+      { email: "c@test.local", name: "C", tempPassword: "CCC234" }
+    ]
+  });
+
+  const a = (await auth.signInAnonymously()).data.user;
+  await db.redeemInvitationForUser({ emailLower: "a@test.local", tempPassword: "AAA234" });
+  assert.deepEqual(await db.getNotificationPreferences({ uid: a.id }), { resultsReady: true });
+  await db.updateNotificationPreferences({ uid: a.id, resultsReady: false });
+  assert.deepEqual(await db.getNotificationPreferences({ uid: a.id }), { resultsReady: false });
+  await db.submitGroupResponse({ groupId: group.id, feedbackItems: [] });
+
+  const b = (await auth.signInAnonymously()).data.user;
+  await assert.rejects(db.updateNotificationPreferences({ uid: a.id, resultsReady: true }), /row-level security/);
+  await db.redeemInvitationForUser({ emailLower: "b@test.local", tempPassword: "BBB234" });
+  await db.submitGroupResponse({
+    groupId: group.id,
+    feedbackItems: [{ recipientEmailLower: "a@test.local", answers: { strengths: "b on a" }, score: 3 }]
+  });
+  assert.equal(logged.mock.callCount(), 0);
+  assert.deepEqual(await db.getNotificationPreferences({ uid: b.id }), { resultsReady: true });
+
+  await auth.signInWithPassword({ email: "host@test.local", password: "secret123" });
+  await db.submitGroupResponse({ groupId: group.id, feedbackItems: [] });
+  await db.closeGroupRound({ groupId: group.id });
+  const recipients = logged.mock.calls.map((call) => call.arguments[0].match(/^\[local email\] To: (\S+)/)[1]);
+  assert.deepEqual(recipients.sort(), ["b@test.local", "host@test.local"]);
+  assert.match(logged.mock.calls[0].arguments[0], /Subject: Your feedback from Team is ready/);
+});
@@ -0,0 +1,167 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { createMailer, getEmailProvider, isTransientError, sendWithRetry } = require("../netlify/lib/mail.cjs");
+
+const message = { to: "ana@example.com", subject: "Hello", text: "Hi Ana", html: "<p>Hi Ana</p>" };
+
+// Records requests and answers each with `status` and `body`.
+const fakeFetch = (status, body) => {
+  const requests = [];
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, ...init, json: JSON.parse(init.body) });
+    return {
+      ok: status < 400,
+      status,
+      statusText: "",
+      json: async () => body,
+      text: async () => JSON.stringify(body)
+    };
+  };
+  return { requests, fetchImpl };
+};
+
+const failure = (message, fields) => Object.assign(new Error(message), fields);
+
+// A mailer that fails with each of `errors` in turn, then succeeds.
+const flakyMailer = (errors) => {
+  const calls = [];
+  return {
+    calls,
+    send: async (message) => {
+      calls.push(message);
+      const err = errors[calls.length - 1];
+      if (err) throw err;
+      return { messageId: `<m${calls.length}@test>` };
+    }
+  };
+};
+
+test("network errors, SMTP 4xx and HTTP 429 / 5xx are transient", () => {
+  assert.equal(isTransientError(failure("reset", { code: "ECONNRESET" })), true);
+  assert.equal(isTransientError(failure("greylisted", { responseCode: 451 })), true);
+  assert.equal(isTransientError(failure("rate limited", { status: 429 })), true);
+  assert.equal(isTransientError(failure("bad gateway", { status: 502 })), true);
+  assert.equal(isTransientError(failure("no such user", { responseCode: 550 })), false);
+  assert.equal(isTransientError(failure("bad key", { status: 401 })), false);
+  assert.equal(isTransientError(new Error("plain")), false);
+});
+
+test("transient failures are retried with growing delays and every attempt is reported", async () => {
+  const mailer = flakyMailer([failure("try later", { responseCode: 421 }), failure("timeout", { code: "ETIMEDOUT" })]);
+  const waits = [];
+  const attempts = [];
+  const info = await sendWithRetry({
+    mailer,
+    message: { to: "ana@example.com" },
+    baseDelayMs: 100,
+    wait: async (ms) => waits.push(ms),
+    onAttempt: async ({ attempt, ok }) => attempts.push([attempt, ok])
+  });
+
+  assert.deepEqual(info, { messageId: "<m3@test>", attempts: 3 });
+  assert.equal(mailer.calls.length, 3);
+  assert.deepEqual(attempts, [
+    [1, false],
+    [2, false],
+    [3, true]
+  ]);
+  assert.ok(waits[0] >= 100 && waits[0] <= 125);
+  assert.ok(waits[1] >= 200 && waits[1] <= 250);
+});
+
+test("permanent failures and exhausted retries give up with the last error", async () => {
+  const rejected = flakyMailer([failure("no such user", { responseCode: 550 })]);
+  await assert.rejects(
+    sendWithRetry({ mailer: rejected, message: {}, wait: async () => {} }),
+    (err) => err.message === "no such user" && err.attempts === 1
+  );
+  assert.equal(rejected.calls.length, 1);
+
+  const down = flakyMailer(Array.from({ length: 5 }, () => failure("down", { status: 503 })));
+  await assert.rejects(
+    sendWithRetry({ mailer: down, message: {}, retries: 2, wait: async () => {} }),
+    (err) => err.attempts === 3
+  );
+  assert.equal(down.calls.length, 3);
+});
+
+test("EMAIL_PROVIDER picks the provider, otherwise the first one configured", () => {
+  assert.equal(getEmailProvider({}), "none");
+  assert.equal(getEmailProvider({ RESEND_API_KEY: "k", POSTMARK_SERVER_TOKEN: "t" }), "resend");
+  assert.equal(getEmailProvider({ SES_ACCESS_KEY_ID: "id", SES_SECRET_ACCESS_KEY: "secret" }), "ses");
+  assert.equal(getEmailProvider({ EMAIL_PROVIDER: "File", SMTP_HOST: "localhost" }), "file");
+  assert.throws(() => getEmailProvider({ EMAIL_PROVIDER: "pigeon" }), /Unknown EMAIL_PROVIDER "pigeon"/);
+  assert.throws(() => createMailer({ env: { POSTMARK_SERVER_TOKEN: "t" } }), /OFFRECORD_FROM_EMAIL/);
+});
+
+test("the file provider writes each message as an .eml file", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "offrecord-mail-"));
+  try {
+    const mailer = createMailer({ env: { EMAIL_PROVIDER: "file", EMAIL_FILE_DIR: dir } });
+    assert.equal(mailer.from, "offrecord@localhost");
+    const info = await mailer.send(message);
+
+    const [name] = await fs.readdir(dir);
+    assert.match(name, /ana@example\.com\.eml$/);
+    const raw = await fs.readFile(path.join(dir, name), "utf8");
+    assert.match(raw, /^To: ana@example\.com\r$/m);
+    assert.match(raw, /^Subject: Hello\r$/m);
+    assert.ok(raw.includes(`Message-ID: ${info.messageId}`));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("Postmark requests carry the server token and report the message id", async () => {
+  const { requests, fetchImpl } = fakeFetch(200, { MessageID: "pm-1", ErrorCode: 0 });
+  const env = { POSTMARK_SERVER_TOKEN: "token", OFFRECORD_FROM_EMAIL: "team@offrecord.test" };
+  const info = await createMailer({ env, fetchImpl }).send(message);
+
+  assert.deepEqual(info, { messageId: "pm-1" });
+  assert.equal(requests[0].url, "https://api.postmarkapp.com/email");
+  assert.equal(requests[0].headers["X-Postmark-Server-Token"], "token");
+  assert.deepEqual(requests[0].json, {
+    From: "team@offrecord.test",
+    To: "ana@example.com",
+    Subject: "Hello",
+    TextBody: "Hi Ana",
+    HtmlBody: "<p>Hi Ana</p>",
+    MessageStream: "outbound"
+  });
+});
+
+test("SES requests are signed, and HTTP failures keep their status for retries", async () => {
+  const env = {
+    SES_ACCESS_KEY_ID: "AKIDEXAMPLE",
+    SES_SECRET_ACCESS_KEY: "secret",
+    SES_REGION: "eu-west-1",
+    SES_ENDPOINT: "http://127.0.0.1:4566/",
+    OFFRECORD_FROM_EMAIL: "team@offrecord.test"
+  };
+  const now = () => new Date("2026-03-01T12:00:00.000Z");
+  const { requests, fetchImpl } = fakeFetch(200, { MessageId: "ses-1" });
+  const info = await createMailer({ env, fetchImpl, now }).send(message);
+
+  assert.deepEqual(info, { messageId: "ses-1" });
+  assert.equal(requests[0].url, "http://127.0.0.1:4566/v2/email/outbound-emails");
+  assert.equal(requests[0].headers["x-amz-date"], "20260301T120000Z");
+  const [scheme, credential, signedHeaders, signature] = requests[0].headers.Authorization.split(/,? /);
+  assert.equal(scheme, "AWS4-HMAC-SHA256");
+  assert.equal(credential, "Credential=AKIDEXAMPLE/20260301/eu-west-1/ses/aws4_request");
+  assert.equal(signedHeaders, "SignedHeaders=content-type;host;x-amz-date");
+  assert.match(signature, /^Signature=[0-9a-f]{64}$/);
+  assert.deepEqual(requests[0].json.Destination, { ToAddresses: ["ana@example.com"] });
+
+  const throttled = fakeFetch(429, { message: "Maximum sending rate exceeded." });
+  const err = await createMailer({ env, fetchImpl: throttled.fetchImpl, now })
+    .send(message)
+    .catch((e) => e);
+  assert.match(err.message, /^SES failed \(429\)/);
+  assert.equal(isTransientError(err), true);
+});
@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { listMigrations, migrate, parseMigrationFilename, pendingMigrations } from "../scripts/migrate.mjs";
+import { REQUIRED_SCHEMA_VERSION } from "../src/schemaVersion.js";
+
+const tempMigrations = (files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "offrecord-migrations-"));
+  for (const [name, sql] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), sql);
+  return dir;
+};
+
+// Records queries and answers the few the runner reads from.
+const fakeClient = ({ applied = [], hasGroups = false } = {}) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push(params ? [sql, params] : sql);
+      if (sql.startsWith("select version from public.schema_migrations")) {
+        return { rows: applied.map((version) => ({ version })) };
+      }
+      if (sql.includes("to_regclass('public.groups')")) {
+        return { rows: [{ has_groups: hasGroups, applied: applied.length }] };
+      }
+      if (sql.includes("boom")) throw new Error("syntax error at or near \"boom\"");
+      return { rows: [] };
+    }
+  };
+};
+
+test("parses numbered migration filenames and ignores everything else", () => {
+  assert.deepEqual(parseMigrationFilename("0003_group_members.sql"), {
+    version: 3,
+    name: "group_members",
+    file: "0003_group_members.sql"
+  });
+  assert.equal(parseMigrationFilename("README.md"), null);
+  assert.equal(parseMigrationFilename("3_missing_padding.sql"), null);
+});
+
+test("lists migrations in version order and rejects duplicate versions", () => {
+  const dir = tempMigrations({ "0002_b.sql": "", "0001_a.sql": "", "notes.txt": "" });
+  assert.deepEqual(
+    listMigrations(dir).map((m) => m.file),
+    ["0001_a.sql", "0002_b.sql"]
+  );
+
+  const clash = tempMigrations({ "0001_a.sql": "", "0001_b.sql": "" });
+  assert.throws(() => listMigrations(clash), /share version 1/);
+});
+
+test("only unapplied migrations are pending", () => {
+  const migrations = [1, 2, 3].map((version) => ({ version, name: `m${version}`, file: `000${version}_m.sql` }));
+  assert.deepEqual(
+    pendingMigrations(migrations, [1, 3]).map((m) => m.version),
+    [2]
+  );
+});
+
+test("applies pending migrations in transactions and records them", async () => {
+  const dir = tempMigrations({ "0001_a.sql": "select 1;", "0002_b.sql": "select 2;" });
+  const client = fakeClient({ applied: [1] });
+  const applied = await migrate({ client, dir });
+
+  assert.deepEqual(
+    applied.map((m) => m.file),
+    ["0002_b.sql"]
+  );
+  const afterRead = client.queries.slice(3);
+  assert.deepEqual(afterRead, [
+    "begin",
+    "select 2;",
+    [
+      "insert into public.schema_migrations (version, name) values ($1, $2) on conflict (version) do nothing",
+      [2, "b"]
+    ],
+    "commit"
+  ]);
+});
+
+test("rolls back and names the file when a migration fails", async () => {
+  const dir = tempMigrations({ "0001_a.sql": "select boom;" });
+  const client = fakeClient();
+  await assert.rejects(migrate({ client, dir }), /0001_a\.sql failed: syntax error/);
+  assert.equal(client.queries.at(-1), "rollback");
+});
+
+test("runs the legacy patch first on databases from before migrations", async () => {
+  const dir = tempMigrations({ "0001_a.sql": "select 1;" });
+  const client = fakeClient({ hasGroups: true });
+  const log = [];
+  await migrate({ client, dir, log: (line) => log.push(line) });
+
+  const legacyIdx = client.queries.findIndex((q) => typeof q === "string" && q.includes("legacy patch"));
+  assert.ok(legacyIdx > 0, "legacy patch should run");
+  assert.ok(legacyIdx < client.queries.indexOf("select 1;"), "legacy patch should run before 0001");
+  assert.match(log[0], /legacy_patch\.sql/);
+});
+
+test("the app requires the newest migration", () => {
+  const newest = listMigrations().at(-1);
+  assert.equal(REQUIRED_SCHEMA_VERSION, newest.version);
+});
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { planResultsNotifications, buildResultsReadyEmail } = require("../netlify/lib/notifications.cjs");
+
+const group = { id: "g1", name: "Team retro", email_template: { locale: "en" } };
+const round = { id: "r1", group_id: "g1", number: 2 };
+const members = [
+  { group_id: "g1", email_lower: "ana@example.com", name: "Ana", status: "joined" },
+  { group_id: "g1", email_lower: "ben@example.com", name: "Ben", status: "joined" },
+  { group_id: "g1", email_lower: "cy@example.com", name: "Cy", status: "invited" },
+  { group_id: "g1", email_lower: "dee@example.com", name: "Dee", status: "joined" }
+];
+const roles = [
+  { group_id: "g1", user_id: "u-ana", email_lower: "ana@example.com" },
+  { group_id: "g1", user_id: "u-ben", email_lower: "ben@example.com" },
+  { group_id: "g1", user_id: "u-dee", email_lower: "dee@example.com" }
+];
+
+const plan = ({ preferences = [], sentLog = [] } = {}) =>
+  planResultsNotifications({ rounds: [round], groups: [group], members, roles, preferences, sentLog })
+    .map((p) => p.emailLower)
+    .sort();
+
+test("every member who joined is notified; pending invitees aren't", () => {
+  assert.deepEqual(plan(), ["ana@example.com", "ben@example.com", "dee@example.com"]);
+});
+
+test("members who opted out or were already notified are skipped", () => {
+  const preferences = [
+    { user_id: "u-ben", results_ready: false },
+    { user_id: "u-dee", results_ready: true }
+  ];
+  const sentLog = [{ round_id: "r1", email_lower: "ana@example.com" }];
+  assert.deepEqual(plan({ preferences, sentLog }), ["dee@example.com"]);
+});
+
+test("the email links to the report and says how to turn it off", async () => {
+  const email = await buildResultsReadyEmail({
+    group,
+    round,
+    member: members[0],
+    appUrl: "https://offrecord.test"
+  });
+  assert.equal(email.subject, "Your feedback from Team retro is ready");
+  assert.match(email.text, /from round 2 of "Team retro" is ready/);
+  // Rounds can be released before they close (threshold or deadline), so the email doesn't claim they closed.
+  assert.doesNotMatch(email.text, /closed/);
+  assert.match(email.text, /Read it here: https:\/\/offrecord\.test\/groups\/g1\/report\n/);
+  assert.match(email.text, /Turn them off under Settings/);
+});
@@ -0,0 +1,140 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { startSmtpSink } from "../scripts/smtp-sink.mjs";
+
+const require = createRequire(import.meta.url);
+const { planReminders, buildReminderEmail } = require("../netlify/lib/reminders.cjs");
+const { createMailer } = require("../netlify/lib/mail.cjs");
+
+const DAY = 24 * 60 * 60 * 1000;
+const due = new Date("2026-03-10T17:00:00Z");
+const group = { id: "g1", name: "Team retro", reminder_days: [3, 1, 0] };
+const round = { id: "r1", group_id: "g1", number: 2, closed_at: null, due_at: due.toISOString() };
+const invitations = [
+  { group_id: "g1", email_lower: "ana@example.com", name: "Ana", redeemed_by_uid: "u-ana" },
+  { group_id: "g1", email_lower: "ben@example.com", name: "Ben", redeemed_by_uid: "u-ben" },
+  { group_id: "g1", email_lower: "cy@example.com", name: "Cy", redeemed_by_uid: null }
+];
+const members = invitations.map((inv) => ({ group_id: "g1", email_lower: inv.email_lower }));
+const submissions = [{ round_id: "r1", respondent_uid: "u-ben" }];
+
+const plan = (now, sentLog = []) =>
+  planReminders({ rounds: [round], groups: [group], members, invitations, submissions, sentLog, now });
+
+test("nothing is due before the first reminder in the cadence", () => {
+  assert.deepEqual(plan(new Date(due.getTime() - 4 * DAY)), []);
+});
+
+test("reminds redeemed and pending invitees without a submission", () => {
+  const planned = plan(new Date(due.getTime() - 3 * DAY + 1000));
+  assert.deepEqual(planned.map((p) => p.emailLower).sort(), ["ana@example.com", "cy@example.com"]);
+  assert.ok(planned.every((p) => p.daysBefore === 3));
+});
+
+test("each reminder is sent once and only the closest one fires", () => {
+  const now = new Date(due.getTime() - 20 * 60 * 60 * 1000);
+  const planned = plan(now);
+  assert.ok(planned.every((p) => p.daysBefore === 1));
+
+  const sentLog = planned.map((p) => ({ round_id: "r1", email_lower: p.emailLower, days_before: 1 }));
+  assert.deepEqual(plan(now, sentLog), []);
+  assert.equal(plan(new Date(due.getTime() - 60 * 60 * 1000), sentLog).length, 2);
+});
+
+test("closed rounds and passed deadlines get no reminders", () => {
+  const now = new Date(due.getTime() - DAY / 2);
+  assert.deepEqual(
+    planReminders({
+      rounds: [{ ...round, closed_at: now.toISOString() }],
+      groups: [group],
+      members,
+      invitations,
+      submissions,
+      now
+    }),
+    []
+  );
+  assert.deepEqual(plan(new Date(due.getTime() + 1000)), []);
+});
+
+const remindedAt = (now, overrides) =>
+  planReminders({ rounds: [round], groups: [group], members, invitations, submissions, now, ...overrides });
+const threeDaysOut = new Date(due.getTime() - 3 * DAY + 1000);
+
+test("revoked invitations get no reminders", () => {
+  const revoked = invitations.map((inv) =>
+    inv.email_lower === "cy@example.com" ? { ...inv, revoked_at: "2026-03-01T00:00:00Z" } : inv
+  );
+  assert.deepEqual(
+    remindedAt(threeDaysOut, { invitations: revoked }).map((p) => p.emailLower),
+    ["ana@example.com"]
+  );
+});
+
+test("expired pending invitations get no reminders, redeemed ones still do", () => {
+  const expired = invitations.map((inv) => ({ ...inv, expires_at: "2026-03-05T00:00:00Z" }));
+  assert.deepEqual(
+    remindedAt(threeDaysOut, { invitations: expired }).map((p) => p.emailLower),
+    ["ana@example.com"]
+  );
+});
+
+test("people removed from the roster get no reminders", () => {
+  const roster = members.filter((m) => m.email_lower !== "ana@example.com");
+  assert.deepEqual(
+    remindedAt(threeDaysOut, { members: roster }).map((p) => p.emailLower),
+    ["cy@example.com"]
+  );
+});
+
+test("someone invited more than once gets one reminder", () => {
+  const reinvited = [
+    ...invitations,
+    { group_id: "g1", email_lower: "Cy@example.com ", name: "Cy (new)", created_at: "2026-03-02T00:00:00Z" },
+    { group_id: "g1", email_lower: "ana@example.com", name: "Ana (old)", created_at: "2026-01-01T00:00:00Z" }
+  ];
+  const planned = remindedAt(threeDaysOut, { invitations: reinvited });
+  assert.deepEqual(
+    planned.map((p) => [p.emailLower, p.invitation.name]).sort(),
+    [
+      ["ana@example.com", "Ana"],
+      ["cy@example.com", "Cy (new)"]
+    ]
+  );
+
+  // A submission under either invitation counts.
+  const benAgain = [...invitations, { group_id: "g1", email_lower: "ben@example.com", name: "Ben" }];
+  assert.ok(!remindedAt(threeDaysOut, { invitations: benAgain }).some((p) => p.emailLower === "ben@example.com"));
+});
+
+test("reminders are delivered through SMTP", async () => {
+  const sink = await startSmtpSink();
+  const env = { ...process.env };
+  try {
+    Object.assign(process.env, {
+      SMTP_HOST: "127.0.0.1",
+      SMTP_PORT: String(sink.port),
+      SMTP_SECURE: "false",
+      SMTP_IGNORE_TLS: "true",
+      OFFRECORD_FROM_EMAIL: "reminders@offrecord.test"
+    });
+    const mailer = createMailer();
+    assert.equal(mailer.provider, "smtp");
+
+    const now = new Date(due.getTime() - DAY + 1000);
+    for (const item of plan(now)) {
+      const email = await buildReminderEmail({ ...item, appUrl: "https://offrecord.test", now });
+      await mailer.send({ to: item.emailLower, ...email });
+    }
+
+    assert.deepEqual(sink.messages.map((m) => m.to[0]).sort(), ["ana@example.com", "cy@example.com"]);
+    const toCy = sink.messages.find((m) => m.to[0] === "cy@example.com").raw;
+    assert.match(toCy, /Subject: Reminder: feedback for Team retro is due tomorrow/);
+    assert.match(toCy, /temporary password/);
+    assert.match(toCy, /https:\/\/offrecord\.test\/groups\/g1\/survey/);
+  } finally {
+    process.env = env;
+    await sink.close();
+  }
+});
@@ -0,0 +1,144 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument } from "pdf-lib";
+import {
+  buildFeedbackReport,
+  buildTeamReport,
+  feedbackReportToMarkdown,
+  feedbackReportToText,
+  reportFilename,
+  teamReportToCsv
+} from "../src/report.js";
+import { renderFeedbackReportPdf, renderTeamReportPdf } from "../src/pdf.js";
+
+const questions = [
+  { id: "strengths", type: "text", prompt: "What does {name} do well?" },
+  { id: "collab", type: "likert", prompt: "{name} is easy to work with" }
+];
+
+const sampleReport = (feedback) =>
+  buildFeedbackReport({
+    recipientName: "Ana Lima",
+    groupName: "Design team",
+    round: { id: "r2", number: 2 },
+    questions,
+    feedback,
+    generatedAt: "2026-03-01T12:00:00Z"
+  });
+
+test("the report model averages scores and ratings and fills in prompts", () => {
+  const report = sampleReport([
+    { score: 90, answers: { strengths: "Clear specs", collab: 5 } },
+    { score: 71, answers: { strengths: "", collab: 4 } }
+  ]);
+  assert.equal(report.averageScore, 81);
+  assert.equal(report.level.short, "Strong");
+  assert.equal(report.source, "Design team • Round 2");
+  assert.deepEqual(report.ratings, [{ prompt: "Ana Lima is easy to work with", average: 4.5, count: 2 }]);
+  assert.equal(report.responses[0].answers[0].prompt, "What does Ana Lima do well?");
+  assert.equal(reportFilename(report, "pdf"), "feedback-ana-lima-design-team-round-2.pdf");
+});
+
+test("markdown and text exports keep answers as written", () => {
+  const report = sampleReport([{ score: 65, answers: { strengths: "- **not** a list\n<b>hi</b> #1", collab: 3 } }]);
+
+  const markdown = feedbackReportToMarkdown(report);
+  assert.match(markdown, /^# Feedback for Ana Lima$/m);
+  assert.match(markdown, /^> \\- \\\*\\\*not\\\*\\\* a list$/m);
+  assert.match(markdown, /^> \\<b\\>hi\\<\/b\\> \\#1$/m);
+  assert.match(markdown, /^\| Ana Lima is easy to work with \| 3\.0 \/ 5 \| 1 \|$/m);
+
+  const text = feedbackReportToText(report);
+  assert.match(text, /^Average score: 65 \(Moderate Participation\)$/m);
+  assert.match(text, /^ {2}- \*\*not\*\* a list$/m);
+});
+
+test("the PDF paginates long reports and stamps every page", async () => {
+  const longAnswer = "Keeps the team moving and writes things down. ".repeat(40);
+  const feedback = Array.from({ length: 8 }, (_, idx) => ({
+    score: 60 + idx * 5,
+    answers: { strengths: `${longAnswer}🚀`, collab: (idx % 5) + 1 }
+  }));
+  const bytes = await renderFeedbackReportPdf(sampleReport(feedback));
+  assert.equal(Buffer.from(bytes.slice(0, 5)).toString(), "%PDF-");
+
+  const doc = await PDFDocument.load(bytes);
+  assert.ok(doc.getPageCount() > 1);
+  assert.equal(doc.getTitle(), "Feedback for Ana Lima");
+});
+
+test("the team report works from aggregates and exports CSV and PDF", async () => {
+  const group = {
+    name: "Design team",
+    members: [
+      { name: "Ben", emailLower: "ben@example.com" },
+      { name: "=Ana, \"A\"", emailLower: "ana@example.com" },
+      { name: "Cy", emailLower: "cy@example.com" }
+    ],
+    questions: []
+  };
+  const round = { id: "r1", number: 1, questions: [...questions, { id: "again", type: "yesno", prompt: "Again?" }] };
+  const report = buildTeamReport({
+    group,
+    round,
+    summary: {
+      recipients: [
+        { recipientEmailLower: "ana@example.com", responses: 3, averageScore: 92.5, scoreSpread: 2.5 },
+        { recipientEmailLower: "ben@example.com", responses: 3, averageScore: 71, scoreSpread: 0 },
+        // Too few responses for the scores to stay anonymous.
+        { recipientEmailLower: "gone@example.com", responses: 1, averageScore: null, scoreSpread: null }
+      ],
+      answers: [
+        { questionId: "collab", answer: "5", responses: 3 },
+        { questionId: "collab", answer: "2", responses: 1 },
+        { questionId: "again", answer: "true", responses: 4 }
+      ]
+    },
+    responses: [
+      { roundId: "r1", responded: 2 },
+      { roundId: "r0", responded: 1 }
+    ],
+    generatedAt: "2026-03-01T12:00:00Z"
+  });
+
+  assert.equal(report.teamAverage, 82);
+  assert.equal(report.respondents, 2);
+  assert.deepEqual(
+    report.members.map((m) => [m.name, m.responses, m.level?.short ?? null]),
+    [
+      ["=Ana, \"A\"", 3, "Great"],
+      ["Ben", 3, "Good"],
+      ["Cy", 0, null],
+      ["gone@example.com", 1, null]
+    ]
+  );
+  assert.deepEqual(
+    report.levels.map(({ level, count }) => [level.short, count]),
+    [
+      ["Great", 1],
+      ["Strong", 0],
+      ["Good", 1],
+      ["Moderate", 0],
+      ["Developing", 0]
+    ]
+  );
+  assert.deepEqual(
+    report.themes.map((t) => [t.prompt, t.total, t.average]),
+    [
+      ["Each member is easy to work with", 4, 4.25],
+      ["Again?", 4, null]
+    ]
+  );
+  assert.equal(reportFilename(report, "csv"), "team-report-design-team-round-1.csv");
+
+  const csv = teamReportToCsv(report);
+  assert.match(csv, /^Member,Email,Responses,Average score,Spread,Participation level\r\n/);
+  assert.match(csv, /^"'=Ana, ""A""",ana@example\.com,3,92\.5,2\.5,Great Participation\r$/m);
+  assert.match(csv, /^Cy,cy@example\.com,0,,,\r$/m);
+  assert.match(csv, /^gone@example\.com,gone@example\.com,1,,,\r$/m);
+  assert.match(csv, /^Each member is easy to work with,Strongly agree,3,75%\r$/m);
+  assert.doesNotMatch(csv, /What does/);
+
+  const doc = await PDFDocument.load(await renderTeamReportPdf(report));
+  assert.equal(doc.getTitle(), "Team report: Design team");
+});
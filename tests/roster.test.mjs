@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, toCsv } from "../src/csv.js";
+import {
+  DUPLICATE_MEMBER_ERROR,
+  HOST_MEMBER_ERROR,
+  buildRosterExport,
+  checkMemberImport,
+  parseMemberFile,
+  rosterToCsv,
+  validateMemberList
+} from "../src/roster.js";
+
+test("CSV round-trips quotes, commas, newlines and formula-looking values", () => {
+  const rows = [
+    ["Name", "Note"],
+    ['Ana "A" Lima', "one, two\nthree"],
+    ["=SUM(A1)", ""]
+  ];
+  const csv = toCsv(rows);
+  assert.equal(csv, 'Name,Note\r\n"Ana ""A"" Lima","one, two\nthree"\r\n\'=SUM(A1),');
+  assert.deepEqual(parseCsv(`\uFEFF${csv}\r\n\r\n`), [rows[0], rows[1], ["'=SUM(A1)", ""]]);
+});
+
+test("member files: CSV with or without a header, JSON lists and roster exports", () => {
+  assert.deepEqual(parseMemberFile("Ana,ana@example.com\nBen,ben@example.com"), [
+    { line: 1, name: "Ana", email: "ana@example.com" },
+    { line: 2, name: "Ben", email: "ben@example.com" }
+  ]);
+  assert.deepEqual(parseMemberFile("Email,Full name\nana@example.com,Ana"), [
+    { line: 2, name: "Ana", email: "ana@example.com" }
+  ]);
+  assert.deepEqual(parseMemberFile("ana@example.com,Ana"), [{ line: 1, name: "Ana", email: "ana@example.com" }]);
+  assert.deepEqual(parseMemberFile('{"group":"G","members":[{"name":"Ana","email":"ana@example.com"}]}'), [
+    { line: 1, name: "Ana", email: "ana@example.com" }
+  ]);
+  assert.throws(() => parseMemberFile("{oops", { filename: "members.json" }), /isn't valid JSON/);
+});
+
+test("imports follow createGroup's rules and say why rows were skipped", () => {
+  const entries = parseMemberFile(
+    [
+      "name,email",
+      "Ana,Ana@Example.com",
+      "Host,host@example.com",
+      "Ana again,ana@example.com",
+      "No Email,",
+      "Bad,not-an-email",
+      ",nameless@example.com",
+      "Ben,ben@example.com",
+      ","
+    ].join("\n")
+  );
+  const { members, problems } = checkMemberImport(entries, {
+    hostEmail: "HOST@example.com",
+    existing: [{ emailLower: "ben@example.com" }]
+  });
+
+  assert.deepEqual(members, [{ name: "Ana", email: "ana@example.com" }]);
+  assert.deepEqual(
+    problems.map((p) => [p.line, p.message]),
+    [
+      [3, HOST_MEMBER_ERROR],
+      [4, "Duplicate of line 2"],
+      [5, "Missing email"],
+      [6, "Not an email address"],
+      [7, "Missing name"],
+      [8, "Already a member"]
+    ]
+  );
+
+  assert.equal(validateMemberList([{ email: "a@x.io" }, { email: "A@x.io " }]), DUPLICATE_MEMBER_ERROR);
+  assert.equal(validateMemberList([{ email: "h@x.io" }], { hostEmail: "H@x.io" }), HOST_MEMBER_ERROR);
+  assert.equal(validateMemberList([{ email: "a@x.io" }], { hostEmail: "h@x.io" }), "");
+});
+
+test("roster exports carry each member's latest invitation and no codes", () => {
+  const roster = buildRosterExport({
+    group: {
+      name: "Design team",
+      members: [
+        { name: "Hana", emailLower: "hana@example.com", role: "owner", status: "joined", joinedAt: "2026-01-01" },
+        { name: "Dan", emailLower: "dan@example.com", role: "member", status: "invited" }
+      ]
+    },
+    invitations: [
+      { emailLower: "dan@example.com", createdAt: "2026-01-01", expiresAt: "2026-01-31", tempPassword: "DAN234" },
+      { emailLower: "dan@example.com", createdAt: "2026-02-01", expiresAt: "2026-03-03" }
+    ],
+    now: new Date("2026-02-10")
+  });
+
+  assert.equal(roster.members[0].invitation, null);
+  assert.deepEqual(roster.members[1].invitation, {
+    state: "pending",
+    sentAt: "2026-02-01",
+    expiresAt: "2026-03-03",
+    revokedAt: null
+  });
+  const csv = rosterToCsv(roster);
+  assert.match(csv, /^Dan,dan@example\.com,member,invited,,pending,2026-02-01,2026-03-03\r$/m);
+  assert.doesNotMatch(csv, /DAN234/);
+});
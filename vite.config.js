@@ -2,6 +2,8 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react()],
+  // src/supabase.js loads the local backend with a top-level await.
+  build: { target: "es2022" }
 });
 